@@ -18,5 +18,13 @@ module.exports = {
     'semi': ['error', 'always'],
     'no-console': 'warn',
     'no-unused-vars': 'warn'
-  }
+  },
+  overrides: [
+    {
+      files: ['**/*.test.js'],
+      env: {
+        jest: true
+      }
+    }
+  ]
 };
\ No newline at end of file
@@ -1,19 +1,124 @@
 import { Agent, Tool } from 'ajent';
 import StyleApplier from '../core/StyleApplier.js';
+import StylesheetLayer from '../core/StylesheetLayer.js';
+import ElementInspector from '../core/ElementInspector.js';
 
 import StyleNormalizer from '../business/css/styleNormalizer.js';
 import StyleValidator from '../business/css/styleValidator.js';
+import StylesheetExporter from '../business/css/stylesheetExporter.js';
+import TailwindTranslator from '../business/css/tailwindTranslator.js';
+import DesignTokenInventory from '../core/DesignTokenInventory.js';
+import CustomPropertyEditor from '../core/CustomPropertyEditor.js';
+import DomEditor from '../core/DomEditor.js';
+import ImageCandidateFlow from '../core/ImageCandidateFlow.js';
 
 import WindowEventDispatcher from '../utils/windowEventDispatcher.js';
+import { BreakpointUtils } from '../utils/breakpointUtils.js';
+import AccessibilityChecker from '../utils/AccessibilityChecker.js';
+import SmartRetrySystem from '../utils/SmartRetrySystem.js';
+import ErrorRecoverySystem from '../utils/ErrorRecoverySystem.js';
+import { AgentConfig } from '../config/AgentConfig.js';
+import { ImageProviderFactory } from '../providers/ImageProviderFactory.js';
+
+// JSON schemas of the tool arguments
+const TOOL_PARAMETERS = {
+  applyVisualStyles: {
+    type: 'object',
+    properties: {
+      description: { type: 'string' },
+      styles: { type: 'object', additionalProperties: { type: 'string' } },
+      elementSelectors: { type: 'array', items: { type: 'string' } },
+      state: { type: 'string' },
+      pseudo: { type: 'string' },
+      breakpoint: { type: 'string' },
+      media: { type: 'string' },
+      container: { type: 'string' }
+    },
+    required: ['description', 'styles', 'elementSelectors']
+  },
+  setCssVariable: {
+    type: 'object',
+    properties: {
+      description: { type: 'string' },
+      name: { type: 'string' },
+      value: { type: 'string' },
+      scope: { type: 'string' }
+    },
+    required: ['description', 'name', 'value']
+  },
+  createAndApplyImage: {
+    type: 'object',
+    properties: {
+      description: { type: 'string' },
+      prompt: { type: 'string' },
+      elementSelectors: { type: 'array', items: { type: 'string' } },
+      applyAs: { type: 'string', enum: ['background', 'element'] }
+    },
+    required: ['description', 'prompt']
+  },
+  editStructure: {
+    type: 'object',
+    properties: {
+      description: { type: 'string' },
+      operation: { type: 'string', enum: ['move', 'duplicate', 'wrap', 'unwrap', 'reorder', 'remove'] },
+      elementSelectors: { type: 'array', items: { type: 'string' } },
+      targetSelector: { type: 'string' },
+      position: { type: 'string', enum: ['before', 'after', 'prepend', 'append'] },
+      direction: { type: 'string', enum: ['up', 'down', 'first', 'last'] },
+      tag: { type: 'string' },
+      className: { type: 'string' }
+    },
+    required: ['description', 'operation', 'elementSelectors']
+  },
+  editText: {
+    type: 'object',
+    properties: {
+      description: { type: 'string' },
+      text: { type: 'string' },
+      elementSelectors: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['description', 'text', 'elementSelectors']
+  },
+  generateClaudeCodeInstructions: {
+    type: 'object',
+    properties: {}
+  }
+};
 
 class UXAgent extends Agent {
-  constructor() {
+  constructor(applier = null, options = {}) {
     super('ux_agent', 'Especialista em implementação visual direta: transforma instruções em linguagem natural em modificações CSS precisas, geração inteligente de imagens e otimização de interfaces em tempo real. Atua como ponte entre concepção e implementação, garantindo fidelidade visual e eficiência técnica.');
     
-    // Initialize ResponseApplier for applying styles and maintaining history
-    this.applier = new StyleApplier();
+    // Shared ResponseApplier: its journal holds the session-wide undo/redo history
+    this.applier = applier || new StyleApplier();
+    this.inspector = new ElementInspector();
+    // Built from the project's tailwind.config theme when one is given
+    this.tailwindTranslator = options.tailwindTranslator || new TailwindTranslator();
+    // Page design tokens: off-palette values from the agent are snapped to them
+    this.designTokens = options.designTokens || null;
+    // CSS variables edits share the applier's undo/redo history
+    this.customProperties = options.customProperties || new CustomPropertyEditor(this.applier.journal);
+    // Structural edits (move, duplicate, wrap...) recorded as 'dom' changes in the same history
+    this.domEditor = new DomEditor(this.applier.journal, {
+      getSelector: (element) => this.applier.getElementSelector(element)
+    });
+    // Contrast review before applying styles: { contrastMode: 'warn' | 'block' }
+    this.accessibilityChecker = new AccessibilityChecker();
+    this.contrastMode = options.accessibility?.contrastMode || AgentConfig.accessibility.contrastMode;
+    // Image generation backend: { provider: 'http' | 'placeholder', endpoint, size, quality, style, count }
+    this.imageProvider = ImageProviderFactory.create(options.images);
+    this.imageCandidates = new ImageCandidateFlow({
+      apply: (request) => this.applyGeneratedImage(request),
+      regenerate: (request, tweaks) => this.regenerateImage(request, tweaks)
+    });
+    // Retries with backoff for image generation; selector recovery
+    // when elements are not found. Shared with CommandProcessor, which retries LLM calls.
+    this.retrySystem = options.retrySystem || new SmartRetrySystem();
+    this.errorRecovery = options.errorRecovery || new ErrorRecoverySystem();
+    // Tools with their JSON schemas, for LLM providers that call tools themselves
+    this.toolDefinitions = [];
 
-    this.addTool(new Tool(
+    this.registerTool(
       'applyVisualStyles', 
       `Aplica estilos CSS de forma precisa e controlada aos elementos selecionados. 
     
@@ -42,6 +147,31 @@ class UXAgent extends Agent {
       - Especificidade adequada para evitar conflitos
       - Seletores devem ser testáveis e não ambíguos
     
+    ### state (opcional)
+    - Finalidade: Alterar um estado interativo em vez do estado de repouso
+    - Valores: ":hover", ":focus", ":focus-visible", ":active", ":checked", "[disabled]", "[aria-expanded="true"]"...
+    - Exemplo: "mude a cor de hover deste botão" → state ":hover" + { "backgroundColor": "#1d4ed8" }
+    - Efeito: Os estilos viram uma regra na folha de estilos do Frontable (não inline)
+    
+    ### pseudo (opcional)
+    - Finalidade: Aplicar os estilos a um pseudo-elemento
+    - Formato: String CSS, ex: "::before", "::after", "::placeholder"
+    - Para "::before"/"::after" inclua "content" em styles, ex: { "content": "''" }
+    - Pode ser combinado com state, ex: state ":hover" + pseudo "::after"
+    
+    ### breakpoint (opcional)
+    - Finalidade: Restringir a mudança a um tamanho de tela
+    - Valores: "mobile", "tablet" ou "desktop" (media queries padrão do projeto)
+    - Exemplo: "no mobile, empilhe os cards" → breakpoint "mobile" + { "flexDirection": "column" }
+    
+    ### media (opcional)
+    - Finalidade: Media query específica quando os breakpoints padrão não servem
+    - Formato: Condição entre parênteses, ex: "(max-width: 600px)"
+    
+    ### container (opcional)
+    - Finalidade: Container query, para componentes que reagem ao tamanho do container
+    - Formato: Condição com nome opcional, ex: "(min-width: 400px)" ou "card (max-width: 300px)"
+    
     ## ✅ EXEMPLOS POSITIVOS
     
     ### Exemplo 1: Modificação Básica
@@ -154,29 +284,56 @@ class UXAgent extends Agent {
     
     ## ⚠️ LIMITAÇÕES CONHECIDAS
     
-    - Não aplica pseudo-classes (:hover, :focus)
-    - Não manipula regras @keyframes ou @media queries
-    - Não gerencia variáveis CSS custom properties
+    - Não manipula regras @keyframes
+    - Não altera variáveis CSS (custom properties): para isso use setCssVariable
     - Aplicação é imediata e não gradual (sem transições)`,
-      ({ description, styles, elementSelectors }) => this.applyStylesTool({ description, styles, elementSelectors })
-    ));
+      ({ description, styles, elementSelectors, state, pseudo, breakpoint, media, container }) => this.applyStylesTool({ description, styles, elementSelectors, state, pseudo, breakpoint, media, container })
+    );
     
-    this.addTool(new Tool(
+    this.registerTool(
+      'setCssVariable',
+      'Altera o valor de uma variável CSS (custom property / design token) para a página inteira: todos os elementos que usam var(--nome) são atualizados de uma vez. Use quando o usuário falar de cores, espaçamentos ou raios do design system ("mude a cor primária para #0a84ff") e existir uma variável correspondente na lista "CSS variables" do contexto, em vez de aplicar estilos em elementos. Exemplo: {"description": "Mudar cor primária", "name": "--color-primary", "value": "#0a84ff", "scope": ":root"}. scope é opcional (padrão ":root"); use o seletor do componente quando a variável é declarada nele.',
+      ({ description, name, value, scope }) => this.setCssVariableTool({ description, name, value, scope })
+    );
+    
+    this.registerTool(
       'createAndApplyImage', 
       'Gera uma imagem usando IA e a aplica aos elementos especificados como fundo ou cria novos elementos com a imagem. Use para adicionar imagens personalizadas, logos, ilustrações, etc. Exemplo: {"description": "Criar logo da empresa no header", "prompt": "modern minimalist logo with blue and white colors for tech company", "elementSelectors": ["#logo"], "applyAs": "element"}. applyAs pode ser "background" (como fundo) ou "element" (como elemento img)', 
       ({ description, prompt, elementSelectors, applyAs }) => this.generateImageWrapper({description, prompt, elementSelectors, applyAs})
-    ));
+    );
     
-    this.addTool(new Tool(
+    this.registerTool(
+      'editStructure',
+      'Altera a estrutura da página nos elementos selecionados: mover, duplicar, envolver, desembrulhar, reordenar entre irmãos ou remover. Use para "remova este botão", "duplique o card", "mova o título para depois da imagem", "coloque estes itens dentro de uma div", "suba este item". operation: "move" (com targetSelector e position "before" | "after" | "prepend" | "append"), "duplicate", "wrap" (tag opcional, padrão "div", e className), "unwrap" (remove o elemento mantendo os filhos), "reorder" (direction "up" | "down" | "first" | "last") ou "remove". Exemplo: {"description": "Mover título para depois da imagem", "operation": "move", "elementSelectors": ["h1"], "targetSelector": "img.hero", "position": "after"}. Todas as operações podem ser desfeitas.',
+      ({ description, operation, elementSelectors, targetSelector, position, direction, tag, className }) => this.editStructureTool({ description, operation, elementSelectors, targetSelector, position, direction, tag, className })
+    );
+
+    this.registerTool(
+      'editText',
+      'Substitui o texto dos elementos selecionados (o conteúdo vira texto simples). Use para "troque o texto do botão para Comprar", "corrija o título". Exemplo: {"description": "Texto do botão", "text": "Comprar agora", "elementSelectors": ["button.cta"]}.',
+      ({ description, text, elementSelectors }) => this.editTextTool({ description, text, elementSelectors })
+    );
+
+    this.registerTool(
       'generateClaudeCodeInstructions', 
       'Gera instruções específicas para implementar as mudanças visuais no código do projeto. IMPORTANTE: Esta tool retorna apenas as instruções de implementação. A LLM deve APENAS retornar as instruções geradas, sem executar comandos, propor patches ou realizar implementação adicional. Para diferentes frameworks: React (className, style props), Vue (class, style), CSS tradicional (seletores), Tailwind (classes utilitárias), CSS Modules (styles.className). Use após fazer modificações visuais.', 
       () => this.generateClaudeCodeInstructions()
-    ));
+    );
 
     this.styleNormalizer = new StyleNormalizer();
     this.styleValidator = new StyleValidator();
+    this.breakpoints = AgentConfig.responsive.breakpoints;
 
   }
+
+  /**
+   * Adds an ajent Tool and keeps its definition ({ name, description, parameters, handler })
+   * for providers that send the tools to an OpenAI-compatible API
+   */
+  registerTool(name, description, handler) {
+    this.addTool(new Tool(name, description, handler));
+    this.toolDefinitions.push({ name, description, parameters: TOOL_PARAMETERS[name], handler });
+  }
   instruction = () => {
     return `
             ## VOCÊ É UM UX/UI DESIGNER ESPECIALIZADO EM IMPLEMENTAÇÃO VISUAL INSTANTÂNEA
@@ -191,11 +348,25 @@ class UXAgent extends Agent {
             {
               "description": "Descrição clara da mudança visual",
               "styles": { "propriedadeCSS": "valor" },
-              "elementSelectors": ["#id", ".classe", "tag"]
+              "elementSelectors": ["#id", ".classe", "tag"],
+              "state": ":hover", // opcional: estado interativo (":focus-visible", "[disabled]"...)
+              "pseudo": "::before", // opcional: pseudo-elemento
+              "breakpoint": "mobile" // opcional: mobile | tablet | desktop (ou "media"/"container")
             }
             \`\`\`
 
-            ### 2. **createAndApplyImage** - Gerar e Aplicar Imagens com IA
+            ### 2. **setCssVariable** - Alterar Variável CSS (Design Token)
+            Muda o valor de uma variável CSS em toda a página (todos os elementos que a usam).
+            \`\`\`json
+            {
+              "description": "Mudar cor primária",
+              "name": "--color-primary",
+              "value": "#0a84ff",
+              "scope": ":root" // opcional: seletor do componente que declara a variável
+            }
+            \`\`\`
+
+            ### 3. **createAndApplyImage** - Gerar e Aplicar Imagens com IA
             Cria imagens personalizadas e as aplica como fundo ou elementos.
             \`\`\`json
             {
@@ -206,7 +377,22 @@ class UXAgent extends Agent {
             }
             \`\`\`
 
-            ### 3. generateClaudeCodeInstructions - Exportar para Desenvolvimento
+            ### 4. **editStructure** / **editText** - Alterar Estrutura e Texto
+            Move, duplica, envolve, desembrulha, reordena ou remove elementos; troca textos.
+            \`\`\`json
+            {
+              "description": "Mover título para depois da imagem",
+              "operation": "move", // duplicate | wrap | unwrap | reorder | remove
+              "elementSelectors": ["h1"],
+              "targetSelector": "img.hero", // move
+              "position": "after", // move: before | after | prepend | append
+              "direction": "up", // reorder: up | down | first | last
+              "tag": "section", "className": "group" // wrap
+            }
+            \`\`\`
+            editText: { "description": "...", "text": "Novo texto", "elementSelectors": ["button"] }
+
+            ### 5. generateClaudeCodeInstructions - Exportar para Desenvolvimento
             Gera **apenas um resumo simplificado das mudanças visuais realizadas** no browser, 
             em formato de changelog legível para desenvolvedores. 
             Não deve gerar código pronto nem múltiplas opções de implementação.
@@ -240,9 +426,15 @@ class UXAgent extends Agent {
             **MODIFICAR VISUAL** → \`applyVisualStyles\`
             - "Mude a cor", "Aumente o tamanho", "Centralize"
 
+            **MUDAR DESIGN TOKEN GLOBAL** → \`setCssVariable\`
+            - "Mude a cor primária", "Aumente o raio padrão" (quando há variável CSS correspondente)
+
             **ADICIONAR IMAGENS** → \`createAndApplyImage\`  
             - "Adicione uma imagem", "Coloque um fundo", "Crie um ícone"
 
+            **ALTERAR ESTRUTURA OU TEXTO** → \`editStructure\` / \`editText\`
+            - "Remova", "Duplique", "Mova para", "Coloque dentro de", "Suba este item", "Troque o texto"
+
             **GERAR INSTRUCOES DE CÓDIGO** → \`generateClaudeCodeInstructions\`
             - "Gere instruções", "Exporte mudanças", "Claude Code"
             - IMPORTANTE: Apenas retorne as instruções geradas, sem executar ou implementar
@@ -261,6 +453,16 @@ class UXAgent extends Agent {
             })
             \`\`\`
 
+            \`\`\`
+            Usuário: "No mobile, empilhe os cards"
+            Ação: applyVisualStyles({
+              description: "Empilhar cards em telas pequenas",
+              styles: { flexDirection: "column" },
+              elementSelectors: [".cards"],
+              breakpoint: "mobile"
+            })
+            \`\`\`
+
             \`\`\`
             Usuário: "Adicione um gato fofo como fundo"
             Ação: createAndApplyImage({
@@ -307,6 +509,44 @@ class UXAgent extends Agent {
     return selectedElements;
   }
 
+  /**
+   * Elements for the selectors; when none is found, ErrorRecoverySystem tries corrected
+   * and similar selectors before giving up
+   * @returns {Promise<Object>} - { elements, message } where message explains the recovery or the failure
+   */
+  async resolveElements(elementSelectors) {
+    const elements = this.elementsFromSelectors(elementSelectors) || [];
+    if (elements.length > 0) {
+      return { elements, message: null };
+    }
+
+    const selectors = Array.isArray(elementSelectors) && elementSelectors.length > 0
+      ? elementSelectors
+      : (this.currentElementSelectors || []);
+    const recovery = await this.errorRecovery.handleError(
+      new Error(`Element not found: ${selectors.join(', ')}`),
+      { operation: 'resolve_elements', elementSelectors: selectors }
+    );
+    return {
+      elements: recovery.success ? recovery.newElements || [] : [],
+      message: this.errorRecovery.toChatMessage(recovery)
+    };
+  }
+
+  /**
+   * Friendly explanation of a tool failure, for the chat and the LLM
+   */
+  describeFailure(error, context = {}) {
+    return this.errorRecovery.toChatMessage(this.errorRecovery.describeError(error, context));
+  }
+
+  /**
+   * A state is a single pseudo-class (":hover", ":nth-child(2)") or attribute selector ("[disabled]")
+   */
+  static isValidState(state) {
+    return typeof state === 'string' && /^(:[a-z-]+(\([^)]*\))?|\[[^\]]+\])$/i.test(state.trim());
+  }
+
   async applyStylesTool(params) {  
     const TOOL_NAME = 'applyVisualStyles';
     
@@ -322,39 +562,80 @@ class UXAgent extends Agent {
       return sendError('❌ ERRO: Parâmetros inválidos. Não foi possível analisar os parâmetros fornecidos.');
     }    
 
-    const { styles, elementSelectors = [], description } = parsedParams;
+    const { styles, elementSelectors = [], description, state, pseudo, breakpoint, container } = parsedParams;
+  
+    if (state && !UXAgent.isValidState(state)) {
+      return sendError(`❌ ERRO: Estado inválido: ${state}. Use uma pseudo-classe (":hover", ":focus-visible") ou atributo ("[disabled]").`);
+    }
+  
+    let media;
+    try {
+      media = BreakpointUtils.resolveMedia({ breakpoint, media: parsedParams.media }, this.breakpoints);
+    } catch (error) {
+      return sendError(`❌ ERRO: ${error.message}`);
+    }
   
     // Validate parameters
     if (!styles || typeof styles !== 'object') {
       return sendError('❌ ERRO: Parâmetro "styles" é obrigatório e deve ser um objeto CSS válido');
     }
   
-    let selectedElements = this.elementsFromSelectors(elementSelectors);
+    const { elements: selectedElements, message: recoveryMessage } = await this.resolveElements(elementSelectors);
   
     if (selectedElements.length === 0) {
-      return sendError(`❌ ERRO: Nenhum elemento encontrado para os seletores: ${elementSelectors.join(', ')}`);
+      return sendError(`❌ ERRO: Nenhum elemento encontrado para os seletores: ${elementSelectors.join(', ')}\n${recoveryMessage}`);
     }
   
+    const tokenCheck = this.checkDesignTokens(styles);
+    const finalStyles = tokenCheck.styles;
+    const scope = { state, pseudo, media, container };
+
+    // Pseudo-elements have their own text: the element's contrast does not apply
+    const contrastIssues = pseudo ? [] : this.reviewContrast(selectedElements, elementSelectors, finalStyles);
+    if (contrastIssues.length > 0 && this.contrastMode === 'block') {
+      this.notifyContrastIssues(contrastIssues, { description, styles: finalStyles, scope, blocked: true });
+      return sendError(
+        '❌ BLOQUEADO: Os estilos deixariam o texto abaixo do contraste mínimo WCAG AA e não foram aplicados.\n' +
+        this.formatContrastIssues(contrastIssues)
+      );
+    }
+
     // Apply styles
     try {
-      await this.applyStyles({ description, styles, selectedElements });
+      await this.applyStyles({ description, styles: finalStyles, selectedElements, ...scope });
   
-      const appliedStyles = Object.entries(styles)
+      const appliedStyles = Object.entries(finalStyles)
         .map(([prop, value]) => `${prop}: ${value}`)
         .join(', ');
   
+      const scopeInfo = [state, pseudo, media && `@media ${media}`, container && `@container ${container}`].filter(Boolean);
       const successMsg = [
         '✅ SUCESSO: Estilos aplicados com sucesso!',
         `📍 Elementos afetados: ${selectedElements.length} [${elementSelectors.join(', ')}]`,
         `🎨 Estilos aplicados: ${appliedStyles}`,
+        ...(scopeInfo.length > 0 ? [`📐 Escopo: ${scopeInfo.join(' ')}`] : []),
         `📝 Descrição: ${description}`,
+        ...(recoveryMessage ? [recoveryMessage] : []),
+        ...(tokenCheck.adjustments.length > 0 ? [DesignTokenInventory.formatAdjustments(tokenCheck.adjustments, tokenCheck.snapped)] : []),
+        ...(contrastIssues.length > 0 ? [`⚠️ Contraste abaixo do AA:\n${this.formatContrastIssues(contrastIssues)}`] : []),
       ].join('\n');
+
+      if (contrastIssues.length > 0) {
+        this.notifyContrastIssues(contrastIssues, { description, styles: finalStyles, scope, blocked: false });
+      }
+
+      if (tokenCheck.adjustments.length > 0) {
+        WindowEventDispatcher.dispatch('ajentDesignTokenWarning', {
+          adjustments: tokenCheck.adjustments,
+          snapped: tokenCheck.snapped
+        });
+      }
   
       WindowEventDispatcher.dispatch('ajentToolSuccess', {
         tool: TOOL_NAME,
         result: successMsg,
         elementsCount: selectedElements.length,
-        styles,
+        styles: finalStyles,
       });
   
       return successMsg;
@@ -362,6 +643,7 @@ class UXAgent extends Agent {
     } catch (error) {
       return sendError(
         `❌ ERRO na aplicação de estilos: ${error.message}\n` +
+        `${this.describeFailure(error, { operation: 'apply_styles', elementSelectors })}\n` +
         `🔍 Elementos alvo: ${elementSelectors.join(', ')}\n` +
         `🎨 Estilos tentados: ${JSON.stringify(styles, null, 2)}`
       );
@@ -370,6 +652,252 @@ class UXAgent extends Agent {
   
 
 
+  /**
+   * Elements whose text the styles would push below WCAG AA contrast
+   * @returns {Array} - [{ element, selector, ratio, requiredRatio, foreground, background, suggestions }]
+   */
+  reviewContrast(selectedElements, elementSelectors, styles) {
+    if (!AgentConfig.accessibility.enabled) return [];
+
+    const issues = [];
+    selectedElements.forEach((element, index) => {
+      try {
+        const issue = this.accessibilityChecker.reviewContrast(element, styles);
+        if (issue) {
+          issues.push({ ...issue, element, selector: elementSelectors[index] || element.tagName.toLowerCase() });
+        }
+      } catch (error) {
+        console.warn('Contrast review failed:', error);
+      }
+    });
+    return issues;
+  }
+
+  formatContrastIssues(issues) {
+    return issues.map(issue => {
+      const suggestion = issue.suggestions[0];
+      const fix = suggestion
+        ? `sugestão: ${suggestion.color} (${suggestion.name}, ${suggestion.contrastRatio}:1)`
+        : 'nenhuma cor sugerida para este fundo';
+      return `• ${issue.selector}: ${issue.foreground} sobre ${issue.background} = ${issue.ratio.toFixed(2)}:1 ` +
+        `(mínimo ${issue.requiredRatio}:1) — ${fix}`;
+    }).join('\n');
+  }
+
+  /**
+   * Shows the contrast issues in the chat with a one-click fix using the first suggested color
+   * @param {Object} change - { description, styles, scope, blocked }
+   */
+  notifyContrastIssues(issues, change) {
+    const fixable = issues.filter(issue => issue.suggestions.length > 0);
+    const title = change.blocked
+      ? '⛔ Mudança bloqueada: o texto ficaria abaixo do contraste WCAG AA.'
+      : '♿ Atenção: o texto ficou abaixo do contraste WCAG AA.';
+
+    let applied = false;
+    const applyFix = async () => {
+      if (applied) return 'Correção já aplicada';
+      applied = true;
+
+      const label = change.blocked ? change.description : `Corrigir contraste: ${change.description}`;
+      this.applier.journal.begin(label);
+      try {
+        for (const issue of fixable) {
+          // Blocked changes are applied now, with the accessible color
+          const styles = change.blocked
+            ? { ...change.styles, color: issue.suggestions[0].color }
+            : { color: issue.suggestions[0].color };
+          await this.applyStyles({ description: label, styles, selectedElements: [issue.element], ...change.scope });
+        }
+      } finally {
+        this.applier.journal.commit();
+      }
+      return `✅ Correção aplicada em ${fixable.length} elemento(s)`;
+    };
+
+    WindowEventDispatcher.dispatch('ajentAccessibilityWarning', {
+      message: `${title}\n${this.formatContrastIssues(issues)}`,
+      blocked: change.blocked,
+      applyFix: fixable.length > 0 ? applyFix : null
+    });
+  }
+
+  async setCssVariableTool(params) {
+    const TOOL_NAME = 'setCssVariable';
+
+    const sendError = (message) => {
+      WindowEventDispatcher.dispatch('ajentToolError', { tool: TOOL_NAME, error: message });
+      return message;
+    };
+
+    const parsedParams = this.parseParams(params);
+    if (!parsedParams) {
+      return sendError('❌ ERRO: Parâmetros inválidos. Não foi possível analisar os parâmetros fornecidos.');
+    }
+
+    const { name, value, scope = ':root', description } = parsedParams;
+    if (!name || value === undefined || value === null || value === '') {
+      return sendError('❌ ERRO: Parâmetros "name" e "value" são obrigatórios, ex: { "name": "--color-primary", "value": "#0a84ff" }');
+    }
+
+    const variable = CustomPropertyEditor.normalizeName(name);
+    if (!variable) {
+      return sendError(`❌ ERRO: Nome de variável CSS inválido: ${name}`);
+    }
+
+    const known = this.customProperties.discover().find(item => item.name === variable && item.scope === scope);
+
+    try {
+      const change = this.customProperties.setVariable(variable, value, { scope, description });
+
+      const successMsg = [
+        '✅ SUCESSO: Variável CSS alterada!',
+        `🧬 ${variable}: ${change.previousValue || '(sem valor)'} → ${change.value}`,
+        `📐 Escopo: ${scope}`,
+        known
+          ? `📍 Elementos que usam a variável: ${known.consumers.count}`
+          : '⚠️ A variável não está declarada nas folhas de estilo da página neste escopo',
+        `📝 Descrição: ${change.description}`,
+      ].join('\n');
+
+      WindowEventDispatcher.dispatch('ajentToolSuccess', {
+        tool: TOOL_NAME,
+        result: successMsg,
+        elementsCount: known ? known.consumers.count : 0,
+      });
+
+      return successMsg;
+    } catch (error) {
+      return sendError(`❌ ERRO ao alterar a variável ${variable}: ${error.message}`);
+    }
+  }
+
+  async editStructureTool(params) {
+    const TOOL_NAME = 'editStructure';
+
+    const sendError = (message) => {
+      WindowEventDispatcher.dispatch('ajentToolError', { tool: TOOL_NAME, error: message });
+      return message;
+    };
+
+    const parsedParams = this.parseParams(params);
+    if (!parsedParams) {
+      return sendError('❌ ERRO: Parâmetros inválidos. Não foi possível analisar os parâmetros fornecidos.');
+    }
+
+    const { operation, elementSelectors, targetSelector, position = 'after', direction, tag, className } = parsedParams;
+    const description = parsedParams.description || operation;
+    const { elements, message: recoveryMessage } = await this.resolveElements(elementSelectors);
+    if (elements.length === 0) {
+      return sendError(`❌ ERRO: Nenhum elemento encontrado com os seletores fornecidos em "elementSelectors".\n${recoveryMessage}`);
+    }
+
+    let target = null;
+    if (operation === 'move') {
+      const resolved = await this.resolveElements([targetSelector]);
+      [target] = resolved.elements;
+      if (!target) {
+        return sendError(`❌ ERRO: Elemento de destino não encontrado: ${targetSelector}\n${resolved.message}`);
+      }
+    }
+
+    this.applier.journal.begin(description);
+    try {
+      if (operation === 'wrap') {
+        this.domEditor.wrap(elements, { tag, className }, description);
+      } else {
+        // Inserting one by one at the same spot reverses the order, so walk backwards
+        const ordered = operation === 'move' && (position === 'after' || position === 'prepend') ? [...elements].reverse() : elements;
+        ordered.forEach(element => {
+          if (operation === 'move') this.domEditor.move(element, target, position, description);
+          else if (operation === 'duplicate') this.domEditor.duplicate(element, description);
+          else if (operation === 'unwrap') this.domEditor.unwrap(element, description);
+          else if (operation === 'reorder') this.domEditor.reorder(element, direction, description);
+          else if (operation === 'remove') this.domEditor.remove(element, description);
+          else throw new Error(`Operação desconhecida: ${operation}. Use move, duplicate, wrap, unwrap, reorder ou remove`);
+        });
+      }
+    } catch (error) {
+      // Whatever was already done is reverted and left out of the history
+      this.applier.journal.rollback();
+      return sendError(`❌ ERRO em ${operation}: ${error.message}\n${this.describeFailure(error, { operation: 'edit_structure' })}`);
+    }
+    this.applier.journal.commit();
+
+    const successMsg = [
+      '✅ SUCESSO: Estrutura alterada!',
+      `🧱 Operação: ${operation} em ${elements.length} elemento(s)`,
+      `📝 Descrição: ${description}`,
+      ...(recoveryMessage ? [recoveryMessage] : []),
+      '↩️ Use "desfazer" para reverter'
+    ].join('\n');
+
+    WindowEventDispatcher.dispatch('ajentToolSuccess', {
+      tool: TOOL_NAME,
+      result: successMsg,
+      elementsCount: elements.length,
+    });
+
+    return successMsg;
+  }
+
+  async editTextTool(params) {
+    const TOOL_NAME = 'editText';
+
+    const sendError = (message) => {
+      WindowEventDispatcher.dispatch('ajentToolError', { tool: TOOL_NAME, error: message });
+      return message;
+    };
+
+    const parsedParams = this.parseParams(params);
+    if (!parsedParams || typeof parsedParams.text !== 'string') {
+      return sendError('❌ ERRO: Parâmetro "text" é obrigatório, ex: { "text": "Comprar agora", "elementSelectors": ["button"] }');
+    }
+
+    const { text, elementSelectors } = parsedParams;
+    const description = parsedParams.description || `Texto: ${text}`;
+    const { elements, message: recoveryMessage } = await this.resolveElements(elementSelectors);
+    if (elements.length === 0) {
+      return sendError(`❌ ERRO: Nenhum elemento encontrado com os seletores fornecidos em "elementSelectors".\n${recoveryMessage}`);
+    }
+
+    this.applier.journal.begin(description);
+    try {
+      elements.forEach(element => this.domEditor.editText(element, text, description));
+    } catch (error) {
+      // Whatever was already done is reverted and left out of the history
+      this.applier.journal.rollback();
+      return sendError(`❌ ERRO ao alterar texto: ${error.message}\n${this.describeFailure(error, { operation: 'edit_text' })}`);
+    }
+    this.applier.journal.commit();
+
+    const successMsg = [
+      '✅ SUCESSO: Texto alterado!',
+      `✏️ "${text}" em ${elements.length} elemento(s)`,
+      `📝 Descrição: ${description}`,
+      ...(recoveryMessage ? [recoveryMessage] : [])
+    ].join('\n');
+
+    WindowEventDispatcher.dispatch('ajentToolSuccess', {
+      tool: TOOL_NAME,
+      result: successMsg,
+      elementsCount: elements.length,
+    });
+
+    return successMsg;
+  }
+
+  /**
+   * Compares the agent's styles with the page design tokens
+   * @returns {Object} - { styles, adjustments, snapped }
+   */
+  checkDesignTokens(styles) {
+    if (!this.designTokens?.built) {
+      return { styles, adjustments: [], snapped: false };
+    }
+    return this.designTokens.snap(this.styleNormalizer.normalize(styles));
+  }
+
   async generateClaudeCodeInstructions(params) {
     console.log('generateClaudeCodeInstructions called with params:', params);
     
@@ -384,14 +912,16 @@ class UXAgent extends Agent {
       instructions += `Resumo das mudanças aplicadas:\n`;
   
       history.forEach((change) => {
-        if (change.elementInfo?.selector && change.styles) {
-          const selector = change.elementInfo.selector;
+        if ((change.type === 'style' || change.type === 'rule') && change.selector && change.styles) {
+          const selector = change.type === 'rule'
+            ? StylesheetLayer.buildSelector(change.rule)
+            : change.elementContext?.uniqueSelector || change.selector;
           
           Object.entries(change.styles).forEach(([prop, value]) => {
             const cssProp = prop.replace(/[A-Z]/g, match => `-${match.toLowerCase()}`);
   
             // opcional: recuperar valor anterior, se disponível
-            const from = change.previousStyles?.[prop] || '(valor anterior desconhecido)';
+            const from = change.previousComputed?.[prop] || '(valor anterior desconhecido)';
             const to = value;
   
             instructions += `- Seletor: ${selector}\n`;
@@ -399,11 +929,56 @@ class UXAgent extends Agent {
             instructions += `  - Para: ${cssProp}: ${to}\n`;
           });
         }
+
+        if (change.type === 'variable') {
+          instructions += `- Variável CSS: ${change.name} (escopo ${change.scope})\n`;
+          instructions += `  - De: ${change.previousValue || '(valor anterior desconhecido)'}\n`;
+          instructions += `  - Para: ${change.value}\n`;
+        }
+
+        if (change.type === 'insert' || change.type === 'replace') {
+          const target = change.type === 'insert' ? change.parentSelector : change.selector;
+          const action = change.type === 'insert' ? 'Elemento inserido em' : 'Elemento substituído';
+          instructions += `- ${action}: ${target}\n`;
+          instructions += `  - HTML: ${change.html}\n`;
+        }
   
-        if (change.imageUrl) {
+        if (change.type === 'dom') {
+          instructions += `- ${DomEditor.describe(change)}\n`;
+          if (change.html && change.operation !== 'remove') {
+            instructions += `  - HTML: ${change.html}\n`;
+          }
+        }
+
+        if (change.assetId) {
+          instructions += `- Imagem da biblioteca: ${change.assetId} (arquivo no zip da biblioteca, ver manifest.json)\n`;
+        } else if (change.imageUrl) {
           instructions += `- Imagem gerada: ${change.imageUrl}\n`;
         }
       });
+
+      // Each dark theme step holds the whole theme: the last one is the result
+      const theme = history.filter(change => change.type === 'theme').pop();
+      if (theme && theme.rules.length > 0) {
+        const layer = new StylesheetLayer();
+        const css = theme.rules.map(rule => layer.buildRuleText(rule)).join('\n\n');
+        instructions += `\nTema escuro gerado (${theme.strategy === 'media' ? '@media (prefers-color-scheme: dark)' : '<html data-theme="dark">'}):\n\n${css}\n`;
+      }
+
+      const tailwindHints = this.generateTailwindHints(history);
+      if (tailwindHints.length > 0) {
+        instructions += '\nClasses Tailwind equivalentes (tema do projeto):\n';
+        tailwindHints.forEach(hint => {
+          instructions += `- Elemento: ${hint.selector}\n`;
+          instructions += `  - Adicionar: ${hint.add.join(' ') || '(nenhuma)'}\n`;
+          instructions += `  - Remover: ${hint.remove.join(' ') || '(nenhuma)'}\n`;
+        });
+      }
+
+      const stylesheet = new StylesheetExporter().export(history, 'css');
+      if (stylesheet.ruleCount > 0) {
+        instructions += `\nFolha de estilo consolidada (mudanças repetidas já mescladas):\n\n${stylesheet.content}`;
+      }
   
       return instructions;
   
@@ -473,83 +1048,118 @@ class UXAgent extends Agent {
     
     try {
       
-      // Call OpenAI API to generate image
       console.log('🎨 Generating image with prompt:', prompt);
+      const candidates = await this.generateImages(prompt);
+      return await this.imageCandidates.offer({ description, prompt, elementSelectors, applyAs }, candidates);
       
-      //const url = 'https://spinal.onrender.com/text-to-image';
-      const url = 'http://localhost:5000/text-to-image';
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Token': 'faab7706-adec-498e-bf2a-6da0ffe8ae82'
-        },
-        body: JSON.stringify({
-          prompt: prompt,
-          model: 'dall-e-3',
-          size: '1024x1024',
-          quality: 'standard',
-          n: 1
-        })
+    } catch (error) {
+      console.error('❌ Error generating image:', error);
+      
+      const friendly = error.userMessage || this.describeFailure(error, { operation: 'image_generation' });
+      WindowEventDispatcher.dispatch('ajentToolError', {
+        tool: 'createAndApplyImage',
+        error: friendly
       });
+      
+      return `Erro ao gerar imagem: ${error.message}\n${friendly}`;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-      }
+  /**
+   * Generates the variants with retries; when they all fail, ErrorRecoverySystem
+   * may simplify the prompt for one last round
+   * @throws {Error} - With userMessage: the friendly explanation shown in the chat
+   */
+  async generateImages(prompt) {
+    const generate = (text) => this.retrySystem.executeWithRetry(
+      () => this.imageProvider.generate(text),
+      'image_generation',
+      { operation: 'image_generation', prompt: text }
+    );
 
-      const result = await response.json();
-      console.log('✅ Image generated successfully:', result);
-      
-      
-      // Extract image URL from response
-      let imageUrl;
-      if (result.images && result.images.length > 0) {
-        // Handle the actual API response format: {images: ['url1', 'url2']}
-        imageUrl = result.images[0];
-      } else if (result.data && result.data.length > 0 && result.data[0].url) {
-        // Handle OpenAI standard format (fallback)
-        imageUrl = result.data[0].url;
-      } else if (result.url) {
-        // Handle direct URL format (fallback)
-        imageUrl = result.url;
-      } else {
-        console.error('Unexpected API response format:', result);
-        throw new Error('No image URL found in API response');
-      }
+    let outcome = await generate(prompt);
+    if (outcome.success) return outcome.result;
+
+    const recovery = await this.errorRecovery.handleError(outcome.error, { operation: 'image_generation', prompt });
+    if (recovery.simplifiedPrompt) {
+      WindowEventDispatcher.dispatch('ajentToolStart', { tool: 'generateImage', description: recovery.userMessage });
+      outcome = await generate(recovery.simplifiedPrompt);
+      if (outcome.success) return outcome.result;
+    }
+
+    const error = new Error(outcome.error.message);
+    error.userMessage = this.errorRecovery.toChatMessage(recovery);
+    throw error;
+  }
+
+  /**
+   * New variants from the previous prompt, with the user's tweaks appended
+   */
+  async regenerateImage(request, tweaks = '') {
+    const prompt = tweaks && tweaks.trim() ? `${request.prompt}. ${tweaks.trim()}` : request.prompt;
+    return this.createAndApplyImage({ ...request, prompt });
+  }
 
+  /**
+   * Applies the chosen image as background of the targets or as a new img element,
+   * recorded in the change journal so it can be undone and exported.
+   * Dispatches ajentImageApplied so the asset library keeps the image.
+   * @param {Object} params - { description, prompt, imageUrl, elementSelectors, applyAs, assetId }
+   *   assetId is set when the image already comes from the asset library
+   */
+  async applyGeneratedImage({ description, prompt, imageUrl, elementSelectors = [], applyAs = 'background', assetId = null }) {
+    try {
       console.log('🖼️ Image URL:', imageUrl);
 
       // Apply the image based on the applyAs parameter
       if (applyAs === 'background' && elementSelectors.length > 0) {
         
         // Apply as background image to selected elements
-        const elements = this.reconstructElementsFromSelectors(elementSelectors);
+        const { elements, message: recoveryMessage } = await this.resolveElements(elementSelectors);
         
         if (elements.length === 0) {
-          return `❌ Nenhum elemento encontrado com os seletores fornecidos: ${elementSelectors.join(', ')}.`;
+          return `❌ Nenhum elemento encontrado com os seletores fornecidos: ${elementSelectors.join(', ')}.\n${recoveryMessage}`;
         }
 
         let successCount = 0;
-        for (const element of elements) {
-          try {
-            // Apply background image
-            await this.applier.apply({
-              action: 'apply_background_image',
-              explanation: `Imagem de fundo aplicada: ${description}`,
-              styles: {
-                backgroundImage: `url(${imageUrl})`,
-                backgroundSize: 'cover',
-                backgroundPosition: 'center',
-                backgroundRepeat: 'no-repeat'
+        this.applier.journal.begin(`Imagem de fundo: ${description}`);
+        try {
+          for (const element of elements) {
+            try {
+              // Apply background image
+              const result = await this.applier.apply({
+                action: 'apply_background_image',
+                explanation: `Imagem de fundo aplicada: ${description}`,
+                imageUrl: imageUrl,
+                assetId,
+                styles: {
+                  // Quoted, so parentheses and spaces in the URL do not end the declaration
+                  backgroundImage: `url("${imageUrl.replace(/["\\]/g, '\\$&')}")`,
+                  backgroundSize: 'cover',
+                  backgroundPosition: 'center',
+                  backgroundRepeat: 'no-repeat'
+                }
+              }, element, `createAndApplyImage: ${description}`);
+
+              if (result.success) {
+                successCount++;
               }
-            }, element, `createAndApplyImage: ${description}`);
-            
-            successCount++;
-          } catch (error) {
-            console.error('Error applying background image:', error);
+            } catch (error) {
+              console.error('Error applying background image:', error);
+            }
           }
+        } finally {
+          this.applier.journal.commit();
+        }
+
+        if (successCount === 0) {
+          return `❌ A imagem foi gerada, mas não pôde ser aplicada como fundo em nenhum elemento. URL: ${imageUrl}`;
         }
 
+        WindowEventDispatcher.dispatch('ajentImageApplied', {
+          description, prompt, imageUrl, assetId, applyAs, appliedTo: elementSelectors
+        });
+
         return `✅ Imagem gerada e aplicada como fundo: ${description}. Background aplicado em ${successCount} elemento(s). URL: ${imageUrl}`;
         
       } else {
@@ -560,140 +1170,70 @@ class UXAgent extends Agent {
         imgElement.style.cssText = 'max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); margin: 10px;';
         
         // Insert into DOM
-        const insertionMode = this.determineInsertionMode(description, elementSelectors);
-        const insertionInfo = this.findInsertionPoint(elementSelectors, insertionMode);
-        this.insertElementAtPoint(imgElement, insertionInfo);
-        
-        // Add visual indicator for new element
-        this.addNewElementIndicator(imgElement);
+        const insertionInfo = this.insertImageElement(imgElement, elementSelectors);
         
         // Track in history
-        await this.applier.apply({
-          action: 'create_image_element',
-          explanation: `Elemento de imagem criado: ${description}`,
-          styles: {},
+        this.applier.journal.record({
+          type: 'insert',
+          description: `Elemento de imagem criado: ${description}`,
           html: imgElement.outerHTML,
-          imageUrl: imageUrl
-        }, imgElement, `createAndApplyImage: ${description}`);
+          parentSelector: this.applier.getElementSelector(insertionInfo.parent),
+          imageUrl: imageUrl,
+          imagePrompt: prompt,
+          assetId,
+          refs: { nodes: [imgElement], parent: insertionInfo.parent, nextSibling: insertionInfo.nextSibling }
+        });
+
+        WindowEventDispatcher.dispatch('ajentImageApplied', {
+          description, prompt, imageUrl, assetId, applyAs,
+          appliedTo: [this.applier.getElementSelector(insertionInfo.parent)]
+        });
         
         return `✅ Imagem gerada e elemento criado: ${description}. Nova imagem adicionada à página. URL: ${imageUrl}`;
       }
       
     } catch (error) {
-      console.error('❌ Error generating image:', error);
-      
-      // Show error and hide progress
-      this.updateProgress(`Erro na geração: ${error.message}`, 'error');
-      setTimeout(() => this.hideProgress(), 3000);
-      
-      return `Erro ao gerar imagem: ${error.message}`;
+      console.error('❌ Error applying image:', error);
+      return `Erro ao aplicar imagem: ${error.message}`;
     }
   }
 
-  reconstructElementsFromSelectors(selectors) {
-    if (!Array.isArray(selectors)) {
-      return [];
-    }
-
-    const elements = [];
-    for (const selector of selectors) {
-      if (typeof selector === 'string') {
-        try {
-          // Escape Tailwind CSS special characters for CSS selectors
-          const escapedSelector = this.escapeCSSSelector(selector);
-          
-          // Use querySelectorAll to get all matching elements instead of just the first
-          const foundElements = document.querySelectorAll(escapedSelector);
-          if (foundElements.length > 0) {
-            // Convert NodeList to Array and add all elements
-            elements.push(...Array.from(foundElements));
-            console.log(`Found ${foundElements.length} elements matching selector "${selector}" (escaped: "${escapedSelector}")`);
-          } else {
-            console.warn(`No elements found for selector "${selector}" (escaped: "${escapedSelector}")`);
-          }
-        } catch (error) {
-          console.warn(`Failed to find elements with selector "${selector}":`, error);
-        }
-      }
-    }
-    return elements;
-  }
-
   /**
-   * Escapes special characters in CSS selectors for Tailwind CSS compatibility
-   * @param {string} selector - The CSS selector to escape
-   * @returns {string} - The escaped CSS selector
+   * Inserts a generated image right after the first target element,
+   * or at the end of the body when there is no target.
+   * @returns {Object} - The parent and next sibling used for the insertion
    */
-  escapeCSSSelector(selector) {
-    // Handle Tailwind CSS classes with special characters
-    return selector
-      // Escape brackets [ and ]
-      .replace(/\[/g, '\\[')
-      .replace(/\]/g, '\\]')
-      // Escape colons (for pseudo-selectors and Tailwind modifiers)
-      .replace(/:/g, '\\:')
-      // Escape forward slashes
-      .replace(/\//g, '\\/')
-      // Escape parentheses
-      .replace(/\(/g, '\\(')
-      .replace(/\)/g, '\\)')
-      // Escape dots in values (but not class separators)
-      .replace(/(\[[^\]]*)\./g, '$1\\.')
-      // Escape percentage signs
-      .replace(/%/g, '\\%')
-      // Escape plus signs
-      .replace(/\+/g, '\\+');
+  insertImageElement(imgElement, elementSelectors = []) {
+    const [target] = this.reconstructElementsFromSelectors(elementSelectors);
+    const parent = target?.parentNode || document.body;
+    const nextSibling = target ? target.nextSibling : null;
+
+    parent.insertBefore(imgElement, nextSibling);
+    imgElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    return { parent, nextSibling };
   }
 
-  generateTailwindHints(styles) {
-    const tailwindMap = {
-      // Colors
-      'color': {
-        '#ff0000': 'text-red-500', '#ef4444': 'text-red-500', 'red': 'text-red-500',
-        '#3b82f6': 'text-blue-500', '#0066cc': 'text-blue-600', 'blue': 'text-blue-500',
-        '#10b981': 'text-green-500', 'green': 'text-green-500',
-        '#000000': 'text-black', 'black': 'text-black',
-        '#ffffff': 'text-white', 'white': 'text-white'
-      },
-      'backgroundColor': {
-        '#ff0000': 'bg-red-500', '#ef4444': 'bg-red-500', 'red': 'bg-red-500',
-        '#3b82f6': 'bg-blue-500', '#0066cc': 'bg-blue-600', 'blue': 'bg-blue-500',
-        '#10b981': 'bg-green-500', 'green': 'bg-green-500',
-        '#000000': 'bg-black', 'black': 'bg-black',
-        '#ffffff': 'bg-white', 'white': 'bg-white'
-      },
-      // Font sizes
-      'fontSize': {
-        '12px': 'text-xs', '14px': 'text-sm', '16px': 'text-base',
-        '18px': 'text-lg', '20px': 'text-xl', '24px': 'text-2xl',
-        '30px': 'text-3xl', '36px': 'text-4xl'
-      },
-      // Font weight
-      'fontWeight': {
-        '100': 'font-thin', '200': 'font-extralight', '300': 'font-light',
-        '400': 'font-normal', '500': 'font-medium', '600': 'font-semibold',
-        '700': 'font-bold', '800': 'font-extrabold', '900': 'font-black'
-      },
-      // Text alignment
-      'textAlign': {
-        'left': 'text-left', 'center': 'text-center', 'right': 'text-right'
-      },
-      // Display
-      'display': {
-        'block': 'block', 'inline': 'inline', 'flex': 'flex',
-        'grid': 'grid', 'none': 'hidden'
-      }
-    };
+  reconstructElementsFromSelectors(selectors) {
+    // Selectors come from the SelectorEngine already escaped: they are queried unchanged
+    return this.applier.selectorEngine.query(selectors);
+  }
 
-    const hints = [];
-    Object.entries(styles).forEach(([prop, value]) => {
-      const normalizedValue = String(value).toLowerCase();
-      if (tailwindMap[prop] && tailwindMap[prop][normalizedValue]) {
-        hints.push(tailwindMap[prop][normalizedValue]);
-      }
+  /**
+   * Tailwind utilities for the changes made on Tailwind-styled elements,
+   * merged per element, with the element's classes they make obsolete
+   * @param {Array} changes - Change history, oldest first
+   * @returns {Array} - [{ selector, classes, add, remove }]
+   */
+  generateTailwindHints(changes) {
+    const resolveElement = (change) => this.applier.journal.resolveElement(change);
+    const tailwindChanges = changes.filter(change => {
+      if (change.type !== 'style' && change.type !== 'rule') return false;
+      const element = resolveElement(change);
+      return !!element && this.inspector.detectDesignSystemTokens(element).framework === 'tailwind';
     });
 
-    return hints;
+    return this.tailwindTranslator.translateChanges(tailwindChanges, resolveElement);
   }
 
   async validateStylesWrapper(params) {
@@ -727,7 +1267,7 @@ class UXAgent extends Agent {
   
   async applyStyles(params) {
 
-    const { description, styles, selectedElements = [] } = params;
+    const { description, styles, selectedElements = [], ...scope } = params;
     
     const normalizedStyles = this.styleNormalizer.normalize(styles);
 
@@ -743,12 +1283,43 @@ class UXAgent extends Agent {
     let successCount = 0;
     let failureCount = 0;
 
+    // One journal entry for the whole command, however many elements it touches
+    this.applier.journal.begin(description);
+    try {
+      await this.applyStylesToElements(description, validatedStyles.valid, selectedElements, results, scope);
+    } finally {
+      this.applier.journal.commit();
+    }
+
+    results.forEach(result => {
+      if (result.success) {
+        successCount++;
+      } else {
+        failureCount++;
+      }
+    });
+
+    return JSON.stringify({
+      status: 'success',
+      message: 'Styles applied successfully',
+      should_continue: true,
+      data: {
+        successCount,
+        failureCount,
+        results
+      }
+    });
+  }
+
+  /**
+   * @param {Object} scope - Optional rule scope ({ state, pseudo, media, container }) forwarded to the applier
+   */
+  async applyStylesToElements(description, styles, selectedElements, results, scope = {}) {
     for (let i = 0; i < selectedElements.length; i++) {
       const element = selectedElements[i];
 
       // Validate that element is a proper DOM element
       if (!element || !element.nodeType || element.nodeType !== Node.ELEMENT_NODE) {
-        failureCount++;
         results.push({
           element: { tagName: 'invalid', id: null, classes: [], textContent: '' },
           success: false,
@@ -758,40 +1329,28 @@ class UXAgent extends Agent {
       }
 
       try {
-        // Use ResponseApplier to apply styles and maintain history
+        // Use ResponseApplier to apply styles and maintain history. Not retried: a failed
+        // apply may already have changed the element and recorded it in the journal
         const result = await this.applier.apply(
           {
             action: description,
-            styles: validatedStyles.valid,
-            explanation: description
+            styles: styles,
+            explanation: description,
+            ...scope
           },
           element,
           `applyVisualStyles: ${description}`
         );
 
         if (result.success) {
-          successCount++;
           results.push({ element, success: true });
         } else {
-          failureCount++;
           results.push({ element, success: false, error: result.error });
         }
       } catch (error) {
-        failureCount++;
         results.push({ element, success: false, error: error.message });
       }
     }
-
-    return JSON.stringify({
-      status: 'success',
-      message: 'Styles applied successfully',
-      should_continue: true,
-      data: {
-        successCount,
-        failureCount,
-        results
-      }
-    });
   }
 
   normalizeStyles(styles) {
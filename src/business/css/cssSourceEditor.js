@@ -0,0 +1,241 @@
+/**
+ * Reads and edits CSS/SCSS source text without reformatting it.
+ * parse() returns the rule blocks with their resolved selector (SCSS nesting
+ * and `&` expanded), the at-rules around them and the offsets of their own
+ * declarations, so a declaration can be changed in place.
+ */
+class CssSourceEditor {
+
+  /**
+   * @param {string} text - Stylesheet source
+   * @param {Object} options - { scss: true to read `//` comments and nesting }
+   * @returns {Array} - [{ selector, resolvedSelector, atRules, start, end, declarations }]
+   */
+  parse(text, options = {}) {
+    const blocks = [];
+    const stack = [];
+    let statementStart = 0;
+    let i = 0;
+
+    const current = () => stack[stack.length - 1];
+    const pushDeclaration = (end) => {
+      const frame = current();
+      if (frame && frame.type === 'rule' && text.slice(statementStart, end).trim()) {
+        const declaration = this.parseDeclaration(text, statementStart, end);
+        if (declaration) frame.block.declarations.push(declaration);
+      }
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+      const next = text[i + 1];
+
+      if (char === '/' && next === '*') {
+        const close = text.indexOf('*/', i + 2);
+        i = close === -1 ? text.length : close + 2;
+        if (!text.slice(statementStart, i).replace(/\/\*[\s\S]*?\*\//g, '').trim()) statementStart = i;
+        continue;
+      }
+
+      if (options.scss && char === '/' && next === '/' && text[i - 1] !== ':') {
+        const close = text.indexOf('\n', i);
+        i = close === -1 ? text.length : close;
+        if (!text.slice(statementStart, i).replace(/\/\/[^\n]*/g, '').trim()) statementStart = i;
+        continue;
+      }
+
+      if (char === '"' || char === '\'') {
+        i = this.skipString(text, i);
+        continue;
+      }
+
+      if (char === '#' && next === '{') {
+        // SCSS interpolation: #{$name}
+        const close = text.indexOf('}', i);
+        i = close === -1 ? text.length : close + 1;
+        continue;
+      }
+
+      if (char === '{') {
+        stack.push(this.openFrame(text.slice(statementStart, i).trim(), i, stack));
+        if (current().block) blocks.push(current().block);
+        statementStart = i + 1;
+      } else if (char === ';') {
+        pushDeclaration(i);
+        statementStart = i + 1;
+      } else if (char === '}') {
+        pushDeclaration(i);
+        const frame = stack.pop();
+        if (frame && frame.block) frame.block.end = i;
+        statementStart = i + 1;
+      }
+
+      i++;
+    }
+
+    return blocks;
+  }
+
+  openFrame(prelude, start, stack) {
+    const parent = stack[stack.length - 1];
+    const atRules = parent ? [...parent.atRules] : [];
+
+    if (prelude.startsWith('@')) {
+      const isKeyframes = /^@(-\w+-)?keyframes\b/.test(prelude);
+      return {
+        type: isKeyframes || parent?.ignored ? 'ignored' : 'at',
+        ignored: isKeyframes || !!parent?.ignored,
+        atRules: [...atRules, prelude.replace(/\s+/g, ' ')],
+        selector: parent?.selector || null,
+        block: null
+      };
+    }
+
+    if (parent?.ignored) {
+      return { type: 'ignored', ignored: true, atRules, selector: null, block: null };
+    }
+
+    const resolvedSelector = this.resolveSelector(prelude, parent?.selector || null);
+    return {
+      type: 'rule',
+      atRules,
+      selector: resolvedSelector,
+      block: {
+        selector: prelude,
+        resolvedSelector,
+        atRules,
+        start,
+        end: null,
+        declarations: []
+      }
+    };
+  }
+
+  /**
+   * ".card" + "&:hover, .title" -> ".card:hover, .card .title"
+   */
+  resolveSelector(selector, parentSelector) {
+    const parts = this.splitSelector(selector);
+    if (!parentSelector) return parts.join(', ');
+
+    const parents = this.splitSelector(parentSelector);
+    return parents
+      .flatMap(parent => parts.map(part => (part.includes('&') ? part.replace(/&/g, parent) : `${parent} ${part}`)))
+      .join(', ');
+  }
+
+  /**
+   * Splits a selector list on top-level commas (not inside :is(), [attr=","]...)
+   */
+  splitSelector(selector) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    let quote = null;
+
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (quote) {
+        if (char === quote && selector[i - 1] !== '\\') quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(selector.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    parts.push(selector.slice(start).trim());
+
+    return parts.filter(Boolean).map(part => part.replace(/\s+/g, ' '));
+  }
+
+  parseDeclaration(text, start, end) {
+    const source = text.slice(start, end);
+    const match = source.match(/^(\s*)([-\w]+)(\s*:\s*)([\s\S]*?)(\s*)$/);
+    if (!match) return null;
+
+    const valueStart = start + match[1].length + match[2].length + match[3].length;
+    return {
+      property: match[2].toLowerCase(),
+      value: match[4],
+      start: start + match[1].length,
+      valueStart,
+      valueEnd: valueStart + match[4].length,
+      // Offset of the terminating ";" or "}"
+      end,
+      terminated: text[end] === ';'
+    };
+  }
+
+  skipString(text, index) {
+    const quote = text[index];
+    let i = index + 1;
+    while (i < text.length && text[i] !== quote) {
+      if (text[i] === '\\') i++;
+      i++;
+    }
+    return i + 1;
+  }
+
+  /**
+   * Sets (or with an empty value, removes) a declaration of a parsed block.
+   * An existing `!important` flag is kept.
+   * @returns {string} - The edited source
+   */
+  setDeclaration(text, block, property, value) {
+    const existing = block.declarations.filter(declaration => declaration.property === property).pop();
+
+    if (value === '' || value === null || value === undefined) {
+      if (!existing) return text;
+      return this.removeDeclaration(text, existing);
+    }
+
+    if (existing) {
+      const important = /!important\s*$/i.test(existing.value) ? ' !important' : '';
+      return `${text.slice(0, existing.valueStart)}${value}${important}${text.slice(existing.valueEnd)}`;
+    }
+
+    const last = block.declarations[block.declarations.length - 1];
+    const indent = this.getIndent(text, last ? last.start : null) ?? `${this.getIndent(text, block.start) || ''}  `;
+    const line = `\n${indent}${property}: ${value};`;
+
+    if (!last) {
+      return `${text.slice(0, block.start + 1)}${line}${text.slice(block.start + 1)}`;
+    }
+
+    if (!last.terminated) {
+      // "color: red }" -> "color: red;\n  padding: 4px; }"
+      return `${text.slice(0, last.valueEnd)};${line}${text.slice(last.valueEnd)}`;
+    }
+    return `${text.slice(0, last.end + 1)}${line}${text.slice(last.end + 1)}`;
+  }
+
+  removeDeclaration(text, declaration) {
+    const lineStart = text.lastIndexOf('\n', declaration.start - 1) + 1;
+    const ownsLine = !text.slice(lineStart, declaration.start).trim();
+    const end = declaration.terminated ? declaration.end + 1 : declaration.valueEnd;
+
+    if (ownsLine && text[end] === '\n') {
+      return `${text.slice(0, lineStart)}${text.slice(end + 1)}`;
+    }
+    return `${text.slice(0, declaration.start)}${text.slice(end).replace(/^ +/, '')}`;
+  }
+
+  /**
+   * Leading whitespace of the line containing offset, or null when the
+   * offset is not the first non-blank character of its line
+   */
+  getIndent(text, offset) {
+    if (offset === null) return null;
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    const lineText = text.slice(lineStart);
+    const indent = lineText.match(/^[ \t]*/)[0];
+    return lineStart + indent.length === offset || text[offset] === '{' ? indent : null;
+  }
+}
+
+export default CssSourceEditor;
@@ -0,0 +1,67 @@
+// cssSourceEditor.test.js
+import CssSourceEditor from './cssSourceEditor';
+
+describe('CssSourceEditor', () => {
+  let editor;
+
+  beforeEach(() => {
+    editor = new CssSourceEditor();
+  });
+
+  test('deve encontrar blocos e declarações', () => {
+    const blocks = editor.parse('/* tema */\n.card, .panel {\n  color: red;\n  padding: 8px\n}\n');
+
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].resolvedSelector).toBe('.card, .panel');
+    expect(blocks[0].declarations.map(declaration => [declaration.property, declaration.value]))
+      .toEqual([['color', 'red'], ['padding', '8px']]);
+  });
+
+  test('deve resolver aninhamento SCSS e ignorar comentários de linha', () => {
+    const source = '.card {\n  // comentário { com chave\n  &:hover { color: red; }\n  .title, &__label { margin: 0; }\n}\n';
+    const blocks = editor.parse(source, { scss: true });
+
+    expect(blocks.map(block => block.resolvedSelector)).toEqual([
+      '.card',
+      '.card:hover',
+      '.card .title, .card__label'
+    ]);
+  });
+
+  test('deve registrar at-rules e ignorar keyframes', () => {
+    const blocks = editor.parse('@media (max-width:  768px) {\n  .a { color: red; }\n}\n@keyframes spin {\n  from { opacity: 0; }\n}\n');
+
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].atRules).toEqual(['@media (max-width: 768px)']);
+  });
+
+  test('deve alterar uma declaração existente mantendo !important', () => {
+    const source = '.a {\n  color: red !important;\n}\n';
+    const [block] = editor.parse(source);
+
+    expect(editor.setDeclaration(source, block, 'color', 'blue')).toBe('.a {\n  color: blue !important;\n}\n');
+  });
+
+  test('deve inserir uma nova declaração com a indentação do bloco', () => {
+    const source = '  .a {\n    color: red;\n  }\n';
+    const [block] = editor.parse(source);
+
+    expect(editor.setDeclaration(source, block, 'padding', '4px')).toBe('  .a {\n    color: red;\n    padding: 4px;\n  }\n');
+  });
+
+  test('deve inserir em bloco vazio e após declaração sem ponto e vírgula', () => {
+    const empty = '.a {\n}\n';
+    expect(editor.setDeclaration(empty, editor.parse(empty)[0], 'color', 'red')).toBe('.a {\n  color: red;\n}\n');
+
+    const unterminated = '.a {\n  color: red\n}\n';
+    expect(editor.setDeclaration(unterminated, editor.parse(unterminated)[0], 'margin', '0'))
+      .toBe('.a {\n  color: red;\n  margin: 0;\n}\n');
+  });
+
+  test('deve remover a declaração quando o valor é vazio', () => {
+    const source = '.a {\n  color: red;\n  margin: 0;\n}\n';
+    const [block] = editor.parse(source);
+
+    expect(editor.setDeclaration(source, block, 'color', '')).toBe('.a {\n  margin: 0;\n}\n');
+  });
+});
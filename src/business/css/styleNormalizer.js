@@ -1,3 +1,33 @@
+// Color names accepted in commands (Portuguese and English)
+const COLOR_MAP = {
+  'azul': '#3B82F6',
+  'vermelho': '#EF4444',
+  'verde': '#10B981',
+  'amarelo': '#F59E0B',
+  'roxo': '#8B5CF6',
+  'rosa': '#EC4899',
+  'cinza': '#6B7280',
+  'preto': '#000000',
+  'branco': '#FFFFFF',
+  'blue': '#3B82F6',
+  'red': '#EF4444',
+  'green': '#10B981',
+  'yellow': '#F59E0B',
+  'purple': '#8B5CF6',
+  'pink': '#EC4899',
+  'gray': '#6B7280',
+  'black': '#000000',
+  'white': '#FFFFFF',
+  'laranja': '#F97316',
+  'orange': '#F97316',
+  // Feminine Portuguese forms: "cor vermelha", "fonte preta"
+  'vermelha': '#EF4444',
+  'amarela': '#F59E0B',
+  'roxa': '#8B5CF6',
+  'preta': '#000000',
+  'branca': '#FFFFFF'
+};
+
 class StyleNormalizer {
 
   normalize(styles) {
@@ -28,36 +58,18 @@ class StyleNormalizer {
   }
 
   // Helper method to normalize color values
-  normalizeColor(color) {   
-    const colorMap = {
-      'azul': '#3B82F6',
-      'vermelho': '#EF4444', 
-      'verde': '#10B981',
-      'amarelo': '#F59E0B',
-      'roxo': '#8B5CF6',
-      'rosa': '#EC4899',
-      'cinza': '#6B7280',
-      'preto': '#000000',
-      'branco': '#FFFFFF',
-      'blue': '#3B82F6',
-      'red': '#EF4444',
-      'green': '#10B981',
-      'yellow': '#F59E0B',
-      'purple': '#8B5CF6',
-      'pink': '#EC4899',
-      'gray': '#6B7280',
-      'black': '#000000',
-      'white': '#FFFFFF',
-      'laranja': '#F97316',
-      'orange': '#F97316'
-    };
-
+  normalizeColor(color) {
     if (typeof color === 'string') {
-      return colorMap[color.toLowerCase()] || color;
+      return COLOR_MAP[color.toLowerCase()] || color;
     }
     return color;
   }
 
+  // Color names understood by normalizeColor
+  getColorNames() {
+    return Object.keys(COLOR_MAP);
+  }
+
   // Helper method to normalize size values
   normalizeSize(size) {
     // Example: Ensure size values have 'px' if they are numbers
@@ -16,7 +16,7 @@ class StyleValidator {
       'flexDirection', 'justifyContent', 'alignItems', 'alignSelf', 'flex', 'flexGrow', 'flexShrink',
       'gridTemplateColumns', 'gridTemplateRows', 'gridGap', 'gap',
       'transform', 'transition', 'animation', 'opacity', 'visibility', 'overflow',
-      'cursor', 'userSelect', 'pointerEvents', 'zIndex',
+      'cursor', 'userSelect', 'pointerEvents', 'zIndex', 'content',
       // WebKit specific properties for gradients and text effects
       'WebkitBackgroundClip', 'webkitBackgroundClip', '-webkit-background-clip',
       'WebkitTextFillColor', 'webkitTextFillColor', '-webkit-text-fill-color',
@@ -0,0 +1,305 @@
+import StylesheetLayer from '../../core/StylesheetLayer.js';
+
+const FORMATS = {
+  css: { extension: 'css', mimeType: 'text/css' },
+  scss: { extension: 'scss', mimeType: 'text/x-scss' },
+  js: { extension: 'js', mimeType: 'text/javascript' }
+};
+
+/**
+ * Folds the change history into a stylesheet.
+ * Every style change is keyed by its stable selector; changes on the same
+ * selector are merged and later edits win. Rules written to the stylesheet
+ * layer keep their pseudo selector and are grouped by their @media/@container scope.
+ */
+class StylesheetExporter {
+
+  /**
+   * @param {Array} changes - Change journal changes, oldest first
+   * @param {string|null} scope - Only rules of this scope (see getScope); null for unconditional rules
+   * @returns {Map<string, Map<string, string>>} selector -> (css property -> value)
+   */
+  collectRules(changes, scope = null) {
+    const rules = new Map();
+
+    changes.forEach(change => {
+      const target = this.getTarget(change);
+      if (!target || target.scope !== scope) return;
+
+      if (!rules.has(target.selector)) {
+        rules.set(target.selector, new Map());
+      }
+
+      const declarations = rules.get(target.selector);
+      this.toDeclarationEntries(target.styles).forEach(([prop, value]) => {
+        const cssProp = this.toKebabCase(prop);
+        // Re-insert so the declaration order follows the latest edit
+        declarations.delete(cssProp);
+        if (value !== '' && value !== null && value !== undefined) {
+          declarations.set(cssProp, String(value));
+        }
+      });
+    });
+
+    rules.forEach((declarations, selector) => {
+      if (declarations.size === 0) rules.delete(selector);
+    });
+
+    return rules;
+  }
+
+  /**
+   * Scopes (at-rule preludes) used by the changes, in order of first use
+   */
+  collectScopes(changes) {
+    const scopes = [];
+    changes.forEach(change => {
+      const target = this.getTarget(change);
+      if (target && target.scope && !scopes.includes(target.scope)) {
+        scopes.push(target.scope);
+      }
+    });
+    return scopes;
+  }
+
+  getTarget(change) {
+    if (change.type === 'style' && change.styles) {
+      const selector = change.elementContext?.uniqueSelector || change.selector;
+      return selector ? { selector, scope: null, styles: change.styles } : null;
+    }
+
+    // Custom property edits export as `:root { --x: ... }` (or their component scope)
+    if (change.type === 'variable' && change.name) {
+      return { selector: change.scope || ':root', scope: null, styles: { [change.name]: change.value } };
+    }
+
+    if (change.type === 'rule' && change.rule) {
+      return {
+        selector: StylesheetLayer.buildSelector(change.rule),
+        scope: this.getScope(change.rule),
+        styles: change.rule.declarations
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Nested at-rule preludes of a rule, outermost first, one per line
+   */
+  getScope(rule) {
+    const preludes = [];
+    if (rule.media) preludes.push(`@media ${rule.media}`);
+    if (rule.container) preludes.push(`@container ${rule.container}`);
+    return preludes.length > 0 ? preludes.join('\n') : null;
+  }
+
+  /**
+   * @param {Array} changes - Change journal changes, oldest first
+   * @param {string} format - 'css', 'scss' or 'js'
+   * @returns {Object} - { content, filename, mimeType }
+   */
+  export(changes, format = 'css') {
+    const config = FORMATS[format];
+    if (!config) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const rules = this.collectRules(changes);
+    const scoped = new Map(this.collectScopes(changes).map(scope => [scope, this.collectRules(changes, scope)]));
+    const generators = {
+      css: () => this.toCSS(rules, scoped),
+      scss: () => this.toSCSS(rules, scoped),
+      js: () => this.toCSSInJS(rules, scoped)
+    };
+
+    let ruleCount = rules.size;
+    scoped.forEach(scopeRules => { ruleCount += scopeRules.size; });
+
+    return {
+      content: generators[format](),
+      filename: `frontable-styles.${config.extension}`,
+      mimeType: config.mimeType,
+      ruleCount
+    };
+  }
+
+  toCSS(rules, scoped = new Map()) {
+    const blocks = [];
+    rules.forEach((declarations, selector) => {
+      blocks.push(this.formatBlock(selector, declarations, ''));
+    });
+    blocks.push(...this.formatScopedBlocks(scoped));
+    return this.withHeader('/* Generated by Frontable */', blocks);
+  }
+
+  /**
+   * At-rule blocks (@media/@container) are plain CSS, valid in SCSS too
+   */
+  formatScopedBlocks(scoped) {
+    const blocks = [];
+    scoped.forEach((scopeRules, scope) => {
+      const inner = [];
+      scopeRules.forEach((declarations, selector) => {
+        inner.push(this.formatBlock(selector, declarations, ''));
+      });
+
+      const block = scope.split('\n').reduceRight(
+        (content, prelude) => `${prelude} {\n${this.indent(content)}\n}`,
+        inner.join('\n\n')
+      );
+      blocks.push(block);
+    });
+    return blocks;
+  }
+
+  indent(text) {
+    return text.split('\n').map(line => (line ? `  ${line}` : line)).join('\n');
+  }
+
+  /**
+   * SCSS output nests descendant/child selectors under their first compound selector
+   */
+  toSCSS(rules, scoped = new Map()) {
+    const groups = new Map();
+
+    rules.forEach((declarations, selector) => {
+      // Selector lists stay flat; only "head descendant" selectors are nested
+      const [head, ...rest] = selector.includes(',') ? [selector] : this.splitTopLevel(selector, /\s/);
+      if (!groups.has(head)) {
+        groups.set(head, { declarations: null, nested: [] });
+      }
+      const group = groups.get(head);
+      if (rest.length === 0) {
+        group.declarations = declarations;
+      } else {
+        group.nested.push({ selector: rest.join(' '), declarations });
+      }
+    });
+
+    const blocks = [];
+    groups.forEach((group, head) => {
+      const lines = [`${head} {`];
+      if (group.declarations) {
+        lines.push(...this.formatDeclarations(group.declarations, '  '));
+      }
+      group.nested.forEach(nested => {
+        if (lines.length > 1) lines.push('');
+        lines.push(this.formatBlock(nested.selector, nested.declarations, '  '));
+      });
+      lines.push('}');
+      blocks.push(lines.join('\n'));
+    });
+    blocks.push(...this.formatScopedBlocks(scoped));
+
+    return this.withHeader('// Generated by Frontable', blocks);
+  }
+
+  toCSSInJS(rules, scoped = new Map()) {
+    const entries = this.formatObjectEntries(rules, '  ');
+
+    scoped.forEach((scopeRules, scope) => {
+      const preludes = scope.split('\n');
+      const depth = preludes.length;
+      let entry = this.formatObjectEntries(scopeRules, '  '.repeat(depth + 1)).join(',\n');
+      for (let level = depth - 1; level >= 0; level--) {
+        const indent = '  '.repeat(level + 1);
+        entry = `${indent}${this.quote(preludes[level])}: {\n${entry}\n${indent}}`;
+      }
+      entries.push(entry);
+    });
+
+    return `// Generated by Frontable\nexport const frontableStyles = {\n${entries.join(',\n')}\n};\n`;
+  }
+
+  formatObjectEntries(rules, indent) {
+    const entries = [];
+    rules.forEach((declarations, selector) => {
+      const props = Array.from(declarations.entries())
+        .map(([prop, value]) => `${indent}  ${this.toCamelCase(prop)}: ${this.quote(value)}`);
+      entries.push(`${indent}${this.quote(selector)}: {\n${props.join(',\n')}\n${indent}}`);
+    });
+    return entries;
+  }
+
+  /**
+   * [prop, value] pairs from a styles object or a cssText string ("a: b; c: d"),
+   * split on ";" and the first ":" so multi-word values stay whole
+   */
+  toDeclarationEntries(styles) {
+    if (typeof styles !== 'string') {
+      return Object.entries(styles || {});
+    }
+    return this.splitTopLevel(styles, /;/)
+      .map(declaration => {
+        const colon = declaration.indexOf(':');
+        return colon === -1 ? null : [declaration.slice(0, colon).trim(), declaration.slice(colon + 1).trim()];
+      })
+      .filter(entry => entry && entry[0]);
+  }
+
+  /**
+   * Splits on a separator that is outside quotes, parentheses and brackets
+   */
+  splitTopLevel(text, separator) {
+    const parts = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+
+    Array.from(text).forEach(char => {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (depth === 0 && separator.test(char)) {
+        parts.push(current);
+        current = '';
+        return;
+      }
+      current += char;
+    });
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean);
+  }
+
+  formatBlock(selector, declarations, indent) {
+    return [
+      `${indent}${selector} {`,
+      ...this.formatDeclarations(declarations, `${indent}  `),
+      `${indent}}`
+    ].join('\n');
+  }
+
+  formatDeclarations(declarations, indent) {
+    return Array.from(declarations.entries()).map(([prop, value]) => `${indent}${prop}: ${value};`);
+  }
+
+  quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  }
+
+  withHeader(header, blocks) {
+    return `${header}\n\n${blocks.join('\n\n')}\n`;
+  }
+
+  toKebabCase(prop) {
+    if (prop.startsWith('--') || prop.includes('-')) return prop;
+    const kebab = prop.replace(/[A-Z]/g, match => `-${match.toLowerCase()}`);
+    // Vendor prefixes: WebkitTextFillColor -> -webkit-text-fill-color
+    return /^(webkit|moz|ms)-/.test(kebab) ? `-${kebab}` : kebab;
+  }
+
+  toCamelCase(prop) {
+    if (prop.startsWith('--')) return this.quote(prop);
+    return prop.replace(/^-(webkit|moz|ms)-/, '$1-')
+      .replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())
+      .replace(/^(webkit|moz|ms)(?=[A-Z])/, prefix => prefix.charAt(0).toUpperCase() + prefix.slice(1));
+  }
+}
+
+export default StylesheetExporter;
@@ -0,0 +1,117 @@
+// stylesheetExporter.test.js
+import StylesheetExporter from './stylesheetExporter';
+
+describe('StylesheetExporter', () => {
+  let exporter;
+
+  const styleChange = (selector, styles, uniqueSelector) => ({
+    type: 'style',
+    selector,
+    styles,
+    elementContext: uniqueSelector ? { uniqueSelector } : undefined
+  });
+
+  beforeEach(() => {
+    exporter = new StylesheetExporter();
+  });
+
+  test('deve mesclar mudanças do mesmo seletor e manter a mais recente', () => {
+    const rules = exporter.collectRules([
+      styleChange('.title', { color: 'red', fontSize: '20px' }),
+      styleChange('.title', { color: 'blue' })
+    ]);
+
+    expect(rules.size).toBe(1);
+    expect(Object.fromEntries(rules.get('.title'))).toEqual({ 'font-size': '20px', color: 'blue' });
+  });
+
+  test('deve preferir o seletor único do contexto do elemento', () => {
+    const rules = exporter.collectRules([
+      styleChange('h1.title', { color: 'red' }, '#hero > h1.title')
+    ]);
+
+    expect(Array.from(rules.keys())).toEqual(['#hero > h1.title']);
+  });
+
+  test('deve ignorar mudanças que não são de estilo', () => {
+    const rules = exporter.collectRules([
+      { type: 'insert', html: '<p>novo</p>' },
+      styleChange('.card', { padding: '8px' })
+    ]);
+
+    expect(Array.from(rules.keys())).toEqual(['.card']);
+  });
+
+  test('deve gerar CSS', () => {
+    const result = exporter.export([styleChange('.card', { backgroundColor: '#fff' })], 'css');
+
+    expect(result.filename).toBe('frontable-styles.css');
+    expect(result.content).toContain('.card {\n  background-color: #fff;\n}');
+  });
+
+  test('deve aninhar seletores descendentes em SCSS', () => {
+    const result = exporter.export([
+      styleChange('.card', { padding: '8px' }),
+      styleChange('.card > .title', { color: 'red' })
+    ], 'scss');
+
+    expect(result.content).toContain('.card {\n  padding: 8px;\n\n  > .title {\n    color: red;\n  }\n}');
+  });
+
+  test('deve manter valores com várias palavras e seletores com espaços no SCSS', () => {
+    const result = exporter.export([
+      styleChange('#hero .title', { fontFamily: '"Open Sans", sans-serif', boxShadow: '0 1px 2px rgba(0, 0, 0, 0.2)' }),
+      styleChange('[aria-label="Fechar menu"]', { color: 'red' }),
+      styleChange('.a, .b', { color: 'blue' }),
+      styleChange('.card', 'font-family: "Open Sans", sans-serif; background: url(data:image/png;base64,AAA) no-repeat')
+    ], 'scss');
+
+    expect(result.content).toContain('#hero {\n  .title {\n    font-family: "Open Sans", sans-serif;\n    box-shadow: 0 1px 2px rgba(0, 0, 0, 0.2);\n  }\n}');
+    expect(result.content).toContain('[aria-label="Fechar menu"] {\n  color: red;\n}');
+    expect(result.content).toContain('.a, .b {\n  color: blue;\n}');
+    expect(result.content).toContain('.card {\n  font-family: "Open Sans", sans-serif;\n  background: url(data:image/png;base64,AAA) no-repeat;\n}');
+  });
+
+  test('deve gerar objeto CSS-in-JS com propriedades em camelCase', () => {
+    const result = exporter.export([
+      styleChange('.title', { fontFamily: '\'Inter\', sans-serif', WebkitTextFillColor: 'transparent' })
+    ], 'js');
+
+    expect(result.content).toContain('\'.title\': {');
+    expect(result.content).toContain('fontFamily: \'\\\'Inter\\\', sans-serif\'');
+    expect(result.content).toContain('WebkitTextFillColor: \'transparent\'');
+  });
+
+  test('deve exportar regras da camada com pseudo-seletor e media query', () => {
+    const result = exporter.export([
+      { type: 'rule', rule: { selector: '.btn', pseudo: ':hover', media: null, declarations: { color: 'red' } } },
+      { type: 'rule', rule: { selector: '.cards', pseudo: null, media: '(max-width: 768px)', declarations: { 'flex-direction': 'column' } } }
+    ], 'css');
+
+    expect(result.ruleCount).toBe(2);
+    expect(result.content).toContain('.btn:hover {\n  color: red;\n}');
+    expect(result.content).toContain('@media (max-width: 768px) {\n  .cards {\n    flex-direction: column;\n  }\n}');
+  });
+
+  test('deve aninhar escopos no objeto CSS-in-JS', () => {
+    const result = exporter.export([
+      { type: 'rule', rule: { selector: '.cards', media: '(max-width: 768px)', declarations: { 'flex-direction': 'column' } } }
+    ], 'js');
+
+    expect(result.content).toContain('  \'@media (max-width: 768px)\': {\n    \'.cards\': {\n      flexDirection: \'column\'\n    }\n  }');
+  });
+
+  test('deve exportar variáveis CSS no escopo em que foram alteradas', () => {
+    const result = exporter.export([
+      { type: 'variable', name: '--brand', scope: ':root', value: '#ff5a1f' },
+      { type: 'variable', name: '--brand', scope: ':root', value: '#0a84ff' },
+      { type: 'variable', name: '--radius', scope: '.card', value: '4px' }
+    ], 'css');
+
+    expect(result.content).toContain(':root {\n  --brand: #0a84ff;\n}\n\n.card {\n  --radius: 4px;\n}');
+  });
+
+  test('deve rejeitar formatos desconhecidos', () => {
+    expect(() => exporter.export([], 'less')).toThrow('Unsupported export format: less');
+  });
+});
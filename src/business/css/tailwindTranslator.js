@@ -0,0 +1,673 @@
+import TailwindTheme from '../../config/TailwindTheme.js';
+import { ColorUtils } from '../../utils/colorUtils.js';
+
+// Largest difference (px) for a length to use a theme step instead of an arbitrary value
+const LENGTH_TOLERANCE = 0.5;
+// Largest RGB distance for a color to use the nearest palette color
+const COLOR_TOLERANCE = 10;
+
+const SPACING_UTILITIES = {
+  'padding-top': 'pt',
+  'padding-right': 'pr',
+  'padding-bottom': 'pb',
+  'padding-left': 'pl',
+  'margin-top': 'mt',
+  'margin-right': 'mr',
+  'margin-bottom': 'mb',
+  'margin-left': 'ml',
+  'row-gap': 'gap-y',
+  'column-gap': 'gap-x',
+  top: 'top',
+  right: 'right',
+  bottom: 'bottom',
+  left: 'left',
+  width: 'w',
+  height: 'h',
+  'max-height': 'max-h'
+};
+
+// Shorthand utilities, used when all their properties get the same value
+const GROUPED_UTILITIES = [
+  { prefix: 'p', properties: ['padding-top', 'padding-right', 'padding-bottom', 'padding-left'] },
+  { prefix: 'py', properties: ['padding-top', 'padding-bottom'] },
+  { prefix: 'px', properties: ['padding-left', 'padding-right'] },
+  { prefix: 'm', properties: ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'] },
+  { prefix: 'my', properties: ['margin-top', 'margin-bottom'] },
+  { prefix: 'mx', properties: ['margin-left', 'margin-right'] },
+  { prefix: 'inset', properties: ['top', 'right', 'bottom', 'left'] },
+  { prefix: 'inset-y', properties: ['top', 'bottom'] },
+  { prefix: 'inset-x', properties: ['left', 'right'] },
+  { prefix: 'gap', properties: ['row-gap', 'column-gap'] },
+  { prefix: 'size', properties: ['width', 'height'] }
+];
+
+// Every spacing-scale prefix, longest first so "gap-x" wins over "gap"
+const LENGTH_PREFIXES = [
+  ...GROUPED_UTILITIES,
+  ...Object.entries(SPACING_UTILITIES).map(([property, prefix]) => ({ prefix, properties: [property] }))
+].sort((a, b) => b.prefix.length - a.prefix.length);
+
+const NEGATIVE_PROPERTIES = /^(margin|top|right|bottom|left)/;
+
+const SIZE_KEYWORDS = {
+  auto: 'auto',
+  '100%': 'full',
+  '50%': '1/2',
+  '33.333333%': '1/3',
+  '66.666667%': '2/3',
+  '25%': '1/4',
+  '75%': '3/4',
+  'fit-content': 'fit',
+  'min-content': 'min',
+  'max-content': 'max'
+};
+
+const COLOR_UTILITIES = {
+  color: 'text',
+  'background-color': 'bg',
+  'border-color': 'border',
+  'outline-color': 'outline',
+  'text-decoration-color': 'decoration',
+  'caret-color': 'caret',
+  'accent-color': 'accent',
+  fill: 'fill',
+  stroke: 'stroke'
+};
+
+// property -> { css value: utility class }
+const KEYWORD_UTILITIES = {
+  display: {
+    block: 'block', 'inline-block': 'inline-block', inline: 'inline', flex: 'flex', 'inline-flex': 'inline-flex',
+    grid: 'grid', 'inline-grid': 'inline-grid', none: 'hidden', contents: 'contents', table: 'table'
+  },
+  position: { static: 'static', fixed: 'fixed', absolute: 'absolute', relative: 'relative', sticky: 'sticky' },
+  visibility: { visible: 'visible', hidden: 'invisible', collapse: 'collapse' },
+  'box-sizing': { 'border-box': 'box-border', 'content-box': 'box-content' },
+  'flex-direction': { row: 'flex-row', column: 'flex-col', 'row-reverse': 'flex-row-reverse', 'column-reverse': 'flex-col-reverse' },
+  'flex-wrap': { wrap: 'flex-wrap', nowrap: 'flex-nowrap', 'wrap-reverse': 'flex-wrap-reverse' },
+  flex: { 1: 'flex-1', '1 1 0%': 'flex-1', auto: 'flex-auto', '1 1 auto': 'flex-auto', initial: 'flex-initial', '0 1 auto': 'flex-initial', none: 'flex-none', '0 0 auto': 'flex-none' },
+  'flex-grow': { 1: 'grow', 0: 'grow-0' },
+  'flex-shrink': { 1: 'shrink', 0: 'shrink-0' },
+  'justify-content': {
+    'flex-start': 'justify-start', start: 'justify-start', 'flex-end': 'justify-end', end: 'justify-end', center: 'justify-center',
+    'space-between': 'justify-between', 'space-around': 'justify-around', 'space-evenly': 'justify-evenly',
+    stretch: 'justify-stretch', normal: 'justify-normal'
+  },
+  'align-items': {
+    'flex-start': 'items-start', start: 'items-start', 'flex-end': 'items-end', end: 'items-end',
+    center: 'items-center', baseline: 'items-baseline', stretch: 'items-stretch'
+  },
+  'align-self': {
+    auto: 'self-auto', 'flex-start': 'self-start', start: 'self-start', 'flex-end': 'self-end', end: 'self-end',
+    center: 'self-center', stretch: 'self-stretch', baseline: 'self-baseline'
+  },
+  'align-content': {
+    'flex-start': 'content-start', start: 'content-start', 'flex-end': 'content-end', end: 'content-end', center: 'content-center',
+    'space-between': 'content-between', 'space-around': 'content-around', 'space-evenly': 'content-evenly', stretch: 'content-stretch'
+  },
+  'text-align': { left: 'text-left', center: 'text-center', right: 'text-right', justify: 'text-justify', start: 'text-start', end: 'text-end' },
+  'text-transform': { uppercase: 'uppercase', lowercase: 'lowercase', capitalize: 'capitalize', none: 'normal-case' },
+  'font-style': { italic: 'italic', normal: 'not-italic' },
+  'text-decoration-line': { underline: 'underline', 'line-through': 'line-through', overline: 'overline', none: 'no-underline' },
+  'white-space': {
+    normal: 'whitespace-normal', nowrap: 'whitespace-nowrap', pre: 'whitespace-pre',
+    'pre-line': 'whitespace-pre-line', 'pre-wrap': 'whitespace-pre-wrap', 'break-spaces': 'whitespace-break-spaces'
+  },
+  'border-style': { solid: 'border-solid', dashed: 'border-dashed', dotted: 'border-dotted', double: 'border-double', hidden: 'border-hidden', none: 'border-none' },
+  'object-fit': { contain: 'object-contain', cover: 'object-cover', fill: 'object-fill', none: 'object-none', 'scale-down': 'object-scale-down' },
+  overflow: { auto: 'overflow-auto', hidden: 'overflow-hidden', clip: 'overflow-clip', visible: 'overflow-visible', scroll: 'overflow-scroll' },
+  'overflow-x': { auto: 'overflow-x-auto', hidden: 'overflow-x-hidden', clip: 'overflow-x-clip', visible: 'overflow-x-visible', scroll: 'overflow-x-scroll' },
+  'overflow-y': { auto: 'overflow-y-auto', hidden: 'overflow-y-hidden', clip: 'overflow-y-clip', visible: 'overflow-y-visible', scroll: 'overflow-y-scroll' },
+  cursor: {
+    auto: 'cursor-auto', default: 'cursor-default', pointer: 'cursor-pointer', wait: 'cursor-wait', text: 'cursor-text', move: 'cursor-move',
+    help: 'cursor-help', 'not-allowed': 'cursor-not-allowed', none: 'cursor-none', grab: 'cursor-grab', grabbing: 'cursor-grabbing'
+  }
+};
+
+// Pseudo-elements with a Tailwind variant of the same name
+const PSEUDO_ELEMENT_VARIANTS = ['before', 'after', 'placeholder', 'first-letter', 'first-line', 'marker', 'selection', 'file', 'backdrop'];
+
+const MEDIA_FEATURE_VARIANTS = {
+  '(prefers-color-scheme: dark)': 'dark:',
+  '(prefers-reduced-motion: reduce)': 'motion-reduce:',
+  '(prefers-reduced-motion: no-preference)': 'motion-safe:',
+  '(orientation: portrait)': 'portrait:',
+  '(orientation: landscape)': 'landscape:',
+  print: 'print:'
+};
+
+/**
+ * Translates CSS declarations into Tailwind utility classes.
+ * Values map to the nearest step of the theme (the default Tailwind theme,
+ * replaced or extended by a project's tailwind.config `theme`) and fall back to
+ * arbitrary values (`p-[13px]`) or arbitrary properties (`[clip-path:circle()]`).
+ * Given the element's current classes it also lists the ones the new
+ * utilities make obsolete.
+ */
+class TailwindTranslator {
+  /**
+   * @param {Object} config - tailwind.config contents ({ theme: { extend } }) or a theme object
+   */
+  constructor(config = {}) {
+    this.theme = this.resolveTheme(config || {});
+    this.colors = this.flattenColors(this.theme.colors);
+    this.keywordClasses = this.buildKeywordClasses();
+  }
+
+  resolveTheme(config) {
+    const userTheme = config.theme || config;
+    const extend = userTheme.extend || {};
+    const theme = {};
+
+    Object.keys(TailwindTheme).forEach(key => {
+      theme[key] = {
+        ...(userTheme[key] || TailwindTheme[key]),
+        ...(extend[key] || {})
+      };
+    });
+    return theme;
+  }
+
+  /**
+   * { blue: { 500: '#3b82f6', DEFAULT: '#...' } } -> [{ name: 'blue-500', rgb }, { name: 'blue', rgb }]
+   */
+  flattenColors(colors, prefix = '') {
+    const flat = [];
+    Object.entries(colors || {}).forEach(([key, value]) => {
+      const name = key === 'DEFAULT' ? prefix.replace(/-$/, '') : `${prefix}${key}`;
+      if (value && typeof value === 'object') {
+        flat.push(...this.flattenColors(value, `${name}-`));
+        return;
+      }
+      const rgb = ColorUtils.parse(String(value));
+      if (rgb) flat.push({ name, rgb });
+    });
+    return flat;
+  }
+
+  buildKeywordClasses() {
+    const classes = new Map();
+    Object.entries(KEYWORD_UTILITIES).forEach(([property, values]) => {
+      Object.values(values).forEach(cls => classes.set(cls, property));
+    });
+    return classes;
+  }
+
+  // ---- Declarations -> classes ----
+
+  /**
+   * @param {Object} styles - CSS declarations (camelCase or kebab-case)
+   * @param {Object} options - { variant: 'md:hover:', classes: current classes of the element }
+   * @returns {Object} - { add: [classes], remove: [classes] }
+   */
+  translate(styles, options = {}) {
+    const variant = options.variant || '';
+    const declarations = this.expandDeclarations(styles);
+    const add = this.toUtilities(declarations).map(cls => `${variant}${cls}`);
+
+    const properties = Object.keys(declarations);
+    const remove = (options.classes || []).filter(cls => {
+      if (add.includes(cls)) return false;
+      const utility = this.parseUtility(cls);
+      return !!utility && utility.variant === variant &&
+        utility.properties.every(property => properties.includes(property));
+    });
+
+    return { add: add.filter(cls => !(options.classes || []).includes(cls)), remove };
+  }
+
+  /**
+   * Class list after a translation: obsolete classes out, new utilities appended
+   */
+  static applyClasses(classes, { add, remove }) {
+    const kept = classes.filter(cls => !remove.includes(cls));
+    return [...kept, ...add.filter(cls => !kept.includes(cls))];
+  }
+
+  /**
+   * Utility classes for journal changes, merged per element.
+   * @param {Array} changes - Style and rule changes, oldest first
+   * @param {Function} resolveElement - change -> live element or null
+   * @returns {Array} - [{ selector, classes, add, remove }] with add/remove relative to the original classes
+   */
+  translateChanges(changes, resolveElement) {
+    const entries = new Map();
+
+    changes.forEach(change => {
+      if ((change.type !== 'style' || !change.styles) && (change.type !== 'rule' || !change.rule)) return;
+
+      const variant = change.type === 'rule' ? this.getVariant(change.rule) : '';
+      const element = resolveElement(change);
+      const selector = change.elementContext?.uniqueSelector || change.selector;
+      const key = element || selector;
+
+      if (!entries.has(key)) {
+        const original = element ? Array.from(element.classList) : [];
+        entries.set(key, { selector, original, classes: original });
+      }
+
+      const entry = entries.get(key);
+      const styles = change.type === 'rule' ? change.rule.declarations : change.styles;
+      entry.classes = TailwindTranslator.applyClasses(entry.classes, this.translate(styles, { variant, classes: entry.classes }));
+    });
+
+    return Array.from(entries.values()).map(entry => ({
+      selector: entry.selector,
+      classes: entry.classes,
+      add: entry.classes.filter(cls => !entry.original.includes(cls)),
+      remove: entry.original.filter(cls => !entry.classes.includes(cls))
+    }));
+  }
+
+  /**
+   * Kebab-case longhand declarations: shorthands such as padding, margin,
+   * inset, gap, border and color backgrounds are split.
+   */
+  expandDeclarations(styles) {
+    const declarations = {};
+
+    Object.entries(styles || {}).forEach(([prop, rawValue]) => {
+      const property = this.toKebabCase(prop);
+      const value = rawValue === null || rawValue === undefined ? '' : String(rawValue).replace(/\s*!important\s*$/i, '').trim();
+      if (value === '') return;
+
+      if (['padding', 'margin', 'inset'].includes(property)) {
+        const [top, right = top, bottom = top, left = right] = this.splitValues(value);
+        const names = property === 'inset'
+          ? ['top', 'right', 'bottom', 'left']
+          : ['top', 'right', 'bottom', 'left'].map(side => `${property}-${side}`);
+        [top, right, bottom, left].forEach((sideValue, index) => { declarations[names[index]] = sideValue; });
+      } else if (property === 'gap') {
+        const [row, column = row] = this.splitValues(value);
+        declarations['row-gap'] = row;
+        declarations['column-gap'] = column;
+      } else if (property === 'border' || property === 'outline') {
+        this.splitValues(value).forEach(part => {
+          if (KEYWORD_UTILITIES['border-style'][part]) {
+            declarations[`${property}-style`] = part;
+          } else if (this.toPx(part) !== null || /^(thin|medium|thick)$/.test(part)) {
+            declarations[`${property}-width`] = part;
+          } else {
+            declarations[`${property}-color`] = part;
+          }
+        });
+      } else if (property === 'background' && (ColorUtils.parse(value) || value === 'transparent')) {
+        declarations['background-color'] = value;
+      } else if (property === 'text-decoration' && KEYWORD_UTILITIES['text-decoration-line'][value]) {
+        declarations['text-decoration-line'] = value;
+      } else {
+        declarations[property] = value;
+      }
+    });
+
+    return declarations;
+  }
+
+  toUtilities(declarations) {
+    const remaining = { ...declarations };
+    const classes = [];
+
+    // Grouped utilities first (p-4 instead of pt-4 pr-4 pb-4 pl-4)
+    GROUPED_UTILITIES.forEach(({ prefix, properties }) => {
+      if (!properties.every(property => property in remaining)) return;
+      const [first, ...others] = properties.map(property => remaining[property]);
+      if (others.some(value => value !== first)) return;
+
+      const utility = this.translateLength(prefix, properties[0], first);
+      if (!utility) return;
+      classes.push(utility);
+      properties.forEach(property => delete remaining[property]);
+    });
+
+    Object.entries(remaining).forEach(([property, value]) => {
+      classes.push(this.translateDeclaration(property, value));
+    });
+
+    return classes;
+  }
+
+  translateDeclaration(property, value) {
+    const normalized = value.replace(/\s+/g, ' ');
+    const keyword = KEYWORD_UTILITIES[property]?.[normalized];
+    if (keyword) return keyword;
+
+    if (SPACING_UTILITIES[property]) {
+      return this.translateLength(SPACING_UTILITIES[property], property, normalized);
+    }
+    if (COLOR_UTILITIES[property]) {
+      return this.translateColor(COLOR_UTILITIES[property], normalized);
+    }
+
+    switch (property) {
+    case 'font-size':
+      return this.fromScale('text', this.theme.fontSize, normalized, true);
+    case 'font-weight':
+      return this.fromScale('font', this.theme.fontWeight, { normal: '400', bold: '700' }[normalized] || normalized);
+    case 'line-height':
+      return this.fromScale('leading', this.theme.lineHeight, normalized, true);
+    case 'letter-spacing':
+      return this.fromScale('tracking', this.theme.letterSpacing, normalized);
+    case 'border-radius':
+      return this.fromScale('rounded', this.theme.borderRadius, normalized, true);
+    case 'border-width':
+      return this.fromScale('border', this.theme.borderWidth, normalized, true);
+    case 'box-shadow':
+      return this.fromScale('shadow', this.theme.boxShadow, normalized);
+    case 'opacity':
+      return this.fromScale('opacity', this.theme.opacity, isNaN(Number(normalized)) ? normalized : String(Number(normalized)));
+    case 'z-index':
+      return this.fromScale('z', this.theme.zIndex, normalized);
+    case 'min-width':
+    case 'min-height':
+    case 'max-width': {
+      const prefix = { 'min-width': 'min-w', 'min-height': 'min-h', 'max-width': 'max-w' }[property];
+      const named = { 0: '0', '0px': '0', '100%': 'full', none: 'none', '100vh': 'screen', 'fit-content': 'fit' }[normalized];
+      return named ? `${prefix}-${named}` : `${prefix}-${this.arbitrary(normalized)}`;
+    }
+    case 'order':
+      return /^\d+$/.test(normalized) && Number(normalized) <= 12 ? `order-${normalized}` : `order-${this.arbitrary(normalized)}`;
+    case 'grid-template-columns':
+    case 'grid-template-rows': {
+      const prefix = property === 'grid-template-columns' ? 'grid-cols' : 'grid-rows';
+      const repeat = normalized.match(/^repeat\((\d+), ?(minmax\(0, ?1fr\)|1fr)\)$/);
+      if (repeat && Number(repeat[1]) <= 12) return `${prefix}-${repeat[1]}`;
+      return normalized === 'none' ? `${prefix}-none` : `${prefix}-${this.arbitrary(normalized)}`;
+    }
+    case 'grid-column':
+    case 'grid-row': {
+      const prefix = property === 'grid-column' ? 'col' : 'row';
+      if (normalized === '1 / -1') return `${prefix}-span-full`;
+      const span = normalized.match(/^span (\d+)(?: \/ span \1)?$/);
+      return span ? `${prefix}-span-${span[1]}` : `${prefix}-${this.arbitrary(normalized)}`;
+    }
+    default:
+      return `[${property}:${this.encode(normalized)}]`;
+    }
+  }
+
+  /**
+   * Spacing-scale utilities (padding, margin, inset, gap, width, height)
+   */
+  translateLength(prefix, property, value) {
+    const negative = value.startsWith('-') && NEGATIVE_PROPERTIES.test(property);
+    const magnitude = negative ? value.slice(1) : value;
+
+    if (/^(w|h|size)$/.test(prefix) || SIZE_KEYWORDS[magnitude] === 'auto') {
+      if (SIZE_KEYWORDS[magnitude]) return `${prefix}-${SIZE_KEYWORDS[magnitude]}`;
+      if (magnitude === '100vw' && prefix === 'w') return 'w-screen';
+      if (magnitude === '100vh' && prefix === 'h') return 'h-screen';
+    }
+
+    const key = this.findLengthKey(this.theme.spacing, magnitude);
+    if (key !== null) {
+      return `${negative ? '-' : ''}${prefix}-${key}`;
+    }
+    return `${prefix}-${this.arbitrary(value)}`;
+  }
+
+  /**
+   * Theme scale lookup: exact value, then nearest length; arbitrary value otherwise.
+   * DEFAULT entries produce the bare prefix ("rounded", "shadow", "border").
+   */
+  fromScale(prefix, scale, value, compareLengths = false) {
+    const normalize = (text) => String(text).replace(/\s+/g, ' ').trim();
+    let key = Object.keys(scale).find(name => normalize(this.scaleValue(scale[name])) === value);
+
+    if (key === undefined && compareLengths) {
+      key = this.findLengthKey(scale, value) ?? undefined;
+    }
+    if (key === undefined) {
+      return `${prefix}-${this.arbitrary(value)}`;
+    }
+    return key === 'DEFAULT' ? prefix : `${prefix}-${key}`;
+  }
+
+  /**
+   * fontSize entries may be [size, { lineHeight }]
+   */
+  scaleValue(entry) {
+    return Array.isArray(entry) ? entry[0] : entry;
+  }
+
+  findLengthKey(scale, value) {
+    const target = this.toPx(value);
+    if (target === null) return null;
+
+    let best = null;
+    let bestDistance = Infinity;
+    Object.entries(scale).forEach(([key, entry]) => {
+      const px = this.toPx(String(this.scaleValue(entry)));
+      if (px === null) return;
+      const distance = Math.abs(px - target);
+      if (distance < bestDistance) {
+        best = key;
+        bestDistance = distance;
+      }
+    });
+
+    return bestDistance <= LENGTH_TOLERANCE ? best : null;
+  }
+
+  toPx(value) {
+    const match = String(value).trim().match(/^(-?\d*\.?\d+)(px|rem)?$/);
+    if (!match) return null;
+    const number = parseFloat(match[1]);
+    if (!match[2]) return number === 0 ? 0 : null;
+    return match[2] === 'rem' ? number * 16 : number;
+  }
+
+  translateColor(prefix, value) {
+    const named = { transparent: 'transparent', currentcolor: 'current', inherit: 'inherit' }[value.toLowerCase()];
+    if (named) return `${prefix}-${named}`;
+
+    const rgb = ColorUtils.parse(value);
+    const nearest = rgb ? this.findNearestColor(rgb) : null;
+    if (!nearest) {
+      return `${prefix}-${this.arbitrary(value)}`;
+    }
+
+    if (rgb.a >= 1) return `${prefix}-${nearest}`;
+
+    const percent = Math.round(rgb.a * 100);
+    const opacityKey = Object.keys(this.theme.opacity).find(key => Math.round(Number(this.theme.opacity[key]) * 100) === percent);
+    return `${prefix}-${nearest}/${opacityKey ?? `[${rgb.a}]`}`;
+  }
+
+  findNearestColor(rgb) {
+    let best = null;
+    let bestDistance = Infinity;
+    this.colors.forEach(color => {
+      if (color.rgb.a < 1) return;
+      const distance = Math.hypot(color.rgb.r - rgb.r, color.rgb.g - rgb.g, color.rgb.b - rgb.b);
+      if (distance < bestDistance) {
+        best = color.name;
+        bestDistance = distance;
+      }
+    });
+    return bestDistance <= COLOR_TOLERANCE ? best : null;
+  }
+
+  arbitrary(value) {
+    return `[${this.encode(value)}]`;
+  }
+
+  /**
+   * Spaces become underscores inside arbitrary values
+   */
+  encode(value) {
+    return String(value).trim().replace(/,\s+/g, ',').replace(/\s+/g, '_');
+  }
+
+  splitValues(value) {
+    // Split on spaces outside parentheses: "1px solid rgb(0, 0, 0)"
+    return value.match(/(?:[^\s(]+|\([^)]*\))+/g) || [];
+  }
+
+  toKebabCase(prop) {
+    if (prop.startsWith('--') || prop.includes('-')) return prop;
+    return prop.replace(/[A-Z]/g, match => `-${match.toLowerCase()}`);
+  }
+
+  // ---- Variants ----
+
+  /**
+   * Variant prefix for a stylesheet rule: responsive first, then state and pseudo-element.
+   * { media: '(min-width: 768px)', state: ':hover' } -> 'md:hover:'
+   */
+  getVariant(rule = {}) {
+    let variant = '';
+    if (rule.media) variant += this.getMediaVariant(rule.media);
+    if (rule.container) variant += `[@container_${this.encode(rule.container)}]:`;
+    if (rule.state) variant += this.getStateVariant(rule.state);
+    if (rule.pseudo) variant += this.getPseudoVariant(rule.pseudo);
+    return variant;
+  }
+
+  getMediaVariant(media) {
+    const query = media.replace(/\s+/g, ' ').trim();
+    if (MEDIA_FEATURE_VARIANTS[query]) return MEDIA_FEATURE_VARIANTS[query];
+
+    const min = query.match(/\(min-width: ?([\d.]+(?:px|rem|em))\)/);
+    const max = query.match(/\(max-width: ?([\d.]+(?:px|rem|em))\)/);
+    const rest = query
+      .replace(/\(min-width: ?[^)]+\)/, '')
+      .replace(/\(max-width: ?[^)]+\)/, '')
+      .replace(/\band\b/g, '')
+      .trim();
+
+    if ((!min && !max) || rest) {
+      return `[@media_${this.encode(query)}]:`;
+    }
+
+    let variant = '';
+    if (min) {
+      const screen = this.findScreen(this.toPx(min[1]) ?? this.emToPx(min[1]));
+      variant += screen ? `${screen}:` : `min-[${min[1]}]:`;
+    }
+    if (max) {
+      const maxPx = this.toPx(max[1]) ?? this.emToPx(max[1]);
+      // "max-width: 767px" is the range below the 768px screen
+      const screen = this.findScreen(maxPx + 1) || this.findScreen(maxPx);
+      variant += screen ? `max-${screen}:` : `max-[${max[1]}]:`;
+    }
+    return variant;
+  }
+
+  emToPx(value) {
+    const match = value.match(/^([\d.]+)em$/);
+    return match ? parseFloat(match[1]) * 16 : null;
+  }
+
+  findScreen(px) {
+    if (px === null) return null;
+    return Object.keys(this.theme.screens).find(name => this.toPx(this.theme.screens[name]) === px) || null;
+  }
+
+  getStateVariant(state) {
+    if (/^:[a-z-]+$/.test(state)) return `${state.slice(1)}:`;
+    return `[&${this.encode(state)}]:`;
+  }
+
+  getPseudoVariant(pseudo) {
+    const name = pseudo.replace(/^::?/, '');
+    return PSEUDO_ELEMENT_VARIANTS.includes(name) ? `${name}:` : `[&${this.encode(pseudo)}]:`;
+  }
+
+  // ---- Classes -> properties ----
+
+  /**
+   * Variant and CSS properties set by a utility class ('md:px-4' -> { variant: 'md:', properties: [...] }),
+   * or null for classes that are not recognized (components, plugins)
+   */
+  parseUtility(cls) {
+    let depth = 0;
+    let split = -1;
+    for (let i = 0; i < cls.length; i++) {
+      if (cls[i] === '[') depth++;
+      else if (cls[i] === ']') depth--;
+      else if (cls[i] === ':' && depth === 0) split = i;
+    }
+
+    const variant = cls.slice(0, split + 1);
+    const base = cls.slice(split + 1).replace(/^!/, '').replace(/^-/, '');
+    const properties = this.getUtilityProperties(base);
+    return properties ? { variant, properties } : null;
+  }
+
+  getUtilityProperties(base) {
+    const arbitraryProperty = base.match(/^\[([-a-z]+):.+\]$/);
+    if (arbitraryProperty) return [arbitraryProperty[1]];
+
+    if (this.keywordClasses.has(base)) return [this.keywordClasses.get(base)];
+
+    const spacing = LENGTH_PREFIXES.find(({ prefix }) => base.startsWith(`${prefix}-`));
+    if (spacing) return spacing.properties;
+
+    const dash = base.indexOf('-');
+    const prefix = dash === -1 ? base : base.slice(0, dash);
+    const suffix = dash === -1 ? '' : base.slice(dash + 1);
+    const isArbitrary = /^\[.+\]$/.test(suffix);
+
+    switch (prefix) {
+    case 'text':
+      if (suffix in this.theme.fontSize || /^\[[\d.]+(px|r?em)\]$/.test(suffix)) return ['font-size'];
+      return this.isColorValue(suffix) ? ['color'] : null;
+    case 'bg':
+      return this.isColorValue(suffix) ? ['background-color'] : null;
+    case 'border':
+      if (!suffix || suffix in this.theme.borderWidth || /^\[[\d.]+px\]$/.test(suffix)) return ['border-width'];
+      return this.isColorValue(suffix) ? ['border-color'] : null;
+    case 'rounded':
+      return !suffix || suffix in this.theme.borderRadius || isArbitrary ? ['border-radius'] : null;
+    case 'shadow':
+      return !suffix || suffix in this.theme.boxShadow || isArbitrary ? ['box-shadow'] : null;
+    case 'font':
+      return suffix in this.theme.fontWeight || /^\[\d+\]$/.test(suffix) ? ['font-weight'] : ['font-family'];
+    case 'leading':
+      return ['line-height'];
+    case 'tracking':
+      return ['letter-spacing'];
+    case 'opacity':
+      return ['opacity'];
+    case 'z':
+      return ['z-index'];
+    case 'order':
+      return ['order'];
+    case 'outline':
+    case 'decoration':
+    case 'caret':
+    case 'accent':
+    case 'fill':
+    case 'stroke': {
+      const property = Object.keys(COLOR_UTILITIES).find(key => COLOR_UTILITIES[key] === prefix);
+      return this.isColorValue(suffix) ? [property] : null;
+    }
+    default:
+      break;
+    }
+
+    if (base.startsWith('min-w-')) return ['min-width'];
+    if (base.startsWith('min-h-')) return ['min-height'];
+    if (base.startsWith('max-w-')) return ['max-width'];
+    if (base.startsWith('grid-cols-')) return ['grid-template-columns'];
+    if (base.startsWith('grid-rows-')) return ['grid-template-rows'];
+    if (base.startsWith('col-')) return ['grid-column'];
+    if (base.startsWith('row-')) return ['grid-row'];
+    return null;
+  }
+
+  /**
+   * "blue-500", "blue-500/50", "[#3b82f6]", "transparent"
+   */
+  isColorValue(value) {
+    const color = value.replace(/\/(\d+|\[[\d.]+\])$/, '');
+    if (['transparent', 'current', 'inherit'].includes(color)) return true;
+
+    const arbitrary = color.match(/^\[(.+)\]$/);
+    if (arbitrary) return /^(#|rgba?\(|hsla?\()/.test(arbitrary[1]);
+
+    return this.colors.some(entry => entry.name === color);
+  }
+}
+
+export default TailwindTranslator;
@@ -0,0 +1,93 @@
+// tailwindTranslator.test.js
+import TailwindTranslator from './tailwindTranslator';
+
+describe('TailwindTranslator', () => {
+  let translator;
+
+  beforeEach(() => {
+    translator = new TailwindTranslator();
+  });
+
+  test('deve usar a escala de espaçamento e valores arbitrários', () => {
+    expect(translator.translate({ padding: '16px' }).add).toEqual(['p-4']);
+    expect(translator.translate({ padding: '13px' }).add).toEqual(['p-[13px]']);
+    expect(translator.translate({ padding: '8px 1.5rem' }).add).toEqual(['py-2', 'px-6']);
+    expect(translator.translate({ marginTop: '-0.5rem', width: '100%' }).add).toEqual(['-mt-2', 'w-full']);
+  });
+
+  test('deve aproximar cores da paleta e manter a opacidade', () => {
+    expect(translator.translate({ color: '#3b82f6' }).add).toEqual(['text-blue-500']);
+    expect(translator.translate({ backgroundColor: '#3c83f5' }).add).toEqual(['bg-blue-500']);
+    expect(translator.translate({ backgroundColor: 'rgba(0, 0, 0, 0.5)' }).add).toEqual(['bg-black/50']);
+    expect(translator.translate({ color: '#123456' }).add).toEqual(['text-[#123456]']);
+  });
+
+  test('deve traduzir tipografia, bordas, sombras e layout', () => {
+    const { add } = translator.translate({
+      fontSize: '18px',
+      fontWeight: 'bold',
+      borderRadius: '8px',
+      border: '2px solid #e5e7eb',
+      boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+      display: 'flex',
+      justifyContent: 'space-between',
+      gridTemplateColumns: 'repeat(3, minmax(0, 1fr))',
+      clipPath: 'circle(50% at 50% 50%)'
+    });
+
+    expect(add).toEqual([
+      'text-lg', 'font-bold', 'rounded-lg', 'border-2', 'border-solid', 'border-gray-200',
+      'shadow-md', 'flex', 'justify-between', 'grid-cols-3', '[clip-path:circle(50%_at_50%_50%)]'
+    ]);
+  });
+
+  test('deve respeitar o tema do tailwind.config', () => {
+    const custom = new TailwindTranslator({
+      theme: {
+        extend: { colors: { brand: { DEFAULT: '#ff5a1f', dark: '#c2410c' } } },
+        spacing: { sm: '10px' }
+      }
+    });
+
+    expect(custom.translate({ color: '#ff5a1f', padding: '10px' }).add).toEqual(['p-sm', 'text-brand']);
+    expect(custom.translate({ padding: '16px' }).add).toEqual(['p-[16px]']);
+  });
+
+  test('deve gerar prefixos responsivos e de estado', () => {
+    expect(translator.getVariant({ media: '(min-width: 768px)', state: ':hover' })).toBe('md:hover:');
+    expect(translator.getVariant({ media: '(max-width: 767px)' })).toBe('max-md:');
+    expect(translator.getVariant({ media: '(min-width: 768px) and (max-width: 1023px)' })).toBe('md:max-lg:');
+    expect(translator.getVariant({ media: '(min-width: 900px)' })).toBe('min-[900px]:');
+    expect(translator.getVariant({ pseudo: '::before' })).toBe('before:');
+    expect(translator.getVariant({ state: '[disabled]' })).toBe('[&[disabled]]:');
+  });
+
+  test('deve listar as classes existentes que devem ser removidas', () => {
+    const classes = ['card', 'px-4', 'py-2', 'text-gray-700', 'text-sm', 'md:p-6', 'hover:bg-white'];
+    const result = translator.translate({ padding: '24px', color: '#111827' }, { classes });
+
+    expect(result.add).toEqual(['p-6', 'text-gray-900']);
+    expect(result.remove).toEqual(['px-4', 'py-2', 'text-gray-700']);
+  });
+
+  test('deve manter utilitários que cobrem mais propriedades do que as alteradas', () => {
+    const result = translator.translate({ paddingTop: '4px' }, { classes: ['py-2'] });
+
+    expect(result).toEqual({ add: ['pt-1'], remove: [] });
+  });
+
+  test('deve acumular mudanças por elemento', () => {
+    const element = { classList: ['btn', 'bg-blue-500'] };
+    const entries = translator.translateChanges([
+      { type: 'style', selector: '.btn', styles: { backgroundColor: '#ef4444' } },
+      { type: 'rule', selector: '.btn', rule: { selector: '.btn', state: ':hover', declarations: { 'background-color': '#dc2626' } } }
+    ], () => element);
+
+    expect(entries).toEqual([{
+      selector: '.btn',
+      classes: ['btn', 'bg-red-500', 'hover:bg-red-600'],
+      add: ['bg-red-500', 'hover:bg-red-600'],
+      remove: ['bg-blue-500']
+    }]);
+  });
+});
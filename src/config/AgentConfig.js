@@ -11,6 +11,27 @@ const AgentConfig = {
     enableFallbacks: true
   },
 
+  // Provedor do modelo de linguagem (sobrescrito por new Frontable({ llm: {...} }))
+  llm: {
+    provider: 'squad', // 'squad' | 'openai-compatible' | 'mock' | 'none'
+    stream: false,
+    timeout: 60000
+  },
+
+  // Geração de imagens (sobrescrito por new Frontable({ images: {...} }))
+  images: {
+    provider: 'http', // 'http' | 'placeholder' (local, offline)
+    size: '1024x1024',
+    quality: 'standard',
+    style: null, // 'vivid' | 'natural'
+    count: 1 // 1 aplica a imagem direto; mais de 1 mostra as variantes para escolha no chat
+  },
+
+  // Tema escuro gerado pelo plano "converter para tema escuro" (sobrescrito por new Frontable({ darkTheme: {...} }))
+  darkTheme: {
+    strategy: 'toggle' // 'toggle': <html data-theme="dark"> | 'media': @media (prefers-color-scheme: dark)
+  },
+
   // Sistema de validação avançada
   validation: {
     enabled: true,
@@ -64,7 +85,9 @@ const AgentConfig = {
       AAA_LARGE: 4.5
     },
     enableVoiceAlerts: false,
-    strictMode: false
+    strictMode: false,
+    // Estilos que deixam o texto abaixo do contraste AA: 'warn' aplica e avisa, 'block' não aplica
+    contrastMode: 'warn'
   },
 
   // Sistema de planejamento de tarefas
@@ -84,6 +107,15 @@ const AgentConfig = {
     }
   },
 
+  // Edições responsivas e simulador de viewport
+  responsive: {
+    breakpoints: {
+      mobile: { label: '📱 Mobile', width: 375, media: '(max-width: 767px)' },
+      tablet: { label: '📟 Tablet', width: 768, media: '(min-width: 768px) and (max-width: 1023px)' },
+      desktop: { label: '🖥️ Desktop', width: 1280, media: '(min-width: 1024px)' }
+    }
+  },
+
   // Configurações de UI
   ui: {
     showProgressBars: true,
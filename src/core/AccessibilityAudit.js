@@ -0,0 +1,219 @@
+import AccessibilityChecker from '../utils/AccessibilityChecker';
+
+// Rules reported by the audit, with the AccessibilityChecker rule ids they cover
+const RULES = [
+  { id: 'contrast', label: 'Contraste de cores', checks: ['contrast', 'contrast-aaa'] },
+  { id: 'heading-order', label: 'Ordem dos cabeçalhos', checks: ['heading-order'] },
+  { id: 'alt-text', label: 'Texto alternativo de imagens', checks: ['alt-text'] },
+  { id: 'form-label', label: 'Campos de formulário sem label', checks: ['form-label'] },
+  { id: 'keyboard', label: 'Elementos interativos sem foco por teclado', checks: ['keyboard'] }
+];
+// Checks that pass WCAG AA and are only reported as notices
+const NOTICE_CHECKS = new Set(['contrast-aaa']);
+
+const SEVERITIES = [
+  { id: 'error', label: 'Erros', icon: '❌' },
+  { id: 'warning', label: 'Avisos', icon: '⚠️' },
+  { id: 'notice', label: 'Observações', icon: 'ℹ️' }
+];
+
+const CANDIDATE_SELECTOR = 'img, h1, h2, h3, h4, h5, h6, input, select, textarea, button, a, [onclick], [tabindex], [role="button"]';
+// Forms are skipped: each of their fields is checked on its own
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'meta', 'link', 'form']);
+
+/**
+ * AccessibilityAudit - Runs AccessibilityChecker over the whole page and turns
+ * its reports into findings grouped by severity and rule (contrast, heading
+ * order, alt text, form labels, keyboard focus), exportable as JSON or HTML.
+ */
+class AccessibilityAudit {
+  /**
+   * @param {Object} options - { checker, getSelector(element), maxElements }
+   */
+  constructor(options = {}) {
+    this.checker = options.checker || new AccessibilityChecker();
+    this.getSelector = options.getSelector || AccessibilityAudit.describeElement;
+    this.maxElements = options.maxElements || 2000;
+  }
+
+  /**
+   * @returns {Object} - { url, title, createdAt, elementCount, findings: [{ id, rule, severity, message, selector, element }] }
+   */
+  run(root = document) {
+    const elements = this.collectElements(root);
+    const reports = this.checker.checkMultipleElements(elements);
+    const findings = [];
+
+    reports.forEach((report, index) => {
+      const element = elements[index];
+      // The checker runs some checks twice (semantic and element-specific)
+      const seen = new Set();
+
+      (report.issues || []).forEach(({ rule: check, severity, message }) => {
+        const rule = this.classify(check);
+        if (!rule || seen.has(message)) return;
+        // Contrast only matters for the element's own text
+        if (rule.id === 'contrast' && !AccessibilityAudit.hasOwnText(element)) return;
+
+        seen.add(message);
+        findings.push({
+          id: findings.length + 1,
+          rule: rule.id,
+          severity: NOTICE_CHECKS.has(check) ? 'notice' : severity,
+          message,
+          selector: this.getSelector(element),
+          element
+        });
+      });
+    });
+
+    return {
+      url: root.location?.href || '',
+      title: root.title || '',
+      createdAt: new Date().toISOString(),
+      elementCount: elements.length,
+      findings
+    };
+  }
+
+  /**
+   * Rendered page elements worth checking: text, images, headings, fields and interactive elements
+   */
+  collectElements(root) {
+    const elements = [];
+    const scope = root.body || root;
+
+    for (const element of scope.querySelectorAll('*')) {
+      if (elements.length >= this.maxElements) break;
+      if (SKIPPED_TAGS.has(element.tagName.toLowerCase())) continue;
+      // Frontable's own panel and overlays
+      if (element.closest('[class*="frontable-"]')) continue;
+      if (element.getClientRects().length === 0) continue;
+
+      if (element.matches(CANDIDATE_SELECTOR) || AccessibilityAudit.hasOwnText(element)) {
+        elements.push(element);
+      }
+    }
+    return elements;
+  }
+
+  /**
+   * Audit rule of an AccessibilityChecker rule id
+   */
+  classify(check) {
+    return RULES.find(rule => rule.checks.includes(check)) || null;
+  }
+
+  /**
+   * @returns {Array} - [{ severity, label, icon, count, rules: [{ rule, label, findings }] }], most severe first
+   */
+  group(findings) {
+    return SEVERITIES
+      .map(severity => {
+        const ofSeverity = findings.filter(finding => finding.severity === severity.id);
+        const rules = RULES
+          .map(rule => ({ rule: rule.id, label: rule.label, findings: ofSeverity.filter(finding => finding.rule === rule.id) }))
+          .filter(ruleGroup => ruleGroup.findings.length > 0);
+        return { severity: severity.id, label: severity.label, icon: severity.icon, count: ofSeverity.length, rules };
+      })
+      .filter(group => group.count > 0);
+  }
+
+  /**
+   * Chat summary
+   */
+  toMessage(report) {
+    const header = `♿ Auditoria de acessibilidade: ${report.elementCount} elemento(s) verificados`;
+    if (report.findings.length === 0) {
+      return `${header}\n✅ Nenhum problema encontrado.`;
+    }
+
+    const counts = this.group(report.findings).map(group => `${group.icon} ${group.count} ${group.label.toLowerCase()}`);
+    return `${header}\n${counts.join(' · ')}`;
+  }
+
+  toJSON(report) {
+    const summary = {};
+    this.group(report.findings).forEach(group => {
+      summary[group.severity] = group.count;
+    });
+
+    return JSON.stringify({
+      url: report.url,
+      title: report.title,
+      createdAt: report.createdAt,
+      elementCount: report.elementCount,
+      summary,
+      // Live DOM references stay out of the export
+      findings: report.findings.map(({ element, ...finding }) => finding)
+    }, null, 2);
+  }
+
+  toHTML(report) {
+    const escape = AccessibilityAudit.escapeHtml;
+    const sections = this.group(report.findings).map(group => {
+      const rules = group.rules.map(ruleGroup => {
+        const rows = ruleGroup.findings
+          .map(finding => `        <tr><td><code>${escape(finding.selector)}</code></td><td>${escape(finding.message)}</td></tr>`)
+          .join('\n');
+        return [
+          `    <h3>${escape(ruleGroup.label)} (${ruleGroup.findings.length})</h3>`,
+          '    <table>',
+          '      <thead><tr><th>Elemento</th><th>Problema</th></tr></thead>',
+          '      <tbody>',
+          rows,
+          '      </tbody>',
+          '    </table>'
+        ].join('\n');
+      });
+      return `  <section class="${group.severity}">\n    <h2>${group.icon} ${escape(group.label)} (${group.count})</h2>\n${rules.join('\n')}\n  </section>`;
+    });
+
+    const body = sections.length > 0 ? sections.join('\n') : '  <p>✅ Nenhum problema encontrado.</p>';
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <title>Auditoria de acessibilidade — ${escape(report.title || report.url)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+    th, td { border: 1px solid #e5e7eb; padding: 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    .error h2 { color: #b91c1c; }
+    .warning h2 { color: #92400e; }
+  </style>
+</head>
+<body>
+  <h1>Auditoria de acessibilidade</h1>
+  <p>${escape(report.url)} — ${escape(report.createdAt)} — ${report.elementCount} elemento(s) verificados</p>
+${body}
+</body>
+</html>
+`;
+  }
+
+  static hasOwnText(element) {
+    return Array.from(element.childNodes || []).some(node => node.nodeType === 3 && node.textContent.trim());
+  }
+
+  /**
+   * Readable fallback selector: tag#id.class
+   */
+  static describeElement(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id) return `${tag}#${element.id}`;
+    const classes = typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean) : [];
+    return classes.length > 0 ? `${tag}.${classes.join('.')}` : tag;
+  }
+
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+export default AccessibilityAudit;
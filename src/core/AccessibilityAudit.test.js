@@ -0,0 +1,106 @@
+import AccessibilityAudit from './AccessibilityAudit';
+
+describe('AccessibilityAudit', () => {
+  const textNode = (text) => ({ nodeType: 3, textContent: text });
+  const fakeElement = (tagName, id, childNodes = []) => ({ tagName, id, className: '', childNodes });
+
+  const title = fakeElement('H3', 'title', [textNode('Ofertas')]);
+  const photo = fakeElement('IMG', 'photo');
+  const email = fakeElement('INPUT', 'email');
+
+  const issue = (rule, severity, message) => ({ rule, severity, message });
+  const reports = {
+    title: {
+      issues: [
+        issue('contrast', 'error', 'Contraste insuficiente (2.10:1). Mínimo necessário: 4.5:1 para texto normal'),
+        issue('heading-order', 'warning', 'Possível pulo na hierarquia de cabeçalhos (h1 para h3)'),
+        issue('heading-order', 'warning', 'Possível pulo na hierarquia de cabeçalhos (h1 para h3)')
+      ]
+    },
+    photo: {
+      issues: [
+        issue('alt-text', 'error', 'Imagem sem texto alternativo (atributo alt)'),
+        issue('contrast', 'error', 'Contraste insuficiente (1.00:1). Mínimo necessário: 4.5:1 para texto normal'),
+        issue('background-image-label', 'warning', 'Imagem de fundo pode precisar de descrição (aria-label)')
+      ]
+    },
+    email: {
+      issues: [
+        issue('form-label', 'error', 'Campo de formulário sem label associado: INPUT'),
+        issue('contrast-aaa', 'warning', 'Contraste atende ao padrão AA mas não AAA (5.00:1). Para AAA, necessário: 7:1')
+      ]
+    }
+  };
+
+  const page = { title: 'Loja', location: { href: 'http://localhost/' } };
+  let audit;
+
+  beforeEach(() => {
+    audit = new AccessibilityAudit({
+      checker: { checkMultipleElements: (elements) => elements.map(element => reports[element.id]) }
+    });
+    // Element collection needs layout; it is covered in the browser
+    audit.collectElements = jest.fn(() => [title, photo, email]);
+  });
+
+  test('should turn checker reports into findings for the audited rules', () => {
+    const report = audit.run(page);
+
+    expect(report.elementCount).toBe(3);
+    expect(report.findings.map(({ rule, severity, selector }) => [rule, severity, selector])).toEqual([
+      ['contrast', 'error', 'h3#title'],
+      ['heading-order', 'warning', 'h3#title'],
+      ['alt-text', 'error', 'img#photo'],
+      ['form-label', 'error', 'input#email']
+    ]);
+    expect(report.findings[2].element).toBe(photo);
+  });
+
+  test('should group findings by severity, then rule', () => {
+    const groups = audit.group(audit.run(page).findings);
+
+    expect(groups.map(group => [group.severity, group.count, group.rules.map(rule => rule.rule)])).toEqual([
+      ['error', 3, ['contrast', 'alt-text', 'form-label']],
+      ['warning', 1, ['heading-order']]
+    ]);
+    expect(audit.toMessage({ elementCount: 3, findings: audit.run(page).findings }))
+      .toBe('♿ Auditoria de acessibilidade: 3 elemento(s) verificados\n❌ 3 erros · ⚠️ 1 avisos');
+  });
+
+  test('should report AAA-only contrast as a notice', () => {
+    reports.title.issues.push(issue('contrast-aaa', 'warning', 'Contraste atende ao padrão AA mas não AAA (5.00:1). Para AAA, necessário: 7:1'));
+    const findings = audit.run(page).findings;
+    reports.title.issues.pop();
+
+    expect(findings.filter(finding => finding.severity === 'notice').map(({ rule, selector }) => [rule, selector]))
+      .toEqual([['contrast', 'h3#title']]);
+    expect(audit.classify('background-image-label')).toBeNull();
+  });
+
+  test('should export JSON without DOM references', () => {
+    const exported = JSON.parse(audit.toJSON(audit.run(page)));
+
+    expect(exported.summary).toEqual({ error: 3, warning: 1 });
+    expect(exported.findings[0]).toEqual({
+      id: 1,
+      rule: 'contrast',
+      severity: 'error',
+      message: 'Contraste insuficiente (2.10:1). Mínimo necessário: 4.5:1 para texto normal',
+      selector: 'h3#title'
+    });
+  });
+
+  test('should export an escaped HTML report', () => {
+    const html = audit.toHTML({
+      url: 'http://localhost/',
+      title: 'Loja <dev>',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      elementCount: 1,
+      findings: [{ id: 1, rule: 'alt-text', severity: 'error', message: 'Imagem sem texto alternativo (atributo alt)', selector: 'img[alt=""]' }]
+    });
+
+    expect(html).toContain('<title>Auditoria de acessibilidade — Loja &lt;dev&gt;</title>');
+    expect(html).toContain('<h3>Texto alternativo de imagens (1)</h3>');
+    expect(html).toContain('<td><code>img[alt=&quot;&quot;]</code></td>');
+  });
+});
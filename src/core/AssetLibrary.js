@@ -0,0 +1,251 @@
+import { ZipUtils } from '../utils/zipUtils';
+
+const STORE = 'assets';
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/avif': 'avif'
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * AssetLibrary - Generated and uploaded images kept as blobs in IndexedDB,
+ * with the prompt that produced them and the elements they were applied to.
+ *
+ * Asset record: { id, name, type, size, blob, source: 'generated' | 'upload',
+ * prompt, description, appliedTo: [selector], createdAt }
+ *
+ * Library images are shown through object URLs. Those die with the page, so
+ * journal changes keep the assetId and resolveEntries() points them at fresh
+ * URLs when a saved session is replayed.
+ */
+class AssetLibrary {
+  constructor(options = {}) {
+    this.indexedDB = options.indexedDB !== undefined ? options.indexedDB : this.getDefaultIndexedDB();
+    this.dbName = options.dbName || 'frontable-assets';
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.createObjectURL = options.createObjectURL || ((blob) => URL.createObjectURL(blob));
+    this.dbPromise = null;
+    // asset id → object URL created on this page
+    this.objectUrls = new Map();
+  }
+
+  getDefaultIndexedDB() {
+    try {
+      return typeof window !== 'undefined' ? window.indexedDB : null;
+    } catch (error) {
+      // Access to IndexedDB can throw (e.g. sandboxed iframes)
+      return null;
+    }
+  }
+
+  isAvailable() {
+    return !!this.indexedDB;
+  }
+
+  open() {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB indisponível neste navegador'));
+    }
+
+    if (!this.dbPromise) {
+      const request = this.indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      this.dbPromise = promisify(request).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async withStore(mode, operation) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE, mode);
+    return promisify(operation(transaction.objectStore(STORE)));
+  }
+
+  /**
+   * @param {Blob} blob - Image data
+   * @param {Object} meta - { name, source, prompt, description, appliedTo }
+   * @returns {Promise<Object>} - The stored asset
+   */
+  async add(blob, meta = {}) {
+    const createdAt = Date.now();
+    const type = blob.type || 'image/png';
+    const asset = {
+      id: `asset-${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+      name: meta.name || AssetLibrary.fileName({ type, prompt: meta.prompt, description: meta.description, createdAt }),
+      type,
+      size: blob.size,
+      blob,
+      source: meta.source || 'upload',
+      prompt: meta.prompt || null,
+      description: meta.description || null,
+      appliedTo: meta.appliedTo || [],
+      createdAt
+    };
+
+    await this.withStore('readwrite', store => store.put(asset));
+    return asset;
+  }
+
+  /**
+   * Downloads a generated image (http or data URL) into the library
+   */
+  async addFromUrl(url, meta = {}) {
+    const response = await this.fetch(url);
+    if (!response.ok) {
+      throw new Error(`Falha ao baixar imagem: ${response.status} ${response.statusText}`);
+    }
+    return this.add(await response.blob(), { source: 'generated', ...meta });
+  }
+
+  async list() {
+    const assets = await this.withStore('readonly', store => store.getAll());
+    return assets.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async get(id) {
+    return (await this.withStore('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * Adds the selectors an asset was applied to
+   */
+  async markApplied(id, selectors) {
+    const asset = await this.get(id);
+    if (!asset) return null;
+
+    asset.appliedTo = Array.from(new Set([...asset.appliedTo, ...selectors]));
+    await this.withStore('readwrite', store => store.put(asset));
+    return asset;
+  }
+
+  async remove(id) {
+    await this.withStore('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Object URL for an asset, created once per page
+   */
+  getUrl(asset) {
+    if (!this.objectUrls.has(asset.id)) {
+      this.objectUrls.set(asset.id, this.createObjectURL(asset.blob));
+    }
+    return this.objectUrls.get(asset.id);
+  }
+
+  /**
+   * Points saved changes that use library images at object URLs of this page.
+   * Changes whose asset was removed keep their recorded URL.
+   * @param {Array} entries - Journal entries from a saved session
+   * @returns {Promise<Array>} - The same entries
+   */
+  async resolveEntries(entries) {
+    const changes = entries.flatMap(entry => entry.changes).filter(change => change.assetId);
+
+    for (const change of changes) {
+      const asset = await this.get(change.assetId);
+      if (asset) {
+        AssetLibrary.replaceImageUrl(change, this.getUrl(asset));
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Swaps change.imageUrl for `url` in the styles, rule or HTML the change applies
+   */
+  static replaceImageUrl(change, url) {
+    const previous = change.imageUrl;
+    if (!previous || previous === url) return;
+
+    const swap = (value) => (typeof value === 'string' ? value.split(previous).join(url) : value);
+    const swapAll = (styles) => Object.fromEntries(Object.entries(styles).map(([prop, value]) => [prop, swap(value)]));
+    if (change.styles) {
+      change.styles = swapAll(change.styles);
+    }
+    if (change.rule?.declarations) {
+      change.rule = { ...change.rule, declarations: swapAll(change.rule.declarations) };
+    }
+    if (change.html) {
+      change.html = swap(change.html);
+    }
+    change.imageUrl = url;
+  }
+
+  async exportZip() {
+    return AssetLibrary.toZip(await this.list());
+  }
+
+  /**
+   * Zip with every asset under assets/ and a manifest.json describing them
+   * @returns {Promise<Blob>}
+   */
+  static async toZip(assets) {
+    const manifest = AssetLibrary.buildManifest(assets);
+    const files = await Promise.all(assets.map(async (asset, index) => ({
+      name: manifest.assets[index].file,
+      data: new Uint8Array(await asset.blob.arrayBuffer()),
+      date: new Date(asset.createdAt)
+    })));
+
+    files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+    return new Blob([ZipUtils.createZip(files)], { type: 'application/zip' });
+  }
+
+  static buildManifest(assets) {
+    const usedNames = new Set();
+    return {
+      generator: 'frontable',
+      exportedAt: new Date().toISOString(),
+      assets: assets.map(asset => {
+        let file = `assets/${asset.name}`;
+        for (let copy = 2; usedNames.has(file); copy++) {
+          file = `assets/${asset.name.replace(/(\.[^.]+)?$/, `-${copy}$1`)}`;
+        }
+        usedNames.add(file);
+
+        return {
+          id: asset.id,
+          file,
+          type: asset.type,
+          size: asset.size,
+          source: asset.source,
+          prompt: asset.prompt,
+          description: asset.description,
+          appliedTo: asset.appliedTo,
+          createdAt: new Date(asset.createdAt).toISOString()
+        };
+      })
+    };
+  }
+
+  /**
+   * "Logo azul da empresa" → logo-azul-da-empresa.png
+   */
+  static fileName({ type, prompt, description, createdAt }) {
+    const slug = String(description || prompt || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40)
+      .replace(/-+$/, '');
+    return `${slug || `imagem-${createdAt}`}.${EXTENSIONS[type] || 'png'}`;
+  }
+}
+
+export default AssetLibrary;
@@ -0,0 +1,87 @@
+import AssetLibrary from './AssetLibrary';
+
+describe('AssetLibrary', () => {
+  const asset = (overrides) => ({
+    id: 'asset-1',
+    name: 'logo.png',
+    type: 'image/png',
+    size: 3,
+    blob: new Blob([new Uint8Array([1, 2, 3])], { type: 'image/png' }),
+    source: 'generated',
+    prompt: 'minimal blue logo',
+    description: 'Logo',
+    appliedTo: ['#logo'],
+    createdAt: Date.UTC(2024, 0, 2),
+    ...overrides
+  });
+
+  test('should name files after the description or prompt', () => {
+    expect(AssetLibrary.fileName({ type: 'image/jpeg', description: 'Fundo do Herói: pôr do sol!' })).toBe('fundo-do-heroi-por-do-sol.jpg');
+    expect(AssetLibrary.fileName({ type: 'image/svg+xml', prompt: 'mountain landscape' })).toBe('mountain-landscape.svg');
+    expect(AssetLibrary.fileName({ type: 'image/x-unknown', createdAt: 42 })).toBe('imagem-42.png');
+  });
+
+  test('should describe every asset in the manifest with unique file names', () => {
+    const manifest = AssetLibrary.buildManifest([asset(), asset({ id: 'asset-2', source: 'upload', prompt: null, appliedTo: [] })]);
+
+    expect(manifest.assets).toEqual([
+      {
+        id: 'asset-1',
+        file: 'assets/logo.png',
+        type: 'image/png',
+        size: 3,
+        source: 'generated',
+        prompt: 'minimal blue logo',
+        description: 'Logo',
+        appliedTo: ['#logo'],
+        createdAt: '2024-01-02T00:00:00.000Z'
+      },
+      expect.objectContaining({ id: 'asset-2', file: 'assets/logo-2.png', source: 'upload', prompt: null })
+    ]);
+  });
+
+  test('should zip the manifest and the image blobs', async () => {
+    const zip = await AssetLibrary.toZip([asset()]);
+    const text = new TextDecoder('latin1').decode(new Uint8Array(await zip.arrayBuffer()));
+
+    expect(zip.type).toBe('application/zip');
+    expect(text).toContain('manifest.json');
+    expect(text).toContain('"file": "assets/logo.png"');
+    expect(text).toContain('assets/logo.png\u0001\u0002\u0003');
+  });
+
+  test('should point replayed changes at new object URLs of their assets', async () => {
+    const createObjectURL = jest.fn(() => 'blob:http://localhost/new');
+    const library = new AssetLibrary({ indexedDB: null, createObjectURL });
+    library.get = jest.fn(async (id) => (id === 'asset-1' ? asset() : null));
+
+    const old = 'blob:http://localhost/old';
+    const entries = [{
+      id: 1,
+      changes: [
+        { type: 'style', assetId: 'asset-1', imageUrl: old, styles: { backgroundImage: `url(${old})`, backgroundSize: 'cover' } },
+        { type: 'rule', assetId: 'asset-1', imageUrl: old, rule: { id: 'rule-1', declarations: { 'background-image': `url(${old})` } } },
+        { type: 'insert', assetId: 'asset-1', imageUrl: old, html: `<img src="${old}" alt="Logo">` },
+        { type: 'insert', assetId: 'asset-removed', imageUrl: old, html: `<img src="${old}">` },
+        { type: 'style', imageUrl: 'https://img/generated.png', styles: { backgroundImage: 'url(https://img/generated.png)' } }
+      ]
+    }];
+
+    const [{ changes }] = await library.resolveEntries(entries);
+
+    expect(changes[0].styles).toEqual({ backgroundImage: 'url(blob:http://localhost/new)', backgroundSize: 'cover' });
+    expect(changes[1].rule.declarations['background-image']).toBe('url(blob:http://localhost/new)');
+    expect(changes[2].html).toBe('<img src="blob:http://localhost/new" alt="Logo">');
+    expect(changes[2].imageUrl).toBe('blob:http://localhost/new');
+    expect(changes[3].html).toBe(`<img src="${old}">`);
+    expect(changes[4].styles.backgroundImage).toBe('url(https://img/generated.png)');
+    expect(createObjectURL).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report a missing IndexedDB', async () => {
+    const library = new AssetLibrary({ indexedDB: null });
+
+    expect(library.isAvailable()).toBe(false);
+    await expect(library.list()).rejects.toThrow('IndexedDB indisponível');
+  });
+});
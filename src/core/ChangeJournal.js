@@ -0,0 +1,353 @@
+/**
+ * ChangeJournal - Session-wide history of every change made to the page
+ *
+ * Each entry groups one or more changes (styles on several elements, an
+ * inserted image, replaced HTML...) so a single undo/redo reverts or
+ * re-applies the whole user command. Change types are resolved through
+ * handlers, which lets new kinds of changes plug into the same history.
+ */
+class ChangeJournal {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 50;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openGroup = null;
+    this.listeners = new Set();
+    this.handlers = new Map();
+    this.nextId = 1;
+    // Bumped whenever the page changes through the journal, including inside open groups
+    this.revision = 0;
+
+    this.registerDefaultHandlers();
+  }
+
+  /**
+   * Registers how a change type is reverted and re-applied.
+   * @param {string} type - Change type (e.g. 'style', 'insert')
+   * @param {Object} handler - { revert(change, journal), reapply(change, journal) }
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  registerDefaultHandlers() {
+    this.registerHandler('style', {
+      revert: (change) => {
+        const element = this.resolveElement(change);
+        if (!element) return false;
+        Object.keys(change.styles || {}).forEach(prop => {
+          element.style[prop] = change.previousInline?.[prop] || '';
+        });
+        return true;
+      },
+      reapply: (change) => {
+        const element = this.resolveElement(change);
+        if (!element) return false;
+        Object.entries(change.styles || {}).forEach(([prop, value]) => {
+          element.style[prop] = value;
+        });
+        return true;
+      }
+    });
+
+    this.registerHandler('insert', {
+      revert: (change) => {
+        const nodes = change.refs?.nodes || [];
+        nodes.forEach(node => node.remove());
+        return nodes.length > 0;
+      },
+      reapply: (change) => {
+        const parent = this.resolveParent(change);
+        if (!parent) return false;
+
+        if (!change.refs?.nodes || change.refs.nodes.length === 0) {
+          change.refs = { ...change.refs, nodes: this.createNodes(change.html) };
+        }
+
+        const nextSibling = change.refs.nextSibling && change.refs.nextSibling.parentNode === parent
+          ? change.refs.nextSibling
+          : null;
+        change.refs.nodes.forEach(node => parent.insertBefore(node, nextSibling));
+        return true;
+      }
+    });
+
+    this.registerHandler('replace', {
+      revert: (change) => {
+        const current = change.refs?.node || this.resolveElement(change);
+        if (!current || !current.parentNode) return false;
+        const previous = change.refs?.previousNode || this.createNodes(change.previousHtml)[0];
+        if (!previous) return false;
+        current.replaceWith(previous);
+        change.refs = { ...change.refs, node: current, previousNode: previous };
+        return true;
+      },
+      reapply: (change) => {
+        const previous = change.refs?.previousNode || this.resolveElement(change);
+        if (!previous || !previous.parentNode) return false;
+        const next = change.refs?.node || this.createNodes(change.html)[0];
+        if (!next) return false;
+        previous.replaceWith(next);
+        change.refs = { ...change.refs, node: next, previousNode: previous };
+        return true;
+      }
+    });
+  }
+
+  /**
+   * Opens a group: every change recorded until commit() becomes one entry.
+   * Groups can be nested; only the outermost commit closes the entry.
+   */
+  begin(label) {
+    if (this.openGroup) {
+      this.openGroup.depth++;
+      this.openGroup.starts.push(this.openGroup.entry.changes.length);
+      return;
+    }
+    // starts: where each nested level's changes begin, for rollback()
+    this.openGroup = { depth: 1, starts: [0], entry: this.createEntry(label, []) };
+  }
+
+  commit() {
+    if (!this.openGroup) return null;
+
+    this.openGroup.depth--;
+    this.openGroup.starts.pop();
+    if (this.openGroup.depth > 0) return null;
+
+    const { entry } = this.openGroup;
+    this.openGroup = null;
+
+    if (entry.changes.length === 0) return null;
+    this.push(entry);
+    return entry;
+  }
+
+  /**
+   * Closes the innermost group instead of committing it: the changes recorded
+   * since its begin() are reverted and dropped, so a failed operation leaves
+   * nothing to undo or redo. Changes of the enclosing levels are kept.
+   * @returns {number} Number of changes that could not be reverted
+   */
+  rollback() {
+    if (!this.openGroup) return 0;
+
+    const { entry, starts } = this.openGroup;
+    const changes = entry.changes.splice(starts.pop());
+    this.openGroup.depth--;
+    if (this.openGroup.depth === 0) {
+      this.openGroup = null;
+    }
+
+    return this.runChanges({ changes }, 'revert');
+  }
+
+  /**
+   * Records a change that has already been applied to the page.
+   * @param {Object} change - Change data; live DOM references go in change.refs
+   */
+  record(change) {
+    const stamped = { timestamp: Date.now(), ...change };
+    this.revision++;
+
+    if (this.openGroup) {
+      this.openGroup.entry.changes.push(stamped);
+      return stamped;
+    }
+
+    this.push(this.createEntry(change.description, [stamped]));
+    return stamped;
+  }
+
+  createEntry(label, changes) {
+    return {
+      id: this.nextId++,
+      label: label || 'Alteração',
+      timestamp: Date.now(),
+      changes
+    };
+  }
+
+  push(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.maxSize) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify('record', entry);
+  }
+
+  undo() {
+    if (this.undoStack.length === 0) {
+      return { success: false, message: 'Nenhuma mudança para desfazer' };
+    }
+
+    const entry = this.undoStack.pop();
+    const failed = this.runChanges(entry, 'revert');
+    this.revision++;
+    this.redoStack.push(entry);
+    this.notify('undo', entry);
+
+    return {
+      success: failed < entry.changes.length,
+      message: failed === 0
+        ? `↩️ Mudança desfeita: ${entry.label}`
+        : `↩️ Mudança desfeita parcialmente: ${entry.label} (${failed} elemento(s) não encontrado(s))`,
+      undoneChange: entry
+    };
+  }
+
+  redo() {
+    if (this.redoStack.length === 0) {
+      return { success: false, message: 'Nenhuma mudança para refazer' };
+    }
+
+    const entry = this.redoStack.pop();
+    const failed = this.runChanges(entry, 'reapply');
+    this.revision++;
+    this.undoStack.push(entry);
+    this.notify('redo', entry);
+
+    return {
+      success: failed < entry.changes.length,
+      message: failed === 0
+        ? `↪️ Mudança refeita: ${entry.label}`
+        : `↪️ Mudança refeita parcialmente: ${entry.label} (${failed} elemento(s) não encontrado(s))`,
+      redoneChange: entry
+    };
+  }
+
+  /**
+   * Re-applies entries that are not part of this journal (e.g. a saved session).
+   * @returns {number} Number of changes that could not be re-applied
+   */
+  reapplyEntries(entries) {
+    return entries.reduce((failed, entry) => failed + this.runChanges(entry, 'reapply'), 0);
+  }
+
+  /**
+   * Reverts entries that are not part of this journal, newest first.
+   * @returns {number} Number of changes that could not be reverted
+   */
+  revertEntries(entries) {
+    return [...entries].reverse().reduce((failed, entry) => failed + this.runChanges(entry, 'revert'), 0);
+  }
+
+  /**
+   * Runs a handler direction over every change of an entry.
+   * Reverts walk the changes backwards so dependent changes unwind in order.
+   * @returns {number} Number of changes that could not be processed
+   */
+  runChanges(entry, direction) {
+    const changes = direction === 'revert' ? [...entry.changes].reverse() : entry.changes;
+    let failed = 0;
+
+    changes.forEach(change => {
+      const handler = this.handlers.get(change.type);
+      try {
+        if (!handler || handler[direction](change, this) === false) {
+          failed++;
+        }
+      } catch (error) {
+        console.warn(`Could not ${direction} ${change.type} change:`, error);
+        failed++;
+      }
+    });
+
+    return failed;
+  }
+
+  /**
+   * Finds the live element a change refers to, falling back to its selector.
+   */
+  resolveElement(change) {
+    const element = change.refs?.element;
+    if (element && element.isConnected) {
+      return element;
+    }
+
+    const selector = change.elementContext?.uniqueSelector || change.selector;
+    if (!selector) return null;
+
+    try {
+      const found = document.querySelector(selector);
+      if (found) {
+        change.refs = { ...change.refs, element: found };
+      }
+      return found;
+    } catch (error) {
+      console.warn('Invalid selector stored in change journal:', selector, error);
+      return null;
+    }
+  }
+
+  resolveParent(change) {
+    const parent = change.refs?.parent;
+    if (parent && parent.isConnected) {
+      return parent;
+    }
+    return this.resolveElement({ selector: change.parentSelector }) || null;
+  }
+
+  createNodes(html) {
+    if (!html) return [];
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return Array.from(template.content.childNodes);
+  }
+
+  /**
+   * Compare two readings to tell whether anything was applied in between;
+   * entry ids cannot, since grouped changes only become an entry on commit
+   */
+  getRevision() {
+    return this.revision;
+  }
+
+  getEntries() {
+    return [...this.undoStack];
+  }
+
+  /**
+   * Flattened list of the changes that are currently applied, oldest first.
+   */
+  getChanges() {
+    return this.undoStack.flatMap(entry => entry.changes);
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.openGroup = null;
+    this.notify('clear', null);
+  }
+
+  /**
+   * Subscribes to journal events ('record', 'undo', 'redo', 'clear').
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event, entry) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, entry, this);
+      } catch (error) {
+        console.error('Change journal listener error:', error);
+      }
+    });
+  }
+}
+
+export default ChangeJournal;
@@ -0,0 +1,145 @@
+import ChangeJournal from './ChangeJournal';
+
+describe('ChangeJournal', () => {
+  let journal;
+  let page;
+
+  beforeEach(() => {
+    page = { color: 'black' };
+    journal = new ChangeJournal({ maxSize: 3 });
+    journal.registerHandler('fake', {
+      revert: (change) => { page[change.prop] = change.from; },
+      reapply: (change) => { page[change.prop] = change.to; }
+    });
+  });
+
+  const apply = (prop, to, description = 'change') => {
+    const from = page[prop];
+    page[prop] = to;
+    return journal.record({ type: 'fake', prop, from, to, description });
+  };
+
+  test('should undo and redo several levels in order', () => {
+    apply('color', 'red');
+    apply('color', 'blue');
+
+    journal.undo();
+    expect(page.color).toBe('red');
+    journal.undo();
+    expect(page.color).toBe('black');
+
+    journal.redo();
+    expect(page.color).toBe('red');
+    journal.redo();
+    expect(page.color).toBe('blue');
+  });
+
+  test('should report when there is nothing to undo or redo', () => {
+    expect(journal.undo().success).toBe(false);
+    expect(journal.redo().success).toBe(false);
+  });
+
+  test('should clear the redo stack when a new change is recorded', () => {
+    apply('color', 'red');
+    journal.undo();
+    apply('color', 'green');
+
+    expect(journal.canRedo()).toBe(false);
+  });
+
+  test('should group changes recorded between begin and commit', () => {
+    journal.begin('two props');
+    apply('color', 'red');
+    apply('size', 10);
+    journal.commit();
+
+    expect(journal.getEntries()).toHaveLength(1);
+
+    journal.undo();
+    expect(page).toEqual({ color: 'black', size: undefined });
+  });
+
+  test('should only close the outermost group', () => {
+    journal.begin('outer');
+    journal.begin('inner');
+    apply('color', 'red');
+    journal.commit();
+    apply('color', 'blue');
+    journal.commit();
+
+    expect(journal.getEntries()).toHaveLength(1);
+    expect(journal.getChanges()).toHaveLength(2);
+  });
+
+  test('should roll back a failed group without touching undo or redo', () => {
+    apply('color', 'red');
+    journal.undo();
+    const listener = jest.fn();
+    journal.subscribe(listener);
+
+    journal.begin('partial');
+    apply('color', 'green');
+    apply('size', 10);
+    expect(journal.rollback()).toBe(0);
+
+    expect(page).toEqual({ color: 'black', size: undefined });
+    expect(journal.getEntries()).toEqual([]);
+    expect(journal.canRedo()).toBe(true);
+    expect(listener).not.toHaveBeenCalled();
+    expect(journal.commit()).toBeNull();
+  });
+
+  test('should only roll back the innermost group', () => {
+    journal.begin('plan');
+    apply('color', 'red');
+    journal.begin('failed step');
+    apply('color', 'blue');
+    journal.rollback();
+    expect(page.color).toBe('red');
+
+    apply('size', 10);
+    journal.commit();
+
+    expect(journal.getEntries()).toHaveLength(1);
+    expect(journal.getChanges().map(change => change.to)).toEqual(['red', 10]);
+  });
+
+  test('should move the revision on every change, even inside an open group', () => {
+    journal.begin('plan');
+    const before = journal.getRevision();
+    const lastEntry = journal.getEntries().pop();
+    apply('color', 'red');
+
+    expect(journal.getRevision()).not.toBe(before);
+    expect(journal.getEntries().pop()).toBe(lastEntry);
+    journal.commit();
+
+    const committed = journal.getRevision();
+    journal.undo();
+    expect(journal.getRevision()).not.toBe(committed);
+  });
+
+  test('should keep at most maxSize entries', () => {
+    ['a', 'b', 'c', 'd'].forEach(value => apply('color', value));
+
+    expect(journal.getEntries()).toHaveLength(3);
+  });
+
+  test('should count changes without handler as failures', () => {
+    journal.record({ type: 'unknown', description: 'mystery' });
+
+    expect(journal.undo().success).toBe(false);
+  });
+
+  test('should notify subscribers until they unsubscribe', () => {
+    const events = [];
+    const unsubscribe = journal.subscribe(event => events.push(event));
+
+    apply('color', 'red');
+    journal.undo();
+    unsubscribe();
+    journal.redo();
+
+    expect(events).toEqual(['record', 'undo']);
+  });
+});
@@ -1,23 +1,70 @@
 import ElementInspector from './ElementInspector';
 import ResponseApplier from './StyleApplier.js';
-import { Squad } from 'ajent';
 import UXAgent from '../agents/UXAgent.js';
+import CommandRouter from './CommandRouter';
+import LocalCommandEngine from './LocalCommandEngine';
+import PlanRunner from './PlanRunner';
+import DarkThemeGenerator from './DarkThemeGenerator';
+import { LLMProviderFactory } from '../providers/LLMProviderFactory';
+import SmartRetrySystem from '../utils/SmartRetrySystem';
+import ErrorRecoverySystem from '../utils/ErrorRecoverySystem';
+
+// Intents recognized by IntentionClassifier that map to structural edits
+const STRUCTURAL_INTENT_HINTS = {
+  delete: 'Use editStructure with operation "remove" (or "unwrap" to keep the children).',
+  replace: 'If the element itself must change, use editText for its text or editStructure (duplicate, wrap, move) for its structure.',
+  create: 'To add a copy of an existing element use editStructure "duplicate"; use "wrap" to group elements in a new container.'
+};
 
 class CommandProcessor {
 
-  constructor(apiToken = null, chatInterface = null) {
+  /**
+   * @param {Object|string|false} llm - Provider config ({ provider, endpoint, model, apiKey, stream, timeout... }),
+   *   an API token for the default provider, a provider instance, or false to run offline
+   */
+  constructor(llm = {}, chatInterface = null, options = {}) {
     this.inspector = new ElementInspector();
-    this.applier = new ResponseApplier();
+    this.applier = new ResponseApplier(options.changeJournal, {
+      mode: options.styleMode,
+      stylesheet: options.stylesheet
+    });
+    this.changeJournal = this.applier.journal;
     this.chatInterface = chatInterface;
-    this.squad = null;
+    this.designTokens = options.designTokens || null;
+    this.customProperties = options.customProperties || null;
+    this.router = new CommandRouter({ inspector: this.inspector, enabled: options.intentionRecognition?.enabled });
+    this.localEngine = new LocalCommandEngine();
+    this.planRunner = new PlanRunner((task, plan) => this.executePlanTask(task, plan), { journal: this.changeJournal });
+    // Runs the dark_theme_conversion plan locally; { strategy: 'toggle' | 'media' }
+    this.darkTheme = new DarkThemeGenerator({
+      ...options.darkTheme,
+      journal: this.changeJournal,
+      getSelector: (element) => this.applier.getElementSelector(element)
+    });
+    // Transient failures retry with backoff; the rest become friendly chat messages
+    this.retrySystem = new SmartRetrySystem();
+    this.errorRecovery = new ErrorRecoverySystem();
+    this.provider = null;
     this.hasAI = false;
 
-    if(!apiToken){
-      console.warn('No API token provided. AI features will be disabled.');
+    // Also built without AI: the offline engine applies its styles through the agent's tools
+    this.agent = new UXAgent(this.applier, {
+      tailwindTranslator: options.tailwindTranslator,
+      designTokens: this.designTokens,
+      customProperties: this.customProperties,
+      accessibility: options.accessibility,
+      images: options.images,
+      retrySystem: this.retrySystem,
+      errorRecovery: this.errorRecovery
+    });
+
+    this.provider = LLMProviderFactory.create(typeof llm === 'string' ? { apiKey: llm } : llm);
+    if (!this.provider) {
+      console.warn('No LLM provider configured (the Squad provider needs llm.apiKey). AI features will be disabled.');
       return;
     }
     
-    const agents = [new UXAgent()];
+    const agents = [this.agent];
       
     // Pass chat interface reference to agents for progress feedback
     agents.forEach(agent => {
@@ -26,20 +73,20 @@ class CommandProcessor {
       }
     });
     
-    this.squad = new Squad({
-      agents,
-      apiToken: apiToken,
-      model: 'gpt-5-mini',
-      apiUrl: 'http://localhost:5000'
-    });
-    //apiUrl: 'http://localhost:5000'
+    this.provider.setAgents(agents);
     this.hasAI = true;
   }
   
   async process(message, context = {}) {
-    const { elements, visualContext } = context; 
+    const { elements, visualContext, viewport, forcedStates } = context; 
     
     const isIDEPromptRequest = message.toLowerCase().includes('#ide');
+
+    // Multi-step commands run as a task plan, on the selection or on the whole page
+    const planCommand = !isIDEPromptRequest && PlanRunner.getPlanCommand(message);
+    if (planCommand) {
+      return await this.processPlan(planCommand, elements && elements.length > 0 ? elements : [document.body]);
+    }
     
     // Check if there are elements selected first, before calling LLM (except for Claude Code instructions)
     if (!isIDEPromptRequest && (!elements || elements.length === 0)) {
@@ -49,23 +96,43 @@ class CommandProcessor {
         noElementsSelected: true
       };
     }
+
+    // Ambiguous commands and questions about the current styles don't need the LLM
+    let intention = null;
+    if (!isIDEPromptRequest) {
+      const route = this.router.route(message, elements);
+      intention = route.intention || null;
+      if (route.type === 'clarify') {
+        return {
+          message: route.question,
+          success: true,
+          clarification: { question: route.question, options: route.options }
+        };
+      }
+      if (route.type === 'answer') {
+        return { message: route.message, success: true, answeredLocally: true };
+      }
+    }
     
+    const revisionBefore = this.changeJournal.getRevision();
     try {
       // Convert elements to selectors to avoid serialization issues
       const elementSelectors = elements.map(element => {
-        return this.generateElementSelector(element);
+        return this.applier.getElementSelector(element);
       }).filter(Boolean);
       
+      if (!this.isAIAvailable()) {
+        return await this.createLocalFallbackResponse(message, elements || []);
+      }
+
       // Create a context-rich prompt for the LLM that includes element information and selectors
-      let contextPrompt = this.generateContextPrompt(message, isIDEPromptRequest, elements, elementSelectors, visualContext);
+      let contextPrompt = this.generateContextPrompt(message, isIDEPromptRequest, elements, elementSelectors, visualContext, { viewport, forcedStates, intention });
 
       console.log('Sending final prompt to LLM:', contextPrompt);
 
       // Set the element selectors in a way the agent can access them
-      if (this.squad && this.squad.agents && this.squad.agents[0]) {
-        this.squad.agents[0].currentElementSelectors = elementSelectors;
-        this.squad.agents[0].currentSelectedElements = elements; // Keep as backup
-      }
+      this.agent.currentElementSelectors = elementSelectors;
+      this.agent.currentSelectedElements = elements; // Keep as backup
 
       this.chatInterface && this.chatInterface.addMessage({
         type: 'agent',
@@ -74,7 +141,7 @@ class CommandProcessor {
  
       this.chatInterface.showTyping();
 
-      // Use the LLM squad to process the intelligent decision
+      // Use the LLM provider to process the intelligent decision
       const response = await this.callLLM(contextPrompt, visualContext);
 
       this.chatInterface.hideTyping();
@@ -82,10 +149,8 @@ class CommandProcessor {
       console.log('LLM response:', response);
 
       // Clean up
-      if (this.squad && this.squad.agents && this.squad.agents[0]) {
-        delete this.squad.agents[0].currentElementSelectors;
-        delete this.squad.agents[0].currentSelectedElements;
-      }
+      delete this.agent.currentElementSelectors;
+      delete this.agent.currentSelectedElements;
 
       // The response can be a string (from final_answer) or an object with properties
       const messageContent = typeof response === 'string' ? response : (response.message || 'Comando processado com sucesso!');
@@ -103,19 +168,106 @@ class CommandProcessor {
 
     } catch (error) {
       console.error('Intelligent decision processing failed:', error);
-      // Fallback to local processing
-      const firstElement = elements && elements.length > 0 ? elements[0] : null;
-      return await this.createLocalFallbackResponse(message, firstElement);
+      this.chatInterface && this.chatInterface.hideTyping();
+      // Changes already applied by the agent stay (undoable); replaying the command locally would apply it twice
+      if (this.changeJournal.getRevision() !== revisionBefore) {
+        return {
+          message: error.userMessage || '⚠️ O comando foi interrompido depois de aplicar parte das mudanças. Diga "desfazer" para revertê-las.',
+          success: false,
+          canUndo: true
+        };
+      }
+      // Fallback to local processing; when it can't handle the command either, explain the failure
+      const fallback = await this.createLocalFallbackResponse(message, elements || []);
+      if (fallback.success === false && error.userMessage) {
+        return { message: error.userMessage, success: false };
+      }
+      return fallback;
     }
     
   }
 
+  /**
+   * Runs a multi-step command as an EnhancedTaskPlanner plan, one LLM call per task.
+   * Progress and the pause/cancel/retry controls go to the chat through ajentTaskPlanUpdate.
+   */
+  async processPlan(command, elements) {
+    const localPlan = this.planRunner.planner.analyzeCommandType(command) === 'dark_theme_conversion';
+    if (!localPlan && !this.isAIAvailable()) {
+      return {
+        message: '🔌 Modo offline: comandos com várias etapas precisam de um provedor de LLM configurado.',
+        success: false
+      };
+    }
+
+    const elementSelectors = elements.map(element => this.applier.getElementSelector(element) || 'body');
+    const plan = await this.planRunner.run(command, { elementSelectors });
+
+    if (plan.type === 'dark_theme_conversion' && this.darkTheme.hasTheme() && this.chatInterface) {
+      this.chatInterface.addActionMessage({
+        content: [
+          ...plan.subtasks.filter(task => typeof task.result === 'string').map(task => task.result),
+          '🌙 O tema escuro fica em uma camada própria: use ↩️ Desfazer para removê-lo ou exporte o CSS.'
+        ].join('\n'),
+        actions: [
+          { label: '🌓 Alternar claro/escuro', onClick: () => this.darkTheme.toggle() },
+          { label: '⬇️ Exportar CSS do tema', onClick: () => this.darkTheme.download() }
+        ]
+      });
+    }
+
+    return {
+      message: PlanRunner.summarize(plan),
+      success: plan.status === 'completed',
+      canUndo: plan.completedTasks > 0
+    };
+  }
+
+  /**
+   * Executes one task of a plan; throws so the planner records the failure
+   */
+  async executePlanTask(task, plan) {
+    if (plan.type === 'dark_theme_conversion') {
+      const roots = (plan.context.elementSelectors || ['body']).map(selector => document.querySelector(selector)).filter(Boolean);
+      return this.darkTheme.runTask(task.id, roots.length > 0 ? roots : [document.body]);
+    }
+    if (!this.isAIAvailable()) {
+      throw new Error('LLM indisponível');
+    }
+
+    const elementSelectors = plan.context.elementSelectors || ['body'];
+    const elements = elementSelectors.map(selector => document.querySelector(selector)).filter(Boolean);
+    const done = plan.subtasks.filter(subtask => subtask.status === 'completed').map(subtask => subtask.name);
+    const stepMessage = `${plan.command}\n\n` +
+      `Este comando está sendo executado em etapas (${plan.name}). ` +
+      `Execute SOMENTE a etapa ${task.index + 1}/${plan.totalTasks}: "${task.name}".` +
+      (done.length > 0 ? ` Etapas já concluídas: ${done.join('; ')}.` : '') +
+      ' Se a etapa for apenas de análise, responda com o resultado sem aplicar mudanças.';
+
+    this.agent.currentElementSelectors = elementSelectors;
+    this.agent.currentSelectedElements = elements;
+    try {
+      this.chatInterface && this.chatInterface.showTyping();
+      const response = await this.callLLM(this.generateContextPrompt(stepMessage, false, elements, elementSelectors, null));
+      const text = typeof response === 'string' ? response : (response.message || '');
+      if (response.success === false || text.startsWith('❌')) {
+        throw new Error(text || 'a etapa não foi concluída');
+      }
+      return text;
+    } finally {
+      this.chatInterface && this.chatInterface.hideTyping();
+      delete this.agent.currentElementSelectors;
+      delete this.agent.currentSelectedElements;
+    }
+  }
+
   async processIntelligentDecision(message, elements, visualContext = null) {
     // Special case: Claude Code instructions don't require selected elements
     
   }
 
-  generateContextPrompt(message, isClaudeCodeRequest, elements, elementSelectors, visualContext) {
+  generateContextPrompt(message, isClaudeCodeRequest, elements, elementSelectors, visualContext, editingContext = {}) {
+    const { viewport, forcedStates = [], intention } = editingContext;
     let contextPrompt = `User command: "${message}"\n\n`;
 
     if (isClaudeCodeRequest) {
@@ -139,93 +291,119 @@ class CommandProcessor {
       contextPrompt += `Screenshot Metadata: ${JSON.stringify(visualContext.metadata, null, 2)}\n\n`;
       contextPrompt += 'Please analyze both the DOM data and the visual screenshot to provide the best suggestions.\n';
     }
+
+    // The user is previewing a breakpoint: visual changes are meant for that screen size
+    if (viewport) {
+      contextPrompt += `\nViewport simulator active: ${viewport.name} (${viewport.width}px, media ${viewport.media}).\n`;
+      contextPrompt += `Unless the user says otherwise, scope style changes with breakpoint "${viewport.name}".\n`;
+    }
+
+    // The selected element is pinned into a state: the user is editing that state
+    if (forcedStates.length > 0) {
+      contextPrompt += `\nSelected element forced into state: ${forcedStates.join(', ')}.\n`;
+      contextPrompt += `Unless the user says otherwise, apply style changes with state "${forcedStates[0]}".\n`;
+    }
+
+    // Structural intents are carried out by editStructure, not by styles
+    const structuralHint = STRUCTURAL_INTENT_HINTS[intention];
+    if (!isClaudeCodeRequest && structuralHint) {
+      contextPrompt += `\nDetected intention: ${intention}. ${structuralHint}\n`;
+    }
+
+    if (!isClaudeCodeRequest && this.designTokens?.built) {
+      contextPrompt += this.designTokens.toPrompt();
+    }
+
+    if (!isClaudeCodeRequest && this.customProperties) {
+      contextPrompt += this.customProperties.toPrompt(this.customProperties.discover());
+    }
     return contextPrompt;
   }
 
   undo() {
     return this.applier.undo();
   }
+
+  redo() {
+    return this.applier.redo();
+  }
   
   getHistory() {
     return this.applier.getHistory();
   }
   
+  /**
+   * Sends the prompt, retrying network failures (SmartRetrySystem 'llm' operation).
+   * A retry would run the agent's tools again, so it only happens while the page is unchanged.
+   * @throws {Error} - With userMessage: the friendly explanation shown in the chat
+   */
   async callLLM(prompt, visualContext = null) {
-    try {
-      // If visual context is provided, send message with image
-      if (visualContext && visualContext.image) {
-        console.log('Sending message with visual context to LLM');
-        const response = await this.squad.send(prompt, {
-          images: [visualContext.image]
-        });
-        return response;
-      } else {
-        const response = await this.squad.send(prompt);
-        return response;
-      }
-    } catch (error) {
-      console.error('AI Agent error:', error);
-      throw new Error(`AI processing failed: ${error.message}`);
-    }
-  }
+    const options = {
+      // Streamed text shows up in the typing indicator until the answer is complete
+      onToken: (token, text) => this.chatInterface && this.chatInterface.updateTyping(text)
+    };
 
-  
+    // If visual context is provided, send message with image
+    if (visualContext && visualContext.image) {
+      console.log('Sending message with visual context to LLM');
+      options.images = [visualContext.image];
+    }
 
+    const revisionBefore = this.changeJournal.getRevision();
+    const outcome = await this.retrySystem.executeWithRetry(() => this.provider.send(prompt, options), 'llm', {
+      operation: 'llm',
+      // A call whose tools already changed the page is not sent again
+      retryCondition: () => this.changeJournal.getRevision() === revisionBefore
+    });
+    if (outcome.success) {
+      return outcome.result;
+    }
 
-  // Verifica se AI está disponível
-  isAIAvailable() {
-    return this.hasAI && this.squad !== null;
+    console.error('AI Agent error:', outcome.error);
+    const error = new Error(`AI processing failed: ${outcome.error.message}`);
+    error.userMessage = this.errorRecovery.toChatMessage(this.errorRecovery.describeError(outcome.error, { operation: 'llm' }));
+    throw error;
   }
 
   /**
-   * Generate a specific CSS selector path for an element
-   * @param {Element} element - The DOM element
-   * @returns {string} - CSS selector path
+   * Applies the command with the rule-based engine, without the LLM
+   * @param {string} message - User command
+   * @param {Array} elements - Selected elements
    */
-  generateElementSelector(element) {
-    // Create a unique CSS selector path for the element
-    if (element.id) return `#${element.id}`;
-    
-    // Build a complete CSS path
-    const path = [];
-    let current = element;
-    
-    while (current && current !== document.body && current !== document.documentElement) {
-      let selector = current.tagName.toLowerCase();
-      
-      // Add class if available
-      if (current.className && typeof current.className === 'string') {
-        const classes = current.className.trim().split(/\s+/).filter(cls => cls);
-        if (classes.length > 0) {
-          // Use first 2 classes to keep selector manageable
-          selector += '.' + classes.slice(0, 2).join('.');
-        }
-      }
-      
-      // Add nth-of-type if no unique identifier
-      if (!current.id && (!current.className || !current.className.trim())) {
-        const siblings = Array.from(current.parentNode?.children || []);
-        const sameTagSiblings = siblings.filter(sibling => 
-          sibling.tagName.toLowerCase() === current.tagName.toLowerCase()
-        );
-        
-        if (sameTagSiblings.length > 1) {
-          const index = sameTagSiblings.indexOf(current) + 1;
-          selector += `:nth-of-type(${index})`;
-        }
-      }
-      
-      path.unshift(selector);
-      current = current.parentNode;
-      
-      // Stop if we have a unique identifier
-      if (current && current.id) {
-        path.unshift(`#${current.id}`);
-        break;
+  async createLocalFallbackResponse(message, elements = []) {
+    const elementSelectors = elements.map(element => this.applier.getElementSelector(element)).filter(Boolean);
+    const currentStyles = elements.length > 0 ? this.inspector.getElementInfo(elements[0]).computedStyles : {};
+    const { calls, unrecognized } = this.localEngine.parse(message, { elementSelectors, currentStyles });
+
+    if (calls.length === 0) {
+      return {
+        message: '🔌 Modo offline: não entendi esse comando. Tente, por exemplo: "cor azul", "aumente a fonte em 2px", "centralize", "arredonde mais" ou "remova a sombra".',
+        success: false
+      };
+    }
+
+    this.agent.currentElementSelectors = elementSelectors;
+    const results = [];
+    try {
+      for (const call of calls) {
+        results.push(await this.agent.applyStylesTool(call.params));
       }
+    } finally {
+      delete this.agent.currentElementSelectors;
     }
-    
-    return path.join(' > ');
+
+    const success = results.every(result => String(result).startsWith('✅'));
+    const skipped = unrecognized.length > 0 ? [`⚠️ Não entendi: ${unrecognized.map(clause => `"${clause}"`).join(', ')}`] : [];
+    return {
+      message: ['🔌 Modo offline', ...results, ...skipped].join('\n\n'),
+      success,
+      canUndo: success
+    };
+  }
+
+  // Verifica se AI está disponível
+  isAIAvailable() {
+    return this.hasAI && this.provider !== null;
   }
 }
 
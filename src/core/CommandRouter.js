@@ -0,0 +1,176 @@
+import IntentionClassifier from '../utils/IntentionClassifier';
+import { AgentConfig } from '../config/AgentConfig.js';
+
+// Quick replies offered when a command is ambiguous: chip label and the hint appended to the command
+const INTENTION_REPLIES = {
+  modify: { label: '✏️ Modificar o existente', hint: 'modificar o elemento existente' },
+  replace: { label: '🔁 Substituir o elemento', hint: 'substituir o elemento inteiro' },
+  create: { label: '➕ Criar novo elemento', hint: 'criar um novo elemento' },
+  addBehavior: { label: '🖱️ Adicionar comportamento', hint: 'adicionar comportamento' },
+  createInteractive: { label: '⚙️ Criar interativo', hint: 'criar um elemento interativo' },
+  generateImage: { label: '🖼️ Gerar imagem', hint: 'gerar uma imagem' },
+  information: { label: 'ℹ️ Só quero informação', hint: 'apenas informação' },
+  delete: { label: '🗑️ Remover', hint: 'remover o elemento' }
+};
+
+// Element properties answered locally, keyed by the words that ask for them
+const INFORMATION_TOPICS = [
+  { pattern: /\b(cor|cores|color|colors)\b/, properties: ['color', 'backgroundColor'] },
+  { pattern: /\b(fundo|background)\b/, properties: ['backgroundColor', 'backgroundImage'] },
+  { pattern: /\b(fonte|font|tipografia|typography)\b/, properties: ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight'] },
+  { pattern: /\b(tamanho|size|dimensões|dimensoes|dimensions|largura|width|altura|height)\b/, properties: ['width', 'height', 'fontSize'] },
+  { pattern: /(espaçamento|espacamento|spacing|\bpadding\b|\bmargem\b|\bmargin\b)/, properties: ['padding', 'margin'] },
+  { pattern: /\b(borda|border|raio|radius|arredondamento)\b/, properties: ['border', 'borderRadius'] },
+  { pattern: /\b(sombra|shadow)\b/, properties: ['boxShadow'] },
+  { pattern: /\b(opacidade|opacity|transparência|transparencia)\b/, properties: ['opacity'] },
+  { pattern: /\b(estilo|estilos|style|styles|propriedades|properties|css)\b/, properties: null }
+];
+
+const PROPERTY_LABELS = {
+  color: 'Cor do texto',
+  backgroundColor: 'Cor de fundo',
+  backgroundImage: 'Imagem de fundo',
+  fontFamily: 'Fonte',
+  fontSize: 'Tamanho da fonte',
+  fontWeight: 'Peso da fonte',
+  lineHeight: 'Altura da linha',
+  textAlign: 'Alinhamento',
+  width: 'Largura',
+  height: 'Altura',
+  padding: 'Padding',
+  margin: 'Margem',
+  display: 'Display',
+  position: 'Posição',
+  border: 'Borda',
+  borderRadius: 'Arredondamento',
+  boxShadow: 'Sombra',
+  opacity: 'Opacidade'
+};
+
+/**
+ * CommandRouter - Classifies a chat command before it reaches the LLM.
+ *
+ * Ambiguous commands get a clarification question with quick replies, questions
+ * about the selected elements' current styles are answered from ElementInspector
+ * data, and everything else goes on to the agent.
+ */
+class CommandRouter {
+  /**
+   * @param {Object} options - { classifier, inspector, enabled }
+   */
+  constructor(options = {}) {
+    this.classifier = options.classifier || new IntentionClassifier();
+    this.inspector = options.inspector || null;
+    this.enabled = options.enabled ?? AgentConfig.intentionRecognition.enabled;
+    // Quick replies of the last clarification, so a chosen reply is not asked about again
+    this.pendingReplies = [];
+  }
+
+  /**
+   * @returns {Object} - { type: 'llm', intention } | { type: 'clarify', question, options: [{ label, command }] } | { type: 'answer', message }
+   */
+  route(message, elements = []) {
+    const pending = this.pendingReplies.find(reply => reply.command === message);
+    this.pendingReplies = [];
+
+    if (pending) {
+      this.classifier.addToHistory(message, pending.intention, 1);
+      return { type: 'llm', intention: pending.intention };
+    }
+
+    if (!this.enabled) {
+      return { type: 'llm', intention: null };
+    }
+
+    const classification = this.classifier.classifyIntention(message, elements);
+
+    if (classification.intention === 'information' && this.inspector) {
+      const answer = this.answerInformation(message, elements.map(element => this.inspector.getElementInfo(element)));
+      if (answer) {
+        this.classifier.addToHistory(message, 'information', classification.confidence);
+        return { type: 'answer', message: answer };
+      }
+    }
+
+    if (classification.ambiguous) {
+      const clarification = this.createClarification(message, classification);
+      if (clarification) {
+        return clarification;
+      }
+    }
+
+    this.classifier.addToHistory(message, classification.intention, classification.confidence);
+    return { type: 'llm', intention: classification.intention };
+  }
+
+  createClarification(message, classification) {
+    const prompt = this.classifier.generateConfirmationPrompt(classification, message);
+    const intentions = Array.from(new Set(prompt?.options || [])).filter(intention => INTENTION_REPLIES[intention]);
+
+    // A yes/no confirmation of a single intention has nothing to choose between
+    if (intentions.length < 2) {
+      return null;
+    }
+
+    const command = message.trim().replace(/[.!?]+$/, '');
+    const options = intentions.map(intention => ({
+      intention,
+      label: INTENTION_REPLIES[intention].label,
+      command: `${command} (${INTENTION_REPLIES[intention].hint})`
+    }));
+    this.pendingReplies = options;
+
+    return {
+      type: 'clarify',
+      question: prompt.message,
+      options: options.map(({ label, command: reply }) => ({ label, command: reply }))
+    };
+  }
+
+  /**
+   * Answers a question about the current styles of the selected elements
+   * @param {string} question - "qual a cor deste botão?"
+   * @param {Array} elementInfos - ElementInspector.getElementInfo() of each element
+   * @returns {string|null} - null when the question is not about known properties
+   */
+  answerInformation(question, elementInfos) {
+    const normalized = question.toLowerCase();
+    const topics = INFORMATION_TOPICS.filter(topic => topic.pattern.test(normalized));
+    if (topics.length === 0 || elementInfos.length === 0) {
+      return null;
+    }
+
+    // "estilos" lists every inspected property
+    const properties = topics.some(topic => topic.properties === null)
+      ? Object.keys(PROPERTY_LABELS)
+      : Array.from(new Set(topics.flatMap(topic => topic.properties)));
+
+    const sections = elementInfos.map(info => {
+      const lines = properties
+        .map(property => [property, this.getPropertyValue(info, property)])
+        .filter(([, value]) => value !== null)
+        .map(([property, value]) => `• ${PROPERTY_LABELS[property]}: ${value}`);
+
+      return `🔎 ${CommandRouter.describeElement(info)}\n${lines.length > 0 ? lines.join('\n') : '• Sem valores definidos para essas propriedades'}`;
+    });
+
+    return sections.join('\n\n');
+  }
+
+  getPropertyValue(info, property) {
+    if (property === 'width' || property === 'height') {
+      const size = info.dimensions?.[property];
+      return typeof size === 'number' ? `${Math.round(size)}px` : (info.computedStyles?.[property] || null);
+    }
+    return info.computedStyles?.[property] || null;
+  }
+
+  static describeElement(info) {
+    const id = info.id ? `#${info.id}` : '';
+    const classes = info.classes?.length > 0 ? `.${info.classes.slice(0, 2).join('.')}` : '';
+    const text = info.textContent ? ` "${info.textContent.slice(0, 30)}${info.textContent.length > 30 ? '…' : ''}"` : '';
+    return `${info.tagName}${id}${classes}${text}`;
+  }
+}
+
+export default CommandRouter;
@@ -0,0 +1,65 @@
+import CommandRouter from './CommandRouter';
+
+describe('CommandRouter', () => {
+  const button = { tagName: 'BUTTON' };
+  const buttonInfo = {
+    tagName: 'button',
+    id: 'buy',
+    classes: ['btn', 'btn-primary'],
+    dimensions: { width: 120.4, height: 40, x: 0, y: 0 },
+    textContent: 'Comprar',
+    computedStyles: { color: 'rgb(255, 255, 255)', backgroundColor: 'rgb(37, 99, 235)', fontSize: '14px', borderRadius: '8px' }
+  };
+
+  let inspector;
+  let router;
+
+  beforeEach(() => {
+    inspector = { getElementInfo: jest.fn(() => buttonInfo) };
+    router = new CommandRouter({ inspector, enabled: true });
+  });
+
+  test('should answer questions about current styles from the inspector', () => {
+    const route = router.route('qual a cor deste botão?', [button]);
+
+    expect(route).toEqual({
+      type: 'answer',
+      message: '🔎 button#buy.btn.btn-primary "Comprar"\n• Cor do texto: rgb(255, 255, 255)\n• Cor de fundo: rgb(37, 99, 235)'
+    });
+    expect(inspector.getElementInfo).toHaveBeenCalledWith(button);
+  });
+
+  test('should report sizes from the element dimensions', () => {
+    expect(router.answerInformation('what size is it?', [buttonInfo]))
+      .toBe('🔎 button#buy.btn.btn-primary "Comprar"\n• Largura: 120px\n• Altura: 40px\n• Tamanho da fonte: 14px');
+    expect(router.answerInformation('o que você acha?', [buttonInfo])).toBeNull();
+  });
+
+  test('should ask which intention was meant for ambiguous commands', () => {
+    const route = router.route('mudar para um card', [button]);
+
+    expect(route.type).toBe('clarify');
+    expect(route.question).toBe('Você quer modificar a propriedade do elemento existente ou substituir o elemento inteiro?');
+    expect(route.options).toEqual([
+      { label: '✏️ Modificar o existente', command: 'mudar para um card (modificar o elemento existente)' },
+      { label: '🔁 Substituir o elemento', command: 'mudar para um card (substituir o elemento inteiro)' }
+    ]);
+
+    // The chosen quick reply goes to the LLM without asking again
+    expect(router.route('mudar para um card (substituir o elemento inteiro)', [button]))
+      .toEqual({ type: 'llm', intention: 'replace' });
+  });
+
+  test('should send clear commands and action questions to the LLM', () => {
+    expect(router.route('mude a cor para azul', [button])).toEqual({ type: 'llm', intention: 'modify' });
+    expect(router.route('mudar a cor para vermelho', [button])).toEqual({ type: 'llm', intention: 'modify' });
+    expect(router.route('como deixar o botão azul?', [button]).type).toBe('llm');
+    expect(inspector.getElementInfo).not.toHaveBeenCalled();
+  });
+
+  test('should skip classification when disabled', () => {
+    router = new CommandRouter({ inspector, enabled: false });
+
+    expect(router.route('mudar para um card', [button])).toEqual({ type: 'llm', intention: null });
+  });
+});
@@ -0,0 +1,316 @@
+const VAR_REFERENCE = /var\(\s*(--[\w-]+)/g;
+// Pseudo-elements and user-action states never match querySelectorAll as written
+const NON_MATCHING_PSEUDO = /::?(before|after|placeholder|selection|marker|first-line|first-letter|hover|focus|focus-visible|focus-within|active|visited)\b/g;
+
+/**
+ * CustomPropertyEditor - Finds the CSS custom properties (design tokens) declared
+ * on :root and on component scopes, which elements consume them, and changes
+ * their values for the whole page.
+ *
+ * Edits live in a `<style id="frontable-variables">` element, outside the
+ * frontable cascade layer and marked `!important`, so they win over the page's
+ * own declarations of the variable in the same scope. Each edit is recorded in
+ * the change journal as a 'variable' change.
+ */
+class CustomPropertyEditor {
+  constructor(journal, options = {}) {
+    this.journal = journal;
+    this.styleId = options.styleId || 'frontable-variables';
+    // scope selector -> Map(variable name -> value)
+    this.overrides = new Map();
+    this.styleElement = null;
+    // Last scan of the stylesheets: { sheets, root, ruleCounts, variables }
+    this.cache = null;
+
+    this.journal.registerHandler('variable', this.createJournalHandler());
+  }
+
+  /**
+   * Variables declared in the page stylesheets, with the elements that consume them.
+   * The scan is cached until a stylesheet is added, removed or gains/loses rules.
+   * @param {Object} options - { sheets, root } to read other stylesheets / documents
+   * @returns {Array} - [{ name, scope, value, consumers: { selectors, count } }]
+   */
+  discover(options = {}) {
+    const sheets = Array.from(options.sheets || CustomPropertyEditor.getPageSheets());
+    const root = options.root || (typeof document !== 'undefined' ? document : null);
+    const ruleCounts = sheets.map(sheet => CustomPropertyEditor.countRules(sheet));
+
+    if (!this.isCacheValid(sheets, root, ruleCounts)) {
+      this.cache = { sheets, root, ruleCounts, variables: this.scan(sheets, root) };
+    }
+
+    return this.cache.variables.map(variable => ({
+      ...variable,
+      value: this.getOverride(variable.scope, variable.name) ?? variable.value
+    }));
+  }
+
+  isCacheValid(sheets, root, ruleCounts) {
+    return Boolean(this.cache) &&
+      this.cache.root === root &&
+      this.cache.sheets.length === sheets.length &&
+      sheets.every((sheet, index) => sheet === this.cache.sheets[index] && ruleCounts[index] === this.cache.ruleCounts[index]);
+  }
+
+  /**
+   * Forgets the last scan (stylesheets changed in a way discover() cannot see)
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  scan(sheets, root) {
+    const declarations = [];
+    const references = new Map();
+
+    this.walkRules(sheets, (rule) => {
+      const style = rule.style;
+      Array.from(style).forEach(property => {
+        if (property.startsWith('--')) {
+          declarations.push({
+            name: property,
+            scope: rule.selectorText.trim(),
+            value: style.getPropertyValue(property).trim()
+          });
+        }
+      });
+
+      for (const [, name] of (style.cssText || '').matchAll(VAR_REFERENCE)) {
+        if (!references.has(name)) references.set(name, new Set());
+        references.get(name).add(rule.selectorText.trim());
+      }
+    });
+
+    // A variable redeclared in the same scope keeps its last value
+    const variables = new Map();
+    declarations.forEach(declaration => {
+      variables.set(`${declaration.scope}|${declaration.name}`, declaration);
+    });
+
+    return Array.from(variables.values()).map(variable => ({
+      ...variable,
+      consumers: this.findConsumers(variable.name, references, root)
+    }));
+  }
+
+  /**
+   * Style rules of the stylesheets, including those nested in @media, @layer, @supports...
+   */
+  walkRules(sheets, callback) {
+    const walk = (rules) => {
+      Array.from(rules || []).forEach(rule => {
+        if (rule.selectorText && rule.style) {
+          callback(rule);
+        }
+        if (rule.cssRules) {
+          walk(rule.cssRules);
+        }
+      });
+    };
+
+    Array.from(sheets).forEach(sheet => {
+      try {
+        walk(sheet.cssRules);
+      } catch (error) {
+        // Cross-origin stylesheets cannot be read
+      }
+    });
+  }
+
+  /**
+   * Selectors of the rules using var(name), and how many page elements they match
+   */
+  findConsumers(name, references, root) {
+    const selectors = Array.from(references.get(name) || []);
+    const elements = new Set();
+
+    if (root) {
+      selectors.forEach(selector => {
+        const matchable = selector.replace(NON_MATCHING_PSEUDO, '');
+        try {
+          root.querySelectorAll(matchable).forEach(element => elements.add(element));
+        } catch (error) {
+          // Selectors the engine cannot query (":host", vendor pseudos)
+        }
+      });
+
+      // Inline styles: style="color: var(--brand)"
+      try {
+        root.querySelectorAll('[style*="var("]').forEach(element => {
+          if (element.getAttribute('style').includes(`var(${name}`)) elements.add(element);
+        });
+      } catch (error) {
+        // Not a DOM root
+      }
+    }
+
+    const count = Array.from(elements)
+      .filter(element => !element.closest || !element.closest('[class*="frontable-"]'))
+      .length;
+    return { selectors, count };
+  }
+
+  /**
+   * Changes a variable for the whole page
+   * @param {string} name - '--color-primary' (the leading dashes are optional)
+   * @param {string} value - New value; '' removes the edit
+   * @param {Object} options - { scope: ':root' or the component selector declaring it, description }
+   * @returns {Object} - The recorded change
+   */
+  setVariable(name, value, options = {}) {
+    const variable = CustomPropertyEditor.normalizeName(name);
+    if (!variable) {
+      throw new Error(`Invalid CSS variable name: ${name}`);
+    }
+
+    const scope = (options.scope || ':root').trim();
+    const newValue = String(value ?? '').replace(/\s*!important\s*$/i, '').trim();
+    const previousOverride = this.getOverride(scope, variable);
+    const previousValue = previousOverride ?? this.getComputedValue(variable, scope);
+
+    this.setOverride(scope, variable, newValue);
+
+    return this.journal.record({
+      type: 'variable',
+      description: options.description || `Alterar ${variable}`,
+      name: variable,
+      scope,
+      value: newValue,
+      previousValue,
+      previousOverride
+    });
+  }
+
+  /**
+   * Journal handler for 'variable' changes: { type: 'variable', name, scope, value, previousOverride }
+   */
+  createJournalHandler() {
+    return {
+      revert: (change) => {
+        this.setOverride(change.scope, change.name, change.previousOverride);
+        return true;
+      },
+      reapply: (change) => {
+        this.setOverride(change.scope, change.name, change.value);
+        return true;
+      }
+    };
+  }
+
+  getOverride(scope, name) {
+    return this.overrides.get(scope)?.get(name) ?? null;
+  }
+
+  setOverride(scope, name, value) {
+    if (value === null || value === undefined || value === '') {
+      this.overrides.get(scope)?.delete(name);
+      if (this.overrides.get(scope)?.size === 0) {
+        this.overrides.delete(scope);
+      }
+    } else {
+      if (!this.overrides.has(scope)) {
+        this.overrides.set(scope, new Map());
+      }
+      this.overrides.get(scope).set(name, value);
+    }
+    this.render();
+  }
+
+  /**
+   * Current value of a variable on the first element of its scope
+   */
+  getComputedValue(name, scope = ':root') {
+    if (typeof document === 'undefined') return '';
+    try {
+      const element = scope === ':root' ? document.documentElement : document.querySelector(scope);
+      return element ? window.getComputedStyle(element).getPropertyValue(name).trim() : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  toCSSText() {
+    const blocks = [];
+    this.overrides.forEach((variables, scope) => {
+      const body = Array.from(variables.entries())
+        .map(([name, value]) => `  ${name}: ${value} !important;`)
+        .join('\n');
+      blocks.push(`${scope} {\n${body}\n}`);
+    });
+    return blocks.join('\n\n');
+  }
+
+  render() {
+    if (typeof document === 'undefined') return;
+
+    if (!this.styleElement || !this.styleElement.isConnected) {
+      this.styleElement = document.getElementById(this.styleId) || document.createElement('style');
+      this.styleElement.id = this.styleId;
+      document.head.appendChild(this.styleElement);
+    }
+    this.styleElement.textContent = this.toCSSText();
+  }
+
+  /**
+   * Variables list for the agent prompt
+   */
+  toPrompt(variables, limit = 30) {
+    if (variables.length === 0) return '';
+
+    const lines = variables.slice(0, limit).map(variable => (
+      `- ${variable.name}: ${variable.value} (scope ${variable.scope}, used by ${variable.consumers.count} element(s))`
+    ));
+    const more = variables.length > limit ? `\n- ... ${variables.length - limit} more` : '';
+    return '\nCSS variables on this page (change them with setCssVariable to restyle every consumer at once):\n' +
+      `${lines.join('\n')}${more}\n`;
+  }
+
+  /**
+   * Variables list for the chat
+   */
+  toMessage(variables) {
+    if (variables.length === 0) {
+      return '🧬 Nenhuma variável CSS encontrada nas folhas de estilo desta página.';
+    }
+
+    const lines = variables.map(variable => {
+      const selectors = variable.consumers.selectors.slice(0, 3).join(', ');
+      const usedBy = variable.consumers.count > 0
+        ? `${variable.consumers.count} elemento(s)${selectors ? ` via ${selectors}` : ''}`
+        : 'nenhum elemento';
+      const scope = variable.scope === ':root' ? '' : ` [${variable.scope}]`;
+      return `• ${variable.name}${scope}: ${variable.value} → ${usedBy}`;
+    });
+
+    return `🧬 Variáveis CSS (${variables.length})\n${lines.join('\n')}\n\nPeça, por exemplo: "mude ${variables[0].name} para outro valor".`;
+  }
+
+  /**
+   * Page stylesheets, without Frontable's own
+   */
+  static getPageSheets() {
+    if (typeof document === 'undefined') return [];
+    return Array.from(document.styleSheets).filter(sheet => !sheet.ownerNode?.id?.startsWith('frontable-'));
+  }
+
+  /**
+   * Rules in a stylesheet, counting nested ones (-1 when it cannot be read)
+   */
+  static countRules(sheet) {
+    const count = (rules) => Array.from(rules || []).reduce((total, rule) => total + 1 + count(rule.cssRules), 0);
+    try {
+      return count(sheet.cssRules);
+    } catch (error) {
+      return -1;
+    }
+  }
+
+  static normalizeName(name) {
+    const trimmed = String(name || '').trim().replace(/^var\(\s*|\s*\)$/g, '');
+    const variable = trimmed.startsWith('--') ? trimmed : `--${trimmed}`;
+    return /^--[\w-]+$/.test(variable) ? variable : null;
+  }
+}
+
+export default CustomPropertyEditor;
@@ -0,0 +1,97 @@
+import CustomPropertyEditor from './CustomPropertyEditor';
+import ChangeJournal from './ChangeJournal';
+
+describe('CustomPropertyEditor', () => {
+  let journal;
+  let editor;
+
+  // Minimal CSSStyleRule: declarations are [property, value] pairs
+  const fakeRule = (selectorText, declarations) => {
+    const values = new Map(declarations);
+    const style = Object.assign(Array.from(values.keys()), {
+      getPropertyValue: (property) => values.get(property) || '',
+      cssText: declarations.map(([property, value]) => `${property}: ${value};`).join(' ')
+    });
+    return { selectorText, style };
+  };
+
+  const sheets = [{
+    cssRules: [
+      fakeRule(':root', [['--brand', ' #ff5a1f'], ['--radius', '8px']]),
+      fakeRule('.btn', [['background', 'var(--brand)'], ['border-radius', 'var(--radius)']]),
+      { cssRules: [fakeRule('.card', [['--radius', '12px'], ['border-radius', 'var( --radius )']])] },
+      fakeRule('.link:hover', [['color', 'var(--brand, red)']])
+    ]
+  }];
+
+  const root = {
+    querySelectorAll: (selector) => ({ '.btn': ['btn1', 'btn2'], '.card': ['card'], '.link': ['link'] }[selector] || [])
+  };
+
+  beforeEach(() => {
+    journal = new ChangeJournal();
+    editor = new CustomPropertyEditor(journal);
+  });
+
+  test('should discover variables per scope and the elements consuming them', () => {
+    const variables = editor.discover({ sheets, root });
+
+    expect(variables).toEqual([
+      { name: '--brand', scope: ':root', value: '#ff5a1f', consumers: { selectors: ['.btn', '.link:hover'], count: 3 } },
+      { name: '--radius', scope: ':root', value: '8px', consumers: { selectors: ['.btn', '.card'], count: 3 } },
+      { name: '--radius', scope: '.card', value: '12px', consumers: { selectors: ['.btn', '.card'], count: 3 } }
+    ]);
+  });
+
+  test('should write edits as important declarations per scope', () => {
+    editor.setVariable('--brand', '#0a84ff');
+    editor.setVariable('radius', '4px', { scope: '.card' });
+
+    expect(editor.toCSSText()).toBe(':root {\n  --brand: #0a84ff !important;\n}\n\n.card {\n  --radius: 4px !important;\n}');
+    expect(editor.discover({ sheets, root })[0].value).toBe('#0a84ff');
+  });
+
+  test('should undo and redo through the change journal', () => {
+    editor.setVariable('--brand', '#0a84ff', { description: 'Mudar cor primária' });
+    editor.setVariable('--brand', '#000000');
+
+    journal.undo();
+    expect(editor.getOverride(':root', '--brand')).toBe('#0a84ff');
+
+    journal.undo();
+    expect(editor.toCSSText()).toBe('');
+
+    journal.redo();
+    expect(editor.getOverride(':root', '--brand')).toBe('#0a84ff');
+    expect(journal.getChanges()[0]).toMatchObject({ type: 'variable', name: '--brand', scope: ':root', value: '#0a84ff' });
+  });
+
+  test('should reuse the last scan until a stylesheet changes', () => {
+    const countingRoot = { querySelectorAll: jest.fn(root.querySelectorAll) };
+    const pageSheets = [{ cssRules: [fakeRule(':root', [['--brand', '#ff5a1f']]), fakeRule('.btn', [['color', 'var(--brand)']])] }];
+
+    editor.discover({ sheets: pageSheets, root: countingRoot });
+    editor.setVariable('--brand', '#0a84ff');
+    expect(editor.discover({ sheets: pageSheets, root: countingRoot })[0].value).toBe('#0a84ff');
+    expect(countingRoot.querySelectorAll).toHaveBeenCalledTimes(2);
+
+    // A rule inserted into a sheet
+    pageSheets[0].cssRules.push(fakeRule('.card', [['--radius', '12px']]));
+    expect(editor.discover({ sheets: pageSheets, root: countingRoot }).map(variable => variable.name)).toEqual(['--brand', '--radius']);
+
+    // A stylesheet added to the page
+    const withTheme = [...pageSheets, { cssRules: [fakeRule('.dark', [['--brand', '#000000']])] }];
+    expect(editor.discover({ sheets: withTheme, root: countingRoot })).toHaveLength(3);
+    expect(editor.discover({ sheets: pageSheets, root: countingRoot })).toHaveLength(2);
+
+    const calls = countingRoot.querySelectorAll.mock.calls.length;
+    editor.invalidate();
+    editor.discover({ sheets: pageSheets, root: countingRoot });
+    expect(countingRoot.querySelectorAll.mock.calls.length).toBeGreaterThan(calls);
+  });
+
+  test('should reject invalid variable names', () => {
+    expect(CustomPropertyEditor.normalizeName('var(--brand)')).toBe('--brand');
+    expect(() => editor.setVariable('brand color', 'red')).toThrow('Invalid CSS variable name');
+  });
+});
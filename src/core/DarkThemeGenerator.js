@@ -0,0 +1,418 @@
+import AccessibilityChecker from '../utils/AccessibilityChecker';
+import StylesheetLayer from './StylesheetLayer';
+import { DownloadUtils } from '../utils/downloadUtils';
+import { ColorUtils } from '../utils/colorUtils';
+import { AgentConfig } from '../config/AgentConfig.js';
+
+export const THEME_ATTRIBUTE = 'data-theme';
+const DARK_MEDIA = '(prefers-color-scheme: dark)';
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'meta', 'link', 'br', 'svg']);
+
+// Lightness ranges of the dark palette, per role
+const LIGHTNESS = {
+  background: { from: 0.07, to: 0.32 },
+  border: { from: 0.2, to: 0.45 },
+  text: { from: 0.93, to: 0.6 }
+};
+// Colors with this saturation are brand/accent colors: their hue and saturation are kept
+const BRAND_SATURATION = 0.3;
+
+/**
+ * DarkThemeGenerator - Engine behind the "dark_theme_conversion" plan.
+ *
+ * Collects the colors used by backgrounds, text and borders, derives a dark
+ * palette (neutrals have their lightness inverted, brand colors keep their hue
+ * and saturation), remaps every element, re-checks text contrast with
+ * AccessibilityChecker and writes the result into its own theme layer: rules
+ * under `@media (prefers-color-scheme: dark)` ('media' strategy) or scoped to
+ * `:root[data-theme="dark"]` ('toggle' strategy). Each step is recorded in the
+ * change journal as a 'theme' change, and the layer can be exported as CSS.
+ */
+class DarkThemeGenerator {
+  /**
+   * @param {Object} options - { journal, checker, getSelector(element), strategy: 'toggle' | 'media', maxElements }
+   */
+  constructor(options = {}) {
+    this.journal = options.journal || null;
+    this.checker = options.checker || new AccessibilityChecker();
+    this.getSelector = options.getSelector || DarkThemeGenerator.describeElement;
+    this.strategy = (options.strategy || AgentConfig.darkTheme.strategy) === 'media' ? 'media' : 'toggle';
+    this.maxElements = options.maxElements || 3000;
+    this.layer = new StylesheetLayer({ styleId: 'frontable-dark-theme', layerName: 'frontable-theme' });
+
+    this.samples = [];
+    this.usage = new Map();
+    this.palette = new Map();
+    this.assignments = new Map();
+    this.adjustments = [];
+
+    if (this.journal) {
+      this.journal.registerHandler('theme', {
+        revert: (change) => this.restore(change.previousRules),
+        reapply: (change) => this.restore(change.rules)
+      });
+    }
+  }
+
+  /**
+   * Runs one task of the dark_theme_conversion template
+   * @returns {string} - Summary of the step, shown in the plan progress
+   */
+  runTask(taskId, roots = [document.body]) {
+    switch (taskId) {
+    case 'analyze_colors':
+      this.collect(roots);
+      return `🎨 ${this.usage.size} cores em ${this.samples.length} elementos`;
+    case 'define_dark_palette': {
+      this.palette = DarkThemeGenerator.buildPalette(this.usage);
+      const brand = Array.from(this.palette.values()).filter(entry => entry.brand).length;
+      return `🌙 Paleta escura com ${this.palette.size} cores (${brand} de marca preservadas)`;
+    }
+    case 'update_backgrounds':
+      return this.assign(['background'], 'Cores de fundo do tema escuro');
+    case 'update_text_colors':
+      return this.assign(['text', 'border'], 'Cores de texto e bordas do tema escuro');
+    case 'check_contrast':
+      return this.checkContrast();
+    default:
+      throw new Error(`Etapa desconhecida do tema escuro: ${taskId}`);
+    }
+  }
+
+  /**
+   * Reads the computed colors of every rendered element under the roots
+   */
+  collect(roots) {
+    this.samples = [];
+    this.assignments = new Map();
+    this.adjustments = [];
+
+    const seen = new Set();
+    const elements = [];
+    roots.forEach(root => {
+      [root, ...root.querySelectorAll('*')].forEach(element => {
+        if (elements.length >= this.maxElements || seen.has(element)) return;
+        seen.add(element);
+        if (SKIPPED_TAGS.has(element.tagName.toLowerCase())) return;
+        // Frontable's own panel and overlays
+        if (element.closest('[class*="frontable-"]')) return;
+        if (element !== document.body && element.getClientRects().length === 0) return;
+        elements.push(element);
+      });
+    });
+
+    elements.forEach(element => {
+      const sample = this.readSample(element);
+      if (sample) this.samples.push(sample);
+    });
+
+    // The page canvas: what shows behind elements without a background
+    const bodyStyle = window.getComputedStyle(document.body);
+    this.samples.unshift({
+      selector: ':root',
+      background: this.checker.getEffectiveBackgroundColor(document.body),
+      color: bodyStyle.color,
+      border: null,
+      effectiveBackground: this.checker.getEffectiveBackgroundColor(document.body),
+      largeText: false,
+      root: true
+    });
+
+    this.usage = DarkThemeGenerator.countUsage(this.samples);
+    return this.samples;
+  }
+
+  readSample(element) {
+    const style = window.getComputedStyle(element);
+    const hasText = DarkThemeGenerator.hasOwnText(element);
+    const background = DarkThemeGenerator.isVisibleColor(style.backgroundColor) ? style.backgroundColor : null;
+    const border = parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none' && DarkThemeGenerator.isVisibleColor(style.borderTopColor)
+      ? style.borderTopColor
+      : null;
+
+    if (!background && !border && !hasText) return null;
+
+    const selector = element === document.body ? 'body' : this.getSelector(element);
+    if (!selector) return null;
+
+    return {
+      selector,
+      background,
+      color: hasText ? style.color : null,
+      border,
+      effectiveBackground: background || this.checker.getEffectiveBackgroundColor(element),
+      largeText: hasText && this.checker.isLargeText(element)
+    };
+  }
+
+  /**
+   * Maps the palette onto the samples for the given roles and renders the layer
+   */
+  assign(roles, description) {
+    const properties = { background: 'background-color', text: 'color', border: 'border-color' };
+    const sampleKeys = { background: 'background', text: 'color', border: 'border' };
+
+    this.samples.forEach(sample => {
+      const declarations = this.assignments.get(sample.selector) || {};
+      roles.forEach(role => {
+        const color = sample[sampleKeys[role]];
+        const entry = color && this.palette.get(DarkThemeGenerator.paletteKey(role, color));
+        if (entry) declarations[properties[role]] = entry.to;
+      });
+      if (sample.root) declarations['color-scheme'] = 'dark';
+      this.assignments.set(sample.selector, declarations);
+    });
+
+    const count = this.update(description);
+    return `✅ ${count} regra(s) no tema escuro`;
+  }
+
+  /**
+   * Text below WCAG AA over its remapped background gets a lighter (or darker) shade of its color
+   */
+  checkContrast() {
+    this.adjustments = [];
+
+    this.samples.forEach(sample => {
+      if (!sample.color) return;
+      const declarations = this.assignments.get(sample.selector) || {};
+      const foreground = declarations.color || sample.color;
+      const backgroundEntry = this.palette.get(DarkThemeGenerator.paletteKey('background', sample.effectiveBackground));
+      const background = backgroundEntry ? backgroundEntry.to : sample.effectiveBackground;
+
+      const fixed = DarkThemeGenerator.ensureContrast(foreground, background, sample.largeText, this.checker);
+      if (fixed.color !== foreground) {
+        declarations.color = fixed.color;
+        this.assignments.set(sample.selector, declarations);
+        this.adjustments.push({ selector: sample.selector, from: foreground, to: fixed.color, ratio: fixed.ratio });
+      }
+    });
+
+    this.update('Ajustes de contraste do tema escuro');
+    return this.adjustments.length > 0
+      ? `♿ ${this.adjustments.length} cor(es) de texto ajustada(s) para contraste AA`
+      : '♿ Todo o texto passa no contraste AA';
+  }
+
+  /**
+   * Re-renders the layer from the assignments and records the step in the journal
+   * @returns {number} - Number of rules in the layer
+   */
+  update(description) {
+    const previousRules = this.layer.getRules();
+    this.layer.clear();
+    DarkThemeGenerator.buildRules(this.assignments, this.strategy).forEach(rule => this.layer.addRule(rule));
+    this.activate();
+
+    const rules = this.layer.getRules();
+    if (this.journal) {
+      this.journal.record({ type: 'theme', description, strategy: this.strategy, rules, previousRules });
+    }
+    return rules.length;
+  }
+
+  /**
+   * Puts a set of theme rules back (undo/redo, session replay)
+   */
+  restore(rules = []) {
+    this.layer.clear();
+    rules.forEach(rule => this.layer.restoreRule(rule));
+    if (rules.length > 0) {
+      this.activate();
+    } else {
+      this.deactivate();
+    }
+    return true;
+  }
+
+  activate() {
+    if (this.strategy === 'toggle') {
+      document.documentElement.setAttribute(THEME_ATTRIBUTE, 'dark');
+    }
+  }
+
+  deactivate() {
+    if (this.strategy === 'toggle' && document.documentElement.getAttribute(THEME_ATTRIBUTE) === 'dark') {
+      document.documentElement.removeAttribute(THEME_ATTRIBUTE);
+    }
+  }
+
+  /**
+   * Switches between the light page and the dark theme (toggle strategy)
+   */
+  toggle() {
+    if (this.strategy === 'media') {
+      return 'ℹ️ O tema segue a preferência do sistema (prefers-color-scheme); mude o modo do sistema para alternar.';
+    }
+    const root = document.documentElement;
+    const dark = root.getAttribute(THEME_ATTRIBUTE) !== 'dark';
+    root.setAttribute(THEME_ATTRIBUTE, dark ? 'dark' : 'light');
+    return dark ? '🌙 Tema escuro ativado' : '☀️ Tema claro ativado';
+  }
+
+  hasTheme() {
+    return this.layer.getRules().length > 0;
+  }
+
+  toCSS() {
+    const header = this.strategy === 'toggle'
+      ? `/* Tema escuro gerado pelo Frontable: ative com <html ${THEME_ATTRIBUTE}="dark"> */`
+      : `/* Tema escuro gerado pelo Frontable: segue @media ${DARK_MEDIA} */`;
+    return `${header}\n${this.layer.toCSSText()}\n`;
+  }
+
+  download(filename = 'frontable-dark-theme.css') {
+    if (!this.hasTheme()) {
+      return '⚠️ Nenhum tema escuro gerado ainda.';
+    }
+    DownloadUtils.downloadText(this.toCSS(), filename, 'text/css');
+    return `⬇️ Tema escuro exportado: ${filename}`;
+  }
+
+  /**
+   * @returns {Map} - color -> { color, count, roles: Set }
+   */
+  static countUsage(samples) {
+    const usage = new Map();
+    const add = (color, role) => {
+      if (!color) return;
+      const entry = usage.get(color) || { color, count: 0, roles: new Set() };
+      entry.count++;
+      entry.roles.add(role);
+      usage.set(color, entry);
+    };
+
+    samples.forEach(sample => {
+      add(sample.background, 'background');
+      add(sample.effectiveBackground, 'background');
+      add(sample.color, 'text');
+      add(sample.border, 'border');
+    });
+    return usage;
+  }
+
+  /**
+   * @param {Map} usage - From countUsage
+   * @returns {Map} - 'role|color' -> { role, from, to, brand }
+   */
+  static buildPalette(usage) {
+    const palette = new Map();
+    usage.forEach(({ color, roles }) => {
+      roles.forEach(role => {
+        const mapped = DarkThemeGenerator.mapColor(color, role);
+        if (mapped) {
+          palette.set(DarkThemeGenerator.paletteKey(role, color), { role, from: color, ...mapped });
+        }
+      });
+    });
+    return palette;
+  }
+
+  static paletteKey(role, color) {
+    return `${role}|${color}`;
+  }
+
+  /**
+   * Dark counterpart of a color for a role
+   * @returns {Object|null} - { to, brand }
+   */
+  static mapColor(color, role) {
+    const rgba = ColorUtils.parse(color);
+    if (!rgba) return null;
+
+    const { h, s, l } = ColorUtils.rgbToHsl(rgba);
+    const brand = s >= BRAND_SATURATION && l > 0.15 && l < 0.85;
+    const range = LIGHTNESS[role];
+    let hsl;
+
+    if (brand) {
+      // Brand backgrounds and borders keep their color; brand text is lifted to stay readable
+      hsl = { h, s, l: role === 'text' ? Math.max(l, 0.65) : l };
+    } else {
+      // Neutrals (and pale tints) invert: light surfaces become dark, dark text becomes light
+      const inverted = range.from + (1 - l) * (range.to - range.from);
+      hsl = { h, s: Math.min(s, 0.25), l: role === 'text' ? range.from - l * (range.from - range.to) : inverted };
+    }
+
+    return { to: ColorUtils.toCSSColor({ ...ColorUtils.hslToRgb(hsl), a: rgba.a }), brand };
+  }
+
+  /**
+   * @returns {Object} - { color, ratio } with the color moved away from the background until it passes AA
+   */
+  static ensureContrast(foreground, background, largeText, checker) {
+    const required = largeText ? 3 : 4.5;
+    const ratio = checker.calculateContrastRatio(DarkThemeGenerator.opaque(foreground), DarkThemeGenerator.opaque(background));
+    if (ratio >= required) return { color: foreground, ratio };
+
+    const rgba = ColorUtils.parse(foreground);
+    const backgroundRgb = ColorUtils.parse(background);
+    if (!rgba || !backgroundRgb) return { color: foreground, ratio };
+
+    const { h, s, l } = ColorUtils.rgbToHsl(rgba);
+    const lighten = ColorUtils.rgbToHsl(backgroundRgb).l < 0.5;
+    let best = { color: foreground, ratio };
+
+    for (let step = 1; step <= 20; step++) {
+      const lightness = lighten ? Math.min(1, l + step * 0.05) : Math.max(0, l - step * 0.05);
+      const candidate = ColorUtils.toHex(ColorUtils.hslToRgb({ h, s, l: lightness }));
+      const candidateRatio = checker.calculateContrastRatio(candidate, DarkThemeGenerator.opaque(background));
+      best = { color: candidate, ratio: candidateRatio };
+      if (candidateRatio >= required) break;
+    }
+    return best;
+  }
+
+  /**
+   * Groups selectors with the same declarations into one rule
+   * @param {Map} assignments - selector -> { property: value }
+   */
+  static buildRules(assignments, strategy) {
+    const groups = new Map();
+    assignments.forEach((declarations, selector) => {
+      if (Object.keys(declarations).length === 0) return;
+      const key = JSON.stringify(Object.entries(declarations).sort());
+      const group = groups.get(key) || { declarations, selectors: [] };
+      group.selectors.push(selector);
+      groups.set(key, group);
+    });
+
+    return Array.from(groups.values()).map(({ declarations, selectors }) => ({
+      selector: selectors.map(selector => DarkThemeGenerator.scopeSelector(selector, strategy)).join(', '),
+      styles: { ...declarations },
+      media: strategy === 'media' ? DARK_MEDIA : null
+    }));
+  }
+
+  static scopeSelector(selector, strategy) {
+    if (strategy === 'media') return selector;
+    const scope = `:root[${THEME_ATTRIBUTE}="dark"]`;
+    return selector === ':root' ? scope : `${scope} ${selector}`;
+  }
+
+  /**
+   * AccessibilityChecker only reads the rgb channels
+   */
+  static opaque(color) {
+    const rgba = ColorUtils.parse(color);
+    return rgba ? ColorUtils.toHex(rgba) : color;
+  }
+
+  static isVisibleColor(color) {
+    const rgba = ColorUtils.parse(color);
+    return !!rgba && rgba.a > 0;
+  }
+
+  static hasOwnText(element) {
+    return Array.from(element.childNodes || []).some(node => node.nodeType === 3 && node.textContent.trim());
+  }
+
+  static describeElement(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id) return `${tag}#${element.id}`;
+    const classes = typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean) : [];
+    return classes.length > 0 ? `${tag}.${classes.slice(0, 2).join('.')}` : tag;
+  }
+}
+
+export default DarkThemeGenerator;
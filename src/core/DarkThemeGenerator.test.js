@@ -0,0 +1,85 @@
+import DarkThemeGenerator from './DarkThemeGenerator';
+import ChangeJournal from './ChangeJournal';
+import AccessibilityChecker from '../utils/AccessibilityChecker';
+import { ColorUtils } from '../utils/colorUtils';
+
+describe('DarkThemeGenerator', () => {
+  const lightness = (color) => ColorUtils.rgbToHsl(ColorUtils.parse(color)).l;
+
+  test('should invert neutrals and keep the hue of brand colors', () => {
+    expect(lightness(DarkThemeGenerator.mapColor('rgb(255, 255, 255)', 'background').to)).toBeLessThan(0.1);
+    expect(lightness(DarkThemeGenerator.mapColor('rgb(17, 24, 39)', 'text').to)).toBeGreaterThan(0.85);
+    expect(DarkThemeGenerator.mapColor('rgb(37, 99, 235)', 'background')).toEqual({ to: '#2563eb', brand: true });
+
+    const brandText = DarkThemeGenerator.mapColor('rgb(29, 78, 216)', 'text');
+    expect(brandText.brand).toBe(true);
+    expect(lightness(brandText.to)).toBeGreaterThanOrEqual(0.64);
+    const hue = (color) => ColorUtils.rgbToHsl(ColorUtils.parse(color)).h;
+    expect(Math.abs(hue(brandText.to) - hue('rgb(29, 78, 216)'))).toBeLessThan(1);
+
+    expect(DarkThemeGenerator.mapColor('rgba(0, 0, 0, 0.5)', 'border').to).toMatch(/^rgba\(.+, 0\.5\)$/);
+    expect(DarkThemeGenerator.mapColor('currentcolor', 'text')).toBeNull();
+  });
+
+  test('should lift text until it passes AA over its background', () => {
+    const checker = new AccessibilityChecker();
+
+    const fixed = DarkThemeGenerator.ensureContrast('#555555', '#121212', false, checker);
+    expect(fixed.color).not.toBe('#555555');
+    expect(fixed.ratio).toBeGreaterThanOrEqual(4.5);
+
+    expect(DarkThemeGenerator.ensureContrast('#eeeeee', '#121212', false, checker).color).toBe('#eeeeee');
+  });
+
+  test('should group selectors with the same colors and scope them to the strategy', () => {
+    const assignments = new Map([
+      [':root', { 'background-color': '#121212', 'color-scheme': 'dark' }],
+      ['.card', { 'background-color': '#1e1e1e' }],
+      ['.panel', { 'background-color': '#1e1e1e' }],
+      ['.empty', {}]
+    ]);
+
+    expect(DarkThemeGenerator.buildRules(assignments, 'toggle')).toEqual([
+      { selector: ':root[data-theme="dark"]', styles: { 'background-color': '#121212', 'color-scheme': 'dark' }, media: null },
+      { selector: ':root[data-theme="dark"] .card, :root[data-theme="dark"] .panel', styles: { 'background-color': '#1e1e1e' }, media: null }
+    ]);
+    expect(DarkThemeGenerator.buildRules(assignments, 'media')[1]).toEqual({
+      selector: '.card, .panel',
+      styles: { 'background-color': '#1e1e1e' },
+      media: '(prefers-color-scheme: dark)'
+    });
+  });
+
+  test('should build the theme layer step by step, undoable through the journal', () => {
+    const journal = new ChangeJournal();
+    const generator = new DarkThemeGenerator({ journal, strategy: 'media' });
+    // Rendering and color collection need a browser
+    generator.layer.render = jest.fn();
+    generator.collect = jest.fn(() => {
+      generator.samples = [
+        { selector: ':root', background: '#ffffff', color: 'rgb(17, 24, 39)', border: null, effectiveBackground: '#ffffff', root: true },
+        { selector: '.cta', background: 'rgb(37, 99, 235)', color: 'rgb(255, 255, 255)', border: null, effectiveBackground: 'rgb(37, 99, 235)' },
+        { selector: '.muted', background: null, color: 'rgb(156, 163, 175)', border: 'rgb(229, 231, 235)', effectiveBackground: '#ffffff' }
+      ];
+      generator.usage = DarkThemeGenerator.countUsage(generator.samples);
+    });
+
+    ['analyze_colors', 'define_dark_palette', 'update_backgrounds', 'update_text_colors', 'check_contrast']
+      .forEach(taskId => generator.runTask(taskId, []));
+
+    const css = generator.toCSS();
+    expect(css).toContain('@media (prefers-color-scheme: dark)');
+    expect(css).toContain('color-scheme: dark !important;');
+    expect(css).toContain('.cta {\n');
+    expect(css).toContain('background-color: #2563eb !important;');
+    expect(journal.getEntries()).toHaveLength(3);
+
+    journal.undo();
+    journal.undo();
+    expect(generator.layer.getRules().every(rule => !('color' in rule.declarations))).toBe(true);
+
+    journal.undo();
+    expect(generator.hasTheme()).toBe(false);
+    expect(generator.download()).toContain('Nenhum tema');
+  });
+});
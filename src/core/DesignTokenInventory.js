@@ -0,0 +1,334 @@
+import EnhancedValidator from '../utils/EnhancedValidator';
+import { ColorUtils } from '../utils/colorUtils';
+
+const CATEGORIES = {
+  colors: { label: 'Cores', promptLabel: 'Colors', pattern: 'colors' },
+  spacings: { label: 'Espaçamentos', promptLabel: 'Spacing', pattern: 'spacings' },
+  fontSizes: { label: 'Tamanhos de fonte', promptLabel: 'Font sizes', pattern: 'fontSizes' },
+  radii: { label: 'Raios de borda', promptLabel: 'Border radii', pattern: 'borderRadius' }
+};
+
+const COLOR_PROPERTIES = [
+  'color', 'backgroundColor', 'borderColor', 'borderTopColor', 'borderRightColor',
+  'borderBottomColor', 'borderLeftColor', 'outlineColor', 'fill', 'stroke'
+];
+const SPACING_PROPERTY = /^(padding|margin)(Top|Right|Bottom|Left)?$|^(gap|rowGap|columnGap)$/;
+const KEYWORD_VALUE = /^(inherit|initial|unset|revert|auto|none|transparent|currentcolor)$/i;
+// CIE76 ΔE beyond which a color is treated as a deliberate new color rather than a near-miss of a token
+const MAX_COLOR_DISTANCE = 10;
+
+/**
+ * DesignTokenInventory - The page's design tokens: the colors, spacings, font
+ * sizes and radii EnhancedValidator finds on the page, plus the CSS custom
+ * properties declared on :root. The inventory is shown in the chat, added to
+ * the agent prompt and used to snap off-palette values proposed by the agent.
+ */
+class DesignTokenInventory {
+  /**
+   * @param {Object} options - { snap: false to only warn, maxPerCategory, maxColorDistance (ΔE) }
+   */
+  constructor(options = {}) {
+    this.snapEnabled = options.snap !== false;
+    this.maxPerCategory = options.maxPerCategory || 12;
+    this.maxColorDistance = options.maxColorDistance ?? MAX_COLOR_DISTANCE;
+    this.tokens = { colors: [], spacings: [], fontSizes: [], radii: [] };
+    this.built = false;
+  }
+
+  /**
+   * Scans the current page (computed styles and :root custom properties)
+   */
+  scan() {
+    const validator = new EnhancedValidator();
+    const patterns = {};
+    Object.entries(CATEGORIES).forEach(([category, config]) => {
+      patterns[category] = validator.getPatternCounts(config.pattern);
+    });
+
+    return this.build(patterns, DesignTokenInventory.readRootCustomProperties());
+  }
+
+  /**
+   * @param {Object} patterns - { colors, spacings, fontSizes, radii }: Map<value, count> or iterable of values
+   * @param {Object} customProperties - { '--brand': '#ff5a1f' }
+   */
+  build(patterns, customProperties = {}) {
+    const collected = { colors: new Map(), spacings: new Map(), fontSizes: new Map(), radii: new Map() };
+
+    Object.keys(collected).forEach(category => {
+      const source = patterns[category] || [];
+      const entries = source instanceof Map ? source.entries() : Array.from(source, value => [value, 1]);
+      for (const [value, count] of entries) {
+        // Shorthands ("8px 16px") contribute each of their values
+        const parts = category === 'colors' ? [value] : String(value).split(/\s+/);
+        parts.forEach(part => this.addToken(collected[category], category, part, count, null));
+      }
+    });
+
+    Object.entries(customProperties).forEach(([name, value]) => {
+      const category = this.categorizeCustomProperty(name, value);
+      if (category) {
+        this.addToken(collected[category], category, value, 0, name);
+      }
+    });
+
+    Object.keys(collected).forEach(category => {
+      const tokens = Array.from(collected[category].values());
+      const named = tokens.filter(token => token.name);
+      const frequent = tokens
+        .filter(token => !token.name)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, Math.max(0, this.maxPerCategory - named.length));
+
+      const selected = [...named, ...frequent];
+      this.tokens[category] = category === 'colors'
+        ? selected
+        : selected.sort((a, b) => a.px - b.px);
+    });
+
+    this.built = true;
+    return this.tokens;
+  }
+
+  addToken(collection, category, rawValue, count, name) {
+    const value = String(rawValue).trim();
+
+    if (category === 'colors') {
+      const rgb = ColorUtils.parse(value);
+      // Fully transparent colors are the default background, not a design choice
+      if (!rgb || rgb.a === 0) return;
+
+      const hex = ColorUtils.toHex(rgb);
+      const key = rgb.a < 1 ? `${hex}/${rgb.a}` : hex;
+      const token = collection.get(key) || { value: rgb.a < 1 ? value : hex, rgb, count: 0, name: null };
+      token.count += count;
+      token.name = token.name || name;
+      collection.set(key, token);
+      return;
+    }
+
+    const px = DesignTokenInventory.toPx(value);
+    if (px === null || px <= 0) return;
+
+    const key = String(px);
+    const token = collection.get(key) || { value: `${px}px`, px, count: 0, name: null };
+    token.count += count;
+    token.name = token.name || name;
+    collection.set(key, token);
+  }
+
+  /**
+   * Category of a :root custom property from its value and name
+   */
+  categorizeCustomProperty(name, value) {
+    if (ColorUtils.parse(value)) return 'colors';
+    if (DesignTokenInventory.toPx(value) === null) return null;
+
+    if (/radius|rounded/i.test(name)) return 'radii';
+    if (/font|text|type|heading/i.test(name)) return 'fontSizes';
+    if (/space|spacing|gap|gutter|padding|margin|inset|size/i.test(name)) return 'spacings';
+    return null;
+  }
+
+  isEmpty() {
+    return Object.values(this.tokens).every(tokens => tokens.length === 0);
+  }
+
+  getCategory(property) {
+    if (COLOR_PROPERTIES.includes(property)) return 'colors';
+    if (SPACING_PROPERTY.test(property)) return 'spacings';
+    if (property === 'fontSize') return 'fontSizes';
+    if (property === 'borderRadius') return 'radii';
+    return null;
+  }
+
+  /**
+   * Replaces values that are not in the inventory with the nearest token
+   * (or, with snapping disabled, only reports them). Colors further than
+   * maxColorDistance from every token are only reported.
+   * @param {Object} styles - camelCase declarations
+   * @returns {Object} - { styles, adjustments: [{ property, from, to, snapped }] }
+   */
+  snap(styles) {
+    const snapped = { ...styles };
+    const adjustments = [];
+
+    Object.entries(styles).forEach(([property, rawValue]) => {
+      const category = this.getCategory(property);
+      if (!category || this.tokens[category].length === 0) return;
+
+      const value = String(rawValue).trim();
+      if (value.includes('var(') || KEYWORD_VALUE.test(value)) return;
+
+      if (category === 'colors') {
+        const nearest = this.snapColor(value);
+        if (!nearest) return;
+
+        const withinDistance = nearest.distance <= this.maxColorDistance;
+        adjustments.push(withinDistance
+          ? { property, from: value, to: nearest.value }
+          : { property, from: value, to: nearest.value, snapped: false });
+        if (this.snapEnabled && withinDistance) {
+          snapped[property] = nearest.value;
+        }
+        return;
+      }
+
+      const to = value.split(/\s+/).map(part => this.snapLength(category, part)).join(' ');
+      if (to !== value) {
+        adjustments.push({ property, from: value, to });
+        if (this.snapEnabled) {
+          snapped[property] = to;
+        }
+      }
+    });
+
+    return { styles: snapped, adjustments, snapped: this.snapEnabled };
+  }
+
+  /**
+   * Nearest color token by ΔE
+   * @returns {Object|null} - { value, distance }, or null for palette and translucent colors
+   */
+  snapColor(value) {
+    const rgb = ColorUtils.parse(value);
+    // Translucent colors (overlays, shadows) are left alone
+    if (!rgb || rgb.a < 1) return null;
+
+    let nearest = null;
+    let bestDistance = Infinity;
+    this.tokens.colors.forEach(token => {
+      if (token.rgb.a < 1) return;
+      const distance = ColorUtils.deltaE(token.rgb, rgb);
+      if (distance < bestDistance) {
+        nearest = token;
+        bestDistance = distance;
+      }
+    });
+
+    if (!nearest || ColorUtils.toHex(nearest.rgb) === ColorUtils.toHex(rgb)) return null;
+    return { value: this.formatToken(nearest), distance: bestDistance };
+  }
+
+  snapLength(category, part) {
+    const px = DesignTokenInventory.toPx(part);
+    if (px === null || px === 0) return part;
+
+    const sign = px < 0 ? -1 : 1;
+    let nearest = null;
+    this.tokens[category].forEach(token => {
+      if (!nearest || Math.abs(token.px - Math.abs(px)) < Math.abs(nearest.px - Math.abs(px))) {
+        nearest = token;
+      }
+    });
+
+    if (!nearest || nearest.px === Math.abs(px)) return part;
+    const formatted = this.formatToken(nearest);
+    return sign < 0 ? `calc(${formatted} * -1)` : formatted;
+  }
+
+  /**
+   * Named tokens are referenced through their custom property
+   */
+  formatToken(token) {
+    return token.name ? `var(${token.name})` : token.value;
+  }
+
+  formatTokenLabel(token) {
+    return token.name ? `${token.name} (${token.value})` : token.value;
+  }
+
+  /**
+   * Inventory block for the agent prompt
+   */
+  toPrompt() {
+    if (this.isEmpty()) return '';
+
+    const lines = Object.entries(CATEGORIES)
+      .filter(([category]) => this.tokens[category].length > 0)
+      .map(([category, config]) => `- ${config.promptLabel}: ${this.tokens[category].map(token => this.formatTokenLabel(token)).join(', ')}`);
+
+    const policy = this.snapEnabled
+      ? 'Use these values; other colors, spacings, font sizes and radii are snapped to the nearest token.'
+      : 'Prefer these values for colors, spacings, font sizes and radii.';
+    return `\nProject design tokens (use var(--name) for named tokens). ${policy}\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Inventory summary for the chat
+   */
+  toMessage() {
+    if (this.isEmpty()) {
+      return '🎨 Nenhum token de design encontrado nesta página.';
+    }
+
+    const lines = Object.entries(CATEGORIES)
+      .filter(([category]) => this.tokens[category].length > 0)
+      .map(([category, config]) => `${config.label} (${this.tokens[category].length}): ${this.tokens[category].map(token => this.formatTokenLabel(token)).join(', ')}`);
+
+    return `🎨 Tokens de design da página\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Chat warning for values moved to (or off) the palette
+   */
+  static formatAdjustments(adjustments, snapped = true) {
+    const isSnapped = adjustment => snapped && adjustment.snapped !== false;
+    const lines = adjustments.map(adjustment => (isSnapped(adjustment)
+      ? `• ${adjustment.property}: ${adjustment.from} → ${adjustment.to}`
+      : `• ${adjustment.property}: ${adjustment.from} (token mais próximo: ${adjustment.to})`));
+
+    const title = adjustments.some(isSnapped)
+      ? '⚠️ Valores fora dos tokens de design foram ajustados:'
+      : '⚠️ Valores fora dos tokens de design:';
+    return `${title}\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Custom properties declared for :root (or html) in same-origin stylesheets, with their computed values
+   */
+  static readRootCustomProperties() {
+    if (typeof document === 'undefined') return {};
+
+    const names = new Set();
+    const collect = (rules) => {
+      Array.from(rules || []).forEach(rule => {
+        if (rule.cssRules && !rule.selectorText) {
+          // @media, @layer, @supports...
+          collect(rule.cssRules);
+          return;
+        }
+        if (rule.style && /(^|,)\s*(:root|html)\s*(,|$)/.test(rule.selectorText || '')) {
+          Array.from(rule.style).filter(name => name.startsWith('--')).forEach(name => names.add(name));
+        }
+      });
+    };
+
+    Array.from(document.styleSheets).forEach(sheet => {
+      // Ignore Frontable's own overrides
+      if (sheet.ownerNode?.id?.startsWith('frontable-')) return;
+      try {
+        collect(sheet.cssRules);
+      } catch (error) {
+        // Cross-origin stylesheets cannot be read
+      }
+    });
+
+    const computed = window.getComputedStyle(document.documentElement);
+    const properties = {};
+    names.forEach(name => {
+      const value = computed.getPropertyValue(name).trim();
+      if (value) properties[name] = value;
+    });
+    return properties;
+  }
+
+  static toPx(value) {
+    const match = String(value).trim().match(/^(-?\d*\.?\d+)(px|rem)$/);
+    if (!match) return null;
+    const number = parseFloat(match[1]);
+    return match[2] === 'rem' ? number * 16 : number;
+  }
+}
+
+export default DesignTokenInventory;
@@ -0,0 +1,91 @@
+import DesignTokenInventory from './DesignTokenInventory';
+
+describe('DesignTokenInventory', () => {
+  let inventory;
+
+  const patterns = {
+    colors: new Map([['rgb(17, 24, 39)', 40], ['rgb(255, 255, 255)', 25], ['rgba(0, 0, 0, 0)', 90]]),
+    spacings: new Map([['8px 16px', 12], ['24px', 4]]),
+    fontSizes: new Map([['16px', 30], ['24px', 3]]),
+    radii: new Map([['8px', 6]])
+  };
+
+  beforeEach(() => {
+    inventory = new DesignTokenInventory();
+    inventory.build(patterns, { '--brand': '#ff5a1f', '--radius-lg': '1rem', '--header-height': '64px' });
+  });
+
+  test('should build the inventory from page patterns and :root custom properties', () => {
+    expect(inventory.tokens.colors.map(token => token.value)).toEqual(['#ff5a1f', '#111827', '#ffffff']);
+    expect(inventory.tokens.colors[0].name).toBe('--brand');
+    expect(inventory.tokens.spacings.map(token => token.value)).toEqual(['8px', '16px', '24px']);
+    expect(inventory.tokens.radii.map(token => token.value)).toEqual(['8px', '16px']);
+  });
+
+  test('should keep only the most frequent unnamed values', () => {
+    const small = new DesignTokenInventory({ maxPerCategory: 2 });
+    small.build({ colors: new Map([['#000000', 1], ['#111111', 5], ['#222222', 3]]) });
+
+    expect(small.tokens.colors.map(token => token.value)).toEqual(['#111111', '#222222']);
+  });
+
+  test('should snap off-palette values to the nearest token', () => {
+    const result = inventory.snap({ color: '#ff6020', padding: '9px 15px', fontSize: '16px', borderRadius: '15px', display: 'flex' });
+
+    expect(result.styles).toEqual({
+      color: 'var(--brand)',
+      padding: '8px 16px',
+      fontSize: '16px',
+      borderRadius: 'var(--radius-lg)',
+      display: 'flex'
+    });
+    expect(result.adjustments).toEqual([
+      { property: 'color', from: '#ff6020', to: 'var(--brand)' },
+      { property: 'padding', from: '9px 15px', to: '8px 16px' },
+      { property: 'borderRadius', from: '15px', to: 'var(--radius-lg)' }
+    ]);
+  });
+
+  test('should only warn about colors beyond the maximum ΔE', () => {
+    const result = inventory.snap({ color: '#112030', backgroundColor: '#2e8b57' });
+
+    expect(result.styles).toEqual({ color: '#111827', backgroundColor: '#2e8b57' });
+    expect(result.adjustments).toEqual([
+      { property: 'color', from: '#112030', to: '#111827' },
+      { property: 'backgroundColor', from: '#2e8b57', to: '#ffffff', snapped: false }
+    ]);
+    expect(DesignTokenInventory.formatAdjustments(result.adjustments, result.snapped)).toBe([
+      '⚠️ Valores fora dos tokens de design foram ajustados:',
+      '• color: #112030 → #111827',
+      '• backgroundColor: #2e8b57 (token mais próximo: #ffffff)'
+    ].join('\n'));
+  });
+
+  test('should take the maximum ΔE from the options', () => {
+    const strict = new DesignTokenInventory({ maxColorDistance: 1 });
+    strict.build(patterns);
+
+    expect(strict.snap({ color: '#112030' }).styles.color).toBe('#112030');
+  });
+
+  test('should leave keywords, variables and translucent colors alone', () => {
+    const result = inventory.snap({ color: 'inherit', backgroundColor: 'rgba(0, 0, 0, 0.4)', margin: 'var(--space)' });
+
+    expect(result.adjustments).toEqual([]);
+  });
+
+  test('should only report adjustments when snapping is disabled', () => {
+    const warnOnly = new DesignTokenInventory({ snap: false });
+    warnOnly.build(patterns);
+    const result = warnOnly.snap({ fontSize: '17px' });
+
+    expect(result.styles.fontSize).toBe('17px');
+    expect(DesignTokenInventory.formatAdjustments(result.adjustments, result.snapped))
+      .toBe('⚠️ Valores fora dos tokens de design:\n• fontSize: 17px (token mais próximo: 16px)');
+  });
+
+  test('should describe the tokens for the prompt', () => {
+    expect(inventory.toPrompt()).toContain('- Colors: --brand (#ff5a1f), #111827, #ffffff');
+    expect(inventory.toPrompt()).toContain('- Font sizes: 16px, 24px');
+  });
+});
@@ -0,0 +1,300 @@
+const OPERATIONS = ['move', 'duplicate', 'wrap', 'unwrap', 'reorder', 'remove', 'text'];
+const MOVE_POSITIONS = ['before', 'after', 'prepend', 'append'];
+const REORDER_DIRECTIONS = ['up', 'down', 'first', 'last'];
+
+/**
+ * DomEditor - Structural edits of the page: move, duplicate, wrap, unwrap,
+ * reorder siblings, remove and edit the text of elements.
+ *
+ * Every operation is performed as a list of node placements
+ * ({ node, from: { parent, nextSibling }, to }) kept in change.refs.steps,
+ * so undo walks them backwards and redo forwards. The rest of the 'dom'
+ * change (operation, selectors taken before the edit, tag, text...) is
+ * serializable: a saved session replays it by running the operation again.
+ */
+class DomEditor {
+  constructor(journal, options = {}) {
+    this.journal = journal;
+    this.document = options.document || (typeof document !== 'undefined' ? document : null);
+    this.getSelector = options.getSelector || ((element) => element.id ? `#${element.id}` : element.tagName.toLowerCase());
+
+    this.journal.registerHandler('dom', this.createJournalHandler());
+  }
+
+  createJournalHandler() {
+    return {
+      revert: (change) => {
+        const steps = change.refs?.steps;
+        if (!steps) return false;
+        [...steps].reverse().forEach(step => DomEditor.placeNode(step.node, step.from));
+        return true;
+      },
+      reapply: (change) => {
+        if (change.refs?.steps) {
+          change.refs.steps.forEach(step => DomEditor.placeNode(step.node, step.to));
+          return true;
+        }
+        // Saved session: no live nodes, run the operation again from the selectors
+        change.refs = { steps: this.perform(change, (selector) => this.resolve(selector)) };
+        return true;
+      }
+    };
+  }
+
+  /**
+   * Moves an element before/after another one, or to the start/end of it
+   * @param {string} position - 'before' | 'after' | 'prepend' | 'append'
+   */
+  move(element, target, position = 'after', description) {
+    if (!MOVE_POSITIONS.includes(position)) {
+      throw new Error(`Posição inválida: ${position}. Use ${MOVE_POSITIONS.join(', ')}`);
+    }
+    if (element === target || element.contains(target)) {
+      throw new Error('Não é possível mover um elemento para dentro dele mesmo');
+    }
+    return this.execute({
+      operation: 'move',
+      description: description || `Mover elemento (${position})`,
+      selector: this.getSelector(element),
+      targetSelector: this.getSelector(target),
+      position
+    }, { [this.getSelector(element)]: element, [this.getSelector(target)]: target });
+  }
+
+  duplicate(element, description) {
+    return this.execute({
+      operation: 'duplicate',
+      description: description || 'Duplicar elemento',
+      selector: this.getSelector(element)
+    }, { [this.getSelector(element)]: element });
+  }
+
+  /**
+   * Puts the elements, in the given order, inside a new wrapper created where the first one was
+   * @param {Object} wrapper - { tag: 'div', className }
+   */
+  wrap(elements, wrapper = {}, description) {
+    if (elements.length === 0) {
+      throw new Error('Nenhum elemento para envolver');
+    }
+    const tag = (wrapper.tag || 'div').toLowerCase();
+    if (!/^[a-z][a-z0-9-]*$/.test(tag)) {
+      throw new Error(`Tag inválida: ${wrapper.tag}`);
+    }
+
+    const selectors = elements.map(element => this.getSelector(element));
+    return this.execute({
+      operation: 'wrap',
+      description: description || `Envolver em <${tag}>`,
+      selector: selectors[0],
+      selectors,
+      tag,
+      className: wrapper.className || null
+    }, Object.fromEntries(elements.map((element, index) => [selectors[index], element])));
+  }
+
+  /**
+   * Replaces the element with its children
+   */
+  unwrap(element, description) {
+    return this.execute({
+      operation: 'unwrap',
+      description: description || 'Remover elemento mantendo o conteúdo',
+      selector: this.getSelector(element)
+    }, { [this.getSelector(element)]: element });
+  }
+
+  /**
+   * @param {string} direction - 'up' | 'down' | 'first' | 'last' among the element siblings
+   */
+  reorder(element, direction, description) {
+    if (!REORDER_DIRECTIONS.includes(direction)) {
+      throw new Error(`Direção inválida: ${direction}. Use ${REORDER_DIRECTIONS.join(', ')}`);
+    }
+    return this.execute({
+      operation: 'reorder',
+      description: description || `Reordenar elemento (${direction})`,
+      selector: this.getSelector(element),
+      direction
+    }, { [this.getSelector(element)]: element });
+  }
+
+  remove(element, description) {
+    return this.execute({
+      operation: 'remove',
+      description: description || 'Remover elemento',
+      selector: this.getSelector(element),
+      html: element.outerHTML
+    }, { [this.getSelector(element)]: element });
+  }
+
+  /**
+   * Replaces the content of the element with plain text
+   */
+  editText(element, text, description) {
+    return this.execute({
+      operation: 'text',
+      description: description || 'Editar texto',
+      selector: this.getSelector(element),
+      previousText: element.textContent,
+      text: String(text)
+    }, { [this.getSelector(element)]: element });
+  }
+
+  /**
+   * Runs an operation on live elements and records it in the journal
+   * @param {Object} change - Serializable description of the operation
+   * @param {Object} elements - selector -> live element taking part in it
+   */
+  execute(change, elements) {
+    const steps = this.perform(change, (selector) => elements[selector] || this.resolve(selector));
+    const created = steps.find(step => !step.from.parent && step.node.nodeType === 1);
+
+    return this.journal.record({
+      type: 'dom',
+      ...change,
+      ...(created && change.operation !== 'text' ? { html: created.node.outerHTML } : {}),
+      refs: { steps }
+    });
+  }
+
+  /**
+   * Performs the operation through node placements
+   * @returns {Array} - [{ node, from, to }]
+   */
+  perform(change, resolve) {
+    if (!OPERATIONS.includes(change.operation)) {
+      throw new Error(`Operação desconhecida: ${change.operation}`);
+    }
+
+    const element = resolve(change.selector);
+    if (!element) {
+      throw new Error(`Elemento não encontrado: ${change.selector}`);
+    }
+
+    const steps = [];
+    const place = (node, parent, nextSibling = null) => {
+      const to = { parent, nextSibling };
+      steps.push({ node, from: DomEditor.position(node), to });
+      DomEditor.placeNode(node, to);
+    };
+
+    switch (change.operation) {
+    case 'move': {
+      const target = resolve(change.targetSelector);
+      if (!target) {
+        throw new Error(`Elemento de destino não encontrado: ${change.targetSelector}`);
+      }
+      if (change.position === 'before') place(element, target.parentNode, target);
+      if (change.position === 'after') place(element, target.parentNode, target.nextSibling);
+      if (change.position === 'prepend') place(element, target, target.firstChild);
+      if (change.position === 'append') place(element, target, null);
+      break;
+    }
+    case 'duplicate': {
+      const clone = element.cloneNode(true);
+      // Ids must stay unique in the page
+      if (clone.id) clone.removeAttribute('id');
+      place(clone, element.parentNode, element.nextSibling);
+      break;
+    }
+    case 'wrap': {
+      const members = change.selectors.map(selector => {
+        const member = resolve(selector);
+        if (!member) throw new Error(`Elemento não encontrado: ${selector}`);
+        return member;
+      });
+      const wrapper = this.document.createElement(change.tag);
+      if (change.className) wrapper.className = change.className;
+      place(wrapper, members[0].parentNode, members[0]);
+      members.forEach(member => place(member, wrapper, null));
+      break;
+    }
+    case 'unwrap': {
+      const parent = element.parentNode;
+      Array.from(element.childNodes).forEach(child => place(child, parent, element));
+      place(element, null);
+      break;
+    }
+    case 'reorder': {
+      const parent = element.parentNode;
+      const previous = element.previousElementSibling;
+      const next = element.nextElementSibling;
+      if ((change.direction === 'up' || change.direction === 'first') && !previous) {
+        throw new Error('O elemento já é o primeiro entre os irmãos');
+      }
+      if ((change.direction === 'down' || change.direction === 'last') && !next) {
+        throw new Error('O elemento já é o último entre os irmãos');
+      }
+      if (change.direction === 'up') place(element, parent, previous);
+      if (change.direction === 'down') place(element, parent, next.nextSibling);
+      if (change.direction === 'first') place(element, parent, parent.firstElementChild);
+      if (change.direction === 'last') place(element, parent, null);
+      break;
+    }
+    case 'remove':
+      place(element, null);
+      break;
+    case 'text':
+      Array.from(element.childNodes).forEach(child => place(child, null));
+      place(this.document.createTextNode(change.text), element, null);
+      break;
+    }
+
+    return steps;
+  }
+
+  resolve(selector) {
+    if (!selector || !this.document) return null;
+    try {
+      return this.document.querySelector(selector);
+    } catch (error) {
+      console.warn('Invalid selector in DOM change:', selector, error);
+      return null;
+    }
+  }
+
+  static position(node) {
+    return { parent: node.parentNode || null, nextSibling: node.nextSibling || null };
+  }
+
+  /**
+   * Puts the node at a position; a position without parent detaches it
+   */
+  static placeNode(node, { parent, nextSibling }) {
+    if (!parent) {
+      node.remove();
+      return;
+    }
+    parent.insertBefore(node, nextSibling && nextSibling.parentNode === parent ? nextSibling : null);
+  }
+
+  /**
+   * Changelog line for a 'dom' change
+   */
+  static describe(change) {
+    const positions = { before: 'antes de', after: 'depois de', prepend: 'no início de', append: 'no fim de' };
+    const directions = { up: 'uma posição acima', down: 'uma posição abaixo', first: 'para o início', last: 'para o fim' };
+
+    switch (change.operation) {
+    case 'move':
+      return `Elemento movido: ${change.selector} → ${positions[change.position]} ${change.targetSelector}`;
+    case 'duplicate':
+      return `Elemento duplicado: ${change.selector} (cópia inserida logo depois)`;
+    case 'wrap':
+      return `Elementos envolvidos em <${change.tag}${change.className ? ` class="${change.className}"` : ''}>: ${change.selectors.join(', ')}`;
+    case 'unwrap':
+      return `Elemento removido mantendo o conteúdo: ${change.selector}`;
+    case 'reorder':
+      return `Elemento reordenado ${directions[change.direction]}: ${change.selector}`;
+    case 'remove':
+      return `Elemento removido: ${change.selector}`;
+    case 'text':
+      return `Texto alterado em ${change.selector}: "${change.previousText.trim()}" → "${change.text}"`;
+    default:
+      return `Alteração estrutural: ${change.description}`;
+    }
+  }
+}
+
+export default DomEditor;
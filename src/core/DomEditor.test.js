@@ -0,0 +1,98 @@
+/**
+ * @jest-environment jsdom
+ */
+import DomEditor from './DomEditor';
+import ChangeJournal from './ChangeJournal';
+
+describe('DomEditor', () => {
+  let journal;
+  let editor;
+  let list;
+  let items;
+
+  const ids = () => Array.from(list.children).map(node => node.id || node.tagName.toLowerCase());
+
+  beforeEach(() => {
+    document.body.innerHTML = '<ul id="list"><li id="a">A</li><li id="b">B</li><li id="c">C</li></ul>';
+    list = document.getElementById('list');
+    items = Array.from(list.children);
+    journal = new ChangeJournal();
+    editor = new DomEditor(journal);
+  });
+
+  test('should move elements and undo/redo the move', () => {
+    editor.move(items[0], items[2], 'after');
+    expect(ids()).toEqual(['b', 'c', 'a']);
+
+    journal.undo();
+    expect(ids()).toEqual(['a', 'b', 'c']);
+
+    journal.redo();
+    expect(ids()).toEqual(['b', 'c', 'a']);
+  });
+
+  test('should reorder siblings and refuse impossible moves', () => {
+    editor.reorder(items[2], 'up');
+    expect(ids()).toEqual(['a', 'c', 'b']);
+    editor.reorder(items[0], 'last');
+    expect(ids()).toEqual(['c', 'b', 'a']);
+
+    expect(() => editor.reorder(items[2], 'first')).toThrow('já é o primeiro');
+    expect(() => editor.move(list, items[0], 'append')).toThrow('dentro dele mesmo');
+  });
+
+  test('should duplicate without copying the id', () => {
+    const change = editor.duplicate(items[1]);
+    expect(ids()).toEqual(['a', 'b', 'li', 'c']);
+    expect(change.html).toBe('<li>B</li>');
+
+    journal.undo();
+    expect(ids()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should wrap and unwrap elements', () => {
+    editor.wrap([items[0], items[1]], { tag: 'div', className: 'group' });
+    const wrapper = list.firstElementChild;
+    expect(wrapper.className).toBe('group');
+    expect(Array.from(wrapper.children).map(node => node.id)).toEqual(['a', 'b']);
+    expect(ids()).toEqual(['div', 'c']);
+
+    editor.unwrap(wrapper);
+    expect(ids()).toEqual(['a', 'b', 'c']);
+
+    journal.undo();
+    journal.undo();
+    expect(ids()).toEqual(['a', 'b', 'c']);
+    expect(wrapper.parentNode).toBeNull();
+  });
+
+  test('should remove elements and edit text reversibly', () => {
+    editor.remove(items[1]);
+    editor.editText(items[0], 'Primeiro');
+    expect(ids()).toEqual(['a', 'c']);
+    expect(items[0].textContent).toBe('Primeiro');
+
+    journal.undo();
+    expect(items[0].textContent).toBe('A');
+    journal.undo();
+    expect(ids()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should roll back the edits of a failed operation', () => {
+    journal.begin('Alterar texto');
+    editor.editText(items[0], 'Primeiro');
+    editor.editText(items[1], 'Segundo');
+    journal.rollback();
+
+    expect(items.map(item => item.textContent)).toEqual(['A', 'B', 'C']);
+    expect(journal.canUndo()).toBe(false);
+  });
+
+  test('should describe changes for the changelog', () => {
+    const move = editor.move(items[0], items[2], 'before');
+    const text = editor.editText(items[1], 'Novo');
+
+    expect(DomEditor.describe(move)).toBe('Elemento movido: #a → antes de #c');
+    expect(DomEditor.describe(text)).toBe('Texto alterado em #b: "B" → "Novo"');
+  });
+});
@@ -0,0 +1,280 @@
+import WindowEventDispatcher from '../utils/windowEventDispatcher';
+
+// Change types tied to one element that can follow it to a re-rendered copy
+const ANCHORED_TYPES = ['style', 'rule'];
+// Attributes that survive re-renders and tell elements apart; style and Frontable markers are left out
+const FINGERPRINT_ATTRIBUTES = /^(id|class|role|name|type|href|src|alt|title|for|placeholder|aria-[\w-]+|data-[\w-]+)$/;
+const ANCESTRY_DEPTH = 3;
+// Elements fingerprinted per lookup; a page with thousands of divs would otherwise stall every re-render
+const MAX_CANDIDATES = 200;
+
+// Weight of each part of the fingerprint in the similarity score
+const WEIGHTS = { text: 0.35, attributes: 0.3, ancestry: 0.25, position: 0.1 };
+
+/**
+ * EditAnchor - Keeps edits attached to their elements when the page re-renders.
+ *
+ * Frameworks such as React and Vue replace DOM nodes on re-render, which leaves
+ * journal changes pointing at detached elements and selectors that may now match
+ * nothing (or the wrong node). Every style and rule change stores a fingerprint
+ * of its element (tag, text hash, attributes, ancestry); a MutationObserver
+ * watches for removed nodes, finds the successor with the most similar
+ * fingerprint and re-applies the change to it. Changes whose element cannot be
+ * found again are reported through `ajentEditAnchorLost`.
+ */
+class EditAnchor {
+  /**
+   * @param {Object} options - { journal, layer (StylesheetLayer of the rules), getSelector(element), getChanges(), root, threshold, delay }
+   */
+  constructor(options = {}) {
+    this.journal = options.journal;
+    this.layer = options.layer || null;
+    this.getSelector = options.getSelector || (() => null);
+    this.getChanges = options.getChanges || (() => this.journal.getChanges());
+    this.root = options.root || null;
+    this.threshold = options.threshold || 0.6;
+    this.delay = options.delay === undefined ? 100 : options.delay;
+
+    this.observer = null;
+    this.checkTimer = null;
+    this.unsubscribe = null;
+    // Changes already reported as lost, and changes whose element Frontable itself removed
+    this.lost = new WeakSet();
+    this.detached = new WeakSet();
+  }
+
+  start() {
+    if (this.observer || typeof MutationObserver === 'undefined') return;
+
+    this.observer = new MutationObserver((mutations) => {
+      if (mutations.some(mutation => Array.from(mutation.removedNodes).some(node => EditAnchor.isPageElement(node)))) {
+        this.scheduleCheck();
+      }
+    });
+    this.observer.observe(this.root || document.body, { childList: true, subtree: true });
+
+    // Undo, redo and structural edits remove elements on purpose: changes on the
+    // nodes that entry took out of the page are not re-anchored. Anything else
+    // detached is a re-render the observer has yet to report.
+    this.unsubscribe = this.journal.subscribe((event, entry) => {
+      const removed = EditAnchor.nodesOf(entry).filter(node => !node.isConnected);
+      if (removed.length === 0) return;
+
+      this.getChanges().forEach(change => {
+        const element = change.refs?.element;
+        if (element && removed.some(node => node === element || node.contains(element))) {
+          this.detached.add(change);
+        }
+      });
+    });
+  }
+
+  stop() {
+    if (this.observer) this.observer.disconnect();
+    if (this.unsubscribe) this.unsubscribe();
+    clearTimeout(this.checkTimer);
+    this.observer = null;
+    this.unsubscribe = null;
+  }
+
+  scheduleCheck() {
+    clearTimeout(this.checkTimer);
+    this.checkTimer = setTimeout(() => this.check(), this.delay);
+  }
+
+  /**
+   * Re-anchors every change whose element left the page
+   * @returns {Object} - { reanchored: [change], lost: [change] }
+   */
+  check() {
+    const reanchored = [];
+    const lost = [];
+
+    this.getChanges()
+      .filter(change => ANCHORED_TYPES.includes(change.type) && change.fingerprint)
+      .forEach(change => {
+        if (!EditAnchor.isDetached(change)) {
+          this.detached.delete(change);
+          this.lost.delete(change);
+          return;
+        }
+        if (this.detached.has(change)) return;
+
+        const successor = this.findSuccessor(change.fingerprint);
+        if (successor && this.reanchor(change, successor)) {
+          this.lost.delete(change);
+          reanchored.push(change);
+        } else if (!this.lost.has(change)) {
+          this.lost.add(change);
+          lost.push(change);
+        }
+      });
+
+    if (lost.length > 0) {
+      WindowEventDispatcher.dispatch('ajentEditAnchorLost', {
+        message: EditAnchor.formatLost(lost),
+        changes: lost.map(change => ({ description: change.description, selector: change.selector }))
+      });
+    }
+    return { reanchored, lost };
+  }
+
+  /**
+   * The page element most similar to the fingerprint, or null when none is close or two are tied.
+   * Past MAX_CANDIDATES elements of the tag, only those sharing the id or a class are scored.
+   */
+  findSuccessor(fingerprint) {
+    const scope = this.root || document;
+    let candidates = Array.from(scope.querySelectorAll(fingerprint.tag))
+      .filter(candidate => EditAnchor.isPageElement(candidate) && !candidate.closest('[class*="frontable-"]'));
+    if (candidates.length > MAX_CANDIDATES) {
+      candidates = candidates.filter(candidate => EditAnchor.sharesHook(fingerprint, candidate)).slice(0, MAX_CANDIDATES);
+    }
+
+    const ranked = candidates
+      .map(candidate => ({ candidate, score: EditAnchor.similarity(fingerprint, EditAnchor.fingerprint(candidate)) }))
+      .filter(match => match.score >= this.threshold)
+      .sort((a, b) => b.score - a.score);
+
+    if (ranked.length === 0) return null;
+    if (ranked.length > 1 && ranked[0].score - ranked[1].score < 0.05) return null;
+    return ranked[0].candidate;
+  }
+
+  /**
+   * Points the change at its successor and applies it there
+   */
+  reanchor(change, element) {
+    const selector = this.getSelector(element) || change.selector;
+
+    change.refs = { ...change.refs, element };
+    change.selector = selector;
+    change.fingerprint = EditAnchor.fingerprint(element);
+    if (change.elementContext) {
+      change.elementContext = { ...change.elementContext, uniqueSelector: selector };
+    }
+
+    if (change.type === 'rule') {
+      // The rule may still match the new node (stable selectors); otherwise it follows it
+      if (!element.matches(change.rule.selector)) {
+        change.rule.selector = selector;
+        if (this.layer) this.layer.updateRuleSelector(change.rule.id, selector);
+      }
+      return true;
+    }
+
+    return this.journal.reapplyEntries([{ changes: [change] }]) === 0;
+  }
+
+  /**
+   * Serializable description of an element, stored with its changes
+   * @returns {Object} - { tag, textHash, attributes, ancestry, position }
+   */
+  static fingerprint(element) {
+    const attributes = {};
+    Array.from(element.attributes || []).forEach(({ name, value }) => {
+      if (!FINGERPRINT_ATTRIBUTES.test(name) || name.startsWith('data-frontable')) return;
+      attributes[name] = name === 'class' ? EditAnchor.pageClasses(value) : value;
+    });
+
+    const ancestry = [];
+    for (let ancestor = element.parentElement; ancestor && ancestry.length < ANCESTRY_DEPTH; ancestor = ancestor.parentElement) {
+      const id = ancestor.id ? `#${ancestor.id}` : '';
+      const classes = EditAnchor.pageClasses(ancestor.getAttribute('class') || '').split(' ').filter(Boolean).map(name => `.${name}`).join('');
+      ancestry.push(`${ancestor.tagName.toLowerCase()}${id}${classes}`);
+    }
+
+    const siblings = element.parentElement
+      ? Array.from(element.parentElement.children).filter(sibling => sibling.tagName === element.tagName)
+      : [element];
+
+    return {
+      tag: element.tagName.toLowerCase(),
+      textHash: EditAnchor.hashText(element.textContent),
+      attributes,
+      ancestry,
+      position: siblings.indexOf(element) + 1
+    };
+  }
+
+  /**
+   * 0 (different elements) to 1 (same fingerprint)
+   */
+  static similarity(a, b) {
+    if (!a || !b || a.tag !== b.tag) return 0;
+
+    const pairs = (attributes) => new Set(Object.entries(attributes).map(([name, value]) => `${name}=${value}`));
+    const left = pairs(a.attributes);
+    const right = pairs(b.attributes);
+    const union = new Set([...left, ...right]);
+    const shared = [...left].filter(pair => right.has(pair)).length;
+    const attributes = union.size === 0 ? 1 : shared / union.size;
+
+    const depth = Math.max(a.ancestry.length, b.ancestry.length);
+    const ancestry = depth === 0 ? 1 : a.ancestry.filter((step, index) => b.ancestry[index] === step).length / depth;
+
+    return WEIGHTS.text * (a.textHash === b.textHash ? 1 : 0) +
+      WEIGHTS.attributes * attributes +
+      WEIGHTS.ancestry * ancestry +
+      WEIGHTS.position * (a.position === b.position ? 1 : 0);
+  }
+
+  /**
+   * djb2 hash of the normalized text
+   */
+  static hashText(text) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim().slice(0, 500);
+    let hash = 5381;
+    for (let i = 0; i < normalized.length; i++) {
+      hash = ((hash << 5) + hash + normalized.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  static pageClasses(className) {
+    return String(className).split(/\s+/).filter(name => name && !name.startsWith('frontable-')).sort().join(' ');
+  }
+
+  /**
+   * Nodes an entry's changes placed, replaced or removed
+   */
+  static nodesOf(entry) {
+    if (!entry) return [];
+    return entry.changes.flatMap(({ refs = {} }) => [
+      refs.node,
+      refs.previousNode,
+      ...(refs.nodes || []),
+      ...(refs.steps || []).map(step => step.node)
+    ]).filter(node => node && typeof node.contains === 'function');
+  }
+
+  static isDetached(change) {
+    const element = change.refs?.element;
+    return Boolean(element) && !element.isConnected;
+  }
+
+  /**
+   * Cheap pre-check: same id or at least one class in common
+   */
+  static sharesHook(fingerprint, element) {
+    const { id, class: classes } = fingerprint.attributes;
+    if (id && element.id === id) return true;
+    if (!classes) return false;
+    const elementClasses = EditAnchor.pageClasses(element.getAttribute('class') || '').split(' ');
+    return classes.split(' ').some(name => elementClasses.includes(name));
+  }
+
+  static isPageElement(node) {
+    return node.nodeType === 1 && !String(node.getAttribute('class') || '').includes('frontable-');
+  }
+
+  static formatLost(changes) {
+    const lines = changes.slice(0, 5).map(change => `• ${change.description || 'Alteração'}${change.selector ? ` (${change.selector})` : ''}`);
+    if (changes.length > 5) {
+      lines.push(`• ... e mais ${changes.length - 5}`);
+    }
+    return `⚠️ A página foi re-renderizada e ${changes.length} edição(ões) não puderam ser reaplicadas, porque o elemento não foi encontrado:\n${lines.join('\n')}\n\n💡 Selecione o elemento novamente e repita o comando.`;
+  }
+}
+
+export default EditAnchor;
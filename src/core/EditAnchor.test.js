@@ -0,0 +1,129 @@
+/**
+ * @jest-environment jsdom
+ */
+import EditAnchor from './EditAnchor';
+import ChangeJournal from './ChangeJournal';
+import DomEditor from './DomEditor';
+
+// Re-render: the list is rebuilt with fresh nodes
+const renderList = () => {
+  document.body.innerHTML = '<ul class="menu" data-component="menu"><li class="menu-item">Início</li><li class="menu-item">Produtos</li><li class="menu-item">Contato</li></ul>';
+  return Array.from(document.querySelectorAll('li'));
+};
+
+describe('EditAnchor', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  test('should score re-rendered copies above other elements', () => {
+    const [home, products] = renderList();
+    const fingerprint = EditAnchor.fingerprint(products);
+    expect(fingerprint).toMatchObject({
+      tag: 'li',
+      attributes: { class: 'menu-item' },
+      ancestry: ['ul.menu', 'body', 'html'],
+      position: 2
+    });
+
+    const [, productsCopy] = renderList();
+    expect(EditAnchor.similarity(fingerprint, EditAnchor.fingerprint(productsCopy))).toBeCloseTo(1);
+    expect(EditAnchor.similarity(fingerprint, EditAnchor.fingerprint(home))).toBeLessThan(0.6);
+    expect(EditAnchor.similarity(fingerprint, { ...fingerprint, tag: 'div' })).toBe(0);
+  });
+
+  test('should reapply inline styles to the successor of a replaced element', () => {
+    const journal = new ChangeJournal();
+    const anchor = new EditAnchor({ journal, getSelector: () => '[data-component="menu"] > li:nth-of-type(2)' });
+
+    const [, products] = renderList();
+    products.style.color = 'red';
+    const change = journal.record({
+      type: 'style',
+      selector: '.menu > li:nth-child(2)',
+      description: 'Destacar produtos',
+      styles: { color: 'red' },
+      fingerprint: EditAnchor.fingerprint(products),
+      refs: { element: products }
+    });
+
+    const [, successor] = renderList();
+    const { reanchored, lost } = anchor.check();
+
+    expect(reanchored).toEqual([change]);
+    expect(lost).toEqual([]);
+    expect(successor.style.color).toBe('red');
+    expect(change.refs.element).toBe(successor);
+    expect(change.selector).toBe('[data-component="menu"] > li:nth-of-type(2)');
+    expect(document.querySelector(change.selector)).toBe(successor);
+  });
+
+  test('should move rules to the successor and report edits that cannot be anchored', () => {
+    const journal = new ChangeJournal();
+    const layer = { updateRuleSelector: jest.fn() };
+    const anchor = new EditAnchor({ journal, layer, getSelector: () => '#promo' });
+
+    // Generated ids do not survive the re-render, so the rule's selector stops matching
+    const [home] = renderList();
+    home.id = 'r-1';
+    const rule = { id: 'rule-1', selector: '#r-1' };
+    const ruleChange = journal.record({ type: 'rule', description: 'Sublinhar início', rule, fingerprint: EditAnchor.fingerprint(home), refs: { element: home } });
+
+    const banner = document.body.appendChild(document.createElement('div'));
+    banner.className = 'banner';
+    banner.textContent = 'Promoção';
+    const styleChange = journal.record({ type: 'style', description: 'Fundo do banner', styles: { color: 'blue' }, fingerprint: EditAnchor.fingerprint(banner), refs: { element: banner } });
+
+    renderList();
+    const { reanchored, lost } = anchor.check();
+
+    expect(reanchored).toEqual([ruleChange]);
+    expect(rule.selector).toBe('#promo');
+    expect(layer.updateRuleSelector).toHaveBeenCalledWith('rule-1', '#promo');
+    expect(lost).toEqual([styleChange]);
+    expect(EditAnchor.formatLost(lost)).toContain('• Fundo do banner');
+
+    // Reported once, not on every mutation
+    expect(anchor.check().lost).toEqual([]);
+  });
+
+  test('should only leave alone the edits whose element a journal entry removed', () => {
+    const journal = new ChangeJournal();
+    const anchor = new EditAnchor({ journal, delay: 0 });
+    const editor = new DomEditor(journal);
+    anchor.start();
+
+    const [home, products] = renderList();
+    const homeChange = journal.record({ type: 'style', styles: { color: 'red' }, fingerprint: EditAnchor.fingerprint(home), refs: { element: home } });
+    const productsChange = journal.record({ type: 'style', styles: { color: 'blue' }, fingerprint: EditAnchor.fingerprint(products), refs: { element: products } });
+
+    // The framework re-renders "Produtos" and, before the observer reports it, the user removes "Início"
+    const productsCopy = products.cloneNode(true);
+    products.replaceWith(productsCopy);
+    editor.remove(home);
+
+    expect(anchor.check().reanchored).toEqual([productsChange]);
+    expect(productsCopy.style.color).toBe('blue');
+    expect(homeChange.refs.element).toBe(home);
+    anchor.stop();
+  });
+
+  test('should only score elements sharing a class when the page has many of the tag', () => {
+    const journal = new ChangeJournal();
+    const anchor = new EditAnchor({ journal });
+
+    const [, products] = renderList();
+    const change = journal.record({ type: 'style', styles: { color: 'red' }, fingerprint: EditAnchor.fingerprint(products), refs: { element: products } });
+
+    const [, successor] = renderList();
+    const footer = document.body.appendChild(document.createElement('ul'));
+    footer.innerHTML = Array.from({ length: 300 }, (_, index) => `<li>Link ${index}</li>`).join('');
+
+    const fingerprint = jest.spyOn(EditAnchor, 'fingerprint');
+    expect(anchor.check().reanchored).toEqual([change]);
+    expect(change.refs.element).toBe(successor);
+    // The three menu items, then the successor's new fingerprint
+    expect(fingerprint).toHaveBeenCalledTimes(4);
+  });
+});
@@ -1,3 +1,6 @@
+import StylesheetLayer, { FORCE_STATE_ATTRIBUTE } from './StylesheetLayer';
+import SelectorEngine from './SelectorEngine';
+
 // Global event handler that all ElementSelector instances will use
 window.FRONTABLE_GLOBAL_HANDLER = null;
 
@@ -12,6 +15,9 @@ class ElementSelector {
     this.multiOverlays = [];
     this.onSelectionChange = null;
     this.lastSelectedElements = []; // Track last selected elements for reuse
+    this.forcedStates = new Map(); // element -> Set of forced states (":hover", "[disabled]"...)
+    this.forcedStateStyle = null;
+    this.selectorEngine = new SelectorEngine();
     this.instanceId = Math.random().toString(36).substring(2, 11); // Unique instance ID
     
     this.createOverlay();
@@ -84,6 +90,7 @@ class ElementSelector {
     this.isEnabled = false;
     this.clearSelection();
     this.clearMultiSelection();
+    this.releaseForcedStates();
     
     console.log(`🔧 ElementSelector [${this.instanceId}]: Disabling...`);
     
@@ -120,7 +127,7 @@ class ElementSelector {
       console.warn('⚠️ ElementSelector: MouseOver called but selector is disabled!');
       return;
     }
-    if (e.target.closest('.frontable-chat-panel')) return;
+    if (e.target.closest('.frontable-chat-panel, .frontable-ghost-toolbar, .frontable-ghost-preview')) return;
     if (this.selectedElement) return; // Stop hovering after selection
     
     this.hoveredElement = e.target;
@@ -132,7 +139,7 @@ class ElementSelector {
       console.warn('⚠️ ElementSelector: MouseOut called but selector is disabled!');
       return;
     }
-    if (e.target.closest('.frontable-chat-panel')) return;
+    if (e.target.closest('.frontable-chat-panel, .frontable-ghost-toolbar, .frontable-ghost-preview')) return;
     if (this.selectedElement) return; // Keep overlay visible after selection
     
     this.hoveredElement = null;
@@ -151,7 +158,7 @@ class ElementSelector {
       return;
     }
     
-    if (e.target.closest('.frontable-chat-panel')) return;
+    if (e.target.closest('.frontable-chat-panel, .frontable-ghost-toolbar, .frontable-ghost-preview')) return;
     
     console.log(`🖱️ ElementSelector [${this.instanceId}]: Processing click on`, e.target.tagName);
     
@@ -348,7 +355,8 @@ class ElementSelector {
 
   hideOverlayForElement(element) {
     const elementId = this.getElementId(element);
-    const overlays = document.querySelectorAll(`[data-element-id="${elementId}"]`);
+    // Ids may hold quotes ([aria-label="..."]), so compare them instead of querying
+    const overlays = this.multiOverlays.filter(overlay => overlay.dataset.elementId === elementId);
     overlays.forEach(overlay => {
       overlay.remove();
       const index = this.multiOverlays.indexOf(overlay);
@@ -391,47 +399,134 @@ class ElementSelector {
   }
 
   getElementId(element) {
-    // Create a unique CSS selector path for the element
-    if (element.id) return `#${element.id}`;
-    // Build a complete CSS path
-    const path = [];
-    let current = element;
-    
-    while (current && current !== document.body && current !== document.documentElement) {
-      let selector = current.tagName.toLowerCase();
-      
-      // Add class if available
-      if (current.className && typeof current.className === 'string') {
-        const classes = current.className.trim().split(/\s+/).filter(cls => cls);
-        if (classes.length > 0) {
-          selector += '.' + classes.join('.');
-        }
+    return this.selectorEngine.getSelector(element);
+  }
+
+  /**
+   * Pins an element into a state (":hover", ":focus-visible", "[disabled]"...) while it is edited.
+   * The element gets a force-state attribute; Frontable's state rules match it directly and
+   * the page's own rules for that state are mirrored with the attribute in place of the state.
+   */
+  forceState(element, state) {
+    if (!element || !state) return;
+
+    if (!this.forcedStates.has(element)) {
+      this.forcedStates.set(element, new Set());
+    }
+    this.forcedStates.get(element).add(state);
+    this.updateForceStateAttribute(element);
+    this.updateForcedStateStyles();
+  }
+
+  toggleForcedState(element, state) {
+    if (this.getForcedStates(element).includes(state)) {
+      this.releaseForcedState(element, state);
+      return false;
+    }
+    this.forceState(element, state);
+    return true;
+  }
+
+  releaseForcedState(element, state) {
+    const states = this.forcedStates.get(element);
+    if (!states) return;
+
+    states.delete(state);
+    if (states.size === 0) {
+      this.forcedStates.delete(element);
+    }
+    this.updateForceStateAttribute(element);
+    this.updateForcedStateStyles();
+  }
+
+  releaseForcedStates() {
+    this.forcedStates.forEach((states, element) => element.removeAttribute(FORCE_STATE_ATTRIBUTE));
+    this.forcedStates.clear();
+    this.updateForcedStateStyles();
+  }
+
+  getForcedStates(element) {
+    return Array.from(this.forcedStates.get(element) || []);
+  }
+
+  /**
+   * All states currently forced on any element
+   */
+  getAllForcedStates() {
+    const states = new Set();
+    this.forcedStates.forEach(elementStates => elementStates.forEach(state => states.add(state)));
+    return Array.from(states);
+  }
+
+  updateForceStateAttribute(element) {
+    const tokens = this.getForcedStates(element).map(state => StylesheetLayer.stateToken(state));
+    if (tokens.length > 0) {
+      element.setAttribute(FORCE_STATE_ATTRIBUTE, tokens.join(' '));
+    } else {
+      element.removeAttribute(FORCE_STATE_ATTRIBUTE);
+    }
+  }
+
+  updateForcedStateStyles() {
+    const cssText = this.getAllForcedStates()
+      .map(state => this.mirrorStateRules(state))
+      .filter(Boolean)
+      .join('\n');
+
+    if (!cssText) {
+      if (this.forcedStateStyle) {
+        this.forcedStateStyle.remove();
+        this.forcedStateStyle = null;
       }
-      
-      // Add nth-child if no unique identifier
-      if (!current.id && (!current.className || !current.className.trim())) {
-        const siblings = Array.from(current.parentNode?.children || []);
-        const sameTagSiblings = siblings.filter(sibling => 
-          sibling.tagName.toLowerCase() === current.tagName.toLowerCase()
-        );
-        
-        if (sameTagSiblings.length > 1) {
-          const index = sameTagSiblings.indexOf(current) + 1;
-          selector += `:nth-of-type(${index})`;
+      return;
+    }
+
+    if (!this.forcedStateStyle || !this.forcedStateStyle.isConnected) {
+      this.forcedStateStyle = document.createElement('style');
+      this.forcedStateStyle.id = 'frontable-forced-states';
+      document.head.appendChild(this.forcedStateStyle);
+    }
+    this.forcedStateStyle.textContent = cssText;
+  }
+
+  /**
+   * Copies the page's rules that use a state, with the force-state attribute instead of it
+   */
+  mirrorStateRules(state) {
+    const escaped = state.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const statePattern = new RegExp(`${escaped}(?![\\w-])`);
+    const allStates = new RegExp(statePattern.source, 'g');
+    const forcedSelector = StylesheetLayer.forcedStateSelector(state);
+
+    const mirrorRules = (rules) => {
+      const mirrored = [];
+      Array.from(rules).forEach(rule => {
+        if (rule.selectorText && statePattern.test(rule.selectorText)) {
+          const selector = rule.selectorText.replace(allStates, forcedSelector);
+          mirrored.push(`${selector} { ${rule.style.cssText} }`);
+        } else if (rule.cssRules) {
+          const inner = mirrorRules(rule.cssRules);
+          if (inner.length > 0) {
+            mirrored.push(rule.media ? `@media ${rule.media.mediaText} { ${inner.join(' ')} }` : inner.join(' '));
+          }
         }
+      });
+      return mirrored;
+    };
+
+    const mirrored = [];
+    Array.from(document.styleSheets).forEach(sheet => {
+      const ownerId = sheet.ownerNode && sheet.ownerNode.id;
+      if (ownerId === 'frontable-overrides' || ownerId === 'frontable-forced-states') return;
+
+      try {
+        mirrored.push(...mirrorRules(sheet.cssRules));
+      } catch (error) {
+        // Cross-origin stylesheets cannot be read
       }
-      
-      path.unshift(selector);
-      current = current.parentNode;
-      
-      // Stop if we have a unique identifier
-      if (current && current.id) {
-        path.unshift(`#${current.id}`);
-        break;
-      }
-    }
-    
-    return path.join(' > ');
+    });
+
+    return mirrored.join('\n');
   }
 
   getMultiSelectedElements() {
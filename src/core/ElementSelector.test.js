@@ -0,0 +1,110 @@
+/**
+ * @jest-environment jsdom
+ */
+import ElementSelector from './ElementSelector';
+import { FORCE_STATE_ATTRIBUTE } from './StylesheetLayer';
+
+describe('ElementSelector forced states', () => {
+  let selector;
+  let button;
+
+  const addStylesheet = (cssText, id = '') => {
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = cssText;
+    document.head.appendChild(style);
+    // jsdom leaves ownerNode out of its stylesheets; browsers always set it
+    Object.defineProperty(style.sheet, 'ownerNode', { value: style, configurable: true });
+    return style.sheet;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    selector = new ElementSelector();
+    button = document.body.appendChild(document.createElement('button'));
+  });
+
+  afterEach(() => {
+    selector.disable();
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  const forcedStyle = () => document.getElementById('frontable-forced-states');
+
+  test('should pin states on the element through the force-state attribute', () => {
+    selector.forceState(button, ':hover');
+    selector.forceState(button, '[aria-pressed="true"]');
+
+    expect(selector.getForcedStates(button)).toEqual([':hover', '[aria-pressed="true"]']);
+    expect(button.getAttribute(FORCE_STATE_ATTRIBUTE)).toBe('hover aria-pressed-true');
+
+    expect(selector.toggleForcedState(button, ':hover')).toBe(false);
+    expect(button.getAttribute(FORCE_STATE_ATTRIBUTE)).toBe('aria-pressed-true');
+    expect(selector.toggleForcedState(button, ':hover')).toBe(true);
+    expect(button.getAttribute(FORCE_STATE_ATTRIBUTE)).toBe('aria-pressed-true hover');
+  });
+
+  test('should mirror the page rules of a state, including media rules', () => {
+    addStylesheet(`
+      .btn:hover, .link:hover { color: red; }
+      .btn:hover-ish { color: green; }
+      .btn:focus { outline: none; }
+      @media (max-width: 767px) { .card:hover { transform: none; } }
+    `);
+
+    expect(selector.mirrorStateRules(':hover')).toBe([
+      '.btn[data-frontable-force-state~="hover"], .link[data-frontable-force-state~="hover"] { color: red; }',
+      '@media (max-width: 767px) { .card[data-frontable-force-state~="hover"] { transform: none; } }'
+    ].join('\n'));
+
+    const [mirrored] = selector.mirrorStateRules(':hover').split('\n');
+    button.className = 'btn';
+    button.setAttribute(FORCE_STATE_ATTRIBUTE, 'hover');
+    expect(button.matches(mirrored.slice(0, mirrored.indexOf(' {')))).toBe(true);
+  });
+
+  test('should skip its own stylesheets and unreadable cross-origin ones', () => {
+    addStylesheet('.btn:hover { color: blue; }', 'frontable-overrides');
+    addStylesheet('.btn[data-frontable-force-state~="hover"] { color: red; }', 'frontable-forced-states');
+    const crossOrigin = addStylesheet('.menu:hover { color: green; }');
+    Object.defineProperty(crossOrigin, 'cssRules', {
+      get() { throw new DOMException('Cannot access rules', 'SecurityError'); }
+    });
+    addStylesheet('a:hover { text-decoration: underline; }');
+
+    expect(selector.mirrorStateRules(':hover')).toBe('a[data-frontable-force-state~="hover"] { text-decoration: underline; }');
+  });
+
+  test('should keep the mirrored rules in a single stylesheet while states are forced', () => {
+    addStylesheet('.btn:hover { color: red; }');
+
+    selector.forceState(button, ':focus');
+    expect(forcedStyle()).toBeNull();
+
+    selector.forceState(button, ':hover');
+    expect(forcedStyle().textContent).toBe('.btn[data-frontable-force-state~="hover"] { color: red; }');
+
+    selector.forceState(document.createElement('a'), ':hover');
+    expect(document.querySelectorAll('#frontable-forced-states')).toHaveLength(1);
+
+    selector.releaseForcedState(button, ':hover');
+    expect(forcedStyle()).not.toBeNull();
+  });
+
+  test('should release every forced state and its stylesheet when disabled', () => {
+    addStylesheet('.btn:hover { color: red; }');
+    const link = document.body.appendChild(document.createElement('a'));
+    selector.forceState(button, ':hover');
+    selector.forceState(link, ':focus-visible');
+
+    selector.disable();
+
+    expect(button.getAttribute(FORCE_STATE_ATTRIBUTE)).toBeNull();
+    expect(link.getAttribute(FORCE_STATE_ATTRIBUTE)).toBeNull();
+    expect(selector.getAllForcedStates()).toEqual([]);
+    expect(forcedStyle()).toBeNull();
+    expect(selector.forcedStateStyle).toBeNull();
+  });
+});
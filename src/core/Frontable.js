@@ -1,9 +1,28 @@
 import ChatInterface from '../ui/ChatInterface';
 import ElementSelector from './ElementSelector';
 import CommandProcessor from './CommandProcessor';
+import ChangeJournal from './ChangeJournal';
+import SessionStore from './SessionStore';
 import VisualContextManager from '../utils/VisualContextManager';
+import ViewportSimulator from '../ui/ViewportSimulator';
+import StylesheetExporter from '../business/css/stylesheetExporter';
+import TailwindTranslator from '../business/css/tailwindTranslator';
+import PatchGenerator from './PatchGenerator';
+import DesignTokenInventory from './DesignTokenInventory';
+import CustomPropertyEditor from './CustomPropertyEditor';
+import AccessibilityAudit from './AccessibilityAudit';
+import SourceFileLoader from './SourceFileLoader';
+import HtmlSanitizer from '../utils/HtmlSanitizer';
+import GhostPreview from '../ui/GhostPreview';
+import HtmlInsertion from './HtmlInsertion';
+import AssetLibrary from './AssetLibrary';
+import EditAnchor from './EditAnchor';
+import { DownloadUtils } from '../utils/downloadUtils';
 import logo50 from '../assets/images/logo50.png';
 
+// Findings listed in the chat per audit rule; the export has all of them
+const AUDIT_FINDINGS_PER_RULE = 8;
+
 class Frontable {
   constructor(options = {}) {
     this.isActive = false;
@@ -12,11 +31,76 @@ class Frontable {
     
     this.chatInterface = new ChatInterface();
     this.elementSelector = new ElementSelector();
-    this.commandProcessor = new CommandProcessor('faab7706-adec-498e-bf2a-6da0ffe8ae82', this.chatInterface);
+    this.changeJournal = new ChangeJournal();
+    this.persistSessions = options.persistSessions !== false;
+    this.sessionStore = new SessionStore(options.sessionStore);
+    this.currentSession = this.sessionStore.createSession();
+    // Saved sessions replayed on this page load, with their live change refs
+    this.restoredSessions = new Map();
+    // options.tailwind: the project's tailwind.config (JSON) used to pick utility classes
+    this.tailwindTranslator = new TailwindTranslator(options.tailwind);
+    // options.designTokens: { snap: false } only warns about off-palette values
+    this.designTokens = new DesignTokenInventory(options.designTokens);
+    this.customProperties = new CustomPropertyEditor(this.changeJournal);
+    // { provider: 'squad' | 'openai-compatible' | 'mock', endpoint, model, apiKey, authHeader, stream, timeout }, or false to run offline
+    this.commandProcessor = new CommandProcessor(options.llm, this.chatInterface, {
+      changeJournal: this.changeJournal,
+      // 'inline' (default) or 'stylesheet' to write rules into the @layer frontable sheet
+      styleMode: options.styleMode,
+      stylesheet: options.stylesheet,
+      tailwindTranslator: this.tailwindTranslator,
+      designTokens: this.designTokens,
+      customProperties: this.customProperties,
+      // { contrastMode: 'warn' | 'block' } for styles below WCAG AA contrast
+      accessibility: options.accessibility,
+      // { enabled: false } sends every command straight to the LLM
+      intentionRecognition: options.intentionRecognition,
+      // { provider: 'http' | 'placeholder', endpoint, size, quality, style, count }
+      images: options.images,
+      // { strategy: 'toggle' | 'media' } for the generated dark theme
+      darkTheme: options.darkTheme
+    });
+    // Follows edited elements across framework re-renders
+    this.editAnchor = new EditAnchor({
+      journal: this.changeJournal,
+      layer: this.commandProcessor.applier.stylesheetLayer,
+      getSelector: (element) => this.commandProcessor.applier.getElementSelector(element),
+      getChanges: () => [
+        ...this.changeJournal.getChanges(),
+        ...Array.from(this.restoredSessions.values()).flatMap(entries => entries.flatMap(entry => entry.changes))
+      ]
+    });
     this.visualContextManager = new VisualContextManager();
+    this.stylesheetExporter = new StylesheetExporter();
+    this.viewportSimulator = new ViewportSimulator();
+    this.accessibilityAudit = new AccessibilityAudit({
+      getSelector: (element) => this.elementSelector.getElementId(element)
+    });
+    this.lastAuditReport = null;
+    // Generated and uploaded images, kept in IndexedDB ({ dbName })
+    this.assetLibrary = new AssetLibrary(options.assetLibrary);
+    // Generated markup is sanitized and previewed before it is inserted
+    this.htmlSanitizer = new HtmlSanitizer();
+    this.ghostPreview = new GhostPreview();
+    this.htmlInsertion = new HtmlInsertion(this.changeJournal, {
+      getSelector: (element) => this.commandProcessor.applier.getElementSelector(element)
+    });
+    this.pendingInsertion = null;
+    // { sourceEndpoint: '/__frontable/sources', overridesPath: 'src/frontable-overrides.css' }
+    this.patchOptions = options.patch || {};
+    this.patchGenerator = new PatchGenerator(this.changeJournal, {
+      overridesPath: this.patchOptions.overridesPath,
+      tailwindTranslator: this.tailwindTranslator
+    });
   }
   
   init() {
+    // Inside the viewport simulator preview only the saved edits are replayed
+    if (ViewportSimulator.isPreviewFrame()) {
+      this.setupSessionPersistence();
+      return;
+    }
+
     // Listen for activation sequence
     document.addEventListener('keydown', (e) => this.handleKeydown(e));
     
@@ -26,12 +110,295 @@ class Frontable {
     this.chatInterface.onClearSelection = () => this.elementSelector.clearMultiSelection();
     
     // Setup element selection change notification
-    this.elementSelector.onSelectionChange = (elements) => {
-      this.chatInterface.showSelectionPreview(elements);
-    };
+    this.elementSelector.onSelectionChange = () => this.refreshSelectionPreview();
+    this.chatInterface.onForceState = (state) => this.toggleForcedState(state);
+    this.chatInterface.onImageDrop = (files) => this.addUploadedImages(files);
     
     // Create floating button
     this.createFloatingButton();
+
+    if (this.persistSessions) {
+      this.setupSessionPersistence();
+    }
+
+    this.setupViewportSimulator();
+    this.setupAssetLibrary();
+    this.editAnchor.start();
+  }
+
+  refreshSelectionPreview() {
+    const elements = this.elementSelector.getMultiSelectedElements();
+    const forcedStates = elements.length > 0 ? this.elementSelector.getForcedStates(elements[0]) : [];
+    this.chatInterface.showSelectionPreview(elements, forcedStates);
+  }
+
+  /**
+   * Pins (or releases) the selected elements into a state such as ":hover" while editing it
+   */
+  toggleForcedState(state) {
+    const elements = this.elementSelector.getMultiSelectedElements();
+    if (elements.length === 0) {
+      return '⚠️ Selecione um elemento para forçar um estado.';
+    }
+
+    const enable = !this.elementSelector.getForcedStates(elements[0]).includes(state);
+    elements.forEach(element => {
+      if (enable) {
+        this.elementSelector.forceState(element, state);
+      } else {
+        this.elementSelector.releaseForcedState(element, state);
+      }
+    });
+    this.refreshSelectionPreview();
+
+    return enable
+      ? `📌 Estado ${state} forçado em ${elements.length} elemento(s). Os próximos comandos editam esse estado.`
+      : `📌 Estado ${state} liberado.`;
+  }
+
+  handleStateCommand(state) {
+    if (!state) {
+      this.chatInterface.addMessage({
+        type: 'agent',
+        content: '📌 Use #state :hover (ou :focus-visible, :active, [disabled]) com um elemento selecionado, ou #state off.'
+      });
+      return;
+    }
+
+    if (state === 'off') {
+      this.elementSelector.releaseForcedStates();
+      this.refreshSelectionPreview();
+      this.chatInterface.addMessage({ type: 'agent', content: '📌 Todos os estados forçados foram liberados.' });
+      return;
+    }
+
+    this.chatInterface.addMessage({ type: 'agent', content: this.toggleForcedState(state) });
+  }
+
+  setupViewportSimulator() {
+    // Subscribed after session persistence, so the preview reloads with the saved change
+    this.changeJournal.subscribe(() => {
+      if (this.viewportSimulator.isActive()) {
+        this.viewportSimulator.reload();
+      }
+    });
+  }
+
+  handleViewportCommand(name) {
+    if (name === 'off') {
+      this.viewportSimulator.hide();
+      this.chatInterface.addMessage({ type: 'agent', content: '🖥️ Simulador de viewport fechado.' });
+      return;
+    }
+
+    if (name) {
+      this.showViewport(name);
+      return;
+    }
+
+    const actions = Object.entries(this.viewportSimulator.breakpoints).map(([breakpointName, breakpoint]) => ({
+      label: breakpoint.label,
+      onClick: () => this.showViewport(breakpointName, false)
+    }));
+    actions.push({
+      label: '✖️ Fechar',
+      onClick: () => {
+        this.viewportSimulator.hide();
+        return '🖥️ Simulador fechado.';
+      }
+    });
+
+    this.chatInterface.addActionMessage({
+      content: '📐 Pré-visualizar a página em:',
+      actions
+    });
+  }
+
+  showViewport(name, announce = true) {
+    const breakpoint = this.viewportSimulator.show(name);
+    let message = breakpoint
+      ? `📐 Simulando ${breakpoint.label} (${breakpoint.width}px). Comandos de estilo serão aplicados a ${breakpoint.media}.`
+      : `⚠️ Breakpoint desconhecido: ${name}`;
+
+    // The preview replays saved sessions; without persistence it shows the original page
+    if (breakpoint && !this.persistSessions) {
+      message += ' Persistência de sessões desativada: o preview não mostra as edições.';
+    }
+    if (announce) {
+      this.chatInterface.addMessage({ type: 'agent', content: message });
+    }
+    return message;
+  }
+
+  /**
+   * Keeps every applied generated image in the asset library
+   */
+  setupAssetLibrary() {
+    if (!this.assetLibrary.isAvailable()) return;
+
+    window.addEventListener('ajentImageApplied', async (event) => {
+      const { assetId, imageUrl, prompt, description, appliedTo } = event.detail;
+      try {
+        if (assetId) {
+          await this.assetLibrary.markApplied(assetId, appliedTo);
+        } else {
+          await this.assetLibrary.addFromUrl(imageUrl, { prompt, description, appliedTo });
+        }
+      } catch (error) {
+        console.warn('Could not store image in the asset library:', error);
+      }
+    });
+  }
+
+  async showAssetLibrary() {
+    this.chatInterface.hideTyping();
+
+    let assets;
+    try {
+      assets = await this.assetLibrary.list();
+    } catch (error) {
+      this.chatInterface.addMessage({ type: 'agent', content: `⚠️ Biblioteca de imagens indisponível: ${error.message}` });
+      return;
+    }
+
+    this.chatInterface.showAssetLibrary(assets, {
+      onApply: (asset, applyAs) => this.applyAsset(asset, applyAs),
+      onRemove: async (asset) => {
+        await this.assetLibrary.remove(asset.id);
+        return '🗑️ Imagem removida da biblioteca';
+      },
+      onDownload: () => this.downloadAssets(),
+      onUpload: (files) => this.addUploadedImages(files)
+    });
+  }
+
+  /**
+   * Applies a library image to the selected elements, as background or as a new <img>
+   * @param {Object} asset - Asset from AssetLibrary
+   * @param {string} applyAs - 'background' | 'element'
+   */
+  async applyAsset(asset, applyAs) {
+    const elements = this.elementSelector.getMultiSelectedElements();
+    if (applyAs === 'background' && elements.length === 0) {
+      return '⚠️ Selecione os elementos que recebem a imagem de fundo.';
+    }
+
+    // The journal keeps asset.id; replays resolve it to a new object URL
+    const imageUrl = this.assetLibrary.getUrl(asset);
+    return this.commandProcessor.agent.applyGeneratedImage({
+      description: asset.description || asset.name,
+      prompt: asset.prompt,
+      imageUrl,
+      elementSelectors: elements.map(element => this.commandProcessor.applier.getElementSelector(element)),
+      applyAs,
+      assetId: asset.id
+    });
+  }
+
+  async addUploadedImages(files) {
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) {
+      this.chatInterface.addMessage({ type: 'agent', content: '⚠️ Solte arquivos de imagem (PNG, JPG, SVG, WebP...).' });
+      return;
+    }
+
+    try {
+      for (const file of images) {
+        await this.assetLibrary.add(file, { name: file.name, source: 'upload' });
+      }
+    } catch (error) {
+      this.chatInterface.addMessage({ type: 'agent', content: `❌ Erro ao salvar imagens: ${error.message}` });
+      return;
+    }
+
+    this.chatInterface.addMessage({ type: 'agent', content: `📥 ${images.length} imagem(ns) adicionada(s) à biblioteca.` });
+    await this.showAssetLibrary();
+  }
+
+  async downloadAssets() {
+    const assets = await this.assetLibrary.list();
+    if (assets.length === 0) {
+      return '⚠️ A biblioteca está vazia.';
+    }
+
+    DownloadUtils.downloadBlob(await AssetLibrary.toZip(assets), 'frontable-assets.zip');
+    return `✅ frontable-assets.zip baixado (${assets.length} imagem(ns) + manifest.json)`;
+  }
+
+  setupSessionPersistence() {
+    this.changeJournal.subscribe(() => {
+      this.sessionStore.saveEntries(this.currentSession, this.changeJournal.getEntries());
+    });
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.restoreSessions(), { once: true });
+    } else {
+      this.restoreSessions();
+    }
+  }
+
+  /**
+   * Replays every enabled saved session for this URL
+   */
+  async restoreSessions() {
+    const sessions = this.sessionStore.getSessions().filter(session => session.enabled);
+    for (const session of sessions) {
+      await this.reapplySession(session);
+    }
+  }
+
+  async reapplySession(session) {
+    const entries = this.restoredSessions.get(session.id) || await this.resolveAssets(session.entries);
+    const failed = this.changeJournal.reapplyEntries(entries);
+    this.restoredSessions.set(session.id, entries);
+
+    if (failed > 0) {
+      console.warn(`Session ${session.id}: ${failed} change(s) could not be re-applied`);
+    }
+    return failed;
+  }
+
+  /**
+   * Library images are saved by asset id: gives them object URLs of this page
+   */
+  async resolveAssets(entries) {
+    if (!this.assetLibrary.isAvailable()) return entries;
+
+    // Without the library the changes keep their recorded URLs
+    return this.assetLibrary.resolveEntries(entries).catch(() => entries);
+  }
+
+  disableSession(session) {
+    const entries = this.restoredSessions.get(session.id);
+    if (entries) {
+      this.changeJournal.revertEntries(entries);
+      this.restoredSessions.delete(session.id);
+    }
+  }
+
+  showSessions() {
+    const sessions = this.sessionStore.getSessions()
+      .filter(session => session.id !== this.currentSession.id);
+
+    this.chatInterface.showSessionsPanel(sessions, {
+      onReapply: async (session) => {
+        const failed = await this.reapplySession(session);
+        this.sessionStore.setEnabled(session.id, true);
+        return failed === 0
+          ? '✅ Sessão reaplicada'
+          : `⚠️ Sessão reaplicada parcialmente (${failed} mudança(s) não encontrada(s))`;
+      },
+      onDisable: (session) => {
+        this.disableSession(session);
+        this.sessionStore.setEnabled(session.id, false);
+        return '⏸️ Sessão desativada';
+      },
+      onDiscard: (session) => {
+        this.disableSession(session);
+        this.sessionStore.removeSession(session.id);
+        return '🗑️ Sessão descartada';
+      }
+    });
   }
   
   handleKeydown(e) {
@@ -202,6 +569,11 @@ class Frontable {
       this.floatingButton.classList.add('active');
     }
     
+    // Scanned before the chat is shown so its own elements are not counted
+    if (!this.designTokens.built) {
+      this.scanDesignTokens();
+    }
+
     this.chatInterface.show();
     this.elementSelector.enable();
     
@@ -227,6 +599,8 @@ class Frontable {
     
     this.chatInterface.hide();
     this.elementSelector.disable();
+    // A pending preview is discarded: nothing was inserted yet
+    this.closeGhostPreview();
     this.currentSequence = '';
   }
   
@@ -296,15 +670,7 @@ class Frontable {
       }
       
 
-      if (typeof cleanMessage === 'string' && cleanMessage.trim().toLowerCase() === 'undo') {
-        const undoResult = await this.undoLastChange();
-        this.chatInterface.hideTyping();
-        this.chatInterface.addMessage({
-          type: 'agent',
-          content: undoResult.message
-        });
-        // Clear selection after undo command
-        this.clearSelectionAfterCommand();
+      if (typeof cleanMessage === 'string' && this.handleLocalCommand(cleanMessage.trim().toLowerCase())) {
         return;
       }
       
@@ -313,9 +679,10 @@ class Frontable {
       
     } catch (error) {
       this.chatInterface.hideTyping();
+      const errorRecovery = this.commandProcessor.errorRecovery;
       this.chatInterface.addMessage({
         type: 'agent',
-        content: 'Desculpe, não consegui processar esse comando. Pode tentar de outra forma?'
+        content: error.userMessage || errorRecovery.toChatMessage(errorRecovery.describeError(error, { command: message }))
       });
       console.error('Command processing error:', error);
       
@@ -355,9 +722,17 @@ class Frontable {
       result = await this.commandProcessor.process(message, {
         elements: selectedElements,
         mode: 'intelligent_decision',
-        visualContext: visualContext
+        visualContext: visualContext,
+        viewport: this.viewportSimulator.getActiveBreakpoint(),
+        forcedStates: selectedElements.length > 0 ? this.elementSelector.getForcedStates(selectedElements[0]) : []
       });
       
+      // Ask which intention was meant; the selection stays for the reply
+      if (result.clarification) {
+        this.chatInterface.addClarification(result.clarification);
+        return;
+      }
+
       // Show result
       this.chatInterface.addMessage({
         type: 'agent',
@@ -376,7 +751,7 @@ class Frontable {
       
     } finally {
       // Only clear selection if the command was successful or if it's not about missing elements
-      if (result && (result.success !== false || !result.noElementsSelected)) {
+      if (result && !result.clarification && (result.success !== false || !result.noElementsSelected)) {
         this.clearSelectionAfterCommand();
       }
     }
@@ -399,16 +774,336 @@ class Frontable {
     console.log('🧹 Element selection cleared after command execution');
   }
 
-  async undoLastChange() {
+  /**
+   * Switches between inline styles and the managed stylesheet layer
+   * (public API: window.frontable.setStyleMode('stylesheet')).
+   */
+  setStyleMode(mode) {
+    this.commandProcessor.applier.setMode(mode);
+    return this.commandProcessor.applier.mode;
+  }
+
+  /**
+   * Folds the applied changes into a stylesheet (public API: window.frontable.exportStylesheet('scss')).
+   * @param {string} format - 'css', 'scss' or 'js' (CSS-in-JS object)
+   */
+  exportStylesheet(format = 'css') {
+    return this.stylesheetExporter.export(this.changeJournal.getChanges(), format);
+  }
+
+  downloadStylesheet(format = 'css') {
+    const result = this.exportStylesheet(format);
+    if (result.ruleCount === 0) {
+      return '⚠️ Nenhuma mudança de estilo para exportar.';
+    }
+    DownloadUtils.downloadText(result.content, result.filename, result.mimeType);
+    return `📄 ${result.filename} gerado com ${result.ruleCount} regra(s).`;
+  }
+
+  /**
+   * Tailwind utilities for the applied changes, per element, with the classes
+   * to remove (public API: window.frontable.exportTailwindClasses()).
+   */
+  exportTailwindClasses() {
+    return this.tailwindTranslator.translateChanges(
+      this.changeJournal.getChanges(),
+      (change) => this.changeJournal.resolveElement(change)
+    );
+  }
+
+  downloadTailwindClasses() {
+    const entries = this.exportTailwindClasses().filter(entry => entry.add.length > 0 || entry.remove.length > 0);
+    if (entries.length === 0) {
+      return '⚠️ Nenhuma mudança de estilo para exportar.';
+    }
+
+    const content = entries.map(entry => [
+      entry.selector,
+      `  adicionar: ${entry.add.join(' ') || '-'}`,
+      `  remover: ${entry.remove.join(' ') || '-'}`,
+      `  class="${entry.classes.join(' ')}"`
+    ].join('\n'));
+
+    DownloadUtils.downloadText(`# Generated by Frontable\n\n${content.join('\n\n')}\n`, 'frontable-tailwind.txt', 'text/plain');
+    return `🌊 frontable-tailwind.txt gerado para ${entries.length} elemento(s).`;
+  }
+
+  handleExportCommand(format) {
+    if (format === 'tailwind') {
+      this.chatInterface.addMessage({ type: 'agent', content: this.downloadTailwindClasses() });
+      return;
+    }
+
+    if (format) {
+      this.chatInterface.addMessage({ type: 'agent', content: this.downloadStylesheet(format) });
+      return;
+    }
+
+    this.chatInterface.addActionMessage({
+      content: '📄 Exportar as mudanças como folha de estilo:',
+      actions: [
+        { label: 'CSS', onClick: () => this.downloadStylesheet('css') },
+        { label: 'SCSS', onClick: () => this.downloadStylesheet('scss') },
+        { label: 'CSS-in-JS', onClick: () => this.downloadStylesheet('js') },
+        { label: 'Tailwind', onClick: () => this.downloadTailwindClasses() }
+      ]
+    });
+  }
+
+  /**
+   * Builds a unified diff of the applied changes against the project sources
+   * (public API: window.frontable.generatePatch({ 'src/app.css': '...' })).
+   * @param {Object} sourceFiles - { path: content }, paths relative to the repository root
+   */
+  generatePatch(sourceFiles) {
+    return this.patchGenerator.generate(sourceFiles);
+  }
+
+  async downloadPatch(loadSources) {
+    if (this.changeJournal.getChanges().length === 0) {
+      return '⚠️ Nenhuma mudança para gerar o patch.';
+    }
+
+    let sourceFiles;
     try {
-      const undoResult = await this.commandProcessor.undo();
-      if (undoResult && undoResult.changes) {
-        this.applyChanges(undoResult.changes);
+      sourceFiles = await loadSources();
+    } catch (error) {
+      if (error.name === 'AbortError') return '⚠️ Seleção de pasta cancelada.';
+      console.error('Patch sources error:', error);
+      return `❌ Não foi possível ler os arquivos do projeto: ${error.message}`;
+    }
+
+    const result = this.generatePatch(sourceFiles);
+    if (!result.patch) {
+      return '⚠️ Nenhuma alteração de código foi gerada.';
+    }
+
+    DownloadUtils.downloadText(result.patch, 'frontable.patch', 'text/x-diff');
+
+    const details = [`🩹 frontable.patch gerado (${result.files.length} arquivo(s)). Aplique com: git apply frontable.patch`];
+    if (result.fallback > 0) {
+      details.push(`${result.fallback} mudança(s) sem regra correspondente foram para ${this.patchGenerator.overridesPath}; importe esse arquivo no projeto.`);
+    }
+    if (result.skipped.length > 0) {
+      details.push(`${result.skipped.length} mudança(s) de HTML não entram no patch.`);
+    }
+    return details.join('\n');
+  }
+
+  handlePatchCommand() {
+    const reply = async (loadSources) => {
+      this.chatInterface.addMessage({ type: 'agent', content: await this.downloadPatch(loadSources) });
+    };
+
+    if (this.patchOptions.sourceEndpoint) {
+      reply(() => SourceFileLoader.fromDevServer(this.patchOptions.sourceEndpoint));
+      return;
+    }
+
+    if (!SourceFileLoader.supportsDirectoryPicker()) {
+      this.chatInterface.addMessage({
+        type: 'agent',
+        content: '⚠️ Configure patch.sourceEndpoint no servidor de desenvolvimento ou use um navegador com acesso a pastas (File System Access API).'
+      });
+      return;
+    }
+
+    // showDirectoryPicker needs a user gesture, so the folder is picked from a button
+    this.chatInterface.addActionMessage({
+      content: '🩹 Escolha a pasta raiz do repositório para gerar o patch:',
+      actions: [
+        { label: '📁 Escolher pasta', onClick: () => this.downloadPatch(() => SourceFileLoader.fromDirectoryPicker()) }
+      ]
+    });
+  }
+
+  /**
+   * Commands handled in the page without calling the agent
+   * @param {string} command - Trimmed, lowercased user message
+   * @returns {boolean} - Whether the command was handled
+   */
+  handleLocalCommand(command) {
+    if (['#sessions', '#sessoes', '#sessões'].includes(command)) {
+      this.showSessions();
+      return true;
+    }
+
+    const stateMatch = command.match(/^#(?:state|estado)(?:\s+(\S+))?$/);
+    if (stateMatch) {
+      this.handleStateCommand(stateMatch[1]);
+      return true;
+    }
+
+    const viewportMatch = command.match(/^#viewport(?:\s+(\w+))?$/);
+    if (viewportMatch) {
+      this.handleViewportCommand(viewportMatch[1]);
+      return true;
+    }
+
+    const exportMatch = command.match(/^#export(?:\s+(css|scss|js|tailwind))?$/);
+    if (exportMatch) {
+      this.handleExportCommand(exportMatch[1]);
+      return true;
+    }
+
+    if (command === '#patch') {
+      this.handlePatchCommand();
+      return true;
+    }
+
+    if (command === '#tokens') {
+      this.showDesignTokens();
+      return true;
+    }
+
+    if (command === '#a11y') {
+      this.showAccessibilityAudit();
+      return true;
+    }
+
+    if (['#assets', '#imagens'].includes(command)) {
+      this.showAssetLibrary();
+      return true;
+    }
+
+    if (['#vars', '#variaveis', '#variáveis'].includes(command)) {
+      this.showCustomProperties();
+      return true;
+    }
+
+    const historyCommand = this.getHistoryCommand(command);
+    if (historyCommand) {
+      const historyResult = historyCommand === 'undo' ? this.undo() : this.redo();
+      this.chatInterface.hideTyping();
+      this.chatInterface.addMessage({
+        type: 'agent',
+        content: historyResult.message
+      });
+      // Clear selection after undo/redo command
+      this.clearSelectionAfterCommand();
+      return true;
+    }
+
+    return false;
+  }
+
+  scanDesignTokens() {
+    try {
+      this.designTokens.scan();
+    } catch (error) {
+      console.warn('Design token scan failed:', error);
+    }
+  }
+
+  showDesignTokens() {
+    this.scanDesignTokens();
+    this.chatInterface.hideTyping();
+    this.chatInterface.addMessage({
+      type: 'agent',
+      content: this.designTokens.toMessage()
+    });
+  }
+
+  showCustomProperties() {
+    this.chatInterface.hideTyping();
+    this.chatInterface.addMessage({
+      type: 'agent',
+      content: this.customProperties.toMessage(this.customProperties.discover())
+    });
+  }
+
+  /**
+   * Audits the whole page and lists the findings by severity and rule;
+   * each finding has a button that selects the offending element.
+   */
+  showAccessibilityAudit() {
+    this.chatInterface.hideTyping();
+
+    try {
+      this.lastAuditReport = this.accessibilityAudit.run(document);
+    } catch (error) {
+      console.error('Accessibility audit failed:', error);
+      this.chatInterface.addMessage({ type: 'agent', content: `❌ Erro na auditoria de acessibilidade: ${error.message}` });
+      return;
+    }
+
+    const report = this.lastAuditReport;
+    this.chatInterface.addMessage({ type: 'agent', content: this.accessibilityAudit.toMessage(report) });
+
+    this.accessibilityAudit.group(report.findings).forEach(group => {
+      group.rules.forEach(ruleGroup => {
+        const shown = ruleGroup.findings.slice(0, AUDIT_FINDINGS_PER_RULE);
+        const hidden = ruleGroup.findings.length - shown.length;
+        const lines = shown.map((finding, index) => `${index + 1}. ${finding.selector} — ${finding.message}`);
+        if (hidden > 0) {
+          lines.push(`… e mais ${hidden} (veja o relatório exportado)`);
+        }
+
+        this.chatInterface.addActionMessage({
+          content: `${group.icon} ${ruleGroup.label} (${ruleGroup.findings.length})\n${lines.join('\n')}`,
+          actions: shown.map((finding, index) => ({
+            label: `🔎 ${index + 1}`,
+            onClick: () => this.selectAuditFinding(finding)
+          }))
+        });
+      });
+    });
+
+    if (report.findings.length > 0) {
+      this.chatInterface.addActionMessage({
+        content: '📄 Exportar relatório de acessibilidade:',
+        actions: [
+          { label: 'JSON', onClick: () => this.downloadAuditReport('json') },
+          { label: 'HTML', onClick: () => this.downloadAuditReport('html') }
+        ]
+      });
+    }
+  }
+
+  selectAuditFinding(finding) {
+    let element = finding.element;
+    if (!element || !element.isConnected) {
+      try {
+        element = document.querySelector(finding.selector);
+      } catch (error) {
+        element = null;
       }
-      return {
-        message: undoResult && undoResult.message ? undoResult.message : 'Alteração desfeita.',
-        success: undoResult && undoResult.success !== undefined ? undoResult.success : true
-      };
+    }
+    if (!element) {
+      return '⚠️ Elemento não encontrado na página';
+    }
+
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    this.elementSelector.clearMultiSelection();
+    this.elementSelector.addToMultiSelection(element);
+    return `🔎 Selecionado: ${finding.selector}`;
+  }
+
+  downloadAuditReport(format) {
+    if (!this.lastAuditReport) {
+      return '⚠️ Rode #a11y antes de exportar o relatório.';
+    }
+
+    const content = format === 'html'
+      ? this.accessibilityAudit.toHTML(this.lastAuditReport)
+      : this.accessibilityAudit.toJSON(this.lastAuditReport);
+    const filename = `frontable-a11y.${format}`;
+    DownloadUtils.downloadText(content, filename, format === 'html' ? 'text/html' : 'application/json');
+    return `✅ Relatório baixado: ${filename}`;
+  }
+
+  getHistoryCommand(command) {
+    if (command === 'undo' || command === 'desfazer') return 'undo';
+    if (command === 'redo' || command === 'refazer') return 'redo';
+    return null;
+  }
+
+  /**
+   * Reverts the last change in the session journal (public API: window.frontable.undo()).
+   */
+  undo() {
+    try {
+      return this.commandProcessor.undo();
     } catch (error) {
       console.error('Undo error:', error);
       return {
@@ -417,6 +1112,21 @@ class Frontable {
       };
     }
   }
+
+  /**
+   * Re-applies the last undone change (public API: window.frontable.redo()).
+   */
+  redo() {
+    try {
+      return this.commandProcessor.redo();
+    } catch (error) {
+      console.error('Redo error:', error);
+      return {
+        message: 'Não foi possível refazer a alteração.',
+        success: false
+      };
+    }
+  }
   
   applyChanges(changes) {
     // Apply CSS changes to elements
@@ -472,146 +1182,82 @@ class Frontable {
   }
 
 
+  /**
+   * Sanitizes generated markup and previews it where it would go; the page only
+   * changes when the preview is accepted, as one undoable journal entry.
+   */
   insertGeneratedHTML(html) {
+    let sanitized;
     try {
-      console.log('Attempting to insert HTML:', html);
-      
-      // Clean up the HTML response (remove markdown code blocks if present)
-      let cleanHtml = html.trim();
-      if (cleanHtml.startsWith('```html')) {
-        cleanHtml = cleanHtml.replace(/^```html\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanHtml.startsWith('```')) {
-        cleanHtml = cleanHtml.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-      
-      console.log('Cleaned HTML:', cleanHtml);
-      
-      // Create a temporary container to parse the HTML
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = cleanHtml;
-      
-      const selectedElements = this.elementSelector.getMultiSelectedElements();
-      console.log('Selected elements for replacement:', selectedElements);
-      
-      // Check if we should replace or insert
-      const shouldReplace = this.shouldReplaceElement(tempDiv, selectedElements);
-      console.log('Should replace existing element:', shouldReplace);
-      
-      if (shouldReplace && selectedElements.length > 0) {
-        // Replace the selected element(s)
-        this.replaceSelectedElements(tempDiv, selectedElements);
-      } else {
-        // Insert new elements (original behavior)
-        this.insertNewElements(tempDiv);
-      }
-      
+      sanitized = this.htmlSanitizer.sanitize(html);
     } catch (error) {
-      console.error('Error inserting generated HTML:', error);
-      console.error('HTML content was:', html);
+      console.error('Error sanitizing generated HTML:', error);
+      this.chatInterface.addMessage({ type: 'agent', content: `❌ HTML gerado inválido: ${error.message}` });
+      return;
     }
-  }
 
-  shouldReplaceElement(tempDiv, selectedElements) {
-    if (selectedElements.length !== 1) return false;
-    
-    const selectedElement = selectedElements[0];
-    const generatedElements = Array.from(tempDiv.children);
-    
-    if (generatedElements.length !== 1) return false;
-    
-    const generatedElement = generatedElements[0];
-    
-    // Check if the generated element has the same tag and similar structure as selected
-    return (
-      selectedElement.tagName === generatedElement.tagName &&
-      selectedElement.className === generatedElement.className
+    const tempDiv = document.createElement('div');
+    tempDiv.appendChild(sanitized.fragment);
+    if (!tempDiv.innerHTML.trim()) {
+      this.chatInterface.addMessage({ type: 'agent', content: '⚠️ O HTML gerado ficou vazio após a limpeza de segurança.' });
+      return;
+    }
+
+    // The selection is cleared after the command: keep the one the markup was generated for
+    const pending = this.htmlInsertion.plan(tempDiv, this.elementSelector.getMultiSelectedElements());
+    const { shouldReplace, selectedElements, insertionPoint } = pending;
+    this.pendingInsertion = pending;
+
+    const accept = () => {
+      if (this.pendingInsertion !== pending) return '⚠️ Esta pré-visualização já foi encerrada.';
+      this.closeGhostPreview();
+      return this.applyPendingInsertion(pending);
+    };
+    const reject = () => {
+      if (this.pendingInsertion !== pending) return '⚠️ Esta pré-visualização já foi encerrada.';
+      this.closeGhostPreview();
+      return '✖️ HTML gerado descartado.';
+    };
+
+    this.ghostPreview.show(
+      Array.from(tempDiv.childNodes),
+      shouldReplace ? { replaceTarget: selectedElements[0] } : insertionPoint,
+      {
+        onAccept: () => this.chatInterface.addMessage({ type: 'agent', content: accept() }),
+        onReject: () => this.chatInterface.addMessage({ type: 'agent', content: reject() })
+      }
     );
-  }
 
-  replaceSelectedElements(tempDiv, selectedElements) {
-    const selectedElement = selectedElements[0];
-    const generatedElement = tempDiv.firstElementChild;
-    
-    console.log('Replacing element:', selectedElement, 'with:', generatedElement);
-    
-    // Copy over any important attributes but preserve new content
-    if (selectedElement.id && !generatedElement.id) {
-      generatedElement.id = selectedElement.id;
+    const notes = [`👻 Pré-visualização do HTML gerado ${shouldReplace ? 'no lugar do elemento selecionado' : 'no ponto de inserção'}.`];
+    if (sanitized.removed.length > 0) {
+      notes.push(`🛡️ Removido por segurança: ${sanitized.removed.join(', ')}`);
     }
-    
-    // Add visual indicator
-    this.addNewElementIndicator(generatedElement);
-    
-    // Replace the element
-    selectedElement.parentNode.replaceChild(generatedElement, selectedElement);
-    
-    console.log('Successfully replaced element');
-    
-    // Scroll to the replaced element
-    generatedElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.chatInterface.addActionMessage({
+      content: notes.join('\n'),
+      actions: [
+        { label: '✅ Aceitar', onClick: accept },
+        { label: '✖️ Rejeitar', onClick: reject }
+      ]
+    });
   }
 
-  insertNewElements(tempDiv) {
-    // Find the best insertion point
-    const insertionPoint = this.findInsertionPoint();
-    console.log('Insertion point:', insertionPoint);
-    
-    let insertedCount = 0;
-    const elementsToInsert = Array.from(tempDiv.children);
-    console.log('Elements to insert:', elementsToInsert);
-    
-    if (elementsToInsert.length === 0) {
-      console.warn('No valid HTML elements found to insert');
-      // Try inserting as innerHTML if no child elements
-      const cleanHtml = tempDiv.innerHTML;
-      if (cleanHtml.trim()) {
-        const wrapper = document.createElement('div');
-        wrapper.innerHTML = cleanHtml;
-        wrapper.style.cssText = 'border: 2px dashed #10b981; padding: 10px; margin: 5px; background: rgba(16, 185, 129, 0.1);';
-        insertionPoint.appendChild(wrapper);
-        this.addNewElementIndicator(wrapper);
-        insertedCount = 1;
-      }
-    } else {
-      // Insert each element
-      elementsToInsert.forEach(element => {
-        console.log('Inserting element:', element);
-        insertionPoint.appendChild(element);
-        this.addNewElementIndicator(element);
-        insertedCount++;
-      });
-    }
-    
-    console.log(`Successfully inserted ${insertedCount} elements`);
-    
-    // Scroll to the new elements
-    if (insertedCount > 0) {
-      const newElements = insertionPoint.querySelectorAll(':scope > *:nth-last-child(-n+' + insertedCount + ')');
-      if (newElements.length > 0) {
-        newElements[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
-      }
-    }
+  closeGhostPreview() {
+    this.ghostPreview.hide();
+    this.pendingInsertion = null;
   }
 
-  findInsertionPoint() {
-    const selectedElements = this.elementSelector.getMultiSelectedElements();
-    console.log('Selected elements for insertion:', selectedElements);
-    
-    if (selectedElements.length > 0) {
-      const lastSelected = selectedElements[selectedElements.length - 1];
-      console.log('Last selected element:', lastSelected);
-      
-      // Try to insert after the last selected element's next sibling
-      // or as the last child of its parent
-      const parent = lastSelected.parentNode;
-      if (parent) {
-        console.log('Parent node found:', parent);
-        return parent;
-      }
+  applyPendingInsertion(pending) {
+    let nodes;
+    try {
+      nodes = this.htmlInsertion.apply(pending);
+    } catch (error) {
+      console.error('Error inserting generated HTML:', error);
+      return `❌ Erro ao inserir HTML: ${error.message}`;
     }
-    
-    console.log('Falling back to document.body');
-    return document.body;
+
+    nodes.forEach(node => this.addNewElementIndicator(node));
+    nodes[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return '✅ HTML inserido. Use "desfazer" para remover.';
   }
 
   addNewElementIndicator(element) {
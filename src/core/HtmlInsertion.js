@@ -0,0 +1,113 @@
+/**
+ * HtmlInsertion - Puts sanitized generated markup into the page as one journal
+ * entry. Markup that is a new version of the single selected element (same tag
+ * and classes) replaces it; anything else goes right after the selection, or at
+ * the end of the body when nothing is selected.
+ */
+class HtmlInsertion {
+  constructor(journal, options = {}) {
+    this.journal = journal;
+    this.document = options.document || (typeof document !== 'undefined' ? document : null);
+    this.getSelector = options.getSelector || ((element) => element.id ? `#${element.id}` : element.tagName.toLowerCase());
+  }
+
+  /**
+   * Decides where the markup goes, while the selection it was generated for is known
+   * @param {Element} container - Element holding the sanitized nodes
+   * @param {Array} selectedElements - Selected elements
+   * @returns {Object} - { container, selectedElements, shouldReplace, insertionPoint }
+   */
+  plan(container, selectedElements = []) {
+    return {
+      container,
+      selectedElements,
+      shouldReplace: HtmlInsertion.shouldReplace(container, selectedElements),
+      insertionPoint: this.findInsertionPoint(selectedElements)
+    };
+  }
+
+  /**
+   * @param {Object} plan - From plan()
+   * @returns {Array} - The nodes now in the page
+   */
+  apply({ container, selectedElements, shouldReplace, insertionPoint }) {
+    this.journal.begin('Inserção de HTML gerado');
+    try {
+      return shouldReplace && selectedElements[0].isConnected
+        ? [this.replace(container.firstElementChild, selectedElements[0])]
+        : this.insert(container, insertionPoint);
+    } finally {
+      this.journal.commit();
+    }
+  }
+
+  static shouldReplace(container, selectedElements) {
+    if (selectedElements.length !== 1 || container.children.length !== 1) return false;
+
+    const [selectedElement] = selectedElements;
+    const generatedElement = container.children[0];
+    return selectedElement.tagName === generatedElement.tagName
+      && selectedElement.className === generatedElement.className;
+  }
+
+  /**
+   * @returns {Object} - { parent, nextSibling }
+   */
+  findInsertionPoint(selectedElements = []) {
+    const lastSelected = selectedElements[selectedElements.length - 1];
+    if (lastSelected && lastSelected.parentNode) {
+      return { parent: lastSelected.parentNode, nextSibling: lastSelected.nextSibling };
+    }
+    return { parent: this.document.body, nextSibling: null };
+  }
+
+  replace(generatedElement, selectedElement) {
+    // The new version keeps the id other changes may point at
+    if (selectedElement.id && !generatedElement.id) {
+      generatedElement.id = selectedElement.id;
+    }
+
+    const selector = this.getSelector(selectedElement);
+    const previousHtml = selectedElement.outerHTML;
+    selectedElement.replaceWith(generatedElement);
+
+    this.journal.record({
+      type: 'replace',
+      description: 'Elemento substituído',
+      selector,
+      previousHtml,
+      html: generatedElement.outerHTML,
+      refs: { node: generatedElement, previousNode: selectedElement }
+    });
+    return generatedElement;
+  }
+
+  insert(container, insertionPoint) {
+    const parent = insertionPoint.parent.isConnected ? insertionPoint.parent : this.document.body;
+    const nextSibling = insertionPoint.nextSibling && insertionPoint.nextSibling.parentNode === parent
+      ? insertionPoint.nextSibling
+      : null;
+
+    let nodes = Array.from(container.children);
+    if (nodes.length === 0) {
+      // Text only: insert it in a highlighted wrapper
+      const wrapper = this.document.createElement('div');
+      wrapper.textContent = container.textContent;
+      wrapper.style.cssText = 'border: 2px dashed #10b981; padding: 10px; margin: 5px; background: rgba(16, 185, 129, 0.1);';
+      nodes = [wrapper];
+    }
+
+    nodes.forEach(node => parent.insertBefore(node, nextSibling));
+
+    this.journal.record({
+      type: 'insert',
+      description: `${nodes.length} elemento(s) inserido(s)`,
+      html: nodes.map(node => node.outerHTML).join(''),
+      parentSelector: this.getSelector(parent),
+      refs: { nodes, parent, nextSibling }
+    });
+    return nodes;
+  }
+}
+
+export default HtmlInsertion;
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment jsdom
+ */
+import HtmlInsertion from './HtmlInsertion';
+import ChangeJournal from './ChangeJournal';
+
+describe('HtmlInsertion', () => {
+  let journal;
+  let insertion;
+  let main;
+
+  const ids = (parent = main) => Array.from(parent.children).map(node => node.id || node.tagName.toLowerCase());
+  const generated = (html) => {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return container;
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<main id="main"><section id="hero" class="block"></section><section id="features" class="block"></section><section id="footer" class="block"></section></main>';
+    main = document.getElementById('main');
+    journal = new ChangeJournal();
+    insertion = new HtmlInsertion(journal);
+  });
+
+  test('should insert after the selection and undo/redo it as one entry', () => {
+    const plan = insertion.plan(generated('<div id="cta"></div><p id="note"></p>'), [document.getElementById('hero')]);
+    expect(plan.shouldReplace).toBe(false);
+
+    insertion.apply(plan);
+    expect(ids()).toEqual(['hero', 'cta', 'note', 'features', 'footer']);
+    expect(journal.getEntries()).toHaveLength(1);
+
+    journal.undo();
+    expect(ids()).toEqual(['hero', 'features', 'footer']);
+
+    journal.redo();
+    expect(ids()).toEqual(['hero', 'cta', 'note', 'features', 'footer']);
+  });
+
+  test('should replace a selected element with its new version and undo it', () => {
+    const hero = document.getElementById('hero');
+    const plan = insertion.plan(generated('<section class="block"><h1>Novo herói</h1></section>'), [hero]);
+    expect(plan.shouldReplace).toBe(true);
+
+    const [replacement] = insertion.apply(plan);
+    expect(replacement.id).toBe('hero');
+    expect(main.firstElementChild).toBe(replacement);
+    expect(journal.getChanges()[0].html).toBe('<section class="block" id="hero"><h1>Novo herói</h1></section>');
+
+    journal.undo();
+    expect(main.firstElementChild).toBe(hero);
+    expect(replacement.parentNode).toBeNull();
+  });
+
+  test('should fall back to the end of the body', () => {
+    // The selection was re-rendered away after the preview started
+    const removedSection = document.createElement('section');
+    const selected = removedSection.appendChild(document.createElement('div'));
+
+    insertion.apply(insertion.plan(generated('<aside id="promo"></aside>'), [selected]));
+    expect(ids(document.body)).toEqual(['main', 'promo']);
+
+    insertion.apply(insertion.plan(generated('<aside id="banner"></aside>')));
+    expect(ids(document.body)).toEqual(['main', 'promo', 'banner']);
+
+    journal.undo();
+    journal.undo();
+    expect(ids(document.body)).toEqual(['main']);
+  });
+
+  test('should wrap plain text in a highlighted div', () => {
+    const [wrapper] = insertion.apply(insertion.plan(generated('Frete grátis acima de R$ 200'), [document.getElementById('footer')]));
+    expect(wrapper.textContent).toBe('Frete grátis acima de R$ 200');
+    expect(wrapper.style.borderStyle).toBe('dashed');
+    expect(ids()).toEqual(['hero', 'features', 'footer', 'div']);
+
+    journal.undo();
+    expect(ids()).toEqual(['hero', 'features', 'footer']);
+  });
+});
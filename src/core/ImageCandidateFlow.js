@@ -0,0 +1,40 @@
+import WindowEventDispatcher from '../utils/windowEventDispatcher.js';
+
+/**
+ * ImageCandidateFlow - What happens to freshly generated images. A single image
+ * is applied right away; several variants (images.count > 1) are offered in the
+ * chat through ajentImageCandidates, and nothing is applied until the user picks
+ * one of them or asks for new variants.
+ */
+class ImageCandidateFlow {
+  /**
+   * @param {Object} handlers - { apply({ ...request, imageUrl }), regenerate(request, tweaks) }, both resolving to a status message
+   */
+  constructor({ apply, regenerate }) {
+    this.apply = apply;
+    this.regenerate = regenerate;
+  }
+
+  /**
+   * @param {Object} request - { description, prompt, elementSelectors, applyAs }
+   * @param {Array} candidates - [{ url }]
+   * @returns {Promise<string>} - Tool result for the agent
+   */
+  async offer(request, candidates) {
+    if (candidates.length === 1) {
+      return this.apply({ ...request, imageUrl: candidates[0].url });
+    }
+
+    WindowEventDispatcher.dispatch('ajentImageCandidates', {
+      description: request.description,
+      prompt: request.prompt,
+      candidates,
+      onSelect: (candidate) => this.apply({ ...request, imageUrl: candidate.url }),
+      onRegenerate: (tweaks) => this.regenerate(request, tweaks)
+    });
+
+    return `🖼️ ${candidates.length} opções de imagem geradas para "${request.description}". Nada foi aplicado ainda: o usuário escolhe uma no chat.`;
+  }
+}
+
+export default ImageCandidateFlow;
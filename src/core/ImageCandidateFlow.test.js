@@ -0,0 +1,51 @@
+import ImageCandidateFlow from './ImageCandidateFlow';
+import WindowEventDispatcher from '../utils/windowEventDispatcher';
+
+describe('ImageCandidateFlow', () => {
+  const request = { description: 'Fundo do herói', prompt: 'montanhas ao amanhecer', elementSelectors: ['#hero'], applyAs: 'background' };
+  let apply;
+  let regenerate;
+  let flow;
+
+  beforeEach(() => {
+    apply = jest.fn(async ({ imageUrl }) => `✅ Imagem gerada e aplicada como fundo. URL: ${imageUrl}`);
+    regenerate = jest.fn(async () => '🖼️ 3 opções de imagem geradas');
+    flow = new ImageCandidateFlow({ apply, regenerate });
+    jest.spyOn(WindowEventDispatcher, 'dispatch').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should apply a single image right away', async () => {
+    const result = await flow.offer(request, [{ url: 'https://img/a.png' }]);
+
+    expect(apply).toHaveBeenCalledWith({ ...request, imageUrl: 'https://img/a.png' });
+    expect(result).toContain('✅');
+    expect(WindowEventDispatcher.dispatch).not.toHaveBeenCalled();
+  });
+
+  test('should offer several variants in the chat without applying any', async () => {
+    const candidates = [{ url: 'https://img/a.png' }, { url: 'https://img/b.png' }];
+    const result = await flow.offer(request, candidates);
+
+    expect(result).toBe('🖼️ 2 opções de imagem geradas para "Fundo do herói". Nada foi aplicado ainda: o usuário escolhe uma no chat.');
+    expect(apply).not.toHaveBeenCalled();
+
+    const [eventName, detail] = WindowEventDispatcher.dispatch.mock.calls[0];
+    expect(eventName).toBe('ajentImageCandidates');
+    expect(detail).toMatchObject({ description: 'Fundo do herói', prompt: 'montanhas ao amanhecer', candidates });
+  });
+
+  test('should apply the picked variant and regenerate with the tweaks', async () => {
+    await flow.offer(request, [{ url: 'https://img/a.png' }, { url: 'https://img/b.png' }]);
+    const { onSelect, onRegenerate } = WindowEventDispatcher.dispatch.mock.calls[0][1];
+
+    await expect(onSelect({ url: 'https://img/b.png' })).resolves.toContain('https://img/b.png');
+    expect(apply).toHaveBeenCalledWith({ ...request, imageUrl: 'https://img/b.png' });
+
+    await onRegenerate('mais claro');
+    expect(regenerate).toHaveBeenCalledWith(request, 'mais claro');
+  });
+});
@@ -0,0 +1,317 @@
+import StyleNormalizer from '../business/css/styleNormalizer.js';
+
+// Clause separators: "aumente a fonte em 2px e cor azul" (see splitClauses for the exceptions)
+const CLAUSE_SEPARATOR = /\s*(?:[,;]|\s+e\s+|\s+and\s+|\s+tambem\s+|\s+also\s+)\s*/g;
+
+const INCREASE = /\b(aument\w*|maior|cresc\w*|mais grande|increase\w*|bigger|larger|grow)\b/;
+const DECREASE = /\b(diminu\w*|reduz\w*|menor|mais pequen\w*|decrease\w*|smaller|shrink)\b/;
+const MORE = /\b(mais|more|extra)\b/;
+const LESS = /\b(menos|less)\b/;
+const REMOVE = /\b(remov\w*|retir\w*|tir[ae]\w*|sem|without|delet\w*|apag\w*|none)\b|\bno (shadow|border|background|bold|underline)\b/;
+
+// Absolute value: "para 20px", "to 1.5rem", or a bare length with unit
+const TARGET_LENGTH = /\b(?:para|pra|to)\s+(\d+(?:[.,]\d+)?)\s*(px|rem|em|%)?/;
+const LENGTH = /(\d+(?:[.,]\d+)?)\s*(px|rem|em|%)(?![a-z])/;
+// Step for relative changes: "em 2px", "by 4"; digits inside words ("h1") are not steps
+const AMOUNT = /(?:^|[^a-z\d])(\d+(?:[.,]\d+)?)\s*(px|rem|em)?(?![a-z\d])/;
+
+const COLOR_VALUE = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})\b|(?:rgb|hsl)a?\([^)]*\)/;
+
+const DEFAULT_STEPS = { fontSize: 2, borderRadius: 4, spacing: 4 };
+const DEFAULT_RADIUS = 8;
+const SHADOWS = {
+  default: '0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)',
+  large: '0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)'
+};
+
+/**
+ * LocalCommandEngine - Deterministic parser for common Portuguese and English
+ * styling commands ("aumente a fonte em 2px", "cor azul", "centralize",
+ * "arredonde mais", "remova a sombra"), used when no LLM is available.
+ *
+ * It produces the same `applyVisualStyles` calls the agent would make, so they
+ * go through the agent's validation, contrast review and undo history.
+ */
+class LocalCommandEngine {
+  constructor(options = {}) {
+    this.normalizer = options.normalizer || new StyleNormalizer();
+    this.colorNames = this.normalizer.getColorNames();
+
+    // Each rule returns the styles for a clause, or null when it does not apply
+    this.rules = [
+      (clause, current) => this.parseFontSize(clause, current),
+      (clause) => this.parseColors(clause),
+      (clause) => this.parseAlignment(clause),
+      (clause, current) => this.parseBorderRadius(clause, current),
+      (clause) => this.parseShadow(clause),
+      (clause, current) => this.parseBorder(clause, current),
+      (clause) => this.parseTextDecoration(clause),
+      (clause, current) => this.parseSpacing(clause, current),
+      (clause) => this.parseVisibility(clause)
+    ];
+  }
+
+  /**
+   * @param {string} message - User command
+   * @param {Object} context - { elementSelectors, currentStyles } (ElementInspector computed styles of the first element)
+   * @returns {Object} - { calls: [{ tool: 'applyVisualStyles', params: { description, styles, elementSelectors } }], recognized, unrecognized }
+   */
+  parse(message, context = {}) {
+    const { elementSelectors = [], currentStyles = {} } = context;
+    const styles = {};
+    const recognized = [];
+    const unrecognized = [];
+
+    LocalCommandEngine.splitClauses(LocalCommandEngine.normalizeText(message))
+      .map(clause => clause.trim())
+      .filter(Boolean)
+      .forEach(clause => {
+        const clauseStyles = this.rules
+          .map(rule => rule(clause, currentStyles))
+          .filter(Boolean);
+
+        if (clauseStyles.length === 0) {
+          unrecognized.push(clause);
+          return;
+        }
+        recognized.push(clause);
+        Object.assign(styles, ...clauseStyles);
+      });
+
+    const calls = Object.keys(styles).length > 0
+      ? [{ tool: 'applyVisualStyles', params: { description: message.trim(), styles, elementSelectors } }]
+      : [];
+
+    return { calls, recognized, unrecognized };
+  }
+
+  parseFontSize(clause, current) {
+    if (!/\b(fonte|font|letra|letras|texto|text)\b/.test(clause) || /\b(cor|color)\b/.test(clause)) {
+      return null;
+    }
+
+    const size = this.resolveLength(clause, LocalCommandEngine.toPx(current.fontSize, 16), DEFAULT_STEPS.fontSize, INCREASE, DECREASE);
+    return size === null ? null : { fontSize: size };
+  }
+
+  parseColors(clause) {
+    const color = this.findColor(clause);
+    if (!color) return null;
+
+    if (/\b(fundo|background|bg)\b/.test(clause)) {
+      return { backgroundColor: color };
+    }
+    // Border colors are handled with the border rule
+    if (/\b(borda|border)\b/.test(clause)) {
+      return null;
+    }
+    return { color };
+  }
+
+  parseAlignment(clause) {
+    if (/\b(centraliz\w*|centr[eoa]\w*|center\w*|centre)\b/.test(clause)) {
+      return { textAlign: 'center' };
+    }
+    if (!/\b(alinh\w*|align\w*)\b/.test(clause)) return null;
+
+    if (/\b(esquerda|left)\b/.test(clause)) return { textAlign: 'left' };
+    if (/\b(direita|right)\b/.test(clause)) return { textAlign: 'right' };
+    if (/\b(justific\w*|justify)\b/.test(clause)) return { textAlign: 'justify' };
+    return null;
+  }
+
+  parseBorderRadius(clause, current) {
+    if (!/\b(arredond\w*|round\w*|radius|raio|cantos|corners)\b/.test(clause)) {
+      return null;
+    }
+    if (REMOVE.test(clause) || /\b(retos|quadrados|square)\b/.test(clause)) {
+      return { borderRadius: '0px' };
+    }
+
+    const target = clause.match(TARGET_LENGTH) || clause.match(LENGTH);
+    if (target) {
+      return { borderRadius: LocalCommandEngine.formatLength(target[1], target[2]) };
+    }
+
+    const radius = LocalCommandEngine.toPx(current.borderRadius, 0);
+    const step = this.findStep(clause, DEFAULT_STEPS.borderRadius);
+    if (LESS.test(clause) || DECREASE.test(clause)) {
+      return { borderRadius: LocalCommandEngine.formatPx(Math.max(0, radius - step)) };
+    }
+    // "arredonde": rounded corners, or rounder when they already are
+    return { borderRadius: LocalCommandEngine.formatPx(radius > 0 ? radius + step : DEFAULT_RADIUS) };
+  }
+
+  parseShadow(clause) {
+    if (!/\b(sombra|shadow)\b/.test(clause)) return null;
+
+    if (REMOVE.test(clause)) {
+      return { boxShadow: 'none' };
+    }
+    return { boxShadow: MORE.test(clause) || INCREASE.test(clause) ? SHADOWS.large : SHADOWS.default };
+  }
+
+  parseBorder(clause, current) {
+    // "raio da borda" is the border-radius rule
+    if (!/\b(borda|border)\b/.test(clause) || /\b(arredond\w*|radius|raio|cantos)\b/.test(clause)) {
+      return null;
+    }
+
+    if (REMOVE.test(clause)) {
+      return { border: 'none' };
+    }
+
+    const color = this.findColor(clause);
+    const width = clause.match(LENGTH);
+    const hasBorder = current.border && !/\bnone\b|^0px/.test(current.border);
+
+    if (color && hasBorder && !width) {
+      return { borderColor: color };
+    }
+    if (color || width || /\b(adicion\w*|coloqu\w*|ponha|com|add|with)\b/.test(clause)) {
+      const borderWidth = width ? LocalCommandEngine.formatLength(width[1], width[2]) : '1px';
+      return { border: `${borderWidth} solid ${color || 'currentColor'}` };
+    }
+    return null;
+  }
+
+  parseTextDecoration(clause) {
+    const remove = REMOVE.test(clause);
+
+    if (/\b(negrito|bold)\b/.test(clause)) {
+      return { fontWeight: remove ? '400' : '700' };
+    }
+    if (/\b(italico|italic)\b/.test(clause)) {
+      return { fontStyle: remove ? 'normal' : 'italic' };
+    }
+    if (/\b(sublinh\w*|underline\w*)\b/.test(clause)) {
+      return { textDecoration: remove ? 'none' : 'underline' };
+    }
+    if (/\b(maiuscul\w*|uppercase)\b/.test(clause)) {
+      return { textTransform: remove ? 'none' : 'uppercase' };
+    }
+    return null;
+  }
+
+  parseSpacing(clause, current) {
+    let property = null;
+    if (/\b(espacamento interno|espacamento|padding|respiro)\b/.test(clause)) property = 'padding';
+    if (/\b(margem|margin|espacamento externo)\b/.test(clause)) property = 'margin';
+    if (!property) return null;
+
+    if (REMOVE.test(clause)) {
+      return { [property]: '0px' };
+    }
+
+    const target = clause.match(TARGET_LENGTH) || (!INCREASE.test(clause) && !DECREASE.test(clause) && clause.match(LENGTH));
+    if (target) {
+      return { [property]: LocalCommandEngine.formatLength(target[1], target[2]) };
+    }
+
+    const direction = MORE.test(clause) || INCREASE.test(clause) ? 1 : (LESS.test(clause) || DECREASE.test(clause) ? -1 : 0);
+    if (direction === 0) return null;
+
+    const step = this.findStep(clause, DEFAULT_STEPS.spacing);
+    // Shorthands like "8px 16px": each side moves by the same step
+    const sides = String(current[property] || '0px').split(/\s+/).map(side => LocalCommandEngine.toPx(side, 0));
+    return {
+      [property]: sides.map(side => LocalCommandEngine.formatPx(Math.max(0, side + direction * step))).join(' ')
+    };
+  }
+
+  parseVisibility(clause) {
+    if (/\b(escond\w*|ocult\w*|hide)\b/.test(clause)) {
+      return { display: 'none' };
+    }
+    return null;
+  }
+
+  /**
+   * Absolute ("para 20px") or relative ("aumente em 2px", "maior") length
+   * @returns {string|null}
+   */
+  resolveLength(clause, currentPx, defaultStep, increase, decrease) {
+    const target = clause.match(TARGET_LENGTH);
+    if (target) {
+      return LocalCommandEngine.formatLength(target[1], target[2]);
+    }
+
+    const direction = increase.test(clause) ? 1 : (decrease.test(clause) ? -1 : 0);
+    if (direction !== 0) {
+      const step = this.findStep(clause, defaultStep);
+      return LocalCommandEngine.formatPx(Math.max(0, currentPx + direction * step));
+    }
+
+    const length = clause.match(LENGTH);
+    return length ? LocalCommandEngine.formatLength(length[1], length[2]) : null;
+  }
+
+  findStep(clause, defaultStep) {
+    const amount = clause.match(AMOUNT);
+    if (!amount) return defaultStep;
+
+    const value = parseFloat(amount[1].replace(',', '.'));
+    // rem/em steps are converted with the default 16px root size
+    return amount[2] === 'rem' || amount[2] === 'em' ? value * 16 : value;
+  }
+
+  findColor(clause) {
+    const value = clause.match(COLOR_VALUE);
+    if (value) return value[0];
+
+    const name = this.colorNames.find(colorName => new RegExp(`\\b${colorName}\\b`).test(clause));
+    return name ? this.normalizer.normalizeColor(name) : null;
+  }
+
+  /**
+   * Lowercase without accents, so "centralizá" and "itálico" match the rules
+   */
+  static normalizeText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[.!?]+$/, '')
+      .trim();
+  }
+
+  /**
+   * Splits a command into clauses, keeping "rgb(255, 0, 0)" and decimal commas ("1,5rem") whole
+   */
+  static splitClauses(text) {
+    const clauses = [];
+    let start = 0;
+    let depth = 0;
+    let scanned = 0;
+
+    for (const match of text.matchAll(CLAUSE_SEPARATOR)) {
+      for (; scanned < match.index; scanned++) {
+        if (text[scanned] === '(') depth++;
+        if (text[scanned] === ')') depth = Math.max(0, depth - 1);
+      }
+      const decimalComma = match[0] === ',' && /\d/.test(text[match.index - 1]) && /\d/.test(text[match.index + 1] || '');
+      if (depth > 0 || decimalComma) continue;
+
+      clauses.push(text.slice(start, match.index));
+      start = match.index + match[0].length;
+    }
+    clauses.push(text.slice(start));
+    return clauses;
+  }
+
+  static toPx(value, fallback) {
+    const parsed = parseFloat(value);
+    if (Number.isNaN(parsed)) return fallback;
+    return /r?em$/.test(String(value).trim()) ? parsed * 16 : parsed;
+  }
+
+  static formatPx(value) {
+    return `${Math.round(value * 100) / 100}px`;
+  }
+
+  static formatLength(value, unit) {
+    return `${parseFloat(String(value).replace(',', '.'))}${unit || 'px'}`;
+  }
+}
+
+export default LocalCommandEngine;
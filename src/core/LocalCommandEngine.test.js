@@ -0,0 +1,73 @@
+import LocalCommandEngine from './LocalCommandEngine';
+
+describe('LocalCommandEngine', () => {
+  let engine;
+  const currentStyles = { fontSize: '16px', borderRadius: '8px', padding: '8px 16px', boxShadow: '0 1px 2px rgba(0, 0, 0, 0.1)' };
+  const stylesFor = (message, styles = currentStyles) => {
+    const { calls } = engine.parse(message, { elementSelectors: ['#buy'], currentStyles: styles });
+    return calls.length > 0 ? calls[0].params.styles : null;
+  };
+
+  beforeEach(() => {
+    engine = new LocalCommandEngine();
+  });
+
+  test('should produce applyVisualStyles calls for the selected elements', () => {
+    expect(engine.parse('Aumente a fonte em 2px', { elementSelectors: ['#buy'], currentStyles })).toEqual({
+      calls: [{
+        tool: 'applyVisualStyles',
+        params: { description: 'Aumente a fonte em 2px', styles: { fontSize: '18px' }, elementSelectors: ['#buy'] }
+      }],
+      recognized: ['aumente a fonte em 2px'],
+      unrecognized: []
+    });
+  });
+
+  test('should resolve font sizes relative to the current value or as absolute values', () => {
+    expect(stylesFor('diminua o texto')).toEqual({ fontSize: '14px' });
+    expect(stylesFor('increase font size by 0.5rem')).toEqual({ fontSize: '24px' });
+    expect(stylesFor('fonte para 1.25rem')).toEqual({ fontSize: '1.25rem' });
+    expect(stylesFor('texto em negrito')).toEqual({ fontWeight: '700' });
+    expect(stylesFor('aumente a fonte do h1 em 4px')).toEqual({ fontSize: '20px' });
+    expect(stylesFor('aumente a fonte do h1')).toEqual({ fontSize: '18px' });
+  });
+
+  test('should map color names through the StyleNormalizer color map', () => {
+    expect(stylesFor('cor azul')).toEqual({ color: '#3B82F6' });
+    expect(stylesFor('cor vermelha')).toEqual({ color: '#EF4444' });
+    expect(stylesFor('cor de fundo preta')).toEqual({ backgroundColor: '#000000' });
+    expect(stylesFor('background #1e293b')).toEqual({ backgroundColor: '#1e293b' });
+    expect(stylesFor('adicione uma borda verde')).toEqual({ border: '1px solid #10B981' });
+  });
+
+  test('should handle alignment, rounding and shadows', () => {
+    expect(stylesFor('Centralize!')).toEqual({ textAlign: 'center' });
+    expect(stylesFor('alinhe à direita')).toEqual({ textAlign: 'right' });
+    expect(stylesFor('arredonde mais')).toEqual({ borderRadius: '12px' });
+    expect(stylesFor('arredonde', {})).toEqual({ borderRadius: '8px' });
+    expect(stylesFor('raio da borda 4px')).toEqual({ borderRadius: '4px' });
+    expect(stylesFor('cantos retos')).toEqual({ borderRadius: '0px' });
+    expect(stylesFor('remova a sombra')).toEqual({ boxShadow: 'none' });
+    expect(stylesFor('remove the shadow')).toEqual({ boxShadow: 'none' });
+  });
+
+  test('should move every side of spacing shorthands', () => {
+    expect(stylesFor('mais espaçamento')).toEqual({ padding: '12px 20px' });
+    expect(stylesFor('diminua a margem em 2px', { margin: '4px' })).toEqual({ margin: '2px' });
+  });
+
+  test('should combine clauses and report the ones it did not understand', () => {
+    const result = engine.parse('fonte maior, cor branca e fundo azul e adicione um ícone', { elementSelectors: ['#buy'], currentStyles });
+
+    expect(result.calls[0].params.styles).toEqual({ fontSize: '18px', color: '#FFFFFF', backgroundColor: '#3B82F6' });
+    expect(result.unrecognized).toEqual(['adicione um icone']);
+    expect(engine.parse('faça algo incrível', {}).calls).toEqual([]);
+  });
+
+  test('should keep decimal commas and color functions inside one clause', () => {
+    expect(stylesFor('aumente a fonte para 1,5rem')).toEqual({ fontSize: '1.5rem' });
+    expect(stylesFor('cor rgb(255, 0, 0)')).toEqual({ color: 'rgb(255, 0, 0)' });
+    expect(stylesFor('fundo hsl(210, 40%, 20%), cor branca')).toEqual({ backgroundColor: 'hsl(210, 40%, 20%)', color: '#FFFFFF' });
+    expect(LocalCommandEngine.splitClauses('padding 1, 2 e borda')).toEqual(['padding 1', '2', 'borda']);
+  });
+});
@@ -0,0 +1,275 @@
+import ElementInspector from './ElementInspector';
+import StylesheetExporter from '../business/css/stylesheetExporter';
+import CssSourceEditor from '../business/css/cssSourceEditor';
+import TailwindTranslator from '../business/css/tailwindTranslator';
+import { DiffUtils } from '../utils/diffUtils';
+
+const STYLESHEET_EXTENSIONS = ['css', 'scss'];
+const MARKUP_EXTENSIONS = ['html', 'htm', 'jsx', 'tsx', 'js', 'ts', 'vue', 'svelte', 'astro'];
+// class="..." / className='...' / class=`...` without interpolation
+const CLASS_ATTRIBUTE_PATTERN = /(\bclass(?:Name)?\s*=\s*\{?\s*)(["'`])([^"'`{}$]*)\2/g;
+
+/**
+ * PatchGenerator - Turns the change journal into a unified diff for the project sources.
+ *
+ * The strategy is picked per element from ElementInspector.detectDesignSystemTokens:
+ * Tailwind elements get their class string rewritten with the translated
+ * utilities (obsolete classes removed); other elements get the declaration
+ * written into the CSS/SCSS rule that matches them. Changes that cannot be located go to a new overrides stylesheet.
+ */
+class PatchGenerator {
+  constructor(journal, options = {}) {
+    this.journal = journal;
+    this.inspector = options.inspector || new ElementInspector();
+    this.overridesPath = options.overridesPath || 'frontable-overrides.css';
+    this.translator = options.tailwindTranslator || new TailwindTranslator();
+    this.cssEditor = new CssSourceEditor();
+    this.exporter = new StylesheetExporter();
+  }
+
+  /**
+   * @param {Object} sourceFiles - { 'src/styles.css': '...' } relative to the repository root
+   * @returns {Object} - { patch, files, located, fallback, skipped }
+   */
+  generate(sourceFiles) {
+    const state = {
+      files: { ...sourceFiles },
+      // Class list currently written in the sources for each Tailwind element
+      classLists: new Map(),
+      located: 0,
+      fallback: [],
+      skipped: []
+    };
+
+    this.journal.getChanges().forEach(change => {
+      if (change.type === 'variable') {
+        if (this.applyVariable(change, state)) {
+          state.located++;
+        } else {
+          state.fallback.push(change);
+        }
+        return;
+      }
+
+      if (change.type !== 'style' && change.type !== 'rule') {
+        state.skipped.push(change.description || change.type);
+        return;
+      }
+
+      const element = this.journal.resolveElement(change);
+      const located = element ? this.applyChange(change, element, state) : false;
+      if (located) {
+        state.located++;
+      } else {
+        state.fallback.push(change);
+      }
+    });
+
+    this.writeOverrides(state);
+
+    const changedFiles = Object.keys(state.files).filter(path => state.files[path] !== sourceFiles[path]);
+    const patch = changedFiles
+      .map(path => DiffUtils.createFilePatch(path, sourceFiles[path] ?? null, state.files[path]))
+      .join('');
+
+    return {
+      patch,
+      files: changedFiles,
+      located: state.located,
+      fallback: state.fallback.length,
+      skipped: state.skipped
+    };
+  }
+
+  getStrategy(element) {
+    const tokens = this.inspector.detectDesignSystemTokens(element);
+    return tokens.framework === 'tailwind' ? 'tailwind' : 'stylesheet';
+  }
+
+  applyChange(change, element, state) {
+    const declarations = this.getDeclarations(change);
+    if (Object.keys(declarations).length === 0) return true;
+
+    if (this.getStrategy(element) === 'tailwind') {
+      return this.applyUtilityClasses(change, element, declarations, state);
+    }
+    return this.applyDeclarations(change, element, declarations, state);
+  }
+
+  /**
+   * Kebab-case declarations of a change, { 'font-size': '18px' }
+   */
+  getDeclarations(change) {
+    if (change.type === 'rule') {
+      return { ...change.rule.declarations };
+    }
+
+    const declarations = {};
+    Object.entries(change.styles || {}).forEach(([prop, value]) => {
+      declarations[this.exporter.toKebabCase(prop)] = value === null || value === undefined ? '' : String(value);
+    });
+    return declarations;
+  }
+
+  // ---- CSS / SCSS ----
+
+  applyDeclarations(change, element, declarations, state) {
+    const target = this.findRule(change, element, state.files, Object.keys(declarations));
+    if (!target) return false;
+
+    let text = state.files[target.path];
+    Object.entries(declarations).forEach(([property, value]) => {
+      // Offsets move after every edit, so the block is parsed again
+      const block = this.parseStylesheet(target.path, text)[target.index];
+      text = this.cssEditor.setDeclaration(text, block, property, value);
+    });
+    state.files[target.path] = text;
+    return true;
+  }
+
+  /**
+   * Finds the source rule for a change: same at-rule scope, a selector part that
+   * matches the element (plus the change's state/pseudo suffix) and is specific
+   * to it (has a class, id or attribute). Rules already declaring one of the
+   * properties win, then the one declared last.
+   */
+  findRule(change, element, files, properties) {
+    const rule = change.type === 'rule' ? change.rule : {};
+    const suffix = `${rule.state || ''}${rule.pseudo || ''}`;
+    const scope = [rule.media && `@media ${rule.media}`, rule.container && `@container ${rule.container}`]
+      .filter(Boolean)
+      .map(prelude => prelude.replace(/\s+/g, ' '));
+
+    let best = null;
+    Object.entries(files).forEach(([path, text]) => {
+      if (!STYLESHEET_EXTENSIONS.includes(this.getExtension(path))) return;
+
+      this.parseStylesheet(path, text).forEach((block, index) => {
+        if (!this.matchesScope(block.atRules, scope)) return;
+        if (!this.matchesElement(block.resolvedSelector, element, suffix)) return;
+
+        const declares = block.declarations.some(declaration => properties.includes(declaration.property));
+        if (!best || declares || !best.declares) {
+          best = { path, index, declares };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  matchesScope(atRules, scope) {
+    const conditional = atRules.filter(prelude => /^@(media|container)\b/.test(prelude));
+    return conditional.length === scope.length && conditional.every((prelude, index) => prelude === scope[index]);
+  }
+
+  matchesElement(selectorList, element, suffix) {
+    return this.cssEditor.splitSelector(selectorList).some(part => {
+      if (suffix) {
+        if (!part.endsWith(suffix)) return false;
+        part = part.slice(0, -suffix.length);
+      } else if (/::?(hover|focus|focus-visible|focus-within|active|visited|before|after|placeholder)\b/.test(part)) {
+        return false;
+      }
+
+      if (!/[.#[]/.test(part)) return false;
+      try {
+        return element.matches(part);
+      } catch (error) {
+        // SCSS placeholders, invalid selectors
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Custom property edits go to the rule that declares the variable in the same scope
+   */
+  applyVariable(change, state) {
+    const scope = change.scope.replace(/\s+/g, ' ');
+    let target = null;
+
+    Object.entries(state.files).forEach(([path, text]) => {
+      if (!STYLESHEET_EXTENSIONS.includes(this.getExtension(path))) return;
+
+      this.parseStylesheet(path, text).forEach((block, index) => {
+        const declares = block.declarations.some(declaration => declaration.property === change.name);
+        const inScope = this.cssEditor.splitSelector(block.resolvedSelector)
+          .some(part => part.replace(/\s+/g, ' ') === scope);
+        // The unconditional declaration is the one being changed
+        if (declares && inScope && !block.atRules.some(prelude => /^@(media|container|supports)\b/.test(prelude))) {
+          target = { path, index };
+        }
+      });
+    });
+
+    if (!target) return false;
+
+    const block = this.parseStylesheet(target.path, state.files[target.path])[target.index];
+    state.files[target.path] = this.cssEditor.setDeclaration(state.files[target.path], block, change.name, change.value);
+    return true;
+  }
+
+  parseStylesheet(path, text) {
+    return this.cssEditor.parse(text, { scss: this.getExtension(path) === 'scss' });
+  }
+
+  // ---- Tailwind ----
+
+  applyUtilityClasses(change, element, declarations, state) {
+    const classes = state.classLists.get(element) || Array.from(element.classList);
+    const location = this.findClassAttribute(state.files, classes);
+    if (!location) return false;
+
+    const variant = change.type === 'rule' ? this.translator.getVariant(change.rule) : '';
+    const utilities = this.translator.translate(declarations, { variant, classes });
+    const updated = TailwindTranslator.applyClasses(classes, utilities);
+
+    const text = state.files[location.path];
+    state.files[location.path] = `${text.slice(0, location.start)}${updated.join(' ')}${text.slice(location.end)}`;
+    state.classLists.set(element, updated);
+    return true;
+  }
+
+  /**
+   * Locates the class attribute whose classes are exactly the element's
+   * @returns {Object|null} - { path, start, end } offsets of the class string
+   */
+  findClassAttribute(files, classes) {
+    const wanted = [...classes].sort().join(' ');
+
+    for (const [path, text] of Object.entries(files)) {
+      if (!MARKUP_EXTENSIONS.includes(this.getExtension(path))) continue;
+
+      CLASS_ATTRIBUTE_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = CLASS_ATTRIBUTE_PATTERN.exec(text)) !== null) {
+        const found = match[3].trim().split(/\s+/).filter(Boolean).sort().join(' ');
+        if (found === wanted) {
+          const start = match.index + match[1].length + 1;
+          return { path, start, end: start + match[3].length };
+        }
+      }
+    }
+    return null;
+  }
+
+  // ---- Fallback ----
+
+  /**
+   * Changes not found in the sources are exported to the overrides stylesheet
+   */
+  writeOverrides(state) {
+    if (state.fallback.length === 0) return;
+
+    const { content } = this.exporter.export(state.fallback, 'css');
+    const existing = state.files[this.overridesPath];
+    state.files[this.overridesPath] = existing ? `${existing.replace(/\n*$/, '\n\n')}${content}` : content;
+  }
+
+  getExtension(path) {
+    return path.split('.').pop().toLowerCase();
+  }
+}
+
+export default PatchGenerator;
@@ -0,0 +1,102 @@
+import PatchGenerator from './PatchGenerator';
+
+describe('PatchGenerator', () => {
+  // Minimal element: matches the listed selectors only
+  const fakeElement = (classes, selectors = []) => ({
+    classList: classes,
+    dataset: {},
+    matches: (selector) => selectors.includes(selector)
+  });
+
+  const createGenerator = (changes) => new PatchGenerator({
+    getChanges: () => changes,
+    resolveElement: (change) => change.refs?.element || null
+  });
+
+  test('should edit the matching CSS rule in place', () => {
+    const element = fakeElement(['card'], ['.card']);
+    const generator = createGenerator([
+      { type: 'style', selector: '.card', styles: { color: 'blue', paddingTop: '8px' }, refs: { element } }
+    ]);
+
+    const result = generator.generate({
+      'src/app.css': 'body {\n  margin: 0;\n}\n\n.card {\n  color: red;\n}\n'
+    });
+
+    expect(result.files).toEqual(['src/app.css']);
+    expect(result.located).toBe(1);
+    expect(result.patch).toContain('--- a/src/app.css\n+++ b/src/app.css\n');
+    expect(result.patch).toContain(' .card {\n-  color: red;\n+  color: blue;\n+  padding-top: 8px;\n }\n');
+  });
+
+  test('should prefer the rule that already declares the property', () => {
+    const element = fakeElement(['btn', 'primary'], ['.btn', '.btn.primary']);
+    const generator = createGenerator([
+      { type: 'style', selector: '.btn', styles: { color: 'white' }, refs: { element } }
+    ]);
+
+    const result = generator.generate({
+      'btn.css': '.btn {\n  color: black;\n}\n.btn.primary {\n  background: blue;\n}\n'
+    });
+
+    expect(result.patch).toContain('-  color: black;\n+  color: white;');
+  });
+
+  test('should match state rules and SCSS nesting', () => {
+    const element = fakeElement(['link'], ['.nav .link']);
+    const generator = createGenerator([
+      { type: 'rule', rule: { selector: '.nav .link', state: ':hover', declarations: { color: 'red' } }, refs: { element } }
+    ]);
+
+    const result = generator.generate({
+      'nav.scss': '.nav {\n  .link {\n    color: gray;\n\n    &:hover {\n      color: black;\n    }\n  }\n}\n'
+    });
+
+    expect(result.patch).toContain('-      color: black;\n+      color: red;');
+  });
+
+  test('should rewrite the Tailwind class string with translated utilities', () => {
+    const element = fakeElement(['bg-white', 'p-4', 'text-sm'], []);
+    const generator = createGenerator([
+      { type: 'style', styles: { fontSize: '18px' }, refs: { element } },
+      { type: 'style', styles: { fontSize: '20px' }, refs: { element } },
+      { type: 'rule', rule: { selector: '.x', state: ':hover', declarations: { color: 'red' } }, refs: { element } }
+    ]);
+
+    const result = generator.generate({
+      'src/Card.jsx': 'export const Card = () => <div className="bg-white p-4 text-sm">Card</div>;\n'
+    });
+
+    expect(result.patch).toContain('+export const Card = () => <div className="bg-white p-4 text-xl hover:text-[red]">Card</div>;');
+  });
+
+  test('should edit the rule declaring a changed CSS variable', () => {
+    const generator = createGenerator([
+      { type: 'variable', name: '--brand', scope: ':root', value: '#0a84ff' },
+      { type: 'variable', name: '--gap', scope: ':root', value: '12px' }
+    ]);
+
+    const result = generator.generate({
+      'tokens.css': ':root {\n  --brand: #ff5a1f;\n}\n\n@media (prefers-color-scheme: dark) {\n  :root {\n    --brand: #ff8a5c;\n  }\n}\n'
+    });
+
+    expect(result.located).toBe(1);
+    expect(result.patch).toContain(' :root {\n-  --brand: #ff5a1f;\n+  --brand: #0a84ff;\n }');
+    expect(result.patch).toContain('+:root {\n+  --gap: 12px;\n+}');
+  });
+
+  test('should write unmatched changes to the overrides stylesheet', () => {
+    const generator = createGenerator([
+      { type: 'style', selector: '.hero', styles: { margin: '0 auto' }, refs: { element: fakeElement(['hero']) } },
+      { type: 'insert', description: 'Novo botão' }
+    ]);
+
+    const result = generator.generate({ 'app.css': '.other {\n  color: red;\n}\n' });
+
+    expect(result.files).toEqual(['frontable-overrides.css']);
+    expect(result.fallback).toBe(1);
+    expect(result.skipped).toEqual(['Novo botão']);
+    expect(result.patch).toContain('new file mode 100644\n--- /dev/null\n+++ b/frontable-overrides.css\n');
+    expect(result.patch).toContain('+.hero {\n+  margin: 0 auto;\n+}');
+  });
+});
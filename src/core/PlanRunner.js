@@ -0,0 +1,142 @@
+import EnhancedTaskPlanner from '../utils/EnhancedTaskPlanner';
+import WindowEventDispatcher from '../utils/windowEventDispatcher';
+
+// Commands big enough to be split into a plan; "#plan <comando>" forces one.
+// A single form or menu is one agent call: only whole pages and page-sized components plan.
+const PLAN_TRIGGERS = [
+  /\b(convert\w*|convers[aã]o|transform\w*|mud\w*|troc\w*|pass\w*|deix\w*)\b.*\b(p[aá]gina|site|tudo|interface)\b.*\b(tema escuro|modo escuro|dark)/i,
+  /\b(tema escuro|modo escuro|dark mode|dark theme)\b.*\b(p[aá]gina|site|tudo|interface)\b/i,
+  /\b(cri\w*|ger\w*|mont\w*|constru\w*|build|create)\b.*\b(dashboard|painel (de controle|administrativo)|formul[aá]rio (completo|em (v[aá]rias|m[uú]ltiplas) etapas|multi-?etapas?))/i
+];
+
+const STATUS_LABELS = {
+  completed: '✅ Plano concluído',
+  partial: '⚠️ Plano concluído parcialmente',
+  failed: '❌ Plano interrompido',
+  cancelled: '⏹️ Plano cancelado'
+};
+
+/**
+ * PlanRunner - Splits big commands into an EnhancedTaskPlanner plan and runs it
+ * task by task, streaming each change of the plan to the chat progress panel
+ * (ajentTaskPlanUpdate) with pause, cancel and retry controls.
+ */
+class PlanRunner {
+  /**
+   * @param {Function} executeTask - async (task, plan) => result; throws when the task fails
+   * @param {Object} options - { planner, journal: ChangeJournal grouping each run into one entry }
+   */
+  constructor(executeTask, options = {}) {
+    this.executeTask = executeTask;
+    this.planner = options.planner || new EnhancedTaskPlanner();
+    this.journal = options.journal || null;
+
+    this.planner.addNotificationCallback((event, data) => this.publish(data.plan));
+  }
+
+  /**
+   * @returns {string|null} - The command to plan, or null when it is a regular command
+   */
+  static getPlanCommand(message) {
+    const forced = message.match(/^#(?:plan|plano)\s+(.+)$/i);
+    if (forced) return forced[1].trim();
+    return PLAN_TRIGGERS.some(pattern => pattern.test(message)) ? message.trim() : null;
+  }
+
+  /**
+   * Creates and runs the plan
+   * @returns {Promise<Object>} - The finished plan
+   */
+  async run(command, context = {}) {
+    const plan = this.planner.createIntelligentPlan(command, context);
+    return this.execute(plan);
+  }
+
+  async execute(plan) {
+    // Every change of the run is one entry: "desfazer" reverts the whole plan
+    this.journal?.begin(`Plano: ${plan.name}`);
+    try {
+      await this.planner.executePlan(plan.id, (task) => this.executeTask(task, plan));
+    } catch (error) {
+      // executePlan already marked the plan as failed
+      console.warn('Plan stopped:', error);
+    } finally {
+      this.journal?.commit();
+    }
+    this.publish(plan);
+    return plan;
+  }
+
+  pause(planId) {
+    return this.planner.pausePlan(planId) ? '⏸️ Plano pausado após a tarefa atual.' : '⚠️ O plano não está em execução.';
+  }
+
+  resume(planId) {
+    return this.planner.resumePlan(planId) ? '▶️ Plano retomado.' : '⚠️ O plano não está pausado.';
+  }
+
+  cancel(planId) {
+    const plan = this.planner.getPlan(planId);
+    if (!plan || ['completed', 'cancelled'].includes(plan.status)) {
+      return '⚠️ O plano já terminou.';
+    }
+    this.planner.cancelPlan(planId);
+    return '⏹️ Plano cancelado: as tarefas restantes não serão executadas.';
+  }
+
+  /**
+   * Runs the failed tasks (and the ones skipped because of them) again
+   */
+  async retry(planId) {
+    const requeued = this.planner.retryFailedTasks(planId);
+    if (requeued === 0) {
+      return '⚠️ Nenhuma tarefa com falha para repetir.';
+    }
+
+    const plan = await this.execute(this.planner.getPlan(planId));
+    return `🔁 ${requeued} tarefa(s) repetida(s). ${PlanRunner.summarize(plan)}`;
+  }
+
+  publish(plan) {
+    if (!plan) return;
+    WindowEventDispatcher.dispatch('ajentTaskPlanUpdate', this.toProgress(plan));
+  }
+
+  /**
+   * Detail of ajentTaskPlanUpdate, read by ChatInterface.updateTaskProgress
+   */
+  toProgress(plan) {
+    const running = ['created', 'executing'].includes(plan.status);
+    const hasFailures = plan.subtasks.some(task => ['failed', 'skipped'].includes(task.status));
+
+    return {
+      planId: plan.id,
+      name: plan.name,
+      status: plan.paused ? 'paused' : plan.status,
+      completedTasks: plan.completedTasks,
+      totalTasks: plan.totalTasks,
+      tasks: plan.subtasks.map(task => ({
+        id: task.id,
+        description: task.name,
+        status: task.status,
+        error: task.errors[task.errors.length - 1] || null
+      })),
+      controls: {
+        pause: running && !plan.paused ? () => this.pause(plan.id) : null,
+        resume: plan.paused ? () => this.resume(plan.id) : null,
+        cancel: running ? () => this.cancel(plan.id) : null,
+        retry: !running && hasFailures && plan.status !== 'cancelled' ? () => this.retry(plan.id) : null
+      }
+    };
+  }
+
+  static summarize(plan) {
+    const lines = [`${STATUS_LABELS[plan.status] || '🎯 Plano'}: ${plan.name} (${plan.completedTasks}/${plan.totalTasks} tarefas)`];
+    plan.subtasks
+      .filter(task => task.status === 'failed')
+      .forEach(task => lines.push(`❌ ${task.name}: ${task.errors[task.errors.length - 1] || 'erro desconhecido'}`));
+    return lines.join('\n');
+  }
+}
+
+export default PlanRunner;
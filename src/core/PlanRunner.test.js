@@ -0,0 +1,100 @@
+import PlanRunner from './PlanRunner';
+import ChangeJournal from './ChangeJournal';
+
+describe('PlanRunner', () => {
+  const command = 'converta a página para tema escuro';
+
+  test('should only plan big commands, or commands forced with #plan', () => {
+    expect(PlanRunner.getPlanCommand(command)).toBe(command);
+    expect(PlanRunner.getPlanCommand('crie um dashboard de vendas')).toBe('crie um dashboard de vendas');
+    expect(PlanRunner.getPlanCommand('monte um formulário completo de cadastro')).toBe('monte um formulário completo de cadastro');
+    expect(PlanRunner.getPlanCommand('crie um formulário de contato')).toBeNull();
+    expect(PlanRunner.getPlanCommand('adicione um menu de navegação')).toBeNull();
+    expect(PlanRunner.getPlanCommand('#plan revisar o rodapé')).toBe('revisar o rodapé');
+    expect(PlanRunner.getPlanCommand('deixe o header azul')).toBeNull();
+    expect(PlanRunner.getPlanCommand('mude o fundo para escuro')).toBeNull();
+  });
+
+  test('should run the template tasks in dependency order', async () => {
+    const executed = [];
+    const runner = new PlanRunner(async (task) => {
+      executed.push(task.id);
+      return 'ok';
+    });
+
+    const plan = await runner.run(command);
+
+    expect(plan.status).toBe('completed');
+    expect(executed).toEqual(['analyze_colors', 'define_dark_palette', 'update_backgrounds', 'update_text_colors', 'check_contrast']);
+    expect(runner.toProgress(plan)).toMatchObject({
+      completedTasks: 5,
+      totalTasks: 5,
+      tasks: expect.arrayContaining([{ id: 'analyze_colors', description: 'Analisar cores atuais', status: 'completed', error: null }])
+    });
+  });
+
+  test('should record each run of the plan as one journal entry', async () => {
+    const journal = new ChangeJournal();
+    const page = { background: 'white', color: 'black' };
+    journal.registerHandler('page', {
+      revert: (change) => { page[change.property] = change.previous; },
+      reapply: (change) => { page[change.property] = change.value; }
+    });
+    const runner = new PlanRunner(async (task) => {
+      const property = { update_backgrounds: 'background', update_text_colors: 'color' }[task.id];
+      if (property) {
+        journal.record({ type: 'page', property, previous: page[property], value: task.id });
+        page[property] = task.id;
+      }
+    }, { journal });
+
+    await runner.run(command);
+    expect(page).toEqual({ background: 'update_backgrounds', color: 'update_text_colors' });
+    expect(journal.getEntries()).toHaveLength(1);
+
+    journal.undo();
+    expect(page).toEqual({ background: 'white', color: 'black' });
+  });
+
+  test('should retry failed tasks and the ones blocked by them', async () => {
+    let failures = 1;
+    const runner = new PlanRunner(async (task) => {
+      if (task.id === 'update_backgrounds' && failures-- > 0) {
+        throw new Error('LLM indisponível');
+      }
+    });
+
+    const plan = await runner.run(command);
+    expect(plan.status).toBe('partial');
+    expect(plan.completedTasks).toBe(2);
+    expect(PlanRunner.summarize(plan)).toContain('❌ Atualizar cores de fundo: LLM indisponível');
+
+    const progress = runner.toProgress(plan);
+    expect(progress.controls.retry).toEqual(expect.any(Function));
+    expect(progress.controls.cancel).toBeNull();
+
+    await expect(progress.controls.retry()).resolves.toContain('1 tarefa(s) repetida(s)');
+    expect(plan.status).toBe('completed');
+  });
+
+  test('should pause between tasks and stop when cancelled', async () => {
+    const executed = [];
+    let runner = null;
+    runner = new PlanRunner(async (task, plan) => {
+      executed.push(task.id);
+      if (executed.length === 1) runner.pause(plan.id);
+    });
+
+    const running = runner.run(command);
+    await new Promise(resolve => setTimeout(resolve, 250));
+
+    const [plan] = runner.planner.getActivePlans();
+    expect(runner.toProgress(plan).status).toBe('paused');
+    expect(executed).toHaveLength(1);
+
+    expect(runner.cancel(plan.id)).toContain('cancelado');
+    await running;
+    expect(plan.status).toBe('cancelled');
+    expect(executed).toHaveLength(1);
+  });
+});
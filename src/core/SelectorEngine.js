@@ -0,0 +1,324 @@
+// Attributes added for tests and component tooling: the most stable hooks a page has
+const TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa', 'data-component'];
+// Attributes that identify form fields and links
+const NAMED_ATTRIBUTES = { input: 'name', select: 'name', textarea: 'name', button: 'name', form: 'name', a: 'href' };
+
+// Utility classes (Tailwind and friends) describe looks, not identity: they change with every restyle
+const UTILITY_CLASS = /^-?(m|p)[trblxyse]?-|^-?(w|h|min-w|min-h|max-w|max-h|size|gap|space-[xy]|inset|top|left|right|bottom|z|order|col|row|basis|grow|shrink)-|^(text|bg|border|rounded|font|leading|tracking|shadow|opacity|ring|outline|fill|stroke|object|aspect|divide|from|via|to|decoration|underline-offset|cursor|select|transition|duration|ease|delay|animate|translate|scale|rotate|skew|origin|place|items|justify|self|content|overflow|overscroll|whitespace|break|list|placeholder|columns|grid-cols|grid-rows|auto-cols|auto-rows|line-clamp)(-|$)|^(flex|grid|block|inline|inline-block|inline-flex|hidden|contents|table|absolute|relative|fixed|sticky|static|container|truncate|underline|uppercase|lowercase|capitalize|italic|sr-only|visible|invisible|transform|shrink|grow)$/;
+// Generated names: CSS modules, styled-components, emotion ("Button_root__x7Yz2", "sc-bdfBwQ", "css-1x2y3z")
+const GENERATED_NAME = /__[\w-]{4,}$|^(sc|css|jsx|svelte|emotion)-[\w-]+$|[a-z][0-9][a-z0-9]{3,}$|\d{4,}|^[a-f0-9]{8,}$/i;
+// Classes and ids toggled by scripts while the user interacts
+const STATE_NAME = /^(is-|has-)|^(active|selected|current|open|closed|hover|focus|focused|disabled|checked|show|visible|hidden|collapsed|expanded|loading)$/i;
+// Ids generated by frameworks (React useId ":r1:", Ember "ember123", Radix "radix-…")
+const GENERATED_ID = /^(:r|ember|radix-|headlessui-|mui-|react-|rc-|__)|[:]|\d{3,}/i;
+
+// Stability of each kind of candidate, from 0 (breaks on any change) to 1
+const STABILITY = {
+  test: 1,
+  id: 0.9,
+  named: 0.8,
+  aria: 0.75,
+  role: 0.6,
+  classes: 0.7,
+  generatedId: 0.4,
+  utilityClasses: 0.25,
+  tag: 0.2,
+  position: 0.15
+};
+
+// Class subsets tried per element, smallest first: each one costs a querySelectorAll
+const MAX_CLASS_SUBSETS = 12;
+
+/**
+ * SelectorEngine - The one place where CSS selectors for page elements are built.
+ *
+ * Candidates are tried from the most stable hook to the least: data-testid /
+ * data-component, ids, form names, ARIA roles and labels, short subsets of
+ * semantic classes, and only then tags and positions. Each candidate gets a
+ * uniqueness score (1 when querySelectorAll returns exactly the element) and a
+ * stability score; the selector returned is always verified to match the
+ * element alone. Candidates are queried from the most stable down, so the
+ * search stops at the first exact match. Elements without a unique hook of
+ * their own are anchored to the closest ancestor that has one.
+ */
+class SelectorEngine {
+  /**
+   * @param {Object} options - { root: document to query, maxClasses, maxDepth }
+   */
+  constructor(options = {}) {
+    this.root = options.root || (typeof document !== 'undefined' ? document : null);
+    this.maxClasses = options.maxClasses || 3;
+    this.maxDepth = options.maxDepth || 5;
+  }
+
+  /**
+   * @returns {string} - Verified selector for the element
+   */
+  getSelector(element) {
+    return this.generate(element).selector;
+  }
+
+  /**
+   * @returns {Object} - { selector, score, uniqueness, stability, candidates: [{ selector, kind, uniqueness, stability, score }] }
+   *   candidates holds the ones queried before the selector was found
+   */
+  generate(element) {
+    if (!element || !element.tagName) {
+      return { selector: '', score: 0, uniqueness: 0, stability: 0, candidates: [] };
+    }
+
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'html' || tag === 'body' || tag === 'head') {
+      return { selector: tag, score: 1, uniqueness: 1, stability: 1, candidates: [] };
+    }
+
+    const own = this.candidatesFor(element);
+    const candidates = [];
+    let best = this.findBest(own, element, candidates);
+
+    // No unique hook of its own: scope the candidates under a stable ancestor
+    if (!best) {
+      best = this.findBest(this.anchoredCandidates(element, own), element, candidates);
+    }
+
+    if (!best) {
+      best = this.score({ selector: this.positionPath(element), kind: 'position', stability: STABILITY.position }, element);
+      candidates.push(best);
+    }
+
+    return {
+      selector: best.selector,
+      score: best.score,
+      uniqueness: best.uniqueness,
+      stability: best.stability,
+      candidates
+    };
+  }
+
+  /**
+   * Elements matched by a list of selectors. Selectors from generate() are
+   * already escaped and are queried as they are; only a selector that does not
+   * parse, such as a raw Tailwind class written by the LLM (".md:flex"), is
+   * retried with its class names escaped.
+   * @returns {Array} - Matching elements, in selector order
+   */
+  query(selectors) {
+    if (!Array.isArray(selectors)) return [];
+
+    return selectors.filter(selector => typeof selector === 'string' && selector.trim()).flatMap(selector => {
+      try {
+        return Array.from(this.root.querySelectorAll(selector));
+      } catch (error) {
+        try {
+          return Array.from(this.root.querySelectorAll(SelectorEngine.escapeRawClasses(selector)));
+        } catch (retryError) {
+          return [];
+        }
+      }
+    });
+  }
+
+  /**
+   * True when the selector matches the element and nothing else
+   */
+  verify(selector, element) {
+    return this.countMatches(selector, element).exact;
+  }
+
+  /**
+   * The element's own candidates, before any uniqueness check
+   * @returns {Array} - [{ selector, kind, stability }]
+   */
+  candidatesFor(element) {
+    const tag = element.tagName.toLowerCase();
+    const candidates = [];
+    const add = (selector, kind, stability = STABILITY[kind]) => candidates.push({ selector, kind, stability });
+
+    TEST_ATTRIBUTES.forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value) add(SelectorEngine.attributeSelector(attribute, value), 'test');
+    });
+
+    if (element.id) {
+      const generated = GENERATED_ID.test(element.id) || STATE_NAME.test(element.id);
+      add(`#${SelectorEngine.escape(element.id)}`, generated ? 'generatedId' : 'id');
+    }
+
+    const namedAttribute = NAMED_ATTRIBUTES[tag];
+    const name = namedAttribute && element.getAttribute(namedAttribute);
+    if (name && !/^(#|javascript:)/i.test(name)) {
+      add(`${tag}${SelectorEngine.attributeSelector(namedAttribute, name)}`, 'named');
+    }
+
+    const role = element.getAttribute('role');
+    const label = element.getAttribute('aria-label');
+    if (label) {
+      add(`${role ? SelectorEngine.attributeSelector('role', role) : tag}${SelectorEngine.attributeSelector('aria-label', label)}`, 'aria');
+    }
+    if (role) {
+      add(`${tag}${SelectorEngine.attributeSelector('role', role)}`, 'role');
+    }
+
+    const { stable, utility } = SelectorEngine.classifyClasses(SelectorEngine.classesOf(element));
+    SelectorEngine.subsets(stable, this.maxClasses).forEach(subset => {
+      add(subset.map(name => `.${SelectorEngine.escape(name)}`).join(''), 'classes', STABILITY.classes - (subset.length - 1) * 0.05);
+    });
+    if (stable.length === 0 && utility.length > 0) {
+      add(`${tag}${utility.slice(0, this.maxClasses).map(name => `.${SelectorEngine.escape(name)}`).join('')}`, 'utilityClasses');
+    }
+
+    add(tag, 'tag');
+    return candidates;
+  }
+
+  /**
+   * "<ancestor> <candidate>" for the closest ancestors with a unique, stable selector
+   */
+  anchoredCandidates(element, ownCandidates) {
+    const anchored = [];
+    let ancestor = element.parentElement;
+
+    for (let depth = 1; ancestor && depth <= this.maxDepth; depth++, ancestor = ancestor.parentElement) {
+      const ancestorTag = ancestor.tagName.toLowerCase();
+      if (ancestorTag === 'body' || ancestorTag === 'html') break;
+
+      const anchor = this.findBest(
+        this.candidatesFor(ancestor).filter(candidate => candidate.stability >= STABILITY.role),
+        ancestor
+      );
+      if (!anchor) continue;
+
+      // Each level between the anchor and the element makes the selector easier to break
+      const distance = Math.pow(0.95, depth - 1);
+      ownCandidates.forEach(candidate => {
+        anchored.push({
+          selector: `${anchor.selector} ${candidate.selector}`,
+          kind: `anchored-${candidate.kind}`,
+          stability: Math.min(anchor.stability, candidate.stability) * distance
+        });
+      });
+      anchored.push({
+        selector: `${anchor.selector} > ${this.positionPath(element, ancestor)}`,
+        kind: 'anchored-position',
+        stability: Math.min(anchor.stability, STABILITY.position * 2) * distance
+      });
+      break;
+    }
+    return anchored;
+  }
+
+  /**
+   * tag:nth-of-type() chain from the ancestor (or html) down to the element
+   */
+  positionPath(element, ancestor = null) {
+    const parts = [];
+    let current = element;
+
+    while (current && current !== ancestor && current.parentElement) {
+      const tag = current.tagName.toLowerCase();
+      const sameTag = Array.from(current.parentElement.children).filter(sibling => sibling.tagName === current.tagName);
+      parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+      current = current.parentElement;
+    }
+
+    if (!ancestor) parts.unshift('html');
+    return parts.join(' > ');
+  }
+
+  score(candidate, element) {
+    const { count, exact } = this.countMatches(candidate.selector, element);
+    const uniqueness = exact ? 1 : (count > 0 ? 1 / count : 0);
+    return { ...candidate, uniqueness, score: exact ? candidate.stability : 0 };
+  }
+
+  countMatches(selector, element) {
+    try {
+      const matches = this.root.querySelectorAll(selector);
+      const includes = Array.from(matches).includes(element);
+      return { count: includes ? matches.length : 0, exact: matches.length === 1 && matches[0] === element };
+    } catch (error) {
+      return { count: 0, exact: false };
+    }
+  }
+
+  /**
+   * Scores the candidates from the most stable (then shortest) down and returns
+   * the first exact one: none of the rest could score higher
+   * @param {Array} scored - Receives every candidate that was queried
+   * @returns {Object|null} - The scored candidate
+   */
+  findBest(candidates, element, scored = []) {
+    const ordered = [...candidates].sort((a, b) => b.stability - a.stability || a.selector.length - b.selector.length);
+    for (const candidate of ordered) {
+      const result = this.score(candidate, element);
+      scored.push(result);
+      if (result.score > 0) return result;
+    }
+    return null;
+  }
+
+  static classesOf(element) {
+    const className = typeof element.className === 'string' ? element.className : element.getAttribute('class') || '';
+    return className.trim().split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * @returns {Object} - { stable, utility }; generated, state and Frontable classes are dropped
+   */
+  static classifyClasses(classes) {
+    const stable = [];
+    const utility = [];
+    classes.forEach(name => {
+      if (name.startsWith('frontable-') || STATE_NAME.test(name) || GENERATED_NAME.test(name)) return;
+      if (/[:[\]/@%!]/.test(name) || UTILITY_CLASS.test(name)) {
+        utility.push(name);
+      } else {
+        stable.push(name);
+      }
+    });
+    return { stable, utility };
+  }
+
+  /**
+   * Subsets of up to `max` classes, smallest first, at most `limit` of them
+   */
+  static subsets(classes, max, limit = MAX_CLASS_SUBSETS) {
+    const result = [];
+    const pool = classes.slice(0, 6);
+    const walk = (start, current, size) => {
+      if (current.length === size) {
+        result.push(current);
+        return;
+      }
+      for (let i = start; i < pool.length && result.length < limit; i++) walk(i + 1, [...current, pool[i]], size);
+    };
+    for (let size = 1; size <= max && result.length < limit; size++) walk(0, [], size);
+    return result;
+  }
+
+  static attributeSelector(name, value) {
+    return `[${name}="${String(value).replace(/["\\]/g, '\\$&')}"]`;
+  }
+
+  /**
+   * ".md:flex.w-1/2" -> ".md\:flex.w-1\/2": class names run to the next
+   * whitespace, combinator, id or class; escaped characters are kept
+   */
+  static escapeRawClasses(selector) {
+    return selector.replace(/\.((?:\\.|[^\s.#>~,])+)/g, (match, name) => (
+      name.includes('\\') ? match : `.${SelectorEngine.escape(name)}`
+    ));
+  }
+
+  static escape(identifier) {
+    if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+      return CSS.escape(identifier);
+    }
+    return String(identifier)
+      .replace(/([^\w-])/g, '\\$1')
+      .replace(/^(\d)/, '\\3$1 ')
+      .replace(/^-(\d)/, '-\\3$1 ');
+  }
+}
+
+export default SelectorEngine;
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment jsdom
+ */
+import SelectorEngine from './SelectorEngine';
+
+describe('SelectorEngine', () => {
+  let engine;
+
+  const render = (html) => {
+    document.body.innerHTML = html;
+  };
+  const byTestId = (id) => document.querySelector(`[data-test-ref="${id}"]`);
+
+  beforeEach(() => {
+    engine = new SelectorEngine();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  test('should prefer test hooks and hand-written ids over classes', () => {
+    render('<header id="site-header" class="header"></header><button data-testid="save" id="save-button" class="btn primary"></button>');
+    const save = document.querySelector('button');
+    const header = document.querySelector('header');
+
+    expect(engine.getSelector(save)).toBe('[data-testid="save"]');
+    expect(engine.getSelector(header)).toBe('#site-header');
+
+    const result = engine.generate(header);
+    expect(result).toMatchObject({ uniqueness: 1, stability: 0.9 });
+    // Nothing less stable than the id is queried
+    expect(result.candidates.map(candidate => candidate.selector)).toEqual(['#site-header']);
+  });
+
+  test('should stop querying at the first exact candidate and cap the class subsets', () => {
+    const classes = 'alpha beta gamma delta epsilon zeta eta';
+    render(`<div class="${classes}"></div><div class="${classes} theta"></div>`);
+    const target = document.body.children[1];
+    const querySelectorAll = jest.spyOn(document, 'querySelectorAll');
+
+    expect(SelectorEngine.subsets(classes.split(' '), 3)).toHaveLength(12);
+    expect(SelectorEngine.subsets(['a', 'b', 'c'], 3)).toEqual([['a'], ['b'], ['c'], ['a', 'b'], ['a', 'c'], ['b', 'c'], ['a', 'b', 'c']]);
+
+    // Only the first six classes are combined: the twin shares all of them
+    const result = engine.generate(target);
+    expect(result.selector).toBe('html > body > div:nth-of-type(2)');
+    expect(querySelectorAll.mock.calls.length).toBeLessThanOrEqual(14);
+  });
+
+  test('should skip generated ids and utility classes in favour of a short semantic class subset', () => {
+    render('<div class="card"></div><div id="ember1234" class="flex p-4 card featured is-active"></div>');
+
+    expect(engine.getSelector(document.getElementById('ember1234'))).toBe('.featured');
+    expect(SelectorEngine.classifyClasses(['flex', 'md:p-2', 'Button_root__x7Yz2', 'frontable-selected', 'hero'])).toEqual({
+      stable: ['hero'],
+      utility: ['flex', 'md:p-2']
+    });
+  });
+
+  test('should use ARIA roles and labels when the element has no better hook', () => {
+    render('<nav role="navigation" aria-label="principal"></nav><nav role="navigation" aria-label="rodape"></nav>');
+
+    expect(engine.getSelector(document.body.children[1])).toBe('[role="navigation"][aria-label="rodape"]');
+  });
+
+  test('should anchor ambiguous elements to a stable ancestor and verify the result', () => {
+    render('<ul data-component="menu"><li class="item"></li><li class="item"></li></ul><ul><li class="item"></li></ul>');
+    const [menu, list] = document.body.children;
+    const second = menu.children[1];
+
+    const selector = engine.getSelector(second);
+    expect(selector).toBe('[data-component="menu"] > li:nth-of-type(2)');
+    expect(Array.from(document.querySelectorAll(selector))).toEqual([second]);
+    expect(engine.verify('.item', second)).toBe(false);
+
+    expect(engine.generate(list.children[0])).toMatchObject({ selector: 'html > body > ul:nth-of-type(2) > li', uniqueness: 1 });
+  });
+
+  test('should find every kind of generated selector again, unchanged', () => {
+    render(`
+      <button data-test-ref="hook" data-testid="x"></button>
+      <a data-test-ref="link" href="/planos?tipo=anual&amp;moeda=R$"></a><a href="/contato"></a>
+      <nav data-test-ref="aria" role="navigation" aria-label="menu (principal)"></nav><nav role="navigation"></nav>
+      <div data-test-ref="tailwind" class="md:flex w-1/2"></div><div class="flex"></div>
+      <div data-test-ref="position"></div>
+    `);
+
+    ['hook', 'link', 'aria', 'tailwind', 'position'].forEach(ref => {
+      const element = byTestId(ref);
+      const selector = engine.getSelector(element);
+      expect(engine.query([selector])).toEqual([element]);
+    });
+    expect(engine.getSelector(byTestId('tailwind'))).toContain('.md\\:flex');
+  });
+
+  test('should escape raw class names only when the selector does not parse', () => {
+    render('<div class="md:flex w-1/2"></div><a class="btn" href="/a"></a>');
+    const [div, link] = document.body.children;
+
+    expect(engine.query(['.md:flex.w-1/2', 'a.btn[href="/a"]'])).toEqual([div, link]);
+    expect(SelectorEngine.escapeRawClasses('div > .md:flex .w-1\\/2')).toBe('div > .md\\:flex .w-1\\/2');
+    expect(engine.query(['.md\\:flex', '', null, 'a[', '#missing'])).toEqual([div]);
+    expect(engine.query('.md\\:flex')).toEqual([]);
+  });
+});
@@ -0,0 +1,127 @@
+// Live DOM references and the full computed snapshot stay out of storage
+const UNSERIALIZED_KEYS = ['refs', 'previousState'];
+
+/**
+ * SessionStore - Persists change journal sessions in localStorage, keyed by page URL
+ *
+ * Only serializable data is stored: live DOM references (change.refs) and the
+ * full computed snapshot (previousState) are dropped, so stored changes are
+ * re-resolved through their selectors when a session is replayed.
+ */
+class SessionStore {
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : this.getDefaultStorage();
+    this.url = options.url || this.getDefaultUrl();
+    this.prefix = options.prefix || 'frontable:sessions:';
+    this.maxSessions = options.maxSessions || 10;
+  }
+
+  getDefaultStorage() {
+    try {
+      return typeof window !== 'undefined' ? window.localStorage : null;
+    } catch (error) {
+      // Access to localStorage can throw (e.g. sandboxed iframes)
+      return null;
+    }
+  }
+
+  getDefaultUrl() {
+    if (typeof window === 'undefined') return 'unknown';
+    return `${window.location.origin}${window.location.pathname}`;
+  }
+
+  getKey() {
+    return `${this.prefix}${this.url}`;
+  }
+
+  isAvailable() {
+    return !!this.storage;
+  }
+
+  getSessions() {
+    if (!this.isAvailable()) return [];
+
+    try {
+      const raw = this.storage.getItem(this.getKey());
+      const sessions = raw ? JSON.parse(raw) : [];
+      return Array.isArray(sessions) ? sessions : [];
+    } catch (error) {
+      console.warn('Could not read saved sessions:', error);
+      return [];
+    }
+  }
+
+  getSession(id) {
+    return this.getSessions().find(session => session.id === id) || null;
+  }
+
+  saveSessions(sessions) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      if (sessions.length === 0) {
+        this.storage.removeItem(this.getKey());
+      } else {
+        this.storage.setItem(this.getKey(), JSON.stringify(sessions.slice(-this.maxSessions)));
+      }
+      return true;
+    } catch (error) {
+      console.warn('Could not save sessions:', error);
+      return false;
+    }
+  }
+
+  createSession() {
+    const now = Date.now();
+    return {
+      id: `session-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: now,
+      updatedAt: now,
+      enabled: true,
+      entries: []
+    };
+  }
+
+  /**
+   * Stores the journal entries of a session. Sessions without entries are not kept.
+   * @param {Object} session - Session created by createSession()
+   * @param {Array} entries - Change journal entries
+   */
+  saveEntries(session, entries) {
+    const sessions = this.getSessions().filter(saved => saved.id !== session.id);
+    const serialized = SessionStore.serializeEntries(entries);
+
+    if (serialized.length > 0) {
+      sessions.push({ ...session, updatedAt: Date.now(), entries: serialized });
+    }
+
+    return this.saveSessions(sessions);
+  }
+
+  setEnabled(id, enabled) {
+    const sessions = this.getSessions();
+    const session = sessions.find(saved => saved.id === id);
+    if (!session) return false;
+
+    session.enabled = enabled;
+    return this.saveSessions(sessions);
+  }
+
+  removeSession(id) {
+    return this.saveSessions(this.getSessions().filter(session => session.id !== id));
+  }
+
+  static serializeEntries(entries) {
+    return entries.map(entry => ({
+      ...entry,
+      changes: entry.changes.map(SessionStore.serializeChange)
+    }));
+  }
+
+  static serializeChange(change) {
+    const data = Object.fromEntries(Object.entries(change).filter(([key]) => !UNSERIALIZED_KEYS.includes(key)));
+    return JSON.parse(JSON.stringify(data));
+  }
+}
+
+export default SessionStore;
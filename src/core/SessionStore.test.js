@@ -0,0 +1,70 @@
+import SessionStore from './SessionStore';
+
+const createMemoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+};
+
+describe('SessionStore', () => {
+  let store;
+  let session;
+
+  const entry = (changes) => ({ id: 1, label: 'cmd', timestamp: 1, changes });
+
+  beforeEach(() => {
+    store = new SessionStore({ storage: createMemoryStorage(), url: 'http://localhost/page' });
+    session = store.createSession();
+  });
+
+  test('should strip live references and computed snapshots', () => {
+    store.saveEntries(session, [entry([{
+      type: 'style',
+      selector: '#title',
+      styles: { color: 'red' },
+      previousState: { color: 'black' },
+      refs: { element: {} }
+    }])]);
+
+    const [change] = store.getSession(session.id).entries[0].changes;
+    expect(change).toEqual({ type: 'style', selector: '#title', styles: { color: 'red' } });
+  });
+
+  test('should not keep sessions without entries', () => {
+    store.saveEntries(session, [entry([{ type: 'style' }])]);
+    store.saveEntries(session, []);
+
+    expect(store.getSessions()).toEqual([]);
+  });
+
+  test('should keep sessions of different URLs apart', () => {
+    const storage = createMemoryStorage();
+    const first = new SessionStore({ storage, url: 'http://localhost/a' });
+    const second = new SessionStore({ storage, url: 'http://localhost/b' });
+
+    first.saveEntries(first.createSession(), [entry([{ type: 'style' }])]);
+
+    expect(first.getSessions()).toHaveLength(1);
+    expect(second.getSessions()).toHaveLength(0);
+  });
+
+  test('should enable, disable and remove sessions', () => {
+    store.saveEntries(session, [entry([{ type: 'style' }])]);
+
+    store.setEnabled(session.id, false);
+    expect(store.getSession(session.id).enabled).toBe(false);
+
+    store.removeSession(session.id);
+    expect(store.getSession(session.id)).toBeNull();
+  });
+
+  test('should work without storage', () => {
+    const offline = new SessionStore({ storage: null, url: 'http://localhost/page' });
+
+    expect(offline.saveEntries(session, [entry([{ type: 'style' }])])).toBe(false);
+    expect(offline.getSessions()).toEqual([]);
+  });
+});
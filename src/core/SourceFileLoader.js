@@ -0,0 +1,73 @@
+// Extensions the patch generator can edit
+const SOURCE_EXTENSIONS = ['css', 'scss', 'html', 'htm', 'jsx', 'tsx', 'js', 'ts', 'vue', 'svelte', 'astro'];
+const IGNORED_DIRECTORIES = ['node_modules', '.git', 'dist', 'build', '.next', '.nuxt', 'coverage'];
+const MAX_FILE_SIZE = 512 * 1024;
+
+/**
+ * SourceFileLoader - Builds the { path: content } map of project sources used by
+ * the patch generator, either from a dev-server endpoint or from a folder picked
+ * with the File System Access API. Paths are relative to the project root.
+ */
+class SourceFileLoader {
+  static isSourcePath(path) {
+    const extension = path.split('.').pop().toLowerCase();
+    return SOURCE_EXTENSIONS.includes(extension);
+  }
+
+  static supportsDirectoryPicker() {
+    return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+  }
+
+  /**
+   * Loads sources from a dev-server endpoint answering GET with
+   * `{ "files": { "src/styles.css": "..." } }`.
+   */
+  static async fromDevServer(endpoint) {
+    const response = await fetch(endpoint, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Source endpoint responded with ${response.status}`);
+    }
+
+    const data = await response.json();
+    const files = {};
+    Object.entries(data.files || {}).forEach(([path, content]) => {
+      if (typeof content === 'string' && SourceFileLoader.isSourcePath(path)) {
+        files[path.replace(/^\.?\//, '')] = content;
+      }
+    });
+    return files;
+  }
+
+  /**
+   * Asks the user for the project folder (must run inside a user gesture).
+   */
+  static async fromDirectoryPicker() {
+    if (!SourceFileLoader.supportsDirectoryPicker()) {
+      throw new Error('File System Access API is not available in this browser');
+    }
+
+    const directory = await window.showDirectoryPicker({ mode: 'read' });
+    const files = {};
+    await SourceFileLoader.readDirectory(directory, '', files);
+    return files;
+  }
+
+  static async readDirectory(directory, prefix, files) {
+    for await (const handle of directory.values()) {
+      const path = `${prefix}${handle.name}`;
+
+      if (handle.kind === 'directory') {
+        if (!IGNORED_DIRECTORIES.includes(handle.name)) {
+          await SourceFileLoader.readDirectory(handle, `${path}/`, files);
+        }
+      } else if (SourceFileLoader.isSourcePath(path)) {
+        const file = await handle.getFile();
+        if (file.size <= MAX_FILE_SIZE) {
+          files[path] = await file.text();
+        }
+      }
+    }
+  }
+}
+
+export default SourceFileLoader;
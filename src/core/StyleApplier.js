@@ -1,7 +1,19 @@
+import ChangeJournal from './ChangeJournal.js';
+import StylesheetLayer from './StylesheetLayer.js';
+import SelectorEngine from './SelectorEngine.js';
+import EditAnchor from './EditAnchor.js';
+
 class StyleApplier {
-  constructor() {
-    this.changeHistory = [];
+  constructor(journal = null, options = {}) {
     this.maxHistorySize = 50;
+    // Shared session journal; standalone instances get a private one
+    this.journal = journal || new ChangeJournal({ maxSize: this.maxHistorySize });
+
+    // 'inline' writes element.style; 'stylesheet' writes rules into the managed layer
+    this.mode = options.mode === 'stylesheet' ? 'stylesheet' : 'inline';
+    this.stylesheetLayer = new StylesheetLayer(options.stylesheet);
+    this.journal.registerHandler('rule', this.stylesheetLayer.createJournalHandler());
+    this.selectorEngine = options.selectorEngine || new SelectorEngine();
       
     // Mapeamento de propriedades CSS válidas
     this.validCSSProperties = new Set([
@@ -51,7 +63,10 @@ class StyleApplier {
         
       // Transform & Animation
       'transform', 'transformOrigin', 'transition', 'animation',
-      'filter', 'backdropFilter', 'clipPath', 'cursor'
+      'filter', 'backdropFilter', 'clipPath', 'cursor',
+
+      // Generated content (pseudo-elements)
+      'content'
     ]);
   }
     
@@ -63,21 +78,34 @@ class StyleApplier {
         throw new Error(`Invalid LLM response: ${validation.errors.join(', ')}`);
       }
         
+      if (this.shouldUseStylesheet(response)) {
+        return this.applyRule(response, element, originalCommand);
+      }
+
       const previousState = this.captureElementState(element);
         
       const appliedChanges = await this.applyStyles(element, response.styles);
-        
-      this.addToHistory({
-        timestamp: Date.now(),
-        element: this.getElementSelector(element),
-        command: originalCommand,
-        response: response,
-        previousState: previousState,
-        appliedChanges: appliedChanges
-      });
+      const applied = Object.entries(appliedChanges.applied);
+
+      if (applied.length > 0) {
+        this.addToHistory({
+          type: 'style',
+          selector: this.getElementSelector(element),
+          description: response.explanation || originalCommand,
+          command: originalCommand,
+          styles: Object.fromEntries(applied.map(([prop, change]) => [prop, change.new])),
+          previousInline: Object.fromEntries(applied.map(([prop, change]) => [prop, change.previousInline])),
+          previousComputed: Object.fromEntries(applied.map(([prop, change]) => [prop, change.previous])),
+          previousState: previousState,
+          imageUrl: response.imageUrl,
+          assetId: response.assetId,
+          refs: { element }
+        });
+      }
         
       return {
-        success: true
+        success: true,
+        appliedChanges
       };
         
     } catch (error) {
@@ -89,6 +117,65 @@ class StyleApplier {
     }
   }
     
+  setMode(mode) {
+    this.mode = mode === 'stylesheet' ? 'stylesheet' : 'inline';
+  }
+
+  /**
+     * States, pseudo-elements and conditional rules can only be expressed in a stylesheet
+     */
+  shouldUseStylesheet(response) {
+    return this.mode === 'stylesheet' || !!(response.state || response.pseudo || response.media || response.container);
+  }
+
+  /**
+     * Aplica estilos como regra na camada de estilos gerenciada
+     */
+  applyRule(response, element, originalCommand) {
+    const styles = {};
+    const applied = {};
+    const computed = window.getComputedStyle(element);
+
+    Object.entries(response.styles).forEach(([property, value]) => {
+      const normalizedProp = this.normalizeCSSProperty(property);
+      const normalizedValue = this.normalizeCSSValue(property, value);
+      styles[normalizedProp] = normalizedValue;
+      applied[normalizedProp] = {
+        previous: computed[normalizedProp],
+        new: normalizedValue
+      };
+    });
+
+    const selector = this.getElementSelector(element);
+    const rule = this.stylesheetLayer.addRule({
+      selector,
+      styles,
+      state: response.state,
+      pseudo: response.pseudo,
+      media: response.media,
+      container: response.container
+    });
+
+    this.addToHistory({
+      type: 'rule',
+      selector: selector,
+      description: response.explanation || originalCommand,
+      command: originalCommand,
+      styles: styles,
+      previousComputed: Object.fromEntries(Object.entries(applied).map(([prop, change]) => [prop, change.previous])),
+      rule: rule,
+      imageUrl: response.imageUrl,
+      assetId: response.assetId,
+      refs: { element }
+    });
+
+    return {
+      success: true,
+      appliedChanges: { applied, failed: {} },
+      rule
+    };
+  }
+
   /**
      * Parse da resposta da LLM
      */
@@ -211,7 +298,8 @@ class StyleApplier {
         const normalizedValue = this.normalizeCSSValue(property, value);
           
         // Salva valor anterior
-        const previousValue = element.style[normalizedProp] || 
+        const previousInline = element.style[normalizedProp] || '';
+        const previousValue = previousInline || 
                                window.getComputedStyle(element)[normalizedProp];
           
         // Aplica o novo valor
@@ -222,6 +310,7 @@ class StyleApplier {
         if (appliedValue) {
           appliedChanges[normalizedProp] = {
             previous: previousValue,
+            previousInline,
             new: appliedValue
           };
         } else {
@@ -297,29 +386,14 @@ class StyleApplier {
      * Desfaz última mudança
      */
   undo() {
-    if (this.changeHistory.length === 0) {
-      return { success: false, message: 'Nenhuma mudança para desfazer' };
-    }
-      
-    const lastChange = this.changeHistory.pop();
-    const element = document.querySelector(lastChange.element);
-      
-    if (!element) {
-      return { success: false, message: 'Elemento não encontrado' };
-    }
-      
-    // Restaura estado anterior
-    if (lastChange.previousState.inline) {
-      element.style.cssText = lastChange.previousState.inline;
-    } else {
-      element.style.cssText = '';
-    }
-      
-    return {
-      success: true,
-      message: 'Mudança desfeita com sucesso!',
-      undoneChange: lastChange
-    };
+    return this.journal.undo();
+  }
+
+  /**
+     * Refaz última mudança desfeita
+     */
+  redo() {
+    return this.journal.redo();
   }
     
   /**
@@ -414,91 +488,24 @@ class StyleApplier {
     return str.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
   }
     
-  getElementSelector(element) {
-    // Create a unique CSS selector path for the element (similar to ElementSelector.getElementId)
-    if (element.id) {
-      const escapedId = this.escapeCSSIdentifier(element.id);
-      return `#${escapedId}`;
-    }
-    
-    // Build a complete CSS path
-    const path = [];
-    let current = element;
-    
-    while (current && current !== document.body && current !== document.documentElement) {
-      let selector = current.tagName.toLowerCase();
-      
-      // Add class if available
-      if (current.className && typeof current.className === 'string') {
-        const classes = current.className.trim().split(/\s+/).filter(cls => cls);
-        const simpleClasses = this.getSimpleClasses(classes);
-        
-        if (simpleClasses.length > 0) {
-          const escapedClasses = simpleClasses.slice(0, 2).map(cls => this.escapeCSSIdentifier(cls));
-          selector += '.' + escapedClasses.join('.');
-        }
-      }
-      
-      // Add nth-of-type if no unique identifier
-      if (!current.id && (!current.className || !current.className.trim())) {
-        const siblings = Array.from(current.parentNode?.children || []);
-        const sameTagSiblings = siblings.filter(sibling => 
-          sibling.tagName.toLowerCase() === current.tagName.toLowerCase()
-        );
-        
-        if (sameTagSiblings.length > 1) {
-          const index = sameTagSiblings.indexOf(current) + 1;
-          selector += `:nth-of-type(${index})`;
-        }
-      }
-      
-      path.unshift(selector);
-      current = current.parentNode;
-      
-      // Stop if we have a unique identifier
-      if (current && current.id) {
-        const escapedId = this.escapeCSSIdentifier(current.id);
-        path.unshift(`#${escapedId}`);
-        break;
-      }
-    }
-    
-    return path.join(' > ');
-  }
-
   /**
-   * Escapes CSS identifiers for Tailwind CSS compatibility
-   * @param {string} identifier - The CSS identifier to escape
-   * @returns {string} - The escaped CSS identifier
+   * Verified selector for the element: rules and journal entries reach every
+   * matching element, so it must match this element only
    */
-  escapeCSSIdentifier(identifier) {
-    return identifier
-      // Escape brackets [ and ]
-      .replace(/\[/g, '\\[')
-      .replace(/\]/g, '\\]')
-      // Escape colons (for pseudo-selectors and Tailwind modifiers)
-      .replace(/:/g, '\\:')
-      // Escape forward slashes
-      .replace(/\//g, '\\/')
-      // Escape parentheses
-      .replace(/\(/g, '\\(')
-      .replace(/\)/g, '\\)')
-      // Escape dots in values (but not class separators)
-      .replace(/(\[[^\]]*)\./g, '$1\\.')
-      // Escape percentage signs
-      .replace(/%/g, '\\%')
-      // Escape plus signs
-      .replace(/\+/g, '\\+');
+  getElementSelector(element) {
+    return this.selectorEngine.getSelector(element);
   }
     
   addToHistory(change) {
     // Enrich change with more specific element context
-    if (change.element && typeof change.element === 'string') {
+    if (change.selector && typeof change.selector === 'string') {
       try {
         // The selector should already be escaped, but try to find the element
-        const element = document.querySelector(change.element);
+        const element = change.refs?.element || document.querySelector(change.selector);
         if (element) {
           change.elementContext = this.generateElementContext(element);
+          // Lets EditAnchor find the element again after a framework re-render
+          change.fingerprint = EditAnchor.fingerprint(element);
         }
       } catch (error) {
         // If the stored selector is invalid, try to find the element by classes
@@ -506,10 +513,7 @@ class StyleApplier {
       }
     }
     
-    this.changeHistory.push(change);
-    if (this.changeHistory.length > this.maxHistorySize) {
-      this.changeHistory.shift();
-    }
+    return this.journal.record(change);
   }
 
   /**
@@ -556,82 +560,17 @@ class StyleApplier {
     }
 
     // Generate unique selector
-    context.uniqueSelector = this.generateUniqueSelector(element);
+    context.uniqueSelector = this.getElementSelector(element);
 
     return context;
   }
 
-  /**
-   * Generate the most specific yet practical CSS selector for an element
-   */
-  generateUniqueSelector(element) {
-    // Priority order: ID > simple class combination > nth-child > tag selector
-    
-    // 1. If element has ID, use it (most specific)
-    if (element.id) {
-      const escapedId = this.escapeCSSIdentifier(element.id);
-      try {
-        const testElements = document.querySelectorAll(`#${escapedId}`);
-        if (testElements.length === 1) {
-          return `#${escapedId}`;
-        }
-      } catch (error) {
-        console.warn('Error with ID selector, falling back:', error);
-      }
-    }
-
-    // 2. Try simple class combinations (avoid complex Tailwind patterns)
-    if (element.classList.length > 0) {
-      const simpleClasses = this.getSimpleClasses(Array.from(element.classList));
-      if (simpleClasses.length > 0) {
-        const escapedClasses = simpleClasses.map(cls => this.escapeCSSIdentifier(cls));
-        const classSelector = '.' + escapedClasses.slice(0, 2).join('.'); // Limit to 2 classes
-        try {
-          const elementsWithSameClasses = document.querySelectorAll(classSelector);
-          if (elementsWithSameClasses.length === 1) {
-            return classSelector;
-          }
-        } catch (error) {
-          console.warn('Error querying simple class selector:', classSelector, error);
-        }
-      }
-    }
-
-    // 3. Fall back to nth-child (reliable and always works)
-    if (element.parentElement) {
-      const siblings = Array.from(element.parentElement.children);
-      const index = siblings.indexOf(element) + 1;
-      const parentSelector = element.parentElement.tagName.toLowerCase();
-      return `${parentSelector} > :nth-child(${index})`;
-    }
-
-    // 4. Last resort: basic tag selector
-    return element.tagName.toLowerCase();
-  }
-
-  /**
-   * Filter out complex Tailwind patterns that may not work as CSS selectors
-   * @param {Array} classes - Array of class names
-   * @returns {Array} - Array of simple class names
-   */
-  getSimpleClasses(classes) {
-    return classes.filter(cls => {
-      // Filter out complex Tailwind patterns
-      return !cls.includes('@') &&      // Responsive breakpoints like @[480px]:gap-8
-             !cls.includes('[') &&      // Arbitrary values like min-h-[480px]
-             !cls.includes(':') &&      // Pseudo-selectors and modifiers
-             !cls.includes('/') &&      // Fractions like w-1/2
-             !cls.includes('%') &&      // Percentages
-             cls.length < 30;           // Avoid extremely long class names
-    });
-  }
-    
   getHistory() {
-    return this.changeHistory;
+    return this.journal.getChanges();
   }
     
   clearHistory() {
-    this.changeHistory = [];
+    this.journal.clear();
   }
 }
 
@@ -0,0 +1,229 @@
+// Attribute used to pin an element into a state (":hover"...) while editing it
+export const FORCE_STATE_ATTRIBUTE = 'data-frontable-force-state';
+
+/**
+ * StylesheetLayer - Managed stylesheet for changes that inline styles cannot express
+ *
+ * Rules live in a `<style id="frontable-overrides">` element (or a constructable
+ * stylesheet adopted by the document) inside an `@layer frontable` cascade layer,
+ * so they can target pseudo-classes, pseudo-elements and breakpoints, and each
+ * rule can be removed on its own. State rules also match elements pinned into
+ * that state by the element selector's "force state" toggle.
+ *
+ * Layered rules lose to unlayered page styles, so declarations are emitted as
+ * `!important` by default: important declarations in a layer still win over the
+ * page's normal rules and inline styles.
+ */
+class StylesheetLayer {
+  constructor(options = {}) {
+    this.styleId = options.styleId || 'frontable-overrides';
+    this.layerName = options.layerName === undefined ? 'frontable' : options.layerName;
+    this.important = options.important !== false;
+    this.useConstructable = options.useConstructable === true;
+
+    this.rules = [];
+    this.ruleCounter = 0;
+    this.styleElement = null;
+    this.constructedSheet = null;
+  }
+
+  /**
+   * Adds a rule for a selector.
+   * @param {Object} ruleData - { selector, styles (camelCase or kebab-case), state, pseudo, media, container }
+   * @returns {Object} - The stored rule (serializable)
+   */
+  addRule(ruleData) {
+    const rule = {
+      id: `rule-${Date.now().toString(36)}-${++this.ruleCounter}`,
+      selector: ruleData.selector,
+      state: ruleData.state || null,
+      pseudo: ruleData.pseudo || null,
+      media: ruleData.media || null,
+      container: ruleData.container || null,
+      declarations: this.toDeclarations(ruleData.styles || {})
+    };
+
+    this.rules.push(rule);
+    this.render();
+    return rule;
+  }
+
+  /**
+   * Puts a previously removed rule back (undo/redo, session replay)
+   */
+  restoreRule(rule) {
+    if (!rule || this.rules.some(existing => existing.id === rule.id)) {
+      return false;
+    }
+    this.rules.push({ ...rule });
+    this.render();
+    return true;
+  }
+
+  removeRule(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) return false;
+
+    this.rules.splice(index, 1);
+    this.render();
+    return true;
+  }
+
+  /**
+   * Moves a rule to another selector (its element was re-rendered)
+   */
+  updateRuleSelector(id, selector) {
+    const rule = this.rules.find(existing => existing.id === id);
+    if (!rule) return false;
+
+    rule.selector = selector;
+    this.render();
+    return true;
+  }
+
+  getRules() {
+    return this.rules.map(rule => ({ ...rule, declarations: { ...rule.declarations } }));
+  }
+
+  clear() {
+    this.rules = [];
+    this.render();
+  }
+
+  /**
+   * Journal handler for 'rule' changes: { type: 'rule', rule }
+   */
+  createJournalHandler() {
+    return {
+      revert: (change) => this.removeRule(change.rule.id),
+      reapply: (change) => {
+        this.restoreRule(change.rule);
+        return true;
+      }
+    };
+  }
+
+  toDeclarations(styles) {
+    const declarations = {};
+    Object.entries(styles).forEach(([prop, value]) => {
+      if (value === '' || value === null || value === undefined) return;
+      declarations[this.toKebabCase(prop)] = String(value).replace(/\s*!important\s*$/i, '');
+    });
+    return declarations;
+  }
+
+  toKebabCase(prop) {
+    if (prop.startsWith('--') || prop.includes('-')) return prop;
+    const kebab = prop.replace(/[A-Z]/g, match => `-${match.toLowerCase()}`);
+    return /^(webkit|moz|ms)-/.test(kebab) ? `-${kebab}` : kebab;
+  }
+
+  /**
+   * Full selector of a rule, with its state (":hover", "[disabled]") and pseudo-element.
+   * With includeForced, state rules also match elements pinned into that state
+   * through the force-state attribute (see ElementSelector.forceState).
+   */
+  static buildSelector(rule, includeForced = false) {
+    if (!rule.state && !rule.pseudo) return rule.selector;
+
+    const pseudo = rule.pseudo || '';
+    const state = rule.state || '';
+
+    // Apply the state/pseudo part to every selector of a list: "a, b" + ":hover"
+    return rule.selector
+      .split(',')
+      .flatMap(part => {
+        const base = part.trim();
+        const selectors = [`${base}${state}${pseudo}`];
+        if (includeForced && state) {
+          selectors.push(`${base}${StylesheetLayer.forcedStateSelector(state)}${pseudo}`);
+        }
+        return selectors;
+      })
+      .join(', ');
+  }
+
+  /**
+   * ":hover" -> "hover", "[disabled]" -> "disabled", '[aria-pressed="true"]' -> "aria-pressed-true"
+   */
+  static stateToken(state) {
+    return state
+      .replace(/^:+/, '')
+      .replace(/[[\]"'=()]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .replace(/-+/g, '-')
+      .toLowerCase();
+  }
+
+  static forcedStateSelector(state) {
+    return `[${FORCE_STATE_ATTRIBUTE}~="${StylesheetLayer.stateToken(state)}"]`;
+  }
+
+  buildRuleText(rule) {
+    const suffix = this.important ? ' !important' : '';
+    const body = Object.entries(rule.declarations)
+      .map(([prop, value]) => `  ${prop}: ${value}${suffix};`)
+      .join('\n');
+
+    let text = `${StylesheetLayer.buildSelector(rule, true)} {\n${body}\n}`;
+
+    if (rule.container) {
+      text = `@container ${rule.container} {\n${this.indent(text)}\n}`;
+    }
+    if (rule.media) {
+      text = `@media ${rule.media} {\n${this.indent(text)}\n}`;
+    }
+    return text;
+  }
+
+  toCSSText() {
+    const rulesText = this.rules.map(rule => this.buildRuleText(rule)).join('\n\n');
+    if (!this.layerName || !rulesText) return rulesText;
+
+    return `@layer ${this.layerName} {\n${this.indent(rulesText)}\n}`;
+  }
+
+  indent(text) {
+    return text.split('\n').map(line => (line ? `  ${line}` : line)).join('\n');
+  }
+
+  supportsConstructable() {
+    return typeof CSSStyleSheet !== 'undefined' &&
+      typeof CSSStyleSheet.prototype.replaceSync === 'function' &&
+      Array.isArray(document.adoptedStyleSheets);
+  }
+
+  render() {
+    const cssText = this.toCSSText();
+
+    if (this.useConstructable && this.supportsConstructable()) {
+      if (!this.constructedSheet) {
+        this.constructedSheet = new CSSStyleSheet();
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, this.constructedSheet];
+      }
+      this.constructedSheet.replaceSync(cssText);
+      return;
+    }
+
+    if (!this.styleElement || !this.styleElement.isConnected) {
+      this.styleElement = document.getElementById(this.styleId) || document.createElement('style');
+      this.styleElement.id = this.styleId;
+      document.head.appendChild(this.styleElement);
+    }
+    this.styleElement.textContent = cssText;
+  }
+
+  destroy() {
+    this.rules = [];
+    if (this.styleElement) {
+      this.styleElement.remove();
+      this.styleElement = null;
+    }
+    if (this.constructedSheet) {
+      document.adoptedStyleSheets = document.adoptedStyleSheets.filter(sheet => sheet !== this.constructedSheet);
+      this.constructedSheet = null;
+    }
+  }
+}
+
+export default StylesheetLayer;
@@ -0,0 +1,56 @@
+import StylesheetLayer from './StylesheetLayer';
+
+describe('StylesheetLayer', () => {
+  let layer;
+
+  beforeEach(() => {
+    layer = new StylesheetLayer();
+    // Rendering is covered in the browser; here we only check the generated CSS
+    layer.render = jest.fn();
+  });
+
+  test('should wrap rules in the frontable cascade layer as important declarations', () => {
+    layer.addRule({ selector: '#cta', styles: { backgroundColor: '#fff' } });
+
+    expect(layer.toCSSText()).toBe('@layer frontable {\n  #cta {\n    background-color: #fff !important;\n  }\n}');
+  });
+
+  test('should apply pseudo selectors to every selector of a list', () => {
+    expect(StylesheetLayer.buildSelector({ selector: '.a, .b', pseudo: ':hover' })).toBe('.a:hover, .b:hover');
+  });
+
+  test('should let state rules match elements pinned into the state', () => {
+    const rule = { selector: '.btn', state: ':hover', pseudo: '::after' };
+
+    expect(StylesheetLayer.buildSelector(rule)).toBe('.btn:hover::after');
+    expect(StylesheetLayer.buildSelector(rule, true))
+      .toBe('.btn:hover::after, .btn[data-frontable-force-state~="hover"]::after');
+  });
+
+  test('should turn states into attribute tokens', () => {
+    expect(StylesheetLayer.stateToken(':focus-visible')).toBe('focus-visible');
+    expect(StylesheetLayer.stateToken('[disabled]')).toBe('disabled');
+    expect(StylesheetLayer.stateToken('[aria-pressed="true"]')).toBe('aria-pressed-true');
+  });
+
+  test('should nest container queries inside media queries', () => {
+    layer = new StylesheetLayer({ layerName: null, important: false });
+    layer.render = jest.fn();
+    layer.addRule({ selector: '.card', styles: { padding: '4px' }, media: '(max-width: 600px)', container: '(min-width: 200px)' });
+
+    expect(layer.toCSSText()).toBe('@media (max-width: 600px) {\n  @container (min-width: 200px) {\n    .card {\n      padding: 4px;\n    }\n  }\n}');
+  });
+
+  test('should remove and restore individual rules through the journal handler', () => {
+    const first = layer.addRule({ selector: '.a', styles: { color: 'red' } });
+    layer.addRule({ selector: '.b', styles: { color: 'blue' } });
+    const handler = layer.createJournalHandler();
+
+    handler.revert({ type: 'rule', rule: first });
+    expect(layer.getRules().map(rule => rule.selector)).toEqual(['.b']);
+
+    handler.reapply({ type: 'rule', rule: first });
+    handler.reapply({ type: 'rule', rule: first });
+    expect(layer.getRules().map(rule => rule.selector)).toEqual(['.b', '.a']);
+  });
+});
@@ -0,0 +1,75 @@
+import ImageProvider from './ImageProvider';
+import { HttpUtils } from '../utils/httpUtils.js';
+
+const DEFAULTS = {
+  endpoint: 'http://localhost:5000/text-to-image',
+  model: 'dall-e-3',
+  // dall-e-3 returns a single image per request
+  maxPerRequest: 1,
+  // The ajent server reads the key (images.apiKey) from this header
+  authHeader: 'X-API-Token',
+  authScheme: '',
+  timeout: 120000
+};
+
+/**
+ * HttpImageProvider - Posts the prompt to an image generation endpoint with
+ * the OpenAI images API body ({ prompt, model, size, quality, style, n }).
+ * Point `endpoint` at `https://api.openai.com/v1/images/generations` with
+ * `authHeader: 'Authorization', authScheme: 'Bearer'` to call OpenAI directly.
+ */
+class HttpImageProvider extends ImageProvider {
+  constructor(config = {}) {
+    super({ ...DEFAULTS, ...config });
+    this.fetch = config.fetch || ((...args) => fetch(...args));
+  }
+
+  /**
+   * @param {Object} settings - Provider config and per-request overrides; `signal` (AbortSignal) cancels the request
+   */
+  async request(prompt, settings) {
+    const body = {
+      prompt,
+      model: settings.model,
+      size: settings.size,
+      quality: settings.quality,
+      n: settings.count,
+      ...(settings.style ? { style: settings.style } : {})
+    };
+
+    return HttpUtils.postJSON(settings.endpoint, body, {
+      fetch: this.fetch,
+      headers: HttpUtils.buildHeaders(settings),
+      timeout: settings.timeout,
+      signal: settings.signal,
+      label: 'Image'
+    }, async (response) => HttpImageProvider.parseImages(await response.json()));
+  }
+
+  /**
+   * Accepted response bodies:
+   * - OpenAI: { data: [{ url } | { b64_json, revised_prompt }] }
+   * - ajent server: { images: ['url', ...] }
+   * - single image: { url }
+   * @returns {Array} - [{ url, revisedPrompt }]
+   */
+  static parseImages(result) {
+    if (Array.isArray(result?.data)) {
+      return result.data
+        .map(item => ({
+          url: item.url || (item.b64_json ? `data:image/png;base64,${item.b64_json}` : null),
+          ...(item.revised_prompt ? { revisedPrompt: item.revised_prompt } : {})
+        }))
+        .filter(image => image.url);
+    }
+    if (Array.isArray(result?.images)) {
+      return result.images.map(image => ({ url: typeof image === 'string' ? image : image.url })).filter(image => image.url);
+    }
+    if (result?.url) {
+      return [{ url: result.url }];
+    }
+    throw new Error('No image URL found in API response');
+  }
+}
+
+export default HttpImageProvider;
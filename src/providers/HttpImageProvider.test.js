@@ -0,0 +1,57 @@
+import HttpImageProvider from './HttpImageProvider';
+
+describe('HttpImageProvider', () => {
+  const jsonResponse = (body) => ({ ok: true, json: async () => body });
+
+  test('should post the OpenAI images body with the configured settings', async () => {
+    const fetch = jest.fn(async () => jsonResponse({ data: [{ url: 'https://img/1.png', revised_prompt: 'A cat' }, { b64_json: 'AAAA' }] }));
+    const provider = new HttpImageProvider({
+      endpoint: 'https://api.openai.com/v1/images/generations',
+      apiKey: 'secret',
+      authHeader: 'Authorization',
+      authScheme: 'Bearer',
+      size: '1792x1024',
+      quality: 'hd',
+      style: 'natural',
+      count: 2,
+      maxPerRequest: 2,
+      fetch
+    });
+
+    const images = await provider.generate('gato');
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/images/generations');
+    expect(request.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer secret' });
+    expect(JSON.parse(request.body)).toEqual({ prompt: 'gato', model: 'dall-e-3', size: '1792x1024', quality: 'hd', n: 2, style: 'natural' });
+    expect(images).toEqual([
+      { prompt: 'gato', width: 1792, height: 1024, url: 'https://img/1.png', revisedPrompt: 'A cat' },
+      { prompt: 'gato', width: 1792, height: 1024, url: 'data:image/png;base64,AAAA' }
+    ]);
+  });
+
+  test('should split variants into single-image requests by default', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ images: ['https://img/a.png'] }))
+      .mockResolvedValueOnce(jsonResponse({ images: ['https://img/b.png'] }));
+
+    const images = await new HttpImageProvider({ count: 2, fetch }).generate('gato');
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fetch.mock.calls[1][1].body).n).toBe(1);
+    expect(images.map(image => image.url)).toEqual(['https://img/a.png', 'https://img/b.png']);
+  });
+
+  test('should accept the image list and single URL responses', () => {
+    expect(HttpImageProvider.parseImages({ images: ['https://img/a.png', 'https://img/b.png'] }))
+      .toEqual([{ url: 'https://img/a.png' }, { url: 'https://img/b.png' }]);
+    expect(HttpImageProvider.parseImages({ url: 'https://img/c.png' })).toEqual([{ url: 'https://img/c.png' }]);
+    expect(() => HttpImageProvider.parseImages({ error: 'quota' })).toThrow('No image URL found in API response');
+  });
+
+  test('should report failed requests', async () => {
+    const fetch = jest.fn(async () => ({ ok: false, status: 429, statusText: 'Too Many Requests' }));
+
+    await expect(new HttpImageProvider({ fetch }).generate('gato')).rejects.toThrow('Image request failed: 429 Too Many Requests');
+  });
+});
@@ -0,0 +1,67 @@
+const DEFAULTS = {
+  size: '1024x1024',
+  quality: 'standard',
+  style: null,
+  count: 1,
+  // Images per backend request; more are fetched in several requests
+  maxPerRequest: 10
+};
+
+/**
+ * ImageProvider - Base class of the image generation backends used by
+ * UXAgent.createAndApplyImage.
+ *
+ * `generate(prompt, overrides)` resolves to `[{ url, prompt, width, height }]`,
+ * one entry per requested image; subclasses implement `request(prompt, settings)`.
+ */
+class ImageProvider {
+  /**
+   * @param {Object} config - { size: '1024x1024', quality, style, count, maxPerRequest }
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULTS, ...config };
+  }
+
+  /**
+   * @param {string} prompt - Image description
+   * @param {Object} overrides - Per-request { size, quality, style, count }
+   * @returns {Promise<Array>} - [{ url, prompt, width, height }]
+   */
+  async generate(prompt, overrides = {}) {
+    if (!prompt || !prompt.trim()) {
+      throw new Error('Prompt is required for image generation');
+    }
+
+    const settings = { ...this.config, ...overrides };
+    const { width, height } = ImageProvider.parseSize(settings.size);
+    const images = [];
+    while (images.length < settings.count) {
+      const count = Math.min(settings.count - images.length, settings.maxPerRequest);
+      const batch = await this.request(prompt.trim(), { ...settings, count, width, height, offset: images.length });
+      if (!batch || batch.length === 0) break;
+      images.push(...batch);
+    }
+
+    if (images.length === 0) {
+      throw new Error('No image returned by the image provider');
+    }
+    return images.map(image => ({ prompt: prompt.trim(), width, height, ...image }));
+  }
+
+  async request() {
+    throw new Error(`${this.constructor.name} must implement request()`);
+  }
+
+  /**
+   * '1024x1024' or '1792x1024' → { width, height }
+   */
+  static parseSize(size) {
+    const match = String(size || '').match(/^(\d+)\s*x\s*(\d+)$/i);
+    if (!match) {
+      throw new Error(`Invalid image size: ${size}. Use WIDTHxHEIGHT, e.g. 1024x1024`);
+    }
+    return { width: Number(match[1]), height: Number(match[2]) };
+  }
+}
+
+export default ImageProvider;
@@ -0,0 +1,33 @@
+import { AgentConfig } from '../config/AgentConfig.js';
+import HttpImageProvider from './HttpImageProvider';
+import PlaceholderImageProvider from './PlaceholderImageProvider';
+
+const PROVIDERS = {
+  http: HttpImageProvider,
+  placeholder: PlaceholderImageProvider
+};
+
+/**
+ * ImageProviderFactory - Builds the image provider from the `images` option of Frontable:
+ *
+ *   new Frontable({ images: { provider: 'placeholder' } })
+ *   new Frontable({ images: { endpoint: 'https://api.openai.com/v1/images/generations', apiKey, authHeader: 'Authorization', authScheme: 'Bearer', style: 'natural' } })
+ *
+ * An object with a `generate` method is used as a custom provider.
+ */
+class ImageProviderFactory {
+  static create(config = {}) {
+    if (config && typeof config.generate === 'function') {
+      return config;
+    }
+
+    const merged = { ...AgentConfig.images, ...config };
+    const Provider = PROVIDERS[merged.provider];
+    if (!Provider) {
+      throw new Error(`Unknown image provider: ${merged.provider}. Use ${Object.keys(PROVIDERS).join(' or ')}`);
+    }
+    return new Provider(merged);
+  }
+}
+
+export { ImageProviderFactory };
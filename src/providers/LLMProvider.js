@@ -0,0 +1,86 @@
+/**
+ * LLMProvider - Base class of the language model backends used by CommandProcessor.
+ *
+ * A provider receives the agents whose tools the model may call, and answers
+ * `send(prompt, { images, onToken })` with the model's final message. With
+ * `record: true` every exchange is kept in `recordings`, in the format
+ * MockProvider replays.
+ */
+class LLMProvider {
+  /**
+   * @param {Object} config - { endpoint, model, apiKey, authHeader, authScheme, headers, stream, timeout, record }
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.agents = [];
+    this.recordings = [];
+    this.toolCallLog = null;
+  }
+
+  /**
+   * Agents whose tools the model may call
+   */
+  setAgents(agents) {
+    this.agents = agents;
+  }
+
+  /**
+   * @param {string} prompt - User prompt with the page context
+   * @param {Object} options - { images: [dataUrl], onToken(text) for streamed output }
+   * @returns {Promise<string|Object>} - The model's final message
+   */
+  async send(prompt, options = {}) {
+    const toolCalls = [];
+    this.toolCallLog = toolCalls;
+
+    try {
+      const response = await this.request(prompt, options);
+      if (this.config.record) {
+        this.recordings.push({ prompt, response, toolCalls });
+      }
+      return response;
+    } finally {
+      this.toolCallLog = null;
+    }
+  }
+
+  async request() {
+    throw new Error(`${this.constructor.name} must implement request()`);
+  }
+
+  /**
+   * Tool definitions of the agents: [{ name, description, parameters, handler }]
+   */
+  getTools() {
+    return this.agents.flatMap(agent => agent.toolDefinitions || []);
+  }
+
+  /**
+   * Runs an agent tool the model asked for
+   * @returns {Promise<string>} - Tool result sent back to the model
+   */
+  async runTool(name, args = {}) {
+    const tool = this.getTools().find(definition => definition.name === name);
+    if (!tool) {
+      return `❌ ERRO: Ferramenta desconhecida: ${name}`;
+    }
+
+    if (this.toolCallLog) {
+      this.toolCallLog.push({ name, arguments: args });
+    }
+    const result = await tool.handler(args);
+    return typeof result === 'string' ? result : JSON.stringify(result);
+  }
+
+  /**
+   * System instructions of the agents
+   */
+  getInstructions() {
+    return this.agents
+      .map(agent => (typeof agent.instruction === 'function' ? agent.instruction() : agent.instruction))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+}
+
+export default LLMProvider;
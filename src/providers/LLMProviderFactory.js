@@ -0,0 +1,49 @@
+import { AgentConfig } from '../config/AgentConfig.js';
+import SquadProvider from './SquadProvider';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider';
+import MockProvider from './MockProvider';
+
+const PROVIDERS = {
+  squad: SquadProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * LLMProviderFactory - Builds the provider from the `llm` option of Frontable:
+ *
+ *   new Frontable({ llm: { provider: 'openai-compatible', endpoint: 'http://localhost:1234/v1', model: 'qwen2.5', stream: true } })
+ *
+ * `llm: false` (or `provider: 'none'`) runs without a model, as does a provider
+ * missing required settings (the Squad needs `apiKey`); an object with a
+ * `send` method is used as a custom provider.
+ */
+class LLMProviderFactory {
+  /**
+   * @returns {LLMProvider|null}
+   */
+  static create(config = {}) {
+    if (config === false || config === null) {
+      return null;
+    }
+    if (typeof config.send === 'function') {
+      return config;
+    }
+
+    const merged = { ...AgentConfig.llm, ...config };
+    if (merged.provider === 'none') {
+      return null;
+    }
+
+    const Provider = PROVIDERS[merged.provider];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider: ${merged.provider}. Use ${Object.keys(PROVIDERS).join(', ')} or none`);
+    }
+    if (Provider.isConfigured && !Provider.isConfigured(merged)) {
+      return null;
+    }
+    return new Provider(merged);
+  }
+}
+
+export { LLMProviderFactory };
@@ -0,0 +1,59 @@
+import LLMProvider from './LLMProvider';
+
+/**
+ * MockProvider - Replays recorded responses instead of calling a model, for
+ * tests and offline demos.
+ *
+ * Each response is a string or `{ match, response, toolCalls }`: `match` (a
+ * substring or RegExp of the prompt) picks the entry, and `toolCalls`
+ * (`[{ name, arguments }]`) are run on the agents before answering, so a
+ * replayed session changes the page like the original one. The `recordings` of
+ * a provider created with `record: true` can be replayed as they are.
+ */
+class MockProvider extends LLMProvider {
+  /**
+   * @param {Object} config - { responses, loop: start over when all were used, delay in ms }
+   */
+  constructor(config = {}) {
+    super(config);
+    this.responses = (config.responses || []).map(entry => (typeof entry === 'string' ? { response: entry } : entry));
+    this.used = new Set();
+    this.prompts = [];
+  }
+
+  async request(prompt) {
+    this.prompts.push(prompt);
+
+    const index = this.findResponse(prompt);
+    if (index === -1) {
+      throw new Error('MockProvider: no recorded response left for this prompt');
+    }
+    this.used.add(index);
+
+    const entry = this.responses[index];
+    if (this.config.delay) {
+      await new Promise(resolve => setTimeout(resolve, this.config.delay));
+    }
+    for (const call of entry.toolCalls || []) {
+      await this.runTool(call.name, call.arguments);
+    }
+    return entry.response;
+  }
+
+  findResponse(prompt) {
+    const matches = (entry) => {
+      if (!entry.match) return true;
+      return entry.match instanceof RegExp ? entry.match.test(prompt) : prompt.includes(entry.match);
+    };
+
+    const unused = this.responses.findIndex((entry, index) => !this.used.has(index) && matches(entry));
+    if (unused !== -1 || !this.config.loop) {
+      return unused;
+    }
+
+    this.used.clear();
+    return this.responses.findIndex(matches);
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,41 @@
+import MockProvider from './MockProvider';
+
+describe('MockProvider', () => {
+  let applyStyles;
+  let agent;
+
+  beforeEach(() => {
+    applyStyles = jest.fn(async () => '✅ SUCESSO');
+    agent = { toolDefinitions: [{ name: 'applyVisualStyles', handler: applyStyles }] };
+  });
+
+  test('should replay responses in order', async () => {
+    const provider = new MockProvider({ responses: ['Primeira', 'Segunda'] });
+
+    await expect(provider.send('a')).resolves.toBe('Primeira');
+    await expect(provider.send('b')).resolves.toBe('Segunda');
+    await expect(provider.send('c')).rejects.toThrow('no recorded response left');
+    expect(provider.prompts).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should pick responses by prompt and run their tool calls', async () => {
+    const provider = new MockProvider({
+      responses: [
+        { match: /fundo/, response: 'Fundo alterado.' },
+        { match: 'botão', response: 'Botão azul.', toolCalls: [{ name: 'applyVisualStyles', arguments: { styles: { color: '#3b82f6' } } }] }
+      ]
+    });
+    provider.setAgents([agent]);
+
+    await expect(provider.send('User command: "deixe o botão azul"')).resolves.toBe('Botão azul.');
+    expect(applyStyles).toHaveBeenCalledWith({ styles: { color: '#3b82f6' } });
+    await expect(provider.send('mude o fundo')).resolves.toBe('Fundo alterado.');
+  });
+
+  test('should start over when looping', async () => {
+    const provider = new MockProvider({ responses: ['Olá'], loop: true });
+
+    await provider.send('a');
+    await expect(provider.send('b')).resolves.toBe('Olá');
+  });
+});
@@ -0,0 +1,154 @@
+import LLMProvider from './LLMProvider';
+import { HttpUtils } from '../utils/httpUtils.js';
+
+const DEFAULTS = {
+  // Ollama, LM Studio, llama.cpp and vLLM all serve this API
+  endpoint: 'http://localhost:11434/v1',
+  model: 'llama3.1',
+  authHeader: 'Authorization',
+  authScheme: 'Bearer',
+  stream: false,
+  timeout: 60000,
+  maxToolRounds: 5
+};
+
+/**
+ * OpenAICompatibleProvider - Talks to any server exposing the OpenAI
+ * `/chat/completions` API. The agents' tools are sent as functions and the
+ * tool calls are run here, round after round, until the model answers in text.
+ *
+ * With `stream: true` the response is read as server-sent events and each text
+ * delta is passed to `onToken`.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super({ ...DEFAULTS, ...config });
+    this.fetch = config.fetch || ((...args) => fetch(...args));
+  }
+
+  async request(prompt, options = {}) {
+    const { images = [], onToken } = options;
+    const instructions = this.getInstructions();
+    const content = images.length > 0
+      ? [{ type: 'text', text: prompt }, ...images.map(url => ({ type: 'image_url', image_url: { url } }))]
+      : prompt;
+
+    const messages = [
+      ...(instructions ? [{ role: 'system', content: instructions }] : []),
+      { role: 'user', content }
+    ];
+
+    for (let round = 0; round <= this.config.maxToolRounds; round++) {
+      const message = await this.complete(messages, onToken);
+      messages.push(message);
+
+      if (!message.tool_calls || message.tool_calls.length === 0) {
+        return message.content || '';
+      }
+
+      for (const call of message.tool_calls) {
+        const result = await this.runTool(call.function.name, OpenAICompatibleProvider.parseArguments(call.function.arguments));
+        messages.push({ role: 'tool', tool_call_id: call.id, content: result });
+      }
+    }
+
+    throw new Error(`LLM did not answer after ${this.config.maxToolRounds} tool rounds`);
+  }
+
+  /**
+   * One /chat/completions request
+   * @returns {Promise<Object>} - The assistant message: { role, content, tool_calls }
+   */
+  async complete(messages, onToken) {
+    const tools = this.getTools().map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters || { type: 'object', properties: {} } }
+    }));
+
+    const body = {
+      model: this.config.model,
+      messages,
+      stream: Boolean(this.config.stream),
+      ...(tools.length > 0 ? { tools, tool_choice: 'auto' } : {}),
+      ...(this.config.temperature !== undefined ? { temperature: this.config.temperature } : {})
+    };
+
+    return HttpUtils.postJSON(`${this.config.endpoint.replace(/\/$/, '')}/chat/completions`, body, {
+      fetch: this.fetch,
+      headers: this.getHeaders(),
+      timeout: this.config.timeout,
+      label: 'LLM'
+    }, async (response) => {
+      if (this.config.stream) {
+        return this.readStream(response, onToken);
+      }
+      const data = await response.json();
+      return data.choices[0].message;
+    });
+  }
+
+  getHeaders() {
+    return HttpUtils.buildHeaders(this.config);
+  }
+
+  /**
+   * Rebuilds the assistant message from "data: {...}" server-sent events
+   */
+  async readStream(response, onToken) {
+    const message = { role: 'assistant', content: '', tool_calls: [] };
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+        this.mergeDelta(message, JSON.parse(data).choices?.[0]?.delta || {}, onToken);
+      }
+
+      if (done) break;
+    }
+
+    if (message.tool_calls.length === 0) {
+      delete message.tool_calls;
+    }
+    return message;
+  }
+
+  mergeDelta(message, delta, onToken) {
+    if (delta.content) {
+      message.content += delta.content;
+      if (onToken) onToken(delta.content, message.content);
+    }
+
+    // Tool calls arrive in pieces, matched by index
+    (delta.tool_calls || []).forEach(part => {
+      const call = message.tool_calls[part.index] || (message.tool_calls[part.index] = {
+        id: part.id,
+        type: 'function',
+        function: { name: '', arguments: '' }
+      });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    });
+  }
+
+  static parseArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return args.trim() ? JSON.parse(args) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+export default OpenAICompatibleProvider;
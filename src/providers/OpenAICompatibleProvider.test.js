@@ -0,0 +1,111 @@
+import OpenAICompatibleProvider from './OpenAICompatibleProvider';
+
+describe('OpenAICompatibleProvider', () => {
+  const jsonResponse = (message) => ({ ok: true, json: async () => ({ choices: [{ message }] }) });
+
+  // Server-sent events body, one chunk per event
+  const streamResponse = (events) => {
+    const encoder = new TextEncoder();
+    const chunks = events.map(event => encoder.encode(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`));
+    return {
+      ok: true,
+      body: {
+        getReader: () => ({
+          read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true, value: undefined })
+        })
+      }
+    };
+  };
+
+  let applyStyles;
+  let agent;
+
+  beforeEach(() => {
+    applyStyles = jest.fn(async () => '✅ SUCESSO: Estilos aplicados com sucesso!');
+    agent = {
+      instruction: () => 'Você é um designer.',
+      toolDefinitions: [{ name: 'applyVisualStyles', description: 'Aplica estilos', parameters: { type: 'object', properties: {} }, handler: applyStyles }]
+    };
+  });
+
+  test('should run tool calls until the model answers in text', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'applyVisualStyles', arguments: '{"styles":{"color":"#3b82f6"},"elementSelectors":["#buy"]}' } }]
+      }))
+      .mockResolvedValueOnce(jsonResponse({ role: 'assistant', content: 'Pronto: botão azul.' }));
+
+    const provider = new OpenAICompatibleProvider({ endpoint: 'http://localhost:1234/v1/', model: 'qwen2.5', apiKey: 'secret', fetch });
+    provider.setAgents([agent]);
+
+    await expect(provider.send('User command: "botão azul"')).resolves.toBe('Pronto: botão azul.');
+    expect(applyStyles).toHaveBeenCalledWith({ styles: { color: '#3b82f6' }, elementSelectors: ['#buy'] });
+
+    const [url, request] = fetch.mock.calls[0];
+    const body = JSON.parse(request.body);
+    expect(url).toBe('http://localhost:1234/v1/chat/completions');
+    expect(request.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer secret' });
+    expect(body.model).toBe('qwen2.5');
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'Você é um designer.' });
+    expect(body.tools[0].function.name).toBe('applyVisualStyles');
+
+    const followUp = JSON.parse(fetch.mock.calls[1][1].body).messages;
+    expect(followUp[followUp.length - 1]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '✅ SUCESSO: Estilos aplicados com sucesso!' });
+  });
+
+  test('should use custom auth headers', () => {
+    const provider = new OpenAICompatibleProvider({ apiKey: 'secret', authHeader: 'X-API-Key', authScheme: '', headers: { 'X-Team': 'ux' } });
+
+    expect(provider.getHeaders()).toEqual({ 'Content-Type': 'application/json', 'X-Team': 'ux', 'X-API-Key': 'secret' });
+  });
+
+  test('should read streamed text and tool calls', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(streamResponse([
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'applyVisualStyles', arguments: '{"styles":' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"fontSize":"18px"}}' } }] } }] },
+        '[DONE]'
+      ]))
+      .mockResolvedValueOnce(streamResponse([
+        { choices: [{ delta: { content: 'Fonte ' } }] },
+        { choices: [{ delta: { content: 'maior.' } }] },
+        '[DONE]'
+      ]));
+    const onToken = jest.fn();
+
+    const provider = new OpenAICompatibleProvider({ stream: true, fetch });
+    provider.setAgents([agent]);
+
+    await expect(provider.send('aumente a fonte', { onToken })).resolves.toBe('Fonte maior.');
+    expect(applyStyles).toHaveBeenCalledWith({ styles: { fontSize: '18px' } });
+    expect(onToken.mock.calls).toEqual([['Fonte ', 'Fonte '], ['maior.', 'Fonte maior.']]);
+  });
+
+  test('should abort requests after the timeout', async () => {
+    const fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+
+    const provider = new OpenAICompatibleProvider({ timeout: 10, fetch });
+
+    await expect(provider.send('olá')).rejects.toThrow('LLM request timed out after 10ms');
+  });
+
+  test('should record exchanges for replay', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ role: 'assistant', content: null, tool_calls: [{ id: 'call_1', function: { name: 'applyVisualStyles', arguments: '{"styles":{"color":"red"}}' } }] }))
+      .mockResolvedValueOnce(jsonResponse({ role: 'assistant', content: 'Feito.' }));
+
+    const provider = new OpenAICompatibleProvider({ record: true, fetch });
+    provider.setAgents([agent]);
+    await provider.send('cor vermelha');
+
+    expect(provider.recordings).toEqual([{
+      prompt: 'cor vermelha',
+      response: 'Feito.',
+      toolCalls: [{ name: 'applyVisualStyles', arguments: { styles: { color: 'red' } } }]
+    }]);
+  });
+});
@@ -0,0 +1,132 @@
+import ImageProvider from './ImageProvider';
+
+const MAX_LINES = 4;
+
+/**
+ * PlaceholderImageProvider - Renders images locally from the prompt: a
+ * gradient picked from the prompt text with the prompt written on it. Nothing
+ * leaves the browser, so image commands work offline, in demos and in tests.
+ *
+ * `format: 'svg'` (default) returns SVG data URLs; `format: 'png'` draws on a
+ * canvas and needs a DOM.
+ */
+class PlaceholderImageProvider extends ImageProvider {
+  /**
+   * @param {Object} config - ImageProvider config plus { format: 'svg' | 'png' }
+   */
+  constructor(config = {}) {
+    super({ format: 'svg', ...config });
+  }
+
+  async request(prompt, settings) {
+    return Array.from({ length: settings.count }, (item, index) => {
+      const palette = this.getPalette(`${prompt}#${settings.offset + index}`, settings.style);
+      const url = settings.format === 'png'
+        ? this.renderCanvas(prompt, palette, settings)
+        : this.renderSVG(prompt, palette, settings);
+      return { url };
+    });
+  }
+
+  /**
+   * Two gradient colors from the prompt hash; 'natural' style is muted, 'vivid' saturated
+   */
+  getPalette(seed, style) {
+    const hue = PlaceholderImageProvider.hash(seed) % 360;
+    const saturation = style === 'natural' ? 35 : 70;
+    return {
+      from: `hsl(${hue}, ${saturation}%, 55%)`,
+      to: `hsl(${(hue + 40) % 360}, ${saturation}%, 35%)`,
+      text: '#ffffff'
+    };
+  }
+
+  renderSVG(prompt, palette, { width, height }) {
+    const fontSize = Math.round(Math.min(width, height) / 16);
+    const lines = PlaceholderImageProvider.wrapText(prompt, Math.max(10, Math.floor(width / (fontSize * 0.6))));
+    const firstLineY = height / 2 - ((lines.length - 1) * fontSize * 1.3) / 2;
+    const text = lines
+      .map((line, index) => `<tspan x="50%" y="${Math.round(firstLineY + index * fontSize * 1.3)}">${PlaceholderImageProvider.escapeXml(line)}</tspan>`)
+      .join('');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+      '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">' +
+      `<stop offset="0" stop-color="${palette.from}"/><stop offset="1" stop-color="${palette.to}"/>` +
+      '</linearGradient></defs>' +
+      `<rect width="${width}" height="${height}" fill="url(#g)"/>` +
+      `<text font-family="system-ui, sans-serif" font-size="${fontSize}" fill="${palette.text}" text-anchor="middle" dominant-baseline="middle">${text}</text>` +
+      '</svg>';
+
+    // Parentheses and quotes are escaped too, so the URL also works inside CSS url()
+    const encoded = encodeURIComponent(svg).replace(/[()']/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `data:image/svg+xml;charset=utf-8,${encoded}`;
+  }
+
+  renderCanvas(prompt, palette, { width, height }) {
+    if (typeof document === 'undefined') {
+      throw new Error('PNG placeholders need a DOM canvas; use format "svg"');
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    const gradient = context.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, palette.from);
+    gradient.addColorStop(1, palette.to);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, width, height);
+
+    const fontSize = Math.round(Math.min(width, height) / 16);
+    const lines = PlaceholderImageProvider.wrapText(prompt, Math.max(10, Math.floor(width / (fontSize * 0.6))));
+    context.fillStyle = palette.text;
+    context.font = `${fontSize}px system-ui, sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    const firstLineY = height / 2 - ((lines.length - 1) * fontSize * 1.3) / 2;
+    lines.forEach((line, index) => context.fillText(line, width / 2, firstLineY + index * fontSize * 1.3));
+
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Splits the prompt into lines of at most `maxChars`, ending with "…" past MAX_LINES
+   */
+  static wrapText(text, maxChars) {
+    const lines = [];
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word);
+      }
+    });
+
+    if (lines.length > MAX_LINES) {
+      const kept = lines.slice(0, MAX_LINES);
+      kept[MAX_LINES - 1] = `${kept[MAX_LINES - 1].slice(0, maxChars - 1)}…`;
+      return kept;
+    }
+    return lines;
+  }
+
+  static hash(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+  }
+
+  static escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+export default PlaceholderImageProvider;
@@ -0,0 +1,40 @@
+import PlaceholderImageProvider from './PlaceholderImageProvider';
+
+describe('PlaceholderImageProvider', () => {
+  const decode = (url) => decodeURIComponent(url.replace('data:image/svg+xml;charset=utf-8,', ''));
+
+  test('should render one SVG per requested image at the configured size', async () => {
+    const provider = new PlaceholderImageProvider({ size: '800x400', count: 2 });
+    const images = await provider.generate('  paisagem de montanha ao pôr do sol  ');
+
+    expect(images).toHaveLength(2);
+    expect(images[0]).toMatchObject({ prompt: 'paisagem de montanha ao pôr do sol', width: 800, height: 400 });
+    expect(images[0].url).toMatch(/^data:image\/svg\+xml;charset=utf-8,/);
+    expect(images[0].url).not.toMatch(/[()']/);
+
+    const svg = decode(images[0].url);
+    expect(svg).toContain('width="800" height="400"');
+    expect(svg).toContain('paisagem de montanha ao pôr do sol');
+    // Variants get different colors
+    expect(images[1].url).not.toBe(images[0].url);
+  });
+
+  test('should be deterministic and escape the prompt', async () => {
+    const provider = new PlaceholderImageProvider({ size: '256x256' });
+    const [first] = await provider.generate('logo <Acme> & "Co"');
+    const [second] = await provider.generate('logo <Acme> & "Co"');
+
+    expect(first.url).toBe(second.url);
+    expect(decode(first.url)).toContain('&lt;Acme&gt; &amp; &quot;Co&quot;');
+  });
+
+  test('should wrap long prompts into a few lines', () => {
+    expect(PlaceholderImageProvider.wrapText('um gato laranja dormindo no sofá da sala', 16)).toEqual(['um gato laranja', 'dormindo no sofá', 'da sala']);
+    expect(PlaceholderImageProvider.wrapText('a b c d e f g h', 1)).toEqual(['a', 'b', 'c', '…']);
+  });
+
+  test('should validate prompt and size', async () => {
+    await expect(new PlaceholderImageProvider().generate('  ')).rejects.toThrow('Prompt is required');
+    await expect(new PlaceholderImageProvider({ size: 'large' }).generate('gato')).rejects.toThrow('Invalid image size: large');
+  });
+});
@@ -0,0 +1,60 @@
+import { Squad } from 'ajent';
+import LLMProvider from './LLMProvider';
+
+const DEFAULTS = {
+  endpoint: 'http://localhost:5000',
+  model: 'gpt-5-mini'
+};
+
+/**
+ * SquadProvider - Sends prompts through an ajent Squad server, which runs the
+ * agents' tools itself. The server token comes from `llm.apiKey`; without it
+ * the factory creates no provider and Frontable runs offline. The Squad has no
+ * streaming; `timeout` rejects the pending request after the given milliseconds.
+ */
+class SquadProvider extends LLMProvider {
+  constructor(config = {}) {
+    super({ ...DEFAULTS, ...config });
+    this.squad = null;
+  }
+
+  static isConfigured(config) {
+    return Boolean(config.apiKey);
+  }
+
+  setAgents(agents) {
+    super.setAgents(agents);
+    this.squad = new Squad({
+      agents,
+      apiToken: this.config.apiKey,
+      model: this.config.model,
+      apiUrl: this.config.endpoint
+    });
+  }
+
+  async request(prompt, options = {}) {
+    if (!this.squad) {
+      throw new Error('SquadProvider has no agents: call setAgents() first');
+    }
+
+    const pending = options.images && options.images.length > 0
+      ? this.squad.send(prompt, { images: options.images })
+      : this.squad.send(prompt);
+
+    if (!this.config.timeout) {
+      return pending;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`LLM request timed out after ${this.config.timeout}ms`)), this.config.timeout);
+    });
+    try {
+      return await Promise.race([pending, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default SquadProvider;
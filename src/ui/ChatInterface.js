@@ -1,3 +1,8 @@
+import DesignTokenInventory from '../core/DesignTokenInventory';
+
+// States offered by the "force state" toggle of the selection preview
+const FORCEABLE_STATES = [':hover', ':focus-visible', ':active', '[disabled]'];
+
 class ChatInterface {
   constructor() {
     this.panel = null;
@@ -7,6 +12,8 @@ class ChatInterface {
     
     this.onMessage = null;
     this.onClose = null;
+    this.onForceState = null;
+    this.onImageDrop = null;
     
     this.createInterface();
   }
@@ -53,6 +60,16 @@ class ChatInterface {
       <div class="frontable-image-hint">💡 Tip: Use <code>#image</code> to include a screenshot</div>
       <div class="frontable-suggestions">
          <div class="frontable-suggestion frontable-special-suggestion" data-command="Generate Claude Code instructions">⚡ Generate prompt to code agent</div>
+         <div class="frontable-suggestion" data-command="undo">↩️ Desfazer</div>
+         <div class="frontable-suggestion" data-command="redo">↪️ Refazer</div>
+         <div class="frontable-suggestion" data-command="#sessions">💾 Sessões</div>
+         <div class="frontable-suggestion" data-command="#export">📄 Exportar CSS</div>
+         <div class="frontable-suggestion" data-command="#viewport">📐 Viewport</div>
+         <div class="frontable-suggestion" data-command="#patch">🩹 Patch</div>
+         <div class="frontable-suggestion" data-command="#tokens">🎨 Tokens</div>
+         <div class="frontable-suggestion" data-command="#vars">🧬 Variáveis</div>
+         <div class="frontable-suggestion" data-command="#a11y">♿ Acessibilidade</div>
+         <div class="frontable-suggestion" data-command="#assets">🖼️ Imagens</div>
       </div>
       </div>
     `;
@@ -105,6 +122,24 @@ class ChatInterface {
         this.sendMessage();
       });
     });
+
+    // Images dropped anywhere on the panel go to the asset library
+    this.panel.addEventListener('dragover', (e) => {
+      if (!this.onImageDrop || !e.dataTransfer?.types.includes('Files')) return;
+      e.preventDefault();
+      this.panel.classList.add('frontable-drop-active');
+    });
+    this.panel.addEventListener('dragleave', (e) => {
+      if (!this.panel.contains(e.relatedTarget)) {
+        this.panel.classList.remove('frontable-drop-active');
+      }
+    });
+    this.panel.addEventListener('drop', (e) => {
+      this.panel.classList.remove('frontable-drop-active');
+      if (!this.onImageDrop || !e.dataTransfer?.files.length) return;
+      e.preventDefault();
+      this.onImageDrop(e.dataTransfer.files);
+    });
   }
 
   
@@ -192,6 +227,309 @@ class ChatInterface {
     this.scrollToBottom();
   }
 
+  /**
+   * Creates an agent message with action buttons.
+   * Each action's onClick may return a status text shown under the message.
+   * @param {Object} messageData - { content, actions: [{ label, onClick }] }
+   */
+  addActionMessage(messageData) {
+    const { content, actions = [], type = 'agent' } = messageData;
+
+    const messageEl = document.createElement('div');
+    messageEl.className = `frontable-message ${type} frontable-action-message`;
+
+    const textContent = document.createElement('div');
+    textContent.className = 'frontable-message-text';
+    textContent.textContent = content;
+    messageEl.appendChild(textContent);
+
+    const actionsEl = this.createActionButtons(actions, messageEl);
+    messageEl.appendChild(actionsEl);
+
+    this.messagesContainer.appendChild(messageEl);
+    this.scrollToBottom();
+
+    return messageEl;
+  }
+
+  /**
+   * Clarification question with quick replies; a reply is sent as the user's next message
+   * @param {Object} clarification - { question, options: [{ label, command }] }
+   */
+  addClarification(clarification) {
+    const { question, options = [] } = clarification;
+
+    const messageEl = document.createElement('div');
+    messageEl.className = 'frontable-message agent frontable-clarification';
+
+    const textContent = document.createElement('div');
+    textContent.className = 'frontable-message-text';
+    textContent.textContent = `🤔 ${question}`;
+    messageEl.appendChild(textContent);
+
+    const repliesEl = document.createElement('div');
+    repliesEl.className = 'frontable-quick-replies';
+
+    options.forEach(option => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'frontable-quick-reply';
+      chip.textContent = option.label;
+      chip.addEventListener('click', () => {
+        // Answered once: the other replies no longer apply
+        repliesEl.querySelectorAll('.frontable-quick-reply').forEach(other => {
+          other.disabled = true;
+        });
+        chip.classList.add('chosen');
+        this.inputField.value = option.command;
+        this.sendMessage();
+      });
+      repliesEl.appendChild(chip);
+    });
+
+    messageEl.appendChild(repliesEl);
+    this.messagesContainer.appendChild(messageEl);
+    this.scrollToBottom();
+
+    return messageEl;
+  }
+
+  /**
+   * Generated image variants: nothing is applied until one thumbnail is picked.
+   * "Regenerar" asks for new variants of the same prompt plus the typed tweaks.
+   * When either fails, the controls are enabled again so the user can retry.
+   * @param {Object} detail - { description, prompt, candidates: [{ url }], onSelect, onRegenerate }
+   */
+  addImageCandidates(detail) {
+    const { description, prompt, candidates = [], onSelect, onRegenerate } = detail;
+
+    const messageEl = document.createElement('div');
+    messageEl.className = 'frontable-message agent frontable-image-candidates';
+
+    const textContent = document.createElement('div');
+    textContent.className = 'frontable-message-text';
+    textContent.textContent = `🖼️ Escolha uma imagem para "${description}":`;
+    textContent.title = prompt;
+    messageEl.appendChild(textContent);
+
+    const gridEl = document.createElement('div');
+    gridEl.className = 'frontable-image-grid';
+
+    const controls = [];
+    const setDisabled = (disabled) => controls.forEach(control => {
+      control.disabled = disabled;
+    });
+    // Runs the choice with the picker locked; failures ("❌ ...", "Erro ...") unlock it
+    const run = async (action, chosen = null) => {
+      setDisabled(true);
+      chosen?.classList.add('chosen');
+
+      let status;
+      try {
+        status = await action();
+      } catch (error) {
+        status = `❌ ${error.message}`;
+      }
+
+      if (/^(❌|Erro)/.test(status || '')) {
+        setDisabled(false);
+        chosen?.classList.remove('chosen');
+      }
+      if (status) {
+        this.setActionStatus(messageEl, status);
+      }
+    };
+
+    candidates.forEach((candidate, index) => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'frontable-image-option';
+      option.title = `Opção ${index + 1}`;
+
+      const thumbnail = document.createElement('img');
+      thumbnail.src = candidate.url;
+      thumbnail.alt = `Opção ${index + 1}: ${description}`;
+      option.appendChild(thumbnail);
+
+      option.addEventListener('click', () => run(() => onSelect(candidate), option));
+      gridEl.appendChild(option);
+      controls.push(option);
+    });
+    messageEl.appendChild(gridEl);
+
+    if (onRegenerate) {
+      const regenerateEl = document.createElement('div');
+      regenerateEl.className = 'frontable-image-regenerate';
+
+      const tweaksInput = document.createElement('input');
+      tweaksInput.type = 'text';
+      tweaksInput.className = 'frontable-image-tweaks';
+      tweaksInput.placeholder = 'Ajustes (ex: mais claro, sem pessoas)';
+
+      const regenerateButton = document.createElement('button');
+      regenerateButton.type = 'button';
+      regenerateButton.className = 'frontable-action-btn';
+      regenerateButton.textContent = '🔄 Regenerar com ajustes';
+      regenerateButton.addEventListener('click', () => run(() => {
+        this.setActionStatus(messageEl, '⏳ Gerando novas opções...');
+        return onRegenerate(tweaksInput.value);
+      }));
+
+      regenerateEl.appendChild(tweaksInput);
+      regenerateEl.appendChild(regenerateButton);
+      messageEl.appendChild(regenerateEl);
+      controls.push(tweaksInput, regenerateButton);
+    }
+
+    this.messagesContainer.appendChild(messageEl);
+    this.scrollToBottom();
+
+    return messageEl;
+  }
+
+  createActionButtons(actions, messageEl) {
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'frontable-message-actions';
+
+    actions.forEach(action => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'frontable-action-btn';
+      button.textContent = action.label;
+      button.addEventListener('click', async () => {
+        const status = await action.onClick();
+        if (status) {
+          this.setActionStatus(messageEl, status);
+        }
+      });
+      actionsEl.appendChild(button);
+    });
+
+    return actionsEl;
+  }
+
+  setActionStatus(messageEl, status) {
+    let statusEl = messageEl.querySelector('.frontable-action-status');
+    if (!statusEl) {
+      statusEl = document.createElement('div');
+      statusEl.className = 'frontable-action-status';
+      messageEl.appendChild(statusEl);
+    }
+    statusEl.textContent = status;
+  }
+
+  /**
+   * Lists saved sessions with reapply/disable/discard actions
+   * @param {Array} sessions - Sessions from SessionStore
+   * @param {Object} handlers - { onReapply, onDisable, onDiscard }, each receiving the session
+   */
+  showSessionsPanel(sessions, handlers) {
+    if (sessions.length === 0) {
+      this.addMessage({
+        type: 'agent',
+        content: '💾 Nenhuma sessão salva para esta página.'
+      });
+      return;
+    }
+
+    this.addMessage({
+      type: 'agent',
+      content: `💾 ${sessions.length} sessão(ões) salva(s) para esta página:`
+    });
+
+    sessions.forEach(session => {
+      const changeCount = session.entries.reduce((total, entry) => total + entry.changes.length, 0);
+      const date = new Date(session.updatedAt).toLocaleString();
+      const state = session.enabled ? 'ativa' : 'desativada';
+
+      this.addActionMessage({
+        content: `${date} — ${session.entries.length} comando(s), ${changeCount} mudança(s) (${state})`,
+        actions: [
+          { label: '▶️ Reaplicar', onClick: () => handlers.onReapply(session) },
+          { label: '⏸️ Desativar', onClick: () => handlers.onDisable(session) },
+          { label: '🗑️ Descartar', onClick: () => handlers.onDiscard(session) }
+        ]
+      });
+    });
+  }
+
+  /**
+   * Asset library grid: each image can be applied to the selection as background
+   * or as a new <img>, or removed; images can be uploaded and all downloaded as zip
+   * @param {Array} assets - Assets from AssetLibrary
+   * @param {Object} handlers - { onApply(asset, applyAs), onRemove, onDownload, onUpload(files) }
+   */
+  showAssetLibrary(assets, handlers) {
+    const messageEl = document.createElement('div');
+    messageEl.className = 'frontable-message agent frontable-asset-library';
+
+    const textContent = document.createElement('div');
+    textContent.className = 'frontable-message-text';
+    textContent.textContent = assets.length > 0
+      ? `🖼️ Biblioteca de imagens (${assets.length}). Selecione elementos e aplique:`
+      : '🖼️ Biblioteca de imagens vazia. Imagens geradas aparecem aqui; arraste as suas para o chat.';
+    messageEl.appendChild(textContent);
+
+    const gridEl = document.createElement('div');
+    gridEl.className = 'frontable-asset-grid';
+
+    assets.forEach(asset => {
+      const card = document.createElement('div');
+      card.className = 'frontable-asset-card';
+      card.title = [asset.name, asset.prompt, ...asset.appliedTo].filter(Boolean).join('\n');
+
+      const thumbnail = document.createElement('img');
+      const objectUrl = URL.createObjectURL(asset.blob);
+      thumbnail.src = objectUrl;
+      thumbnail.alt = asset.description || asset.name;
+      thumbnail.addEventListener('load', () => URL.revokeObjectURL(objectUrl), { once: true });
+      card.appendChild(thumbnail);
+
+      const label = document.createElement('div');
+      label.className = 'frontable-asset-name';
+      label.textContent = `${asset.source === 'upload' ? '📥' : '🎨'} ${asset.name}`;
+      card.appendChild(label);
+
+      card.appendChild(this.createActionButtons([
+        { label: 'Fundo', onClick: () => handlers.onApply(asset, 'background') },
+        { label: '<img>', onClick: () => handlers.onApply(asset, 'element') },
+        {
+          label: '🗑️',
+          onClick: async () => {
+            const status = await handlers.onRemove(asset);
+            card.remove();
+            return status;
+          }
+        }
+      ], messageEl));
+      gridEl.appendChild(card);
+    });
+    messageEl.appendChild(gridEl);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'image/*';
+    fileInput.multiple = true;
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        handlers.onUpload(fileInput.files);
+      }
+    });
+    messageEl.appendChild(fileInput);
+
+    const actions = [{ label: '📥 Enviar imagens', onClick: () => fileInput.click() }];
+    if (assets.length > 0) {
+      actions.push({ label: '⬇️ Baixar zip', onClick: () => handlers.onDownload() });
+    }
+    messageEl.appendChild(this.createActionButtons(actions, messageEl));
+
+    this.messagesContainer.appendChild(messageEl);
+    this.scrollToBottom();
+
+    return messageEl;
+  }
+
   /**
    * Creates a message with visual context (canvas)
    */
@@ -302,6 +640,23 @@ class ChatInterface {
     this.scrollToBottom();
   }
   
+  /**
+   * Shows the text streamed so far inside the typing indicator
+   */
+  updateTyping(text) {
+    const typingEl = this.messagesContainer.querySelector('.frontable-typing');
+    if (!typingEl) return;
+
+    let textEl = typingEl.querySelector('.frontable-typing-text');
+    if (!textEl) {
+      textEl = document.createElement('div');
+      textEl.className = 'frontable-typing-text';
+      typingEl.appendChild(textEl);
+    }
+    textEl.textContent = text;
+    this.scrollToBottom();
+  }
+  
   hideTyping() {
     const typingEl = this.messagesContainer.querySelector('.frontable-typing');
     if (typingEl) {
@@ -379,6 +734,8 @@ class ChatInterface {
       'executeScript': '💻',
       'generateImage': '🖼️',
       'generateClaudeCodeInstructions': '📋',
+      'editStructure': '🧱',
+      'editText': '✏️',
       'planTask': '🎯'
     };
     return icons[toolName] || '🔧';
@@ -394,6 +751,8 @@ class ChatInterface {
       'executeScript': 'Executar Script',
       'generateImage': 'Gerar Imagem',
       'generateClaudeCodeInstructions': 'Gerar Instruções IDE',
+      'editStructure': 'Alterar Estrutura',
+      'editText': 'Editar Texto',
       'planTask': 'Planejar Tarefas'
     };
     return ('Tool:' + names[toolName]) || 'Executar Ferramenta';
@@ -403,7 +762,11 @@ class ChatInterface {
     this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
   }
 
-  showSelectionPreview(elements) {
+  /**
+   * @param {Array} elements - Selected elements
+   * @param {Array} forcedStates - States forced on the first selected element
+   */
+  showSelectionPreview(elements, forcedStates = []) {
     // Remove existing preview
     const existingPreview = this.panel.querySelector('.frontable-selection-preview');
     if (existingPreview) {
@@ -427,8 +790,22 @@ class ChatInterface {
           </div>
         `).join('')}
       </div>
+      <div class="frontable-force-states">
+        <span>📌 Forçar estado:</span>
+        ${FORCEABLE_STATES.map(state => `
+          <button class="frontable-force-state${forcedStates.includes(state) ? ' active' : ''}" data-state="${state}">${state}</button>
+        `).join('')}
+      </div>
     `;
 
+    preview.querySelectorAll('.frontable-force-state').forEach(button => {
+      button.addEventListener('click', () => {
+        if (this.onForceState) {
+          this.onForceState(button.dataset.state);
+        }
+      });
+    });
+
     // Insert before input container
     const inputContainer = this.panel.querySelector('.frontable-input-container');
     inputContainer.parentNode.insertBefore(preview, inputContainer);
@@ -461,22 +838,55 @@ class ChatInterface {
     window.addEventListener('ajentToolError', (event) => {
       this.updateToolProgress('error', `Erro: ${event.detail.error}`);
     });
+
+    // Styles below WCAG AA contrast, with the suggested fix
+    window.addEventListener('ajentAccessibilityWarning', (event) => {
+      const { message, applyFix } = event.detail;
+      this.addActionMessage({
+        content: message,
+        actions: applyFix ? [{ label: '✨ Aplicar correção sugerida', onClick: applyFix }] : []
+      });
+    });
+
+    // Generated image variants waiting for the user's choice
+    window.addEventListener('ajentImageCandidates', (event) => {
+      this.addImageCandidates(event.detail);
+    });
+
+    // Agent values moved to the page design tokens
+    window.addEventListener('ajentDesignTokenWarning', (event) => {
+      this.addMessage({
+        type: 'agent',
+        content: DesignTokenInventory.formatAdjustments(event.detail.adjustments, event.detail.snapped)
+      });
+    });
+
+    // Edits whose element disappeared in a re-render of the page
+    window.addEventListener('ajentEditAnchorLost', (event) => {
+      this.addMessage({ type: 'agent', content: event.detail.message });
+    });
   }
 
   updateTaskProgress(taskPlan) {
     const progressContainer = this.panel.querySelector('.frontable-task-progress');
+    const titleElement = this.panel.querySelector('.frontable-task-title');
     const statsElement = this.panel.querySelector('.frontable-task-stats');
     const listElement = this.panel.querySelector('.frontable-task-list');
     
     if (!progressContainer || !taskPlan) return;
     
     // Show progress container
+    clearTimeout(this.taskProgressHideTimer);
     progressContainer.style.display = 'block';
+
+    if (taskPlan.name) {
+      titleElement.textContent = `🎯 ${taskPlan.name}`;
+    }
     
     // Update stats
     const completed = taskPlan.completedTasks || 0;
     const total = taskPlan.totalTasks || 0;
-    statsElement.textContent = `${completed}/${total}`;
+    statsElement.textContent = taskPlan.status === 'paused' ? `⏸️ ${completed}/${total}` : `${completed}/${total}`;
     
     // Update task list
     listElement.innerHTML = '';
@@ -495,21 +905,33 @@ class ChatInterface {
         } else if (task.status === 'in_progress') {
           emoji = '🔄';
           statusClass = 'in_progress';
+        } else if (task.status === 'failed') {
+          emoji = '❌';
+          statusClass = 'failed';
+        } else if (task.status === 'skipped') {
+          emoji = '⏭️';
+          statusClass = 'skipped';
         }
         
         taskElement.innerHTML = `
           <span class="frontable-task-emoji">${emoji}</span>
-          <span class="frontable-task-description">${task.description}</span>
+          <span class="frontable-task-description"></span>
         `;
+        taskElement.querySelector('.frontable-task-description').textContent = task.description;
+        if (task.error) {
+          taskElement.title = task.error;
+        }
         
         taskElement.classList.add(`frontable-task-${statusClass}`);
         listElement.appendChild(taskElement);
       });
     }
+
+    this.renderTaskControls(progressContainer, taskPlan.controls);
     
     // Auto-hide when all tasks are completed
     if (completed === total && total > 0) {
-      setTimeout(() => {
+      this.taskProgressHideTimer = setTimeout(() => {
         progressContainer.style.display = 'none';
       }, 3000);
     }
@@ -517,6 +939,38 @@ class ChatInterface {
     this.scrollToBottom();
   }
 
+  /**
+   * Pause/resume/cancel/retry buttons of a running plan; the answer of each control goes to the chat
+   * @param {Object} controls - { pause, resume, cancel, retry }, each a function or null
+   */
+  renderTaskControls(progressContainer, controls = {}) {
+    const previous = progressContainer.querySelector('.frontable-task-controls');
+    if (previous) previous.remove();
+
+    const labels = {
+      pause: '⏸️ Pausar',
+      resume: '▶️ Retomar',
+      cancel: '⏹️ Cancelar',
+      retry: '🔁 Repetir falhas'
+    };
+    const actions = Object.keys(labels)
+      .filter(name => typeof controls[name] === 'function')
+      .map(name => ({
+        label: labels[name],
+        onClick: async () => {
+          const status = await controls[name]();
+          if (status) {
+            this.addMessage({ type: 'agent', content: status });
+          }
+        }
+      }));
+    if (actions.length === 0) return;
+
+    const controlsEl = this.createActionButtons(actions, progressContainer);
+    controlsEl.classList.add('frontable-task-controls');
+    progressContainer.appendChild(controlsEl);
+  }
+
   hideTaskProgress() {
     const progressContainer = this.panel.querySelector('.frontable-task-progress');
     if (progressContainer) {
@@ -761,4 +1215,4 @@ class ChatInterface {
   }
 }
 
-export default ChatInterface;
\ No newline at end of file
+export default ChatInterface;
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment jsdom
+ */
+import ChatInterface from './ChatInterface';
+
+describe('ChatInterface.addImageCandidates', () => {
+  const candidates = [{ url: 'https://img/a.png' }, { url: 'https://img/b.png' }];
+  let chat;
+
+  // The click handlers are async: wait for them to settle
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    chat = new ChatInterface();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const render = (detail) => {
+    const messageEl = chat.addImageCandidates({ description: 'Fundo do herói', prompt: 'montanhas', candidates, ...detail });
+    return {
+      messageEl,
+      options: Array.from(messageEl.querySelectorAll('.frontable-image-option')),
+      tweaks: messageEl.querySelector('.frontable-image-tweaks'),
+      regenerate: messageEl.querySelector('.frontable-action-btn'),
+      status: () => messageEl.querySelector('.frontable-action-status')?.textContent
+    };
+  };
+
+  test('should show one thumbnail per candidate', () => {
+    const { messageEl, options, regenerate } = render({ onSelect: jest.fn() });
+
+    expect(chat.messagesContainer.lastElementChild).toBe(messageEl);
+    expect(options.map(option => option.querySelector('img').src)).toEqual(['https://img/a.png', 'https://img/b.png']);
+    expect(options[1].querySelector('img').alt).toBe('Opção 2: Fundo do herói');
+    expect(regenerate).toBeNull();
+  });
+
+  test('should apply the picked image and lock the picker', async () => {
+    const onSelect = jest.fn(async () => '✅ Imagem gerada e aplicada como fundo');
+    const { options, tweaks, regenerate, status } = render({ onSelect, onRegenerate: jest.fn() });
+
+    options[1].click();
+    await settle();
+
+    expect(onSelect).toHaveBeenCalledWith(candidates[1]);
+    expect(status()).toBe('✅ Imagem gerada e aplicada como fundo');
+    expect(options[1].classList.contains('chosen')).toBe(true);
+    expect([...options, tweaks, regenerate].every(control => control.disabled)).toBe(true);
+
+    // Disabled buttons ignore clicks
+    options[0].click();
+    await settle();
+    expect(onSelect).toHaveBeenCalledTimes(1);
+  });
+
+  test('should unlock the picker when applying the image fails', async () => {
+    const onSelect = jest.fn()
+      .mockRejectedValueOnce(new Error('Falha de rede'))
+      .mockResolvedValueOnce('Erro ao aplicar imagem: elemento removido');
+    const { options, status } = render({ onSelect });
+
+    options[0].click();
+    await settle();
+    expect(status()).toBe('❌ Falha de rede');
+    expect(options.some(control => control.disabled)).toBe(false);
+    expect(options[0].classList.contains('chosen')).toBe(false);
+
+    options[1].click();
+    await settle();
+    expect(status()).toBe('Erro ao aplicar imagem: elemento removido');
+    expect(options.some(control => control.disabled)).toBe(false);
+  });
+
+  test('should regenerate with the typed tweaks and unlock on failure', async () => {
+    const onRegenerate = jest.fn()
+      .mockResolvedValueOnce('Erro ao gerar imagem: quota excedida')
+      .mockResolvedValueOnce('🖼️ 2 opções de imagem geradas');
+    const { options, tweaks, regenerate, status } = render({ onSelect: jest.fn(), onRegenerate });
+    tweaks.value = 'mais claro';
+
+    regenerate.click();
+    await settle();
+    expect(onRegenerate).toHaveBeenCalledWith('mais claro');
+    expect(status()).toBe('Erro ao gerar imagem: quota excedida');
+    expect(regenerate.disabled).toBe(false);
+
+    regenerate.click();
+    await settle();
+    expect(status()).toBe('🖼️ 2 opções de imagem geradas');
+    expect([...options, tweaks, regenerate].every(control => control.disabled)).toBe(true);
+  });
+});
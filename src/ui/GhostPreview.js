@@ -0,0 +1,89 @@
+/**
+ * Renders generated markup, translucent, at the place it would be inserted,
+ * with accept/reject buttons floating over it. The preview shows copies: the
+ * page is only changed when the markup is accepted.
+ */
+class GhostPreview {
+  constructor() {
+    this.container = null;
+    this.toolbar = null;
+    this.hiddenTarget = null;
+    this.hiddenDisplay = '';
+    this.positionHandler = () => this.positionToolbar();
+  }
+
+  isActive() {
+    return !!this.container;
+  }
+
+  /**
+   * @param {Array} nodes - Sanitized nodes to preview (copied, never moved)
+   * @param {Object} placement - { parent, nextSibling } or { replaceTarget }
+   * @param {Object} handlers - { onAccept, onReject } from the floating buttons
+   */
+  show(nodes, placement, handlers) {
+    this.hide();
+
+    this.container = document.createElement('div');
+    this.container.className = 'frontable-ghost-preview';
+    nodes.forEach(node => this.container.appendChild(node.cloneNode(true)));
+
+    if (placement.replaceTarget) {
+      // The element being replaced steps aside while its replacement is previewed
+      this.hiddenTarget = placement.replaceTarget;
+      this.hiddenDisplay = this.hiddenTarget.style.display;
+      this.hiddenTarget.parentNode.insertBefore(this.container, this.hiddenTarget);
+      this.hiddenTarget.style.display = 'none';
+    } else {
+      const { parent, nextSibling } = placement;
+      parent.insertBefore(this.container, nextSibling && nextSibling.parentNode === parent ? nextSibling : null);
+    }
+
+    this.toolbar = document.createElement('div');
+    this.toolbar.className = 'frontable-ghost-toolbar';
+    const label = document.createElement('span');
+    label.textContent = '👻 Pré-visualização';
+    this.toolbar.appendChild(label);
+    this.toolbar.appendChild(this.createButton('frontable-ghost-accept', '✅ Aceitar', handlers.onAccept));
+    this.toolbar.appendChild(this.createButton('frontable-ghost-reject', '✖️ Rejeitar', handlers.onReject));
+    document.body.appendChild(this.toolbar);
+
+    this.positionToolbar();
+    window.addEventListener('scroll', this.positionHandler, true);
+    window.addEventListener('resize', this.positionHandler);
+    this.container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  createButton(className, text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = text;
+    button.addEventListener('click', () => onClick());
+    return button;
+  }
+
+  positionToolbar() {
+    if (!this.container || !this.toolbar) return;
+    const rect = this.container.getBoundingClientRect();
+    this.toolbar.style.top = `${Math.max(rect.top - this.toolbar.offsetHeight - 6, 6)}px`;
+    this.toolbar.style.left = `${Math.max(rect.left, 6)}px`;
+  }
+
+  hide() {
+    if (this.container) this.container.remove();
+    if (this.toolbar) this.toolbar.remove();
+    if (this.hiddenTarget) {
+      this.hiddenTarget.style.display = this.hiddenDisplay;
+    }
+    window.removeEventListener('scroll', this.positionHandler, true);
+    window.removeEventListener('resize', this.positionHandler);
+
+    this.container = null;
+    this.toolbar = null;
+    this.hiddenTarget = null;
+    this.hiddenDisplay = '';
+  }
+}
+
+export default GhostPreview;
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment jsdom
+ */
+import GhostPreview from './GhostPreview';
+
+describe('GhostPreview', () => {
+  let preview;
+  let section;
+  let heading;
+  let handlers;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<section><h2>Planos</h2></section>';
+    section = document.querySelector('section');
+    heading = section.querySelector('h2');
+
+    // jsdom has no layout or scrolling
+    Element.prototype.scrollIntoView = jest.fn();
+    jest.spyOn(HTMLElement.prototype, 'getBoundingClientRect').mockReturnValue({ top: 200, left: 40 });
+    jest.spyOn(HTMLElement.prototype, 'offsetHeight', 'get').mockReturnValue(30);
+    jest.spyOn(window, 'removeEventListener');
+
+    handlers = { onAccept: jest.fn(), onReject: jest.fn() };
+    preview = new GhostPreview();
+  });
+
+  afterEach(() => {
+    preview.hide();
+    delete Element.prototype.scrollIntoView;
+    jest.restoreAllMocks();
+  });
+
+  const generated = () => {
+    const card = document.createElement('div');
+    card.innerHTML = '<p>Novo card</p>';
+    return card;
+  };
+  const toolbar = () => document.querySelector('.frontable-ghost-toolbar');
+
+  test('should preview copies at the insertion point and accept them from the toolbar', () => {
+    const card = generated();
+    preview.show([card], { parent: section, nextSibling: null }, handlers);
+
+    const container = section.lastElementChild;
+    expect(preview.isActive()).toBe(true);
+    expect(container.className).toBe('frontable-ghost-preview');
+    expect(container.innerHTML).toBe('<div><p>Novo card</p></div>');
+    expect(card.parentNode).toBeNull();
+    expect(container.scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth', block: 'center' });
+
+    expect(Array.from(toolbar().children).map(node => node.textContent)).toEqual(['👻 Pré-visualização', '✅ Aceitar', '✖️ Rejeitar']);
+    expect(toolbar().style.top).toBe('164px');
+    expect(toolbar().style.left).toBe('40px');
+
+    toolbar().querySelector('.frontable-ghost-accept').click();
+    expect(handlers.onAccept).toHaveBeenCalledTimes(1);
+    expect(handlers.onReject).not.toHaveBeenCalled();
+
+    preview.hide();
+    expect(preview.isActive()).toBe(false);
+    expect(section.innerHTML).toBe('<h2>Planos</h2>');
+    expect(toolbar()).toBeNull();
+    expect(window.removeEventListener).toHaveBeenCalledWith('scroll', preview.positionHandler, true);
+  });
+
+  test('should hide the replaced element until the preview is rejected', () => {
+    heading.style.display = 'block';
+    preview.show([generated()], { replaceTarget: heading }, handlers);
+
+    expect(Array.from(section.children).map(node => node.className)).toEqual(['frontable-ghost-preview', '']);
+    expect(heading.style.display).toBe('none');
+
+    toolbar().querySelector('.frontable-ghost-reject').click();
+    expect(handlers.onReject).toHaveBeenCalledTimes(1);
+    expect(handlers.onAccept).not.toHaveBeenCalled();
+
+    preview.hide();
+    expect(section.innerHTML).toBe('<h2 style="display: block;">Planos</h2>');
+    expect(heading.style.display).toBe('block');
+  });
+});
@@ -0,0 +1,146 @@
+import { AgentConfig } from '../config/AgentConfig.js';
+
+const PREVIEW_FRAME_NAME = 'frontable-viewport-preview';
+
+/**
+ * Shows the current page in an iframe sized to a breakpoint, so real media
+ * queries (the page's and Frontable's own) are evaluated at that width.
+ * The preview loads the page again and replays the saved session, so it is
+ * reloaded after every change.
+ */
+class ViewportSimulator {
+  constructor(breakpoints = AgentConfig.responsive.breakpoints) {
+    this.breakpoints = breakpoints;
+    this.overlay = null;
+    this.iframe = null;
+    this.activeBreakpoint = null;
+    this.onChange = null;
+    this.resizeHandler = () => this.fitFrame();
+  }
+
+  /**
+   * True inside the preview iframe, where Frontable must not show its UI
+   */
+  static isPreviewFrame() {
+    return typeof window !== 'undefined' && window.name === PREVIEW_FRAME_NAME;
+  }
+
+  getBreakpoint(name) {
+    return this.breakpoints[name] ? { name, ...this.breakpoints[name] } : null;
+  }
+
+  getActiveBreakpoint() {
+    return this.activeBreakpoint;
+  }
+
+  isActive() {
+    return !!this.activeBreakpoint;
+  }
+
+  show(name) {
+    const breakpoint = this.getBreakpoint(name);
+    if (!breakpoint) return null;
+
+    if (!this.overlay) {
+      this.createOverlay();
+    }
+
+    this.activeBreakpoint = breakpoint;
+    this.iframe.style.width = `${breakpoint.width}px`;
+    this.overlay.querySelectorAll('.frontable-viewport-option').forEach(button => {
+      button.classList.toggle('active', button.dataset.breakpoint === name);
+    });
+    this.overlay.querySelector('.frontable-viewport-size').textContent = `${breakpoint.width}px`;
+    this.fitFrame();
+
+    if (this.onChange) this.onChange(breakpoint);
+    return breakpoint;
+  }
+
+  hide() {
+    if (this.overlay) {
+      this.overlay.remove();
+      window.removeEventListener('resize', this.resizeHandler);
+    }
+    this.overlay = null;
+    this.iframe = null;
+    this.activeBreakpoint = null;
+
+    if (this.onChange) this.onChange(null);
+  }
+
+  reload() {
+    if (this.iframe) {
+      this.iframe.src = window.location.href;
+    }
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'frontable-viewport-simulator';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'frontable-viewport-toolbar';
+
+    Object.entries(this.breakpoints).forEach(([name, breakpoint]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'frontable-viewport-option';
+      button.dataset.breakpoint = name;
+      button.textContent = breakpoint.label;
+      button.addEventListener('click', () => this.show(name));
+      toolbar.appendChild(button);
+    });
+
+    const size = document.createElement('span');
+    size.className = 'frontable-viewport-size';
+    toolbar.appendChild(size);
+
+    const reloadButton = document.createElement('button');
+    reloadButton.type = 'button';
+    reloadButton.className = 'frontable-viewport-option';
+    reloadButton.textContent = '↻';
+    reloadButton.title = 'Recarregar preview';
+    reloadButton.addEventListener('click', () => this.reload());
+    toolbar.appendChild(reloadButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'frontable-viewport-option';
+    closeButton.textContent = '×';
+    closeButton.title = 'Fechar simulador';
+    closeButton.addEventListener('click', () => this.hide());
+    toolbar.appendChild(closeButton);
+
+    const stage = document.createElement('div');
+    stage.className = 'frontable-viewport-stage';
+
+    this.iframe = document.createElement('iframe');
+    this.iframe.className = 'frontable-viewport-frame';
+    this.iframe.name = PREVIEW_FRAME_NAME;
+    this.iframe.src = window.location.href;
+    stage.appendChild(this.iframe);
+
+    this.overlay.appendChild(toolbar);
+    this.overlay.appendChild(stage);
+    document.body.appendChild(this.overlay);
+
+    window.addEventListener('resize', this.resizeHandler);
+  }
+
+  /**
+   * Scales the frame down when the breakpoint is wider than the free area
+   */
+  fitFrame() {
+    if (!this.iframe || !this.activeBreakpoint) return;
+
+    const stage = this.iframe.parentElement;
+    const available = stage.clientWidth - 32;
+    const scale = Math.min(1, available / this.activeBreakpoint.width);
+
+    this.iframe.style.transform = `scale(${scale})`;
+    this.iframe.style.height = `${(stage.clientHeight - 32) / scale}px`;
+  }
+}
+
+export default ViewportSimulator;
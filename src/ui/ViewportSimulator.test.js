@@ -0,0 +1,78 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "http://localhost/pagina"}
+ */
+import ViewportSimulator from './ViewportSimulator';
+
+describe('ViewportSimulator', () => {
+  const breakpoints = {
+    mobile: { label: 'Mobile', width: 375, media: '(max-width: 767px)' },
+    desktop: { label: 'Desktop', width: 1280, media: '(min-width: 1024px)' }
+  };
+  let simulator;
+
+  beforeEach(() => {
+    // jsdom has no layout: the stage leaves room for a 1000px wide frame
+    jest.spyOn(HTMLElement.prototype, 'clientWidth', 'get').mockReturnValue(1032);
+    jest.spyOn(HTMLElement.prototype, 'clientHeight', 'get').mockReturnValue(832);
+    jest.spyOn(window, 'removeEventListener');
+    simulator = new ViewportSimulator(breakpoints);
+    simulator.onChange = jest.fn();
+  });
+
+  afterEach(() => {
+    simulator.hide();
+    window.name = '';
+    jest.restoreAllMocks();
+  });
+
+  test('should resolve configured breakpoints only', () => {
+    expect(simulator.getBreakpoint('mobile')).toEqual({ name: 'mobile', ...breakpoints.mobile });
+    expect(simulator.getBreakpoint('watch')).toBeNull();
+    expect(simulator.show('watch')).toBeNull();
+    expect(simulator.isActive()).toBe(false);
+    expect(new ViewportSimulator().getBreakpoint('tablet').media).toBe('(min-width: 768px) and (max-width: 1023px)');
+  });
+
+  test('should load the page in a frame sized to the breakpoint', () => {
+    const breakpoint = simulator.show('mobile');
+
+    expect(breakpoint.width).toBe(375);
+    expect(simulator.getActiveBreakpoint()).toBe(breakpoint);
+    expect(simulator.iframe.src).toBe('http://localhost/pagina');
+    expect(simulator.iframe.style.width).toBe('375px');
+    expect(simulator.iframe.style.transform).toBe('scale(1)');
+    expect(simulator.overlay.querySelector('.frontable-viewport-size').textContent).toBe('375px');
+    expect(simulator.onChange).toHaveBeenCalledWith(breakpoint);
+
+    const options = Array.from(simulator.overlay.querySelectorAll('.frontable-viewport-option'));
+    expect(options.filter(option => option.classList.contains('active')).map(option => option.dataset.breakpoint)).toEqual(['mobile']);
+  });
+
+  test('should scale wide breakpoints down and switch from the toolbar', () => {
+    simulator.show('mobile');
+    const desktopOption = simulator.overlay.querySelector('.frontable-viewport-option[data-breakpoint="desktop"]');
+    desktopOption.click();
+
+    expect(simulator.getActiveBreakpoint().name).toBe('desktop');
+    expect(simulator.iframe.style.transform).toBe('scale(0.78125)');
+    expect(simulator.iframe.style.height).toBe('1024px');
+    expect(desktopOption.classList.contains('active')).toBe(true);
+  });
+
+  test('should remove the overlay when hidden', () => {
+    simulator.show('desktop');
+    simulator.hide();
+
+    expect(document.querySelector('.frontable-viewport-simulator')).toBeNull();
+    expect(simulator.isActive()).toBe(false);
+    expect(window.removeEventListener).toHaveBeenCalledWith('resize', simulator.resizeHandler);
+    expect(simulator.onChange).toHaveBeenLastCalledWith(null);
+  });
+
+  test('should recognize the preview frame by its name', () => {
+    expect(ViewportSimulator.isPreviewFrame()).toBe(false);
+    window.name = 'frontable-viewport-preview';
+    expect(ViewportSimulator.isPreviewFrame()).toBe(true);
+  });
+});
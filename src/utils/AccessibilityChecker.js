@@ -1,3 +1,17 @@
+import { ColorUtils } from './colorUtils';
+
+// Cores nomeadas básicas
+const NAMED_COLORS = {
+  black: { r: 0, g: 0, b: 0, a: 1 },
+  white: { r: 255, g: 255, b: 255, a: 1 },
+  red: { r: 255, g: 0, b: 0, a: 1 },
+  green: { r: 0, g: 128, b: 0, a: 1 },
+  blue: { r: 0, g: 0, b: 255, a: 1 }
+};
+
+// Propriedades que mudam o par de cores do texto
+const CONTRAST_COLOR_PROPERTIES = ['color', 'backgroundColor', 'background'];
+
 /**
  * AccessibilityChecker - Sistema de testes automáticos de acessibilidade
  * 
@@ -5,33 +19,6 @@
  * Oferece sugestões automáticas para melhorar acessibilidade
  */
 class AccessibilityChecker {
-  /*...*/
-
-  /**
-   * Verifica acessibilidade de imagens em Base64
-   */
-  checkImageAccessibility(imageBase64) {
-    const report = this.generateAccessibilityReport(imageBase64);
-    const fixes = this.generateAutoFixes(null, report, null);
-
-    return fixes;
-  }
-
-  /**
-   * Gera relatório de acessibilidade para imagens
-   */
-  generateAccessibilityReport(imageBase64) {
-    // Simula análise de acessibilidade para imagens em Base64
-    return {
-      contrastDetails: {
-        wcagLevel: 'AA',
-        isLargeText: false,
-        background: '#FFFFFF'
-      },
-      errors: ['alt attribute missing']
-    };
-  }
-}
   constructor() {
     // Padrões WCAG 2.1 para contraste
     this.contrastRatios = {
@@ -99,6 +86,8 @@ class AccessibilityChecker {
       errors: [],
       warnings: [],
       suggestions: [],
+      // [{ rule, severity, message }]: erros e avisos com o id da regra que os gerou
+      issues: [],
       scores: {
         contrast: null,
         semantic: null,
@@ -128,7 +117,7 @@ class AccessibilityChecker {
     report.scores.overall = this.calculateOverallScore(report);
 
     // 6. Gera sugestões automáticas de correção
-    report.fixes = this.generateAutoFixes(element, report, styles);
+    report.fixes = this.generateAutoFixes(report);
 
     // 7. Dispara alerta em tempo real se necessário
     if (this.realTimeAlerts && !report.isAccessible && this.alertCallback) {
@@ -138,6 +127,31 @@ class AccessibilityChecker {
     return report;
   }
 
+  /**
+   * Verifica acessibilidade de imagens em Base64
+   */
+  checkBase64ImageAccessibility() {
+    const report = this.generateAccessibilityReport();
+    const fixes = this.generateAutoFixes(report);
+
+    return fixes;
+  }
+
+  /**
+   * Gera relatório de acessibilidade para imagens
+   */
+  generateAccessibilityReport() {
+    // Simula análise de acessibilidade para imagens em Base64
+    return {
+      contrastDetails: {
+        wcagLevel: 'AA',
+        isLargeText: false,
+        background: '#FFFFFF'
+      },
+      errors: ['alt attribute missing']
+    };
+  }
+
   /**
    * Verifica contraste de cores
    */
@@ -156,7 +170,7 @@ class AccessibilityChecker {
       const proposedColors = this.getProposedColors(currentColors, styles);
 
       if (!proposedColors.foreground || !proposedColors.background) {
-        result.warnings.push('Não foi possível determinar as cores do elemento para verificação de contraste');
+        this.addIssue(result, 'warning', 'contrast-unknown', 'Não foi possível determinar as cores do elemento para verificação de contraste');
         result.scores.contrast = 80;
         return result;
       }
@@ -175,7 +189,7 @@ class AccessibilityChecker {
 
       if (!wcagResult.passesAA) {
         result.isAccessible = false;
-        result.errors.push(
+        this.addIssue(result, 'error', 'contrast',
           `Contraste insuficiente (${contrastRatio.toFixed(2)}:1). ` +
           `Mínimo necessário: ${wcagResult.requiredAA}:1 para ${isLargeText ? 'texto grande' : 'texto normal'}`
         );
@@ -185,7 +199,7 @@ class AccessibilityChecker {
       }
 
       if (!wcagResult.passesAAA && wcagResult.passesAA) {
-        result.warnings.push(
+        this.addIssue(result, 'warning', 'contrast-aaa',
           `Contraste atende ao padrão AA mas não AAA (${contrastRatio.toFixed(2)}:1). ` +
           `Para AAA, necessário: ${wcagResult.requiredAAA}:1`
         );
@@ -210,7 +224,7 @@ class AccessibilityChecker {
       };
 
     } catch (error) {
-      result.errors.push(`Erro na verificação de contraste: ${error.message}`);
+      this.addIssue(result, 'error', 'check-failed', `Erro na verificação de contraste: ${error.message}`);
       result.scores.contrast = 0;
       result.isAccessible = false;
     }
@@ -235,38 +249,43 @@ class AccessibilityChecker {
     try {
       // Verificações específicas por tipo de elemento
       switch (tagName) {
-        case 'img':
-          this.checkImageAccessibility(element, result);
-          break;
+      case 'img':
+        this.checkImageAccessibility(element, result);
+        break;
         
-        case 'button':
-        case 'input':
-          this.checkButtonAccessibility(element, result);
-          break;
+      case 'button':
+        this.checkButtonAccessibility(element, result);
+        break;
+
+      case 'input':
+      case 'select':
+      case 'textarea':
+        this.checkFieldAccessibility(element, result);
+        break;
         
-        case 'a':
-          this.checkLinkAccessibility(element, result);
-          break;
+      case 'a':
+        this.checkLinkAccessibility(element, result);
+        break;
         
-        case 'h1':
-        case 'h2':
-        case 'h3':
-        case 'h4':
-        case 'h5':
-        case 'h6':
-          this.checkHeadingAccessibility(element, result);
-          break;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        this.checkHeadingAccessibility(element, result);
+        break;
         
-        case 'form':
-          this.checkFormAccessibility(element, result);
-          break;
+      case 'form':
+        this.checkFormAccessibility(element, result);
+        break;
         
-        case 'table':
-          this.checkTableAccessibility(element, result);
-          break;
+      case 'table':
+        this.checkTableAccessibility(element, result);
+        break;
         
-        default:
-          this.checkGenericElementAccessibility(element, result);
+      default:
+        this.checkGenericElementAccessibility(element, result);
       }
 
       // Verifica se elemento criado dinamicamente precisa de role/aria
@@ -280,7 +299,7 @@ class AccessibilityChecker {
       result.scores.semantic = Math.max(0, 100 - errorPenalty - warningPenalty);
 
     } catch (error) {
-      result.errors.push(`Erro na verificação semântica: ${error.message}`);
+      this.addIssue(result, 'error', 'check-failed', `Erro na verificação semântica: ${error.message}`);
       result.scores.semantic = 0;
       result.isAccessible = false;
     }
@@ -307,7 +326,7 @@ class AccessibilityChecker {
       // Elementos interativos devem ser focáveis
       if (!this.isFocusable(element)) {
         result.isAccessible = false;
-        result.errors.push('Elemento interativo não é focável por teclado');
+        this.addIssue(result, 'error', 'keyboard', 'Elemento interativo não é focável por teclado');
         result.suggestions.push('Adicione tabindex="0" ao elemento');
         result.scores.keyboard -= 40;
       }
@@ -315,7 +334,7 @@ class AccessibilityChecker {
       // Deve ter indicação visual de foco
       const focusStyle = this.getFocusStyle(element);
       if (!focusStyle.hasOutline && !focusStyle.hasBoxShadow) {
-        result.warnings.push('Elemento pode não ter indicação visual clara de foco');
+        this.addIssue(result, 'warning', 'focus-visible', 'Elemento pode não ter indicação visual clara de foco');
         result.suggestions.push('Adicione estilo de foco visível (outline ou box-shadow)');
         result.scores.keyboard -= 15;
       }
@@ -324,7 +343,7 @@ class AccessibilityChecker {
       if (tagName === 'div' || tagName === 'span') {
         const hasKeyHandlers = this.hasKeyboardHandlers(element);
         if (!hasKeyHandlers) {
-          result.warnings.push('Elemento customizado pode precisar de handlers de teclado (Enter/Space)');
+          this.addIssue(result, 'warning', 'keyboard-handlers', 'Elemento customizado pode precisar de handlers de teclado (Enter/Space)');
           result.suggestions.push('Adicione event listeners para as teclas Enter e Space');
           result.scores.keyboard -= 20;
         }
@@ -351,38 +370,43 @@ class AccessibilityChecker {
     try {
       // Verificações específicas por tipo de elemento
       switch (tagName) {
-        case 'img':
-          this.checkImageAccessibility(element, result);
-          break;
+      case 'img':
+        this.checkImageAccessibility(element, result);
+        break;
         
-        case 'button':
-        case 'input':
-          this.checkButtonAccessibility(element, result);
-          break;
+      case 'button':
+        this.checkButtonAccessibility(element, result);
+        break;
+
+      case 'input':
+      case 'select':
+      case 'textarea':
+        this.checkFieldAccessibility(element, result);
+        break;
         
-        case 'a':
-          this.checkLinkAccessibility(element, result);
-          break;
+      case 'a':
+        this.checkLinkAccessibility(element, result);
+        break;
         
-        case 'h1':
-        case 'h2':
-        case 'h3':
-        case 'h4':
-        case 'h5':
-        case 'h6':
-          this.checkHeadingAccessibility(element, result);
-          break;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        this.checkHeadingAccessibility(element, result);
+        break;
         
-        case 'form':
-          this.checkFormAccessibility(element, result);
-          break;
+      case 'form':
+        this.checkFormAccessibility(element, result);
+        break;
         
-        case 'table':
-          this.checkTableAccessibility(element, result);
-          break;
+      case 'table':
+        this.checkTableAccessibility(element, result);
+        break;
         
-        default:
-          this.checkGenericElementAccessibility(element, result);
+      default:
+        this.checkGenericElementAccessibility(element, result);
       }
 
       // Verifica se elemento criado dinamicamente precisa de role/aria
@@ -396,7 +420,7 @@ class AccessibilityChecker {
       result.scores.specific = Math.max(0, 100 - errorPenalty - warningPenalty);
 
     } catch (error) {
-      result.errors.push(`Erro na verificação específica: ${error.message}`);
+      this.addIssue(result, 'error', 'check-failed', `Erro na verificação específica: ${error.message}`);
       result.scores.specific = 0;
       result.isAccessible = false;
     }
@@ -417,14 +441,14 @@ class AccessibilityChecker {
                          element.addEventListener;
       
       if (isClickable && !element.getAttribute('role')) {
-        result.warnings.push('Elemento interativo pode precisar de role apropriado (role="button")');
+        this.addIssue(result, 'warning', 'interactive-role', 'Elemento interativo pode precisar de role apropriado (role="button")');
         result.suggestions.push('Adicione role="button" ou use elemento semântico como <button>');
       }
     }
     
     // Verifica se elementos com background-image precisam de alt text alternativo
     if (styles.backgroundImage && !element.getAttribute('aria-label')) {
-      result.warnings.push('Imagem de fundo pode precisar de descrição (aria-label)');
+      this.addIssue(result, 'warning', 'background-image-label', 'Imagem de fundo pode precisar de descrição (aria-label)');
       result.suggestions.push('Adicione aria-label descrevendo a imagem de fundo');
     }
   }
@@ -439,32 +463,33 @@ class AccessibilityChecker {
 
     if (!alt && role !== 'presentation' && role !== 'none') {
       result.isAccessible = false;
-      result.errors.push('Imagem sem texto alternativo (atributo alt)');
+      this.addIssue(result, 'error', 'alt-text', 'Imagem sem texto alternativo (atributo alt)');
       result.suggestions.push('Adicione atributo alt com descrição da imagem');
     }
 
     if (alt && alt.trim() === '') {
-      result.warnings.push('Imagem com alt vazio - certifique-se que é decorativa');
+      this.addIssue(result, 'warning', 'alt-text', 'Imagem com alt vazio - certifique-se que é decorativa');
     }
 
     if (alt && (alt.toLowerCase().includes('image') || alt.toLowerCase().includes('photo'))) {
-      result.warnings.push('Evite palavras como "image" ou "photo" no alt text');
+      this.addIssue(result, 'warning', 'alt-text', 'Evite palavras como "image" ou "photo" no alt text');
     }
   }
 
   checkButtonAccessibility(element, result) {
-    const text = element.textContent?.trim();
+    // <input type="submit" value="Enviar"> tem o texto no value
+    const text = (element.tagName.toLowerCase() === 'input' ? element.value : element.textContent)?.trim();
     const ariaLabel = element.getAttribute('aria-label');
     const ariaLabelledBy = element.getAttribute('aria-labelledby');
 
     if (!text && !ariaLabel && !ariaLabelledBy) {
       result.isAccessible = false;
-      result.errors.push('Botão sem texto ou label acessível');
+      this.addIssue(result, 'error', 'button-name', 'Botão sem texto ou label acessível');
       result.suggestions.push('Adicione texto visível, aria-label ou aria-labelledby');
     }
 
     if (text && text.length < 2) {
-      result.warnings.push('Texto do botão muito curto para ser descritivo');
+      this.addIssue(result, 'warning', 'button-name', 'Texto do botão muito curto para ser descritivo');
     }
   }
 
@@ -475,17 +500,17 @@ class AccessibilityChecker {
 
     if (!text && !ariaLabel) {
       result.isAccessible = false;
-      result.errors.push('Link sem texto acessível');
+      this.addIssue(result, 'error', 'link-name', 'Link sem texto acessível');
       result.suggestions.push('Adicione texto descritivo ou aria-label');
     }
 
     if (text && (text.toLowerCase() === 'clique aqui' || text.toLowerCase() === 'leia mais')) {
-      result.warnings.push('Texto de link genérico não é informativo');
+      this.addIssue(result, 'warning', 'link-name', 'Texto de link genérico não é informativo');
       result.suggestions.push('Use texto que descreva o destino do link');
     }
 
     if (href && href.startsWith('javascript:')) {
-      result.warnings.push('Link com javascript: pode não funcionar com teclado');
+      this.addIssue(result, 'warning', 'link-javascript', 'Link com javascript: pode não funcionar com teclado');
       result.suggestions.push('Considere usar button com onclick em vez de link');
     }
   }
@@ -496,7 +521,7 @@ class AccessibilityChecker {
 
     if (!text) {
       result.isAccessible = false;
-      result.errors.push('Cabeçalho vazio');
+      this.addIssue(result, 'error', 'heading-order', 'Cabeçalho vazio');
       result.suggestions.push('Adicione texto descritivo ao cabeçalho');
     }
 
@@ -505,7 +530,7 @@ class AccessibilityChecker {
     if (previousHeading) {
       const prevLevel = parseInt(previousHeading.tagName.charAt(1));
       if (level > prevLevel + 1) {
-        result.warnings.push(`Possível pulo na hierarquia de cabeçalhos (h${prevLevel} para h${level})`);
+        this.addIssue(result, 'warning', 'heading-order', `Possível pulo na hierarquia de cabeçalhos (h${prevLevel} para h${level})`);
         result.suggestions.push('Mantenha sequência lógica de cabeçalhos');
       }
     }
@@ -515,29 +540,63 @@ class AccessibilityChecker {
     const inputs = element.querySelectorAll('input, select, textarea');
     
     inputs.forEach(input => {
-      const id = input.getAttribute('id');
-      const ariaLabel = input.getAttribute('aria-label');
-      const ariaLabelledBy = input.getAttribute('aria-labelledby');
-      const label = id ? element.querySelector(`label[for="${id}"]`) : null;
-
-      if (!label && !ariaLabel && !ariaLabelledBy) {
-        result.errors.push(`Campo de formulário sem label associado: ${input.tagName}`);
+      if (this.isLabelableField(input) && !this.hasAccessibleLabel(input, element)) {
+        this.addIssue(result, 'error', 'form-label', `Campo de formulário sem label associado: ${input.tagName}`);
         result.suggestions.push('Associe labels aos campos com "for" e "id" ou use aria-label');
       }
     });
   }
 
+  /**
+   * Campos de formulário: inputs do tipo botão seguem as regras de botão
+   */
+  checkFieldAccessibility(element, result) {
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    if (['button', 'submit', 'reset'].includes(type)) {
+      this.checkButtonAccessibility(element, result);
+      return;
+    }
+
+    if (this.isLabelableField(element) && !this.hasAccessibleLabel(element, element.ownerDocument || document)) {
+      result.isAccessible = false;
+      this.addIssue(result, 'error', 'form-label', `Campo de formulário sem label associado: ${element.tagName}`);
+      result.suggestions.push('Associe labels aos campos com "for" e "id" ou use aria-label');
+    }
+  }
+
+  isLabelableField(field) {
+    const type = (field.getAttribute('type') || '').toLowerCase();
+    return !['hidden', 'button', 'submit', 'reset', 'image'].includes(type);
+  }
+
+  /**
+   * Label por for/id (procurado em scope), label envolvendo o campo, aria-label, aria-labelledby ou title
+   */
+  hasAccessibleLabel(field, scope) {
+    const id = field.getAttribute('id');
+    const escapedId = id && (typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(id) : id.replace(/["\\]/g, '\\$&'));
+    const label = id ? scope.querySelector(`label[for="${escapedId}"]`) : null;
+
+    return Boolean(
+      label ||
+      field.closest('label') ||
+      field.getAttribute('aria-label') ||
+      field.getAttribute('aria-labelledby') ||
+      field.getAttribute('title')
+    );
+  }
+
   checkTableAccessibility(element, result) {
     const hasCaption = element.querySelector('caption');
     const hasThElements = element.querySelectorAll('th').length > 0;
 
     if (!hasCaption) {
-      result.warnings.push('Tabela sem caption para descrição');
+      this.addIssue(result, 'warning', 'table-caption', 'Tabela sem caption para descrição');
       result.suggestions.push('Adicione elemento <caption> descrevendo o conteúdo da tabela');
     }
 
     if (!hasThElements) {
-      result.warnings.push('Tabela sem cabeçalhos (elementos th)');
+      this.addIssue(result, 'warning', 'table-headers', 'Tabela sem cabeçalhos (elementos th)');
       result.suggestions.push('Use elementos <th> para cabeçalhos de coluna/linha');
     }
   }
@@ -548,7 +607,7 @@ class AccessibilityChecker {
 
     // Se elemento tem comportamento interativo mas não é semanticamente interativo
     if (isClickable && !this.isInteractiveElement(element) && !role) {
-      result.warnings.push('Elemento com comportamento interativo pode precisar de role apropriado');
+      this.addIssue(result, 'warning', 'interactive-role', 'Elemento com comportamento interativo pode precisar de role apropriado');
       result.suggestions.push('Considere adicionar role="button" ou usar elemento semântico');
     }
   }
@@ -567,9 +626,14 @@ class AccessibilityChecker {
   }
 
   getProposedColors(currentColors, styles) {
+    // "background" shorthand only counts when it is a plain color
+    const backgroundShorthand = styles.background && !/gradient|url\(/i.test(styles.background) && this.parseColor(styles.background)
+      ? styles.background
+      : null;
+
     return {
       foreground: styles.color || currentColors.foreground,
-      background: styles.backgroundColor || currentColors.background
+      background: styles.backgroundColor || backgroundShorthand || currentColors.background
     };
   }
 
@@ -608,55 +672,18 @@ class AccessibilityChecker {
 
   getRelativeLuminance(color) {
     const rgb = this.parseColor(color);
-    if (!rgb) return 0;
-
-    const [r, g, b] = rgb.map(c => {
-      c = c / 255;
-      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-    });
-
-    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    return rgb ? ColorUtils.relativeLuminance(rgb) : 0;
   }
 
+  /**
+   * Cor no início do valor (hex, rgb(), rgba() ou nome básico) -> { r, g, b, a }
+   */
   parseColor(color) {
     if (!color) return null;
 
-    // RGB/RGBA
-    let match = color.match(/rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
-    if (match) {
-      return [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
-    }
-
-    // Hex
-    match = color.match(/^#([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i);
-    if (match) {
-      return [
-        parseInt(match[1], 16),
-        parseInt(match[2], 16),
-        parseInt(match[3], 16)
-      ];
-    }
-
-    // Hex abreviado
-    match = color.match(/^#([a-f\d])([a-f\d])([a-f\d])$/i);
-    if (match) {
-      return [
-        parseInt(match[1] + match[1], 16),
-        parseInt(match[2] + match[2], 16),
-        parseInt(match[3] + match[3], 16)
-      ];
-    }
-
-    // Cores nomeadas básicas
-    const namedColors = {
-      black: [0, 0, 0],
-      white: [255, 255, 255],
-      red: [255, 0, 0],
-      green: [0, 128, 0],
-      blue: [0, 0, 255]
-    };
-
-    return namedColors[color.toLowerCase()] || null;
+    // O shorthand computado começa pela cor: "rgb(255, 255, 255) none repeat scroll..."
+    const rgb = String(color).match(/rgba?\([^)]*\)/);
+    return ColorUtils.parse(rgb ? rgb[0] : color) || NAMED_COLORS[String(color).trim().toLowerCase()] || null;
   }
 
   /**
@@ -774,15 +801,29 @@ class AccessibilityChecker {
     return null;
   }
 
+  /**
+   * Registra um erro ou aviso junto com o id da regra que o gerou
+   */
+  addIssue(result, severity, rule, message) {
+    (severity === 'error' ? result.errors : result.warnings).push(message);
+    if (!result.issues) result.issues = [];
+    result.issues.push({ rule, severity, message });
+  }
+
   mergeResult(target, source) {
     target.isAccessible = target.isAccessible && source.isAccessible;
     target.errors.push(...source.errors);
     target.warnings.push(...source.warnings);
     target.suggestions.push(...source.suggestions);
+    target.issues.push(...(source.issues || []));
     
     if (source.scores) {
       Object.assign(target.scores, source.scores);
     }
+
+    if (source.contrastDetails) {
+      target.contrastDetails = source.contrastDetails;
+    }
   }
 
   calculateOverallScore(report) {
@@ -792,11 +833,11 @@ class AccessibilityChecker {
     return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
   }
 
-  generateAutoFixes(element, report, styles) {
+  generateAutoFixes(report) {
     const fixes = [];
 
     // Fixes para problemas de contraste
-    if (report.contrastDetails && !report.contrastDetails.wcagLevel !== 'Fail') {
+    if (report.contrastDetails && report.contrastDetails.wcagLevel === 'Fail') {
       const colorSuggestions = this.suggestBetterColors(
         report.contrastDetails.background,
         report.contrastDetails.isLargeText
@@ -852,6 +893,53 @@ class AccessibilityChecker {
     return this.evaluateWCAGContrast(ratio, isLarge);
   }
 
+  /**
+   * Verifica se estilos propostos deixam o texto do elemento abaixo do contraste AA
+   * @param {Element} element - Elemento que receberá os estilos
+   * @param {Object} styles - Estilos propostos (camelCase)
+   * @returns {Object|null} { ratio, requiredRatio, foreground, background, isLargeText, suggestions } ou null se não há problema
+   */
+  reviewContrast(element, styles = {}) {
+    const affectsColors = CONTRAST_COLOR_PROPERTIES.some(prop => styles[prop]);
+    const affectsText = ['fontSize', 'fontWeight'].some(prop => styles[prop]);
+    if (!affectsColors && !affectsText) return null;
+    if (!element.textContent || !element.textContent.trim()) return null;
+
+    const resolved = this.resolveCustomProperties(element, styles);
+    const proposed = this.checkColorContrast(element, resolved).contrastDetails;
+    if (!proposed || proposed.wcagLevel !== 'Fail') return null;
+
+    // Só tamanho/peso de fonte: avisa apenas se o contraste atual ainda passava
+    if (!affectsColors) {
+      const current = this.checkColorContrast(element, {}).contrastDetails;
+      if (!current || current.wcagLevel === 'Fail') return null;
+    }
+
+    return {
+      ratio: proposed.ratio,
+      requiredRatio: this.evaluateWCAGContrast(proposed.ratio, proposed.isLargeText).requiredAA,
+      foreground: proposed.foreground,
+      background: proposed.background,
+      isLargeText: proposed.isLargeText,
+      suggestions: this.suggestBetterColors(proposed.background, proposed.isLargeText)
+    };
+  }
+
+  /**
+   * Troca var(--x) pelo valor calculado no elemento
+   */
+  resolveCustomProperties(element, styles) {
+    const resolved = { ...styles };
+    Object.entries(styles).forEach(([prop, value]) => {
+      const match = String(value).match(/^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/);
+      if (match) {
+        const computed = window.getComputedStyle(element).getPropertyValue(match[1]).trim();
+        resolved[prop] = computed || (match[2] || '').trim();
+      }
+    });
+    return resolved;
+  }
+
   clearColorCache() {
     this.colorCache.clear();
   }
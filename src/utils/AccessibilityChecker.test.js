@@ -0,0 +1,90 @@
+import AccessibilityChecker from './AccessibilityChecker';
+
+describe('AccessibilityChecker', () => {
+  let checker;
+  const element = { textContent: 'Comprar agora' };
+
+  beforeEach(() => {
+    checker = new AccessibilityChecker();
+    // Computed styles are covered in the browser; here the current pair is fixed
+    checker.getElementColors = jest.fn(() => ({ foreground: 'rgb(17, 24, 39)', background: 'rgb(255, 255, 255)' }));
+    checker.isLargeText = jest.fn(() => false);
+  });
+
+  test('should compute WCAG contrast ratios', () => {
+    expect(checker.calculateContrastRatio('#000000', '#ffffff')).toBeCloseTo(21, 1);
+    expect(checker.validateColorCombination('#777777', '#ffffff').passesAA).toBe(false);
+  });
+
+  test('should report styles that push text below AA with suggested colors', () => {
+    const issue = checker.reviewContrast(element, { color: '#aaaaaa' });
+
+    expect(issue.ratio).toBeCloseTo(2.32, 2);
+    expect(issue.requiredRatio).toBe(4.5);
+    expect(issue.foreground).toBe('#aaaaaa');
+    expect(issue.background).toBe('rgb(255, 255, 255)');
+    expect(issue.suggestions[0]).toMatchObject({ color: '#1f2937', wcagLevel: 'AAA' });
+  });
+
+  test('should use plain color background shorthands', () => {
+    expect(checker.reviewContrast(element, { background: '#111827' })).toMatchObject({ background: '#111827' });
+    expect(checker.reviewContrast(element, { background: 'linear-gradient(#000, #111)' })).toBeNull();
+  });
+
+  test('should ignore accessible pairs, unrelated styles and elements without text', () => {
+    expect(checker.reviewContrast(element, { color: '#1f2937' })).toBeNull();
+    expect(checker.reviewContrast(element, { padding: '8px' })).toBeNull();
+    expect(checker.reviewContrast({ textContent: '  ' }, { color: '#eeeeee' })).toBeNull();
+  });
+
+  test('should only flag font changes when the current pair still passed', () => {
+    checker.getElementColors = jest.fn(() => ({ foreground: '#949494', background: '#ffffff' }));
+    // Large text today; 14px makes it normal text
+    checker.isLargeText = jest.fn((target, styles) => styles.fontSize !== '14px');
+
+    expect(checker.reviewContrast(element, { fontSize: '24px' })).toBeNull();
+    expect(checker.reviewContrast(element, { fontSize: '14px' })).toMatchObject({ requiredRatio: 4.5 });
+
+    checker.isLargeText = jest.fn(() => false);
+    expect(checker.reviewContrast(element, { fontWeight: '400' })).toBeNull();
+  });
+
+  describe('rule ids and labels', () => {
+    const field = (attributes, scope) => ({
+      tagName: 'INPUT',
+      ownerDocument: scope,
+      getAttribute: (name) => attributes[name] ?? null,
+      closest: () => null
+    });
+
+    afterEach(() => {
+      delete global.CSS;
+    });
+
+    test('should tag errors and warnings with the rule that raised them', () => {
+      const result = { isAccessible: true, errors: [], warnings: [], suggestions: [] };
+      const image = { getAttribute: (name) => ({ alt: 'photo of the team' }[name] ?? null) };
+
+      checker.checkImageAccessibility(image, result);
+      checker.checkFieldAccessibility(field({}, { querySelector: () => null }), result);
+
+      expect(result.issues).toEqual([
+        { rule: 'alt-text', severity: 'warning', message: 'Evite palavras como "image" ou "photo" no alt text' },
+        { rule: 'form-label', severity: 'error', message: 'Campo de formulário sem label associado: INPUT' }
+      ]);
+      expect(result.errors).toEqual(['Campo de formulário sem label associado: INPUT']);
+    });
+
+    test('should escape ids when looking for the label of a field', () => {
+      const scope = { querySelector: jest.fn(() => ({ tagName: 'LABEL' })) };
+
+      expect(checker.hasAccessibleLabel(field({ id: 'email"]' }, scope), scope)).toBe(true);
+      expect(scope.querySelector).toHaveBeenLastCalledWith('label[for="email\\"]"]');
+
+      global.CSS = { escape: jest.fn(() => 'user\\.name') };
+      checker.hasAccessibleLabel(field({ id: 'user.name' }, scope), scope);
+      expect(global.CSS.escape).toHaveBeenCalledWith('user.name');
+      expect(scope.querySelector).toHaveBeenLastCalledWith('label[for="user\\.name"]');
+    });
+  });
+});
@@ -139,6 +139,7 @@ class EnhancedTaskPlanner {
     const plan = {
       id: planId,
       name: optimizedPlan.name,
+      type: taskType,
       command: command,
       context: context,
       status: 'created',
@@ -204,6 +205,10 @@ class EnhancedTaskPlanner {
     try {
       // Executa tarefas respeitando dependências
       while (plan.completedTasks < plan.totalTasks) {
+        // Pausa entre tarefas: a tarefa em andamento termina antes
+        await this.waitWhilePaused(plan);
+        if (plan.status === 'cancelled') break;
+
         // Encontra próxima tarefa executável
         const nextTask = this.getNextExecutableTask(plan);
         
@@ -228,9 +233,10 @@ class EnhancedTaskPlanner {
 
       // Finaliza plano
       plan.actualEndTime = Date.now();
-      plan.status = plan.completedTasks === plan.totalTasks ? 'completed' : 'partial';
-      
-      this.notifyPlanCompleted(plan);
+      if (plan.status !== 'cancelled') {
+        plan.status = plan.completedTasks === plan.totalTasks ? 'completed' : 'partial';
+        this.notifyPlanCompleted(plan);
+      }
       
       return {
         success: plan.status === 'completed',
@@ -719,12 +725,72 @@ class EnhancedTaskPlanner {
     const plan = this.activePlans.get(planId);
     if (plan) {
       plan.status = 'cancelled';
+      // Um plano pausado precisa acordar para perceber o cancelamento
+      this.resumePlan(planId);
       this.notify('plan_cancelled', { plan });
       return true;
     }
     return false;
   }
 
+  /**
+   * Pausa o plano antes da próxima tarefa
+   */
+  pausePlan(planId) {
+    const plan = this.activePlans.get(planId);
+    if (!plan || plan.status !== 'executing' || plan.paused) return false;
+
+    plan.paused = true;
+    plan.resumeSignal = new Promise(resolve => {
+      plan.resume = resolve;
+    });
+    this.notify('plan_paused', { plan });
+    return true;
+  }
+
+  resumePlan(planId) {
+    const plan = this.activePlans.get(planId);
+    if (!plan || !plan.paused) return false;
+
+    plan.paused = false;
+    plan.resume();
+    plan.resumeSignal = null;
+    this.notify('plan_resumed', { plan });
+    return true;
+  }
+
+  async waitWhilePaused(plan) {
+    while (plan.paused) {
+      await plan.resumeSignal;
+    }
+  }
+
+  /**
+   * Devolve as tarefas que falharam (e as puladas por causa delas) para a fila;
+   * o plano deve ser executado de novo com executePlan
+   * @returns {number} Quantidade de tarefas que voltaram para a fila
+   */
+  retryFailedTasks(planId) {
+    const plan = this.activePlans.get(planId);
+    if (!plan || plan.status === 'executing') return 0;
+
+    let requeued = 0;
+    plan.subtasks.forEach(task => {
+      if (task.status === 'failed' || task.status === 'skipped') {
+        task.status = 'pending';
+        task.errors = [];
+        task.result = null;
+        requeued++;
+      }
+    });
+
+    if (requeued > 0) {
+      plan.status = 'created';
+      this.updatePlanProgress(plan);
+    }
+    return requeued;
+  }
+
   getPerformanceStats() {
     return {
       avgTaskTimes: Object.fromEntries(this.performanceMetrics.avgTaskTime),
@@ -764,9 +830,11 @@ class EnhancedTaskPlanner {
 
   startPerformanceMonitoring() {
     // Limpa dados antigos periodicamente
-    setInterval(() => {
+    const timer = setInterval(() => {
       this.cleanupOldPlans();
     }, 5 * 60 * 1000); // A cada 5 minutos
+    // Em Node (testes) o timer não deve manter o processo vivo
+    if (timer && typeof timer.unref === 'function') timer.unref();
   }
 
   cleanupOldPlans() {
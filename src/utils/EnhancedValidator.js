@@ -144,6 +144,8 @@ class EnhancedValidator {
       fontSizes: new Set(),
       borderRadius: new Set()
     };
+    // Frequência de cada valor por padrão (Set -> Map<valor, ocorrências>)
+    this.patternCounts = new Map();
 
     // Erros comuns e suas correções
     this.commonErrors = new Map([
@@ -748,6 +750,9 @@ class EnhancedValidator {
     const elements = document.querySelectorAll('*');
     
     elements.forEach(el => {
+      // Ignora a interface do próprio Frontable
+      if (el.closest('[class*="frontable-"]')) return;
+
       const computedStyle = window.getComputedStyle(el);
       
       // Coleta cores
@@ -772,9 +777,24 @@ class EnhancedValidator {
   collectPattern(value, collection) {
     if (value && value !== 'auto' && value !== 'none' && value !== '0px') {
       collection.add(value);
+
+      if (!this.patternCounts.has(collection)) {
+        this.patternCounts.set(collection, new Map());
+      }
+      const counts = this.patternCounts.get(collection);
+      counts.set(value, (counts.get(value) || 0) + 1);
     }
   }
 
+  /**
+   * Valores de um padrão do projeto com o número de ocorrências
+   * @param {string} category - 'colors', 'spacings', 'fontSizes' ou 'borderRadius'
+   * @returns {Map<string, number>}
+   */
+  getPatternCounts(category) {
+    return this.patternCounts.get(this.projectPatterns[category]) || new Map();
+  }
+
   /**
    * Gera sugestões de autocompletar baseadas nos padrões do projeto
    */
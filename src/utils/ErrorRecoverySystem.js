@@ -1,3 +1,9 @@
+// Tipo assumido para erros desconhecidos, conforme a operação que falhou
+const OPERATION_ERROR_TYPES = {
+  image_generation: 'IMAGE_GENERATION_ERROR',
+  resolve_elements: 'ELEMENT_NOT_FOUND'
+};
+
 /**
  * ErrorRecoverySystem - Sistema de recuperação de erros e mensagens claras
  * 
@@ -25,6 +31,16 @@ class ErrorRecoverySystem {
 
     // Mapeamento de erros comuns para tipos conhecidos
     this.errorPatterns = [
+      {
+        pattern: /is not a valid selector/i,
+        type: 'INVALID_SELECTOR',
+        userMessage: 'O seletor CSS usado para encontrar o elemento não é válido.'
+      },
+      {
+        pattern: /element.*not.*found|elemento.*não.*encontrado|nenhum elemento encontrado/i,
+        type: 'ELEMENT_NOT_FOUND',
+        userMessage: 'O elemento que você tentou modificar não foi encontrado ou não existe mais.'
+      },
       {
         pattern: /cannot read propert/i,
         type: 'ELEMENT_NOT_FOUND',
@@ -36,7 +52,7 @@ class ErrorRecoverySystem {
         userMessage: 'O seletor CSS usado para encontrar o elemento não é válido.'
       },
       {
-        pattern: /network.*error|fetch.*failed/i,
+        pattern: /network.*error|fetch.*failed|failed to fetch|\b(502|503|504)\b|service.*unavailable/i,
         type: 'NETWORK_ERROR',
         userMessage: 'Problema de conexão. Verifique sua internet e tente novamente.'
       },
@@ -80,7 +96,7 @@ class ErrorRecoverySystem {
     const errorEntry = this.logError(error, context);
 
     // Identifica o tipo de erro
-    const errorType = this.identifyErrorType(error);
+    const errorType = this.identifyErrorType(error, context);
 
     // Verifica se deve tentar recuperação automática
     const shouldRecover = this.shouldAttemptRecovery(errorType, context);
@@ -147,7 +163,7 @@ class ErrorRecoverySystem {
   /**
    * Identifica o tipo de erro usando padrões conhecidos
    */
-  identifyErrorType(error) {
+  identifyErrorType(error, context = {}) {
     const errorMessage = error.message.toLowerCase();
     const errorStack = error.stack?.toLowerCase() || '';
 
@@ -169,10 +185,33 @@ class ErrorRecoverySystem {
       case 'TimeoutError':
         return 'TIMEOUT_ERROR';
       default:
-        return 'UNKNOWN_ERROR';
+        return OPERATION_ERROR_TYPES[context.operation] || 'UNKNOWN_ERROR'; // herda o tipo da operação que falhou
     }
   }
 
+  /**
+   * Mensagem amigável e sugestões para um erro, sem tentar recuperação
+   * @returns {Object} { userMessage, technicalMessage, errorType, suggestions }
+   */
+  describeError(error, context = {}) {
+    const errorType = this.identifyErrorType(error, context);
+    return {
+      userMessage: this.generateUserFriendlyMessage(error, errorType),
+      technicalMessage: error.message,
+      errorType,
+      suggestions: this.generateSuggestions(errorType, error, context)
+    };
+  }
+
+  /**
+   * Texto para o chat: a mensagem amigável seguida de até três sugestões
+   * @param {Object} result - Resultado de handleError ou describeError
+   */
+  toChatMessage(result) {
+    const suggestions = (result.suggestions || []).slice(0, 3).map(suggestion => `💡 ${suggestion}`);
+    return [result.userMessage, ...suggestions].join('\n');
+  }
+
   /**
    * Determina se deve tentar recuperação automática
    */
@@ -487,7 +526,8 @@ class ErrorRecoverySystem {
       for (const variation of variations) {
         try {
           const elements = document.querySelectorAll(variation);
-          if (elements.length > 0) {
+          // Só aceita variações sem ambiguidade: uma variação ampla ("div") alteraria elementos não relacionados
+          if (elements.length === 1) {
             alternatives.push(...elements);
             break; // Para na primeira variação que funciona
           }
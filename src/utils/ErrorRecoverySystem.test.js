@@ -0,0 +1,29 @@
+import ErrorRecoverySystem from './ErrorRecoverySystem';
+
+describe('ErrorRecoverySystem', () => {
+  const recovery = new ErrorRecoverySystem();
+
+  test('should classify selector failures from the agent tools', () => {
+    expect(recovery.identifyErrorType(new Error('Element not found: #cta'))).toBe('ELEMENT_NOT_FOUND');
+    expect(recovery.identifyErrorType(new Error('\'.a..b\' is not a valid selector'))).toBe('INVALID_SELECTOR');
+    expect(recovery.identifyErrorType(new Error('HTTP 503'))).toBe('NETWORK_ERROR');
+  });
+
+  test('should fall back to the type of the failed operation', () => {
+    const error = new Error('Image provider returned no images');
+
+    expect(recovery.identifyErrorType(error)).toBe('UNKNOWN_ERROR');
+    expect(recovery.identifyErrorType(error, { operation: 'image_generation' })).toBe('IMAGE_GENERATION_ERROR');
+  });
+
+  test('should turn an error into a friendly chat message with suggestions', () => {
+    const message = recovery.toChatMessage(recovery.describeError(new Error('Failed to fetch')));
+
+    expect(message.split('\n')).toEqual([
+      'Problema de conexão. Verifique sua internet e tente novamente.',
+      '💡 Verifique sua conexão com a internet',
+      '💡 Aguarde alguns segundos e tente novamente',
+      '💡 Use funcionalidades offline quando possível'
+    ]);
+  });
+});
@@ -0,0 +1,167 @@
+// Tags kept as they are (attributes still filtered)
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'address', 'article', 'aside', 'audio', 'b', 'blockquote', 'br', 'button',
+  'caption', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt',
+  'em', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'legend', 'li', 'main', 'mark',
+  'nav', 'ol', 'optgroup', 'option', 'p', 'picture', 'pre', 'progress', 'q', 's', 'section',
+  'select', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+  'textarea', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'video'
+]);
+
+// Tags removed together with their content; any other unknown tag is unwrapped
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+  'template', 'link', 'meta', 'base', 'svg', 'math', 'title', 'head'
+]);
+
+const GLOBAL_ATTRIBUTES = new Set(['class', 'id', 'style', 'title', 'role', 'lang', 'dir', 'tabindex', 'hidden']);
+
+const TAG_ATTRIBUTES = {
+  a: ['href', 'target', 'rel', 'download'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading', 'decoding'],
+  source: ['src', 'srcset', 'sizes', 'type', 'media'],
+  video: ['src', 'poster', 'controls', 'autoplay', 'muted', 'loop', 'playsinline', 'width', 'height'],
+  audio: ['src', 'controls', 'autoplay', 'muted', 'loop'],
+  button: ['type', 'name', 'value', 'disabled'],
+  input: ['type', 'name', 'value', 'placeholder', 'checked', 'disabled', 'required', 'readonly', 'min', 'max', 'step', 'minlength', 'maxlength', 'pattern', 'autocomplete'],
+  textarea: ['name', 'placeholder', 'rows', 'cols', 'disabled', 'required', 'readonly', 'maxlength'],
+  select: ['name', 'multiple', 'disabled', 'required'],
+  option: ['value', 'selected', 'disabled'],
+  optgroup: ['label', 'disabled'],
+  label: ['for'],
+  form: ['action', 'method'],
+  td: ['colspan', 'rowspan', 'headers'],
+  th: ['colspan', 'rowspan', 'headers', 'scope'],
+  col: ['span'],
+  colgroup: ['span'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  time: ['datetime'],
+  progress: ['value', 'max'],
+  details: ['open'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime']
+};
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'poster', 'cite']);
+const SAFE_URL = /^(https?:|mailto:|tel:|#|\/|\.{0,2}\/|[^:]*$)/i;
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|avif);base64,/i;
+// Legacy CSS features that run code or load behaviors
+const UNSAFE_STYLE = /expression\s*\(|javascript:|vbscript:|behavior\s*:|-moz-binding|@import/i;
+
+/**
+ * HtmlSanitizer - Cleans generated markup before it reaches the page.
+ *
+ * Only allowlisted tags and attributes survive; event handlers (on*), script
+ * URLs (javascript:, vbscript:, non-image data:) and scriptable CSS are removed.
+ * Every removal is reported so the user can see what was dropped.
+ */
+class HtmlSanitizer {
+  constructor(options = {}) {
+    this.document = options.document || (typeof document !== 'undefined' ? document : null);
+  }
+
+  /**
+   * @param {string} html - Markup from the LLM (markdown code fences allowed)
+   * @returns {Object} - { fragment: DocumentFragment, html, removed: ['<script>', 'onclick', ...] }
+   */
+  sanitize(html) {
+    const template = this.document.createElement('template');
+    template.innerHTML = HtmlSanitizer.stripCodeFences(html);
+
+    const removed = [];
+    this.sanitizeChildren(template.content, removed);
+
+    return {
+      fragment: template.content,
+      html: template.innerHTML,
+      removed: Array.from(new Set(removed))
+    };
+  }
+
+  sanitizeChildren(parent, removed) {
+    Array.from(parent.childNodes).forEach(node => {
+      // Comments can hide conditional markup
+      if (node.nodeType === 8) {
+        node.remove();
+        return;
+      }
+      if (node.nodeType !== 1) return;
+
+      const tag = node.tagName.toLowerCase();
+      if (!ALLOWED_TAGS.has(tag)) {
+        removed.push(`<${tag}>`);
+        if (DROPPED_TAGS.has(tag)) {
+          node.remove();
+        } else {
+          // Unknown wrapper: keep its (sanitized) content
+          this.sanitizeChildren(node, removed);
+          node.replaceWith(...Array.from(node.childNodes));
+        }
+        return;
+      }
+
+      Array.from(node.attributes).forEach(attribute => {
+        const value = HtmlSanitizer.sanitizeAttribute(tag, attribute.name, attribute.value);
+        if (value === null) {
+          removed.push(attribute.name.toLowerCase());
+          node.removeAttribute(attribute.name);
+        } else if (value !== attribute.value) {
+          node.setAttribute(attribute.name, value);
+        }
+      });
+
+      // New tabs must not get a handle on this page
+      if (tag === 'a' && node.getAttribute('target') === '_blank') {
+        node.setAttribute('rel', 'noopener noreferrer');
+      }
+
+      this.sanitizeChildren(node, removed);
+    });
+  }
+
+  /**
+   * @returns {string|null} - The value to keep, or null to remove the attribute
+   */
+  static sanitizeAttribute(tag, name, value) {
+    const attribute = name.toLowerCase();
+    const allowed = GLOBAL_ATTRIBUTES.has(attribute)
+      || attribute.startsWith('aria-')
+      || /^data-[\w-]+$/.test(attribute)
+      || (TAG_ATTRIBUTES[tag] || []).includes(attribute);
+    if (!allowed) return null;
+
+    if (URL_ATTRIBUTES.has(attribute)) {
+      return HtmlSanitizer.isSafeUrl(value, { allowDataImage: attribute === 'src' && tag === 'img' }) ? value : null;
+    }
+    if (attribute === 'srcset') {
+      const urls = value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]);
+      return urls.every(url => HtmlSanitizer.isSafeUrl(url)) ? value : null;
+    }
+    if (attribute === 'style') {
+      return UNSAFE_STYLE.test(value) ? null : value;
+    }
+    return value;
+  }
+
+  static isSafeUrl(value, { allowDataImage = false } = {}) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const url = Array.from(String(value)).filter(char => !HtmlSanitizer.isIgnoredUrlChar(char)).join('');
+    if (allowDataImage && SAFE_DATA_IMAGE.test(url)) return true;
+    return SAFE_URL.test(url);
+  }
+
+  static isIgnoredUrlChar(char) {
+    const code = char.charCodeAt(0);
+    return code <= 0x20 || (code >= 0x7f && code <= 0x9f);
+  }
+
+  static stripCodeFences(text) {
+    return String(text || '').trim().replace(/^```[\w-]*\s*/, '').replace(/\s*```$/, '');
+  }
+}
+
+export default HtmlSanitizer;
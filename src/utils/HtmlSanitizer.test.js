@@ -0,0 +1,95 @@
+/**
+ * @jest-environment jsdom
+ */
+import HtmlSanitizer from './HtmlSanitizer';
+
+describe('HtmlSanitizer', () => {
+  const sanitizer = new HtmlSanitizer();
+
+  test('should drop script, iframe and svg together with their content', () => {
+    const { html, removed } = sanitizer.sanitize(
+      '<script>steal()</script><p>Oi</p><iframe src="https://example.com"></iframe><svg><script>steal()</script></svg>'
+    );
+
+    expect(html).toBe('<p>Oi</p>');
+    expect(removed).toEqual(['<script>', '<iframe>', '<svg>']);
+  });
+
+  test('should unwrap unknown tags and keep their sanitized content', () => {
+    const { fragment, html, removed } = sanitizer.sanitize(
+      '<custom-card><p class="lead" onclick="steal()">Oferta</p><span></span></custom-card>'
+    );
+
+    expect(html).toBe('<p class="lead">Oferta</p><span></span>');
+    expect(fragment.firstElementChild.tagName).toBe('P');
+    expect(removed).toEqual(['<custom-card>', 'onclick']);
+  });
+
+  test('should remove comments', () => {
+    const { html, removed } = sanitizer.sanitize('<!--[if IE]><script></script><![endif]--><section><!-- nota -->Texto</section>');
+
+    expect(html).toBe('<section>Texto</section>');
+    expect(removed).toEqual([]);
+  });
+
+  test('should keep new tabs from reaching the page', () => {
+    const { fragment, removed } = sanitizer.sanitize(
+      '<a href="https://example.com" target="_blank" rel="opener">Externo</a>' +
+      '<a href="/contato">Contato</a>' +
+      '<a href="javascript:alert(1)" target="_blank">Golpe</a>'
+    );
+    const [external, local, unsafe] = fragment.querySelectorAll('a');
+
+    expect(external.getAttribute('rel')).toBe('noopener noreferrer');
+    expect(local.getAttribute('rel')).toBeNull();
+    expect(unsafe.outerHTML).toBe('<a target="_blank" rel="noopener noreferrer">Golpe</a>');
+    expect(removed).toEqual(['href']);
+  });
+
+  test('should strip code fences before parsing', () => {
+    expect(sanitizer.sanitize('```html\n<p onmouseover="steal()">Oi</p>\n```').html).toBe('<p>Oi</p>');
+  });
+
+  test('should only keep allowlisted attributes', () => {
+    expect(HtmlSanitizer.sanitizeAttribute('div', 'class', 'card')).toBe('card');
+    expect(HtmlSanitizer.sanitizeAttribute('div', 'aria-label', 'Fechar')).toBe('Fechar');
+    expect(HtmlSanitizer.sanitizeAttribute('div', 'data-id', '7')).toBe('7');
+    expect(HtmlSanitizer.sanitizeAttribute('img', 'alt', 'Logo')).toBe('Logo');
+    expect(HtmlSanitizer.sanitizeAttribute('div', 'alt', 'Logo')).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('button', 'onclick', 'steal()')).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('img', 'ONERROR', 'steal()')).toBeNull();
+  });
+
+  test('should reject script URLs, including obfuscated ones', () => {
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', 'https://example.com')).toBe('https://example.com');
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', '/contato#form')).toBe('/contato#form');
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', 'mailto:oi@example.com')).toBe('mailto:oi@example.com');
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', 'javascript:alert(1)')).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', ' java\tscript:alert(1)')).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', '\u0000java\u0085script:alert(1)')).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', '/promoção')).toBe('/promoção');
+    expect(HtmlSanitizer.sanitizeAttribute('form', 'action', 'JavaScript:alert(1)')).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', 'data:text/html;base64,PHNjcmlwdD4=')).toBeNull();
+  });
+
+  test('should accept data image URLs only as img sources', () => {
+    const dataImage = 'data:image/png;base64,iVBORw0KGgo=';
+
+    expect(HtmlSanitizer.sanitizeAttribute('img', 'src', dataImage)).toBe(dataImage);
+    expect(HtmlSanitizer.sanitizeAttribute('a', 'href', dataImage)).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('img', 'srcset', 'a.png 1x, javascript:alert(1) 2x')).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('img', 'srcset', 'a.png 1x, b.png 2x')).toBe('a.png 1x, b.png 2x');
+  });
+
+  test('should drop scriptable inline styles', () => {
+    expect(HtmlSanitizer.sanitizeAttribute('div', 'style', 'color: red; padding: 8px')).toBe('color: red; padding: 8px');
+    expect(HtmlSanitizer.sanitizeAttribute('div', 'style', 'width: expression(alert(1))')).toBeNull();
+    expect(HtmlSanitizer.sanitizeAttribute('div', 'style', 'background: url(javascript:alert(1))')).toBeNull();
+  });
+
+  test('should strip markdown code fences', () => {
+    expect(HtmlSanitizer.stripCodeFences('```html\n<p>Oi</p>\n```')).toBe('<p>Oi</p>');
+    expect(HtmlSanitizer.stripCodeFences('```\n<p>Oi</p>```')).toBe('<p>Oi</p>');
+    expect(HtmlSanitizer.stripCodeFences('  <p>Oi</p> ')).toBe('<p>Oi</p>');
+  });
+});
@@ -1,3 +1,12 @@
+// Verbos que pedem uma mudança na página, mesmo quando escritos como pergunta
+const ACTION_VERBS = [
+  'mudar', 'mude', 'alterar', 'altere', 'modificar', 'modifique', 'trocar', 'troque',
+  'deixar', 'deixe', 'fazer', 'faça', 'tornar', 'torne', 'aumentar', 'aumente', 'diminuir', 'diminua',
+  'criar', 'crie', 'adicionar', 'adicione', 'inserir', 'insira', 'remover', 'remova', 'apagar', 'apague',
+  'substituir', 'substitua', 'gerar', 'gere', 'melhorar', 'melhore',
+  'change', 'make', 'set', 'create', 'add', 'insert', 'remove', 'delete', 'replace', 'improve', 'increase', 'decrease'
+];
+
 /**
  * IntentionClassifier - Sistema de reconhecimento de intenções ambíguas
  * 
@@ -107,6 +116,8 @@ class IntentionClassifier {
     this.ambiguityPatterns = [
       {
         pattern: /mudar.*para/i,
+        // "mudar a cor para azul" já diz o que modificar
+        unlessPattern: /\b(cor|cores|color|fundo|background|tamanho|size|fonte|font|borda|border|margem|margin|padding|espaçamento|largura|width|altura|height|texto|text|sombra|shadow|opacidade|opacity|raio|radius)\b/i,
         possibleIntentions: ['modify', 'replace'],
         disambiguationQuestions: [
           'Você quer modificar a propriedade do elemento existente ou substituir o elemento inteiro?'
@@ -147,7 +158,7 @@ class IntentionClassifier {
     Object.entries(this.intentionPatterns).forEach(([intention, pattern]) => {
       scores[intention] = this.calculateIntentionScore(
         normalizedCommand, 
-        pattern, 
+        { ...pattern, name: intention }, 
         selectedElements, 
         previousContext
       );
@@ -183,6 +194,7 @@ class IntentionClassifier {
       ambiguous: isAmbiguous || ambiguityCheck.isAmbiguous,
       alternatives: isAmbiguous ? [secondIntention] : [],
       disambiguationSuggestion: ambiguityCheck.suggestion || null,
+      possibleIntentions: ambiguityCheck.possibleIntentions || null,
       allScores: scores
     };
   }
@@ -240,12 +252,23 @@ class IntentionClassifier {
    * Verifica se é uma solicitação de informação
    */
   isInformationRequest(command) {
-    const questionWords = ['qual', 'what', 'como', 'how', 'me diga', 'tell me', 'mostrar', 'show'];
-    const questionMarkers = ['?', 'qual a', 'qual o', 'what is', 'what are'];
-    
-    return questionWords.some(word => command.includes(word)) ||
-           questionMarkers.some(marker => command.includes(marker)) ||
-           command.endsWith('?');
+    const questionWords = ['qual', 'quais', 'what', 'como', 'how', 'me diga', 'tell me', 'mostrar', 'mostre', 'show'];
+
+    // "como deixar o botão azul?" pede uma ação, não uma informação
+    if (ACTION_VERBS.some(verb => this.containsWord(command, verb))) {
+      return false;
+    }
+
+    return questionWords.some(word => this.containsWord(command, word)) ||
+           command.includes('?');
+  }
+
+  /**
+   * Busca por palavra inteira: "qual" não casa com "qualquer"
+   */
+  containsWord(command, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(command);
   }
 
   /**
@@ -253,7 +276,7 @@ class IntentionClassifier {
    */
   checkKnownAmbiguities(command) {
     for (const ambiguity of this.ambiguityPatterns) {
-      if (ambiguity.pattern.test(command)) {
+      if (ambiguity.pattern.test(command) && !(ambiguity.unlessPattern && ambiguity.unlessPattern.test(command))) {
         return {
           isAmbiguous: true,
           suggestion: ambiguity.disambiguationQuestions[0],
@@ -16,6 +16,16 @@ class SmartRetrySystem {
         jitter: true,
         retryCondition: (error) => this.isRetryableNetworkError(error)
       }],
+      ['llm', {
+        maxRetries: 3,
+        baseDelay: 1500,
+        maxDelay: 15000,
+        backoffMultiplier: 2,
+        jitter: true,
+        // O provedor já aplica o próprio timeout; cortar a chamada aqui deixaria a anterior rodando em paralelo
+        timeout: null,
+        retryCondition: (error) => this.isRetryableNetworkError(error)
+      }],
       ['dom_manipulation', {
         maxRetries: 3,
         baseDelay: 500,
@@ -38,6 +48,8 @@ class SmartRetrySystem {
         maxDelay: 60000,
         backoffMultiplier: 2.5,
         jitter: true,
+        // Como no 'llm': o provedor de imagens tem timeout próprio, e uma geração cortada aqui continuaria rodando (e cobrando)
+        timeout: null,
         retryCondition: (error) => this.isRetryableImageError(error)
       }],
       ['script_execution', {
@@ -72,7 +84,7 @@ class SmartRetrySystem {
    * Executa operação com retry inteligente
    * @param {Function} operation - Função que executa a operação
    * @param {string} operationType - Tipo da operação ('network', 'dom_manipulation', etc.)
-   * @param {Object} context - Contexto adicional
+   * @param {Object} context - Contexto adicional; context.retryCondition(error) pode vetar novas tentativas
    * @returns {Promise} Resultado da operação
    */
   async executeWithRetry(operation, operationType = 'dom_manipulation', context = {}) {
@@ -94,7 +106,7 @@ class SmartRetrySystem {
           console.log(`🔄 Retry System: Attempting ${operationType} (${attempt}/${config.maxRetries})`);
           
           // Executa operação com timeout adaptativo
-          const timeoutMs = this.calculateTimeout(operationType, attempt);
+          const timeoutMs = config.timeout === null ? null : this.calculateTimeout(operationType, attempt);
           const result = await this.executeWithTimeout(operation, timeoutMs);
           
           // Sucesso - registra e retorna
@@ -110,7 +122,8 @@ class SmartRetrySystem {
           lastError = error;
           
           // Verifica se deve tentar novamente
-          if (!config.retryCondition(error)) {
+          const retryable = config.retryCondition(error) && (!context.retryCondition || context.retryCondition(error));
+          if (!retryable) {
             console.log(`🚫 Retry System: Error not retryable for ${operationType}:`, error.message);
             break;
           }
@@ -146,6 +159,10 @@ class SmartRetrySystem {
    * Executa operação com timeout
    */
   async executeWithTimeout(operation, timeoutMs) {
+    if (!timeoutMs) {
+      return operation();
+    }
+
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         reject(new Error(`Operation timed out after ${timeoutMs}ms`));
@@ -248,6 +265,7 @@ class SmartRetrySystem {
    */
   calculateTimeout(operationType, attempt) {
     const baseTimeouts = {
+      'llm': 60000, // 60s
       'network': 10000, // 10s
       'dom_manipulation': 5000, // 5s
       'css_validation': 2000, // 2s
@@ -442,14 +460,19 @@ class SmartRetrySystem {
   
   startAdaptiveMonitoring() {
     // Monitora condições a cada minuto
-    setInterval(() => {
+    const conditionsTimer = setInterval(() => {
       this.updateSystemConditions();
     }, 60000);
 
     // Limpa histórico antigo a cada 5 minutos
-    setInterval(() => {
+    const cleanupTimer = setInterval(() => {
       this.cleanupOldHistory();
     }, this.historyCleanupTimeout);
+
+    // Não mantém o processo vivo fora do navegador (testes)
+    [conditionsTimer, cleanupTimer].forEach(timer => {
+      if (typeof timer.unref === 'function') timer.unref();
+    });
   }
 
   updateSystemConditions() {
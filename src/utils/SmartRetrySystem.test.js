@@ -0,0 +1,50 @@
+import SmartRetrySystem from './SmartRetrySystem';
+
+describe('SmartRetrySystem', () => {
+  let retry;
+
+  beforeEach(() => {
+    retry = new SmartRetrySystem();
+    retry.sleep = jest.fn(() => Promise.resolve());
+  });
+
+  test('should retry transient LLM failures with backoff', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('Failed to fetch'))
+      .mockResolvedValueOnce('ok');
+
+    const outcome = await retry.executeWithRetry(send, 'llm', { operation: 'llm' });
+
+    expect(outcome).toMatchObject({ success: true, result: 'ok', attempts: 2 });
+    expect(retry.sleep).toHaveBeenCalledTimes(1);
+  });
+
+  test('should let the caller veto a retry', async () => {
+    const send = jest.fn().mockRejectedValue(new Error('503 Service Unavailable'));
+
+    const outcome = await retry.executeWithRetry(send, 'llm', { retryCondition: () => false });
+
+    expect(outcome.success).toBe(false);
+    expect(outcome.error.message).toBe('503 Service Unavailable');
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not retry errors that are not transient', async () => {
+    const apply = jest.fn().mockRejectedValue(new Error('Invalid styles parameter'));
+
+    const outcome = await retry.executeWithRetry(apply, 'dom_manipulation');
+
+    expect(outcome.success).toBe(false);
+    expect(apply).toHaveBeenCalledTimes(1);
+  });
+
+  test('should leave the timeout of image generation to the provider', async () => {
+    const generate = jest.fn().mockResolvedValue([{ url: 'https://img/a.png' }]);
+    const withTimeout = jest.spyOn(retry, 'executeWithTimeout');
+
+    const outcome = await retry.executeWithRetry(generate, 'image_generation', { operation: 'image_generation' });
+
+    expect(outcome.success).toBe(true);
+    expect(withTimeout).toHaveBeenCalledWith(generate, null);
+  });
+});
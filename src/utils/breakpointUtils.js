@@ -0,0 +1,19 @@
+import { AgentConfig } from '../config/AgentConfig.js';
+
+export class BreakpointUtils {
+  /**
+   * Media query that scopes a style change: an explicit media query wins over a named breakpoint
+   * @param {Object} scope - { breakpoint: 'mobile' | 'tablet' | 'desktop', media }
+   * @returns {string|null} - The media query, or null for changes on every screen size
+   */
+  static resolveMedia({ breakpoint, media } = {}, breakpoints = AgentConfig.responsive.breakpoints) {
+    if (media) return media;
+    if (!breakpoint) return null;
+
+    const query = breakpoints[breakpoint]?.media;
+    if (!query) {
+      throw new Error(`Breakpoint desconhecido: ${breakpoint}. Use ${Object.keys(breakpoints).join(', ')} ou informe "media".`);
+    }
+    return query;
+  }
+}
@@ -0,0 +1,32 @@
+// breakpointUtils.test.js
+import { BreakpointUtils } from './breakpointUtils';
+import StylesheetLayer from '../core/StylesheetLayer';
+
+describe('BreakpointUtils', () => {
+  test('should resolve named breakpoints to the configured media queries', () => {
+    expect(BreakpointUtils.resolveMedia({ breakpoint: 'mobile' })).toBe('(max-width: 767px)');
+    expect(BreakpointUtils.resolveMedia({ breakpoint: 'tablet' })).toBe('(min-width: 768px) and (max-width: 1023px)');
+    expect(BreakpointUtils.resolveMedia({ breakpoint: 'desktop' })).toBe('(min-width: 1024px)');
+  });
+
+  test('should prefer an explicit media query and leave unscoped changes alone', () => {
+    expect(BreakpointUtils.resolveMedia({ breakpoint: 'mobile', media: '(orientation: landscape)' })).toBe('(orientation: landscape)');
+    expect(BreakpointUtils.resolveMedia({})).toBeNull();
+    expect(BreakpointUtils.resolveMedia()).toBeNull();
+  });
+
+  test('should reject unknown breakpoints, listing the configured ones', () => {
+    const breakpoints = { small: { media: '(max-width: 599px)' } };
+
+    expect(BreakpointUtils.resolveMedia({ breakpoint: 'small' }, breakpoints)).toBe('(max-width: 599px)');
+    expect(() => BreakpointUtils.resolveMedia({ breakpoint: 'watch' }, breakpoints)).toThrow('Breakpoint desconhecido: watch. Use small');
+  });
+
+  test('should scope the rule of a breakpoint edit to its media query', () => {
+    const layer = new StylesheetLayer({ layerName: null });
+    layer.render = jest.fn();
+    layer.addRule({ selector: '.cards', styles: { flexDirection: 'column' }, media: BreakpointUtils.resolveMedia({ breakpoint: 'mobile' }) });
+
+    expect(layer.toCSSText()).toBe('@media (max-width: 767px) {\n  .cards {\n    flex-direction: column !important;\n  }\n}');
+  });
+});
@@ -0,0 +1,110 @@
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/;
+// rgb(255, 0, 0), rgba(255, 0, 0, 0.5) and rgb(255 0 0 / 50%)
+const RGB_COLOR = /^rgba?\(\s*(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/;
+
+export class ColorUtils {
+  /**
+   * Hex, rgb() and rgba() colors -> { r, g, b, a }
+   * @returns {Object|null} - Channels rounded to integers, alpha from 0 to 1
+   */
+  static parse(value) {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+
+    const hex = text.match(HEX_COLOR);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length <= 4) digits = digits.split('').map(digit => digit + digit).join('');
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: digits.length === 8 ? Math.round(parseInt(digits.slice(6, 8), 16) / 255 * 100) / 100 : 1
+      };
+    }
+
+    const rgb = text.match(RGB_COLOR);
+    if (rgb) {
+      const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+      return { r: Math.round(rgb[1]), g: Math.round(rgb[2]), b: Math.round(rgb[3]), a: alpha };
+    }
+    return null;
+  }
+
+  static toHex({ r, g, b }) {
+    return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Hex for opaque colors, rgba() otherwise
+   */
+  static toCSSColor({ r, g, b, a = 1 }) {
+    if (a < 1) return `rgba(${r}, ${g}, ${b}, ${a})`;
+    return ColorUtils.toHex({ r, g, b });
+  }
+
+  /**
+   * { r, g, b } -> { h: 0-360, s: 0-1, l: 0-1 }
+   */
+  static rgbToHsl({ r, g, b }) {
+    const [red, green, blue] = [r / 255, g / 255, b / 255];
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === red) h = (green - blue) / d + (green < blue ? 6 : 0);
+    else if (max === green) h = (blue - red) / d + 2;
+    else h = (red - green) / d + 4;
+    return { h: h * 60, s, l };
+  }
+
+  static hslToRgb({ h, s, l }) {
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+    const m = l - c / 2;
+    const sector = Math.floor(h / 60) % 6;
+    const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][sector];
+    return { r: Math.round((r + m) * 255), g: Math.round((g + m) * 255), b: Math.round((b + m) * 255) };
+  }
+
+  /**
+   * WCAG relative luminance of { r, g, b }
+   */
+  static relativeLuminance({ r, g, b }) {
+    const [lr, lg, lb] = [r, g, b].map(channel => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+  }
+
+  /**
+   * { r, g, b } -> CIELAB (D65)
+   */
+  static toLab({ r, g, b }) {
+    const [lr, lg, lb] = [r, g, b].map(channel => {
+      const c = channel / 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    const xyz = [
+      (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047,
+      lr * 0.2126 + lg * 0.7152 + lb * 0.0722,
+      (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883
+    ];
+    const [fx, fy, fz] = xyz.map(t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116));
+    return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+  }
+
+  /**
+   * Perceptual distance between two colors (CIE76 ΔE: ~2.3 is barely noticeable)
+   */
+  static deltaE(first, second) {
+    const a = ColorUtils.toLab(first);
+    const b = ColorUtils.toLab(second);
+    return Math.hypot(a.l - b.l, a.a - b.a, a.b - b.b);
+  }
+}
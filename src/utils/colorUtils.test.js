@@ -0,0 +1,37 @@
+// colorUtils.test.js
+import { ColorUtils } from './colorUtils';
+
+describe('ColorUtils', () => {
+  test('should parse hex and rgb colors with their alpha', () => {
+    expect(ColorUtils.parse('#3B82F6')).toEqual({ r: 59, g: 130, b: 246, a: 1 });
+    expect(ColorUtils.parse('#fff')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    expect(ColorUtils.parse('#00000080')).toEqual({ r: 0, g: 0, b: 0, a: 0.5 });
+    expect(ColorUtils.parse('rgba(17, 24, 39, 0.4)')).toEqual({ r: 17, g: 24, b: 39, a: 0.4 });
+    expect(ColorUtils.parse('rgb(255 0 0 / 50%)')).toEqual({ r: 255, g: 0, b: 0, a: 0.5 });
+    expect(ColorUtils.parse('rgb(12.6, 0, 0)')).toEqual({ r: 13, g: 0, b: 0, a: 1 });
+    expect(ColorUtils.parse('currentcolor')).toBeNull();
+    expect(ColorUtils.parse('')).toBeNull();
+  });
+
+  test('should write hex for opaque colors and rgba otherwise', () => {
+    expect(ColorUtils.toHex({ r: 37, g: 99, b: 235 })).toBe('#2563eb');
+    expect(ColorUtils.toCSSColor({ r: 37, g: 99, b: 235, a: 1 })).toBe('#2563eb');
+    expect(ColorUtils.toCSSColor({ r: 37, g: 99, b: 235, a: 0.5 })).toBe('rgba(37, 99, 235, 0.5)');
+  });
+
+  test('should convert between rgb and hsl', () => {
+    expect(ColorUtils.rgbToHsl({ r: 255, g: 0, b: 0 })).toEqual({ h: 0, s: 1, l: 0.5 });
+    expect(ColorUtils.rgbToHsl({ r: 128, g: 128, b: 128 })).toEqual({ h: 0, s: 0, l: 128 / 255 });
+    expect(ColorUtils.hslToRgb({ h: 120, s: 1, l: 0.25 })).toEqual({ r: 0, g: 128, b: 0 });
+
+    const blue = { r: 37, g: 99, b: 235 };
+    expect(ColorUtils.hslToRgb(ColorUtils.rgbToHsl(blue))).toEqual(blue);
+  });
+
+  test('should measure luminance and perceptual distance', () => {
+    expect(ColorUtils.relativeLuminance({ r: 255, g: 255, b: 255 })).toBeCloseTo(1);
+    expect(ColorUtils.relativeLuminance({ r: 0, g: 0, b: 0 })).toBe(0);
+    expect(ColorUtils.deltaE({ r: 255, g: 255, b: 255 }, { r: 0, g: 0, b: 0 })).toBeCloseTo(100);
+    expect(ColorUtils.deltaE({ r: 59, g: 130, b: 246 }, { r: 60, g: 130, b: 246 })).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,155 @@
+// Above this many LCS cells the changed region is emitted as a single hunk
+const MAX_LCS_CELLS = 4000000;
+const CONTEXT_LINES = 3;
+
+export class DiffUtils {
+  /**
+   * Builds a git-style unified diff for one file.
+   * Both versions are expected to agree on the trailing newline.
+   * @param {string} path - Path relative to the repository root
+   * @param {string|null} oldText - Original content (null for a new file)
+   * @param {string} newText - Updated content
+   * @returns {string} - Patch text ('' when nothing changed)
+   */
+  static createFilePatch(path, oldText, newText) {
+    if (oldText === newText) return '';
+
+    const oldLines = this.splitLines(oldText || '');
+    const newLines = this.splitLines(newText);
+    const operations = this.diffLines(oldLines.lines, newLines.lines);
+    const hunks = this.buildHunks(operations, oldLines, newLines);
+
+    const header = [
+      `diff --git a/${path} b/${path}`,
+      ...(oldText === null ? ['new file mode 100644', '--- /dev/null'] : [`--- a/${path}`]),
+      `+++ b/${path}`
+    ];
+
+    return `${[...header, ...hunks].join('\n')}\n`;
+  }
+
+  static splitLines(text) {
+    if (text === '') return { lines: [], endsWithNewline: true };
+    const endsWithNewline = text.endsWith('\n');
+    const lines = (endsWithNewline ? text.slice(0, -1) : text).split('\n');
+    return { lines, endsWithNewline };
+  }
+
+  /**
+   * Line edit script: [{ type: 'equal'|'delete'|'insert', line }]
+   */
+  static diffLines(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+      oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+    return [
+      ...oldLines.slice(0, prefix).map(line => ({ type: 'equal', line })),
+      ...this.diffMiddle(oldMiddle, newMiddle),
+      ...oldLines.slice(oldLines.length - suffix).map(line => ({ type: 'equal', line }))
+    ];
+  }
+
+  static diffMiddle(oldLines, newLines) {
+    if ((oldLines.length + 1) * (newLines.length + 1) > MAX_LCS_CELLS) {
+      return [
+        ...oldLines.map(line => ({ type: 'delete', line })),
+        ...newLines.map(line => ({ type: 'insert', line }))
+      ];
+    }
+
+    // Longest common subsequence table, filled from the end
+    const rows = oldLines.length + 1;
+    const cols = newLines.length + 1;
+    const table = new Uint32Array(rows * cols);
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+        table[i * cols + j] = oldLines[i] === newLines[j]
+          ? table[(i + 1) * cols + j + 1] + 1
+          : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+      if (oldLines[i] === newLines[j]) {
+        operations.push({ type: 'equal', line: oldLines[i] });
+        i++;
+        j++;
+      } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+        operations.push({ type: 'delete', line: oldLines[i++] });
+      } else {
+        operations.push({ type: 'insert', line: newLines[j++] });
+      }
+    }
+    while (i < oldLines.length) operations.push({ type: 'delete', line: oldLines[i++] });
+    while (j < newLines.length) operations.push({ type: 'insert', line: newLines[j++] });
+
+    return operations;
+  }
+
+  static buildHunks(operations, oldInfo, newInfo) {
+    // Annotate each operation with its 1-based line numbers
+    let oldLine = 1;
+    let newLine = 1;
+    const annotated = operations.map(operation => {
+      const entry = { ...operation, oldLine, newLine };
+      if (operation.type !== 'insert') oldLine++;
+      if (operation.type !== 'delete') newLine++;
+      return entry;
+    });
+
+    const changedIndexes = annotated
+      .map((operation, index) => (operation.type === 'equal' ? -1 : index))
+      .filter(index => index !== -1);
+
+    // Group changes whose context windows touch
+    const ranges = [];
+    changedIndexes.forEach(index => {
+      const start = Math.max(0, index - CONTEXT_LINES);
+      const end = Math.min(annotated.length - 1, index + CONTEXT_LINES);
+      const last = ranges[ranges.length - 1];
+      if (last && start <= last.end + 1) {
+        last.end = end;
+      } else {
+        ranges.push({ start, end });
+      }
+    });
+
+    const lastOldLine = oldInfo.lines.length;
+    const lastNewLine = newInfo.lines.length;
+
+    return ranges.map(({ start, end }) => {
+      const slice = annotated.slice(start, end + 1);
+      const oldCount = slice.filter(operation => operation.type !== 'insert').length;
+      const newCount = slice.filter(operation => operation.type !== 'delete').length;
+      const oldStart = oldCount === 0 ? slice[0].oldLine - 1 : slice.find(operation => operation.type !== 'insert').oldLine;
+      const newStart = newCount === 0 ? slice[0].newLine - 1 : slice.find(operation => operation.type !== 'delete').newLine;
+
+      const lines = [`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`];
+      slice.forEach(operation => {
+        const prefix = { equal: ' ', delete: '-', insert: '+' }[operation.type];
+        lines.push(`${prefix}${operation.line}`);
+
+        const isLastOld = operation.type !== 'insert' && operation.oldLine === lastOldLine && !oldInfo.endsWithNewline;
+        const isLastNew = operation.type !== 'delete' && operation.newLine === lastNewLine && !newInfo.endsWithNewline;
+        if (isLastOld || isLastNew) {
+          lines.push('\\ No newline at end of file');
+        }
+      });
+      return lines.join('\n');
+    });
+  }
+}
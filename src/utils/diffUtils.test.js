@@ -0,0 +1,67 @@
+// diffUtils.test.js
+import { DiffUtils } from './diffUtils';
+
+describe('DiffUtils', () => {
+  test('returns an empty patch when nothing changed', () => {
+    expect(DiffUtils.createFilePatch('a.css', 'a\n', 'a\n')).toBe('');
+  });
+
+  test('creates a hunk with three lines of context', () => {
+    const oldText = ['1', '2', '3', '4', '5', '6', '7', '8'].join('\n') + '\n';
+    const newText = ['1', '2', '3', '4', 'five', '6', '7', '8'].join('\n') + '\n';
+
+    expect(DiffUtils.createFilePatch('src/a.css', oldText, newText)).toBe([
+      'diff --git a/src/a.css b/src/a.css',
+      '--- a/src/a.css',
+      '+++ b/src/a.css',
+      '@@ -2,7 +2,7 @@',
+      ' 2',
+      ' 3',
+      ' 4',
+      '-5',
+      '+five',
+      ' 6',
+      ' 7',
+      ' 8',
+      ''
+    ].join('\n'));
+  });
+
+  test('splits distant changes into separate hunks', () => {
+    const lines = Array.from({ length: 20 }, (value, index) => `line ${index + 1}`);
+    const changed = [...lines];
+    changed[1] = 'changed 2';
+    changed[17] = 'changed 18';
+
+    const patch = DiffUtils.createFilePatch('a.txt', `${lines.join('\n')}\n`, `${changed.join('\n')}\n`);
+
+    expect(patch).toContain('@@ -1,5 +1,5 @@');
+    expect(patch).toContain('@@ -15,6 +15,6 @@');
+  });
+
+  test('handles insertions at the end of a block', () => {
+    const patch = DiffUtils.createFilePatch('a.css', '.a {\n  color: red;\n}\n', '.a {\n  color: red;\n  padding: 4px;\n}\n');
+
+    expect(patch).toContain('@@ -1,3 +1,4 @@\n .a {\n   color: red;\n+  padding: 4px;\n }\n');
+  });
+
+  test('marks new files', () => {
+    const patch = DiffUtils.createFilePatch('new.css', null, '.a {}\n');
+
+    expect(patch).toBe([
+      'diff --git a/new.css b/new.css',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/new.css',
+      '@@ -0,0 +1,1 @@',
+      '+.a {}',
+      ''
+    ].join('\n'));
+  });
+
+  test('flags a missing newline at end of file', () => {
+    const patch = DiffUtils.createFilePatch('a.css', 'a\nb', 'a\nc');
+
+    expect(patch).toContain('@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+c\n\\ No newline at end of file\n');
+  });
+});
@@ -0,0 +1,19 @@
+export class DownloadUtils {
+  static downloadText(content, filename, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    this.downloadBlob(blob, filename);
+  }
+
+  static downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a tick to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
@@ -0,0 +1,60 @@
+export class HttpUtils {
+  /**
+   * JSON request headers, with the API key sent in `authHeader` as "<authScheme> <apiKey>"
+   * @param {Object} config - { headers, apiKey, authHeader, authScheme }
+   * @returns {Object} - Headers for fetch
+   */
+  static buildHeaders({ headers, apiKey, authHeader, authScheme } = {}) {
+    const result = { 'Content-Type': 'application/json', ...headers };
+    if (apiKey) {
+      result[authHeader || 'Authorization'] = authScheme ? `${authScheme} ${apiKey}` : apiKey;
+    }
+    return result;
+  }
+
+  /**
+   * POSTs a JSON body and hands the response to `read`. The request, including
+   * the reading of its body, is aborted after `timeout` ms or when `signal` aborts.
+   * @param {string} url - Endpoint
+   * @param {Object} body - Request body, sent as JSON
+   * @param {Object} options - { fetch, headers, timeout, signal, label: name used in errors ('LLM', 'Image') }
+   * @param {Function} read - async (response) => result
+   * @returns {Promise<*>} - What `read` returns
+   */
+  static async postJSON(url, body, options, read) {
+    const { headers, timeout, signal, label = 'API' } = options;
+    const fetchImpl = options.fetch || ((...args) => fetch(...args));
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = timeout ? setTimeout(abort, timeout) : null;
+    if (signal) {
+      if (signal.aborted) abort();
+      signal.addEventListener('abort', abort);
+    }
+
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`${label} request failed: ${response.status} ${response.statusText}`);
+      }
+      return await read(response);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw signal?.aborted
+          ? new Error(`${label} request was cancelled`)
+          : new Error(`${label} request timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+}
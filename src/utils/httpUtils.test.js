@@ -0,0 +1,55 @@
+// httpUtils.test.js
+import { HttpUtils } from './httpUtils';
+
+describe('HttpUtils', () => {
+  // fetch that only settles when its signal aborts
+  const hangingFetch = () => jest.fn((url, request) => new Promise((resolve, reject) => {
+    request.signal.addEventListener('abort', () => {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  }));
+
+  test('should only send an auth header when an API key is configured', () => {
+    expect(HttpUtils.buildHeaders({ authHeader: 'X-API-Token' })).toEqual({ 'Content-Type': 'application/json' });
+    expect(HttpUtils.buildHeaders({ apiKey: 'secret', authHeader: 'X-API-Token', authScheme: '', headers: { 'X-Team': 'ux' } }))
+      .toEqual({ 'Content-Type': 'application/json', 'X-Team': 'ux', 'X-API-Token': 'secret' });
+    expect(HttpUtils.buildHeaders({ apiKey: 'secret', authScheme: 'Bearer' }))
+      .toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer secret' });
+  });
+
+  test('should post the JSON body and hand the response to the reader', async () => {
+    const fetch = jest.fn(async () => ({ ok: true, json: async () => ({ done: true }) }));
+
+    const result = await HttpUtils.postJSON('http://localhost/api', { prompt: 'gato' }, { fetch, headers: { 'X-Team': 'ux' } },
+      async (response) => (await response.json()).done);
+
+    expect(result).toBe(true);
+    expect(fetch).toHaveBeenCalledWith('http://localhost/api', expect.objectContaining({
+      method: 'POST',
+      headers: { 'X-Team': 'ux' },
+      body: '{"prompt":"gato"}'
+    }));
+  });
+
+  test('should report failed requests with the label', async () => {
+    const fetch = jest.fn(async () => ({ ok: false, status: 401, statusText: 'Unauthorized' }));
+
+    await expect(HttpUtils.postJSON('http://localhost/api', {}, { fetch, label: 'Image' }, jest.fn()))
+      .rejects.toThrow('Image request failed: 401 Unauthorized');
+  });
+
+  test('should abort after the timeout or when the caller cancels', async () => {
+    await expect(HttpUtils.postJSON('http://localhost/api', {}, { fetch: hangingFetch(), timeout: 5, label: 'LLM' }, jest.fn()))
+      .rejects.toThrow('LLM request timed out after 5ms');
+
+    const controller = new AbortController();
+    const fetch = hangingFetch();
+    const pending = HttpUtils.postJSON('http://localhost/api', {}, { fetch, timeout: 60000, signal: controller.signal, label: 'Image' }, jest.fn());
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('Image request was cancelled');
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+});
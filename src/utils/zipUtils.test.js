@@ -0,0 +1,54 @@
+// zipUtils.test.js
+import { ZipUtils } from './zipUtils';
+
+describe('ZipUtils', () => {
+  const readEntries = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const endOffset = bytes.length - 22;
+    expect(view.getUint32(endOffset, true)).toBe(0x06054B50);
+
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      expect(view.getUint32(position, true)).toBe(0x02014B50);
+      const size = view.getUint32(position + 24, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const localOffset = view.getUint32(position + 42, true);
+      const name = decoder.decode(bytes.slice(position + 46, position + 46 + nameLength));
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+      entries.push({ name, crc: view.getUint32(position + 16, true), data: bytes.slice(dataStart, dataStart + size) });
+      position += 46 + nameLength;
+    }
+    return entries;
+  };
+
+  test('computes the standard CRC-32', () => {
+    expect(ZipUtils.crc32(new TextEncoder().encode('hello'))).toBe(0x3610A686);
+    expect(ZipUtils.crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  test('stores text and binary files readable from the central directory', () => {
+    const image = new Uint8Array([137, 80, 78, 71, 0, 255]);
+    const zip = ZipUtils.createZip([
+      { name: 'manifest.json', data: '{"assets":[]}' },
+      { name: 'assets/pôr-do-sol.png', data: image }
+    ]);
+
+    expect(zip[0]).toBe(0x50);
+    expect(zip[1]).toBe(0x4B);
+
+    const entries = readEntries(zip);
+    expect(entries.map(entry => entry.name)).toEqual(['manifest.json', 'assets/pôr-do-sol.png']);
+    expect(new TextDecoder().decode(entries[0].data)).toBe('{"assets":[]}');
+    expect(Array.from(entries[1].data)).toEqual(Array.from(image));
+    expect(entries[1].crc).toBe(ZipUtils.crc32(image));
+  });
+
+  test('encodes DOS dates from 1980 on', () => {
+    const { date, time } = ZipUtils.toDosDateTime(new Date(2024, 4, 17, 13, 45, 30));
+    expect(date).toBe(((2024 - 1980) << 9) | (5 << 5) | 17);
+    expect(time).toBe((13 << 11) | (45 << 5) | 15);
+  });
+});